@@ -15,11 +15,50 @@ export default {
         });
       }
 
-      if (isUuidPath(pathname) && request.method === "GET") {
-        const userId = pathname.slice(1);
-        await ensureUser(env, userId);
-        return htmlResponse(renderHomePage(userId), {
-          "set-cookie": `user_id=${userId}; Path=/; HttpOnly; SameSite=Lax`,
+      const statsPage =
+        pathname.endsWith("/stats") && isUuidPath(pathname.slice(0, -6));
+      if ((isUuidPath(pathname) || statsPage) && request.method === "GET") {
+        const userId = pathname.slice(1, 37);
+        const meta = await ensureUser(env, userId);
+        const session = await readSession(request, env);
+        const signedIn = session && sessionMatchesMeta(session, meta);
+        if (meta.passphrase && !signedIn) {
+          return htmlResponse(renderLoginPage(userId, null));
+        }
+        const page = statsPage
+          ? renderStatsPage(userId)
+          : renderHomePage(userId);
+        return htmlResponse(page, {
+          "set-cookie": await sessionCookie(env, meta, url),
+        });
+      }
+
+      if (
+        pathname.endsWith("/login") &&
+        isUuidPath(pathname.slice(0, -"/login".length)) &&
+        request.method === "POST"
+      ) {
+        return await handleLogin(request, env, pathname.slice(1, -6), url);
+      }
+
+      if (
+        pathname.endsWith("/manifest.webmanifest") &&
+        isUuidPath(pathname.slice(0, -"/manifest.webmanifest".length)) &&
+        request.method === "GET"
+      ) {
+        return manifestResponse(webManifest(pathname.slice(1, 37)));
+      }
+
+      if (pathname === "/save" && request.method === "GET") {
+        return await handleSavePage(request, env, url);
+      }
+
+      if (pathname === "/logout" && request.method === "POST") {
+        const session = await readSession(request, env);
+        if (session) await revokeSession(env, session);
+        return new Response(null, {
+          status: 303,
+          headers: { location: "/", "set-cookie": clearSessionCookie(url) },
         });
       }
 
@@ -31,12 +70,78 @@ export default {
         return cssResponse(stylesCss());
       }
 
+      if (pathname === "/share.js" && request.method === "GET") {
+        return jsResponse(shareJs());
+      }
+
+      if (pathname === "/sw.js" && request.method === "GET") {
+        return jsResponse(serviceWorkerJs());
+      }
+
+      if (pathname === "/save.js" && request.method === "GET") {
+        return jsResponse(saveJs());
+      }
+
+      if (pathname === "/stats.js" && request.method === "GET") {
+        return jsResponse(statsJs());
+      }
+
+      if (pathname === "/icon.svg" && request.method === "GET") {
+        return new Response(iconSvg(), {
+          headers: {
+            "content-type": "image/svg+xml",
+            "cache-control": "public, max-age=86400",
+            ...SECURITY_HEADERS,
+          },
+        });
+      }
+
+      const shareMatch = pathname.match(/^\/s\/([A-Za-z0-9_-]{32})$/);
+      if (shareMatch && request.method === "GET") {
+        return await handleSharePage(env, ctx, url, shareMatch[1]);
+      }
+
+      const fileMatch = pathname.match(
+        /^\/files\/([A-Za-z0-9_-]{32})\.(png|jpg|gif|webp)$/
+      );
+      if (fileMatch && request.method === "GET") {
+        return await uploadedFileResponse(env, request, fileMatch[1]);
+      }
+
+      if (pathname === "/api/openapi.json" && request.method === "GET") {
+        return jsonResponse(openApiDocument(url), 200, {
+          "access-control-allow-origin": "*",
+        });
+      }
+
       if (pathname.startsWith("/api/")) {
-        const userId = getOrCreateUserId(request);
+        const bearer = bearerToken(request);
+        const token = bearer ? await authenticateToken(env, bearer) : null;
+        const userId = bearer
+          ? token && token.userId
+          : await authenticate(request, env);
         if (!userId) {
-          return jsonResponse({ error: "Unable to determine user id." }, 400);
+          return jsonResponse({ error: "Unauthorized" }, 401);
+        }
+        if (token) {
+          const denied = tokenAccessError(token, request, pathname);
+          if (denied) return jsonResponse({ error: denied }, 403);
         }
-        return await handleApi(request, env, userId, url);
+        const rate = await consumeRateLimit(
+          env,
+          `api:${userId}`,
+          envNumber(env, "RATE_LIMIT", RATE_LIMIT),
+          RATE_WINDOW_SECONDS
+        );
+        const response =
+          rate && rate.limited
+            ? jsonResponse({ error: "too many requests" }, 429, {
+                "retry-after": String(rate.reset),
+              })
+            : await handleApi(request, env, userId, url).catch(
+                apiErrorResponse
+              );
+        return rate ? withRateLimitHeaders(response, rate) : response;
       }
 
       return new Response("Not Found", { status: 404 });
@@ -44,12 +149,42 @@ export default {
       return jsonResponse({ error: "Server error", detail: String(err) }, 500);
     }
   },
+
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(runScheduledJobs(env));
+  },
 };
 
-function htmlResponse(body, headers = {}) {
+async function runScheduledJobs(env) {
+  await checkLinks(env);
+  await purgeExpiredTrash(env);
+}
+
+// Pages load their scripts and styles from this origin only; images may come
+// from anywhere, and no referrer is sent so page URLs (which carry the user id
+// or share token) never reach image hosts.
+const SECURITY_HEADERS = {
+  "content-security-policy": [
+    "default-src 'self'",
+    "img-src * data: blob:",
+    "script-src 'self'",
+    "style-src 'self'",
+    "connect-src 'self'",
+    "object-src 'none'",
+    "base-uri 'none'",
+    "form-action 'self'",
+    "frame-ancestors 'none'",
+  ].join("; "),
+  "x-content-type-options": "nosniff",
+  "referrer-policy": "no-referrer",
+};
+
+function htmlResponse(body, headers = {}, status = 200) {
   return new Response(body, {
+    status,
     headers: {
       "content-type": "text/html; charset=utf-8",
+      ...SECURITY_HEADERS,
       ...headers,
     },
   });
@@ -60,6 +195,7 @@ function jsResponse(body) {
     headers: {
       "content-type": "application/javascript; charset=utf-8",
       "cache-control": "no-store",
+      ...SECURITY_HEADERS,
     },
   });
 }
@@ -69,11 +205,40 @@ function cssResponse(body) {
     headers: {
       "content-type": "text/css; charset=utf-8",
       "cache-control": "no-store",
+      ...SECURITY_HEADERS,
+    },
+  });
+}
+
+function manifestResponse(manifest) {
+  return new Response(JSON.stringify(manifest), {
+    headers: {
+      "content-type": "application/manifest+json; charset=utf-8",
+      "cache-control": "no-store",
+      ...SECURITY_HEADERS,
     },
   });
 }
 
+// Every error body is `{ error, code }`. Most routes only pick a status, and
+// the code follows from it; a few failures carry a more specific code.
+const ERROR_CODES = {
+  400: "invalid_request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  409: "conflict",
+  413: "payload_too_large",
+  415: "unsupported_media_type",
+  422: "unprocessable",
+  429: "rate_limited",
+  500: "server_error",
+};
+
 function jsonResponse(obj, status = 200, headers = {}) {
+  if (status >= 400 && obj.error && !obj.code) {
+    obj = { ...obj, code: ERROR_CODES[status] };
+  }
   return new Response(JSON.stringify(obj), {
     status,
     headers: {
@@ -83,14 +248,330 @@ function jsonResponse(obj, status = 200, headers = {}) {
   });
 }
 
-function getOrCreateUserId(request) {
+// Thrown by helpers deep inside a route (body parsing, quota checks during an
+// import) so the route does not have to thread the failure back up.
+class ApiError extends Error {
+  constructor(status, message, code = ERROR_CODES[status]) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function apiErrorResponse(err) {
+  if (!(err instanceof ApiError)) throw err;
+  return jsonResponse({ error: err.message, code: err.code }, err.status);
+}
+
+const JSON_BODY_LIMIT = 1024 * 1024;
+const IMPORT_BODY_LIMIT = 20 * 1024 * 1024;
+
+// Bodies over `limit` fail with 413 without reading past the limit.
+async function readText(request, limit) {
+  const length = Number(request.headers.get("content-length"));
+  const bytes =
+    length > limit ? null : await readPrefix(request.body, limit + 1);
+  if (!bytes || bytes.byteLength > limit) {
+    throw new ApiError(
+      413,
+      `request body must be at most ${formatMegabytes(limit)}`
+    );
+  }
+  return new TextDecoder().decode(bytes);
+}
+
+async function readJson(request) {
+  const text = await readText(request, JSON_BODY_LIMIT);
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    throw new ApiError(400, "request body must be valid JSON", "invalid_json");
+  }
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new ApiError(
+      400,
+      "request body must be a JSON object",
+      "invalid_json"
+    );
+  }
+  return body;
+}
+
+function formatMegabytes(bytes) {
+  return `${+(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function envNumber(env, name, fallback) {
+  const value = Number(env[name]);
+  return value > 0 ? value : fallback;
+}
+
+const SESSION_COOKIE = "session";
+const SESSION_TTL_SECONDS = 30 * 24 * 60 * 60;
+const PASSPHRASE_ITERATIONS = 100000;
+// Sign-in attempts per library, counted before the passphrase is hashed so
+// guessing costs neither unlimited tries nor unlimited worker CPU.
+const LOGIN_ATTEMPT_LIMIT = 10;
+const LOGIN_WINDOW_SECONDS = 15 * 60;
+
+function getCookie(request, name) {
   const cookie = request.headers.get("cookie") || "";
-  const match = cookie.match(/user_id=([^;]+)/);
-  if (match) return match[1];
+  for (const part of cookie.split(";")) {
+    const [key, ...rest] = part.trim().split("=");
+    if (key === name) return rest.join("=");
+  }
+  return null;
+}
+
+async function authenticate(request, env) {
+  const session = await readSession(request, env);
+  if (!session) return null;
+  const meta = await getUserMeta(env, session.userId);
+  if (!meta || !sessionMatchesMeta(session, meta)) return null;
+  return meta.id;
+}
+
+// Personal API tokens are sent as `Authorization: Bearer ib_<random>`. Only
+// the SHA-256 of a token is stored: `api-token:<hash>` resolves a request to
+// its owner and `user:<id>:api-token:<tokenId>` lists a user's tokens.
+const API_TOKEN_PREFIX = "ib_";
+const API_TOKEN_SCOPES = ["read", "write"];
+const API_TOKEN_NAME_LIMIT = 100;
+const API_TOKEN_READ_METHODS = ["GET", "HEAD"];
+const API_TOKEN_TOUCH_MS = 60 * 60 * 1000;
+// A leaked token must not be able to mint more tokens or lock the owner out.
+const SESSION_ONLY_API_PATHS = /^\/api\/(tokens(\/|$)|passphrase$)/;
 
+function bearerToken(request) {
+  const header = request.headers.get("authorization") || "";
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+async function authenticateToken(env, secret) {
+  if (!secret.startsWith(API_TOKEN_PREFIX)) return null;
+  const hash = await apiTokenHash(secret);
+  const value = await env.BOOKMARKS.get(apiTokenKey(hash));
+  if (!value) return null;
+  const token = JSON.parse(value);
+  const lastUsed = Date.parse(token.lastUsedAt) || 0;
+  if (Date.now() - lastUsed > API_TOKEN_TOUCH_MS) {
+    await putApiToken(env, { ...token, lastUsedAt: new Date().toISOString() });
+  }
+  return token;
+}
+
+function tokenAccessError(token, request, pathname) {
+  if (SESSION_ONLY_API_PATHS.test(pathname)) {
+    return "this endpoint is not available to API tokens";
+  }
+  if (
+    token.scope !== "write" &&
+    !API_TOKEN_READ_METHODS.includes(request.method)
+  ) {
+    return "token is read-only";
+  }
   return null;
 }
 
+// The cookie is `<base64url payload>.<base64url HMAC>`. The payload carries
+// the user's sessionVersion so changing the passphrase ends older sessions,
+// and a random id so logging out can revoke just that cookie.
+async function readSession(request, env) {
+  const value = getCookie(request, SESSION_COOKIE);
+  if (!value) return null;
+  const [payload, signature] = value.split(".");
+  if (!payload || !signature) return null;
+
+  const key = await sessionKey(env);
+  const valid = await crypto.subtle.verify(
+    "HMAC",
+    key,
+    base64UrlToBytes(signature),
+    new TextEncoder().encode(payload)
+  );
+  if (!valid) return null;
+
+  const session = JSON.parse(
+    new TextDecoder().decode(base64UrlToBytes(payload))
+  );
+  if (!isUuidPath(`/${session.userId}`)) return null;
+  if (!(session.expiresAt > Date.now() / 1000)) return null;
+  return session;
+}
+
+function sessionMatchesMeta(session, meta) {
+  const revoked = meta.revokedSessions || {};
+  return (
+    session.userId === meta.id &&
+    session.version === (meta.sessionVersion || 0) &&
+    !(session.id && revoked[session.id])
+  );
+}
+
+// Revoked ids are kept on the user meta until the cookie would have expired
+// anyway, so the list stays as short as the number of recent logouts.
+// Cookies issued before sessions had ids can only be ended by bumping
+// sessionVersion, which signs out the user's other devices too.
+async function revokeSession(env, session) {
+  const meta = await getUserMeta(env, session.userId);
+  if (!meta || !sessionMatchesMeta(session, meta)) return;
+  const updated = { ...meta };
+  if (session.id) {
+    const now = Date.now() / 1000;
+    updated.revokedSessions = Object.fromEntries(
+      Object.entries(meta.revokedSessions || {})
+        .filter(([, expiresAt]) => expiresAt > now)
+        .concat([[session.id, session.expiresAt]])
+    );
+  } else {
+    updated.sessionVersion = (meta.sessionVersion || 0) + 1;
+  }
+  await putUserMeta(env, updated);
+}
+
+async function sessionCookie(env, meta, url) {
+  const payload = bytesToBase64Url(
+    new TextEncoder().encode(
+      JSON.stringify({
+        id: randomToken(16),
+        userId: meta.id,
+        version: meta.sessionVersion || 0,
+        expiresAt: Math.floor(Date.now() / 1000) + SESSION_TTL_SECONDS,
+      })
+    )
+  );
+  const key = await sessionKey(env);
+  const signature = await crypto.subtle.sign(
+    "HMAC",
+    key,
+    new TextEncoder().encode(payload)
+  );
+  const secure = url.protocol === "https:" ? "; Secure" : "";
+  return (
+    `${SESSION_COOKIE}=${payload}.${bytesToBase64Url(signature)}; Path=/; ` +
+    `HttpOnly; SameSite=Lax; Max-Age=${SESSION_TTL_SECONDS}${secure}`
+  );
+}
+
+function clearSessionCookie(url) {
+  const secure = url.protocol === "https:" ? "; Secure" : "";
+  return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0${secure}`;
+}
+
+// SESSION_SECRET must be set as a Worker secret. Generating one on first use
+// raced between isolates and left cookies signed with a key that lost.
+async function sessionKey(env) {
+  if (!env.SESSION_SECRET) {
+    throw new Error("SESSION_SECRET is not set; see the README setup steps");
+  }
+  return crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(env.SESSION_SECRET),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign", "verify"]
+  );
+}
+
+async function hashPassphrase(passphrase, salt) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveBits"]
+  );
+  const bits = await crypto.subtle.deriveBits(
+    {
+      name: "PBKDF2",
+      salt: base64UrlToBytes(salt),
+      iterations: PASSPHRASE_ITERATIONS,
+      hash: "SHA-256",
+    },
+    key,
+    256
+  );
+  return bytesToBase64Url(bits);
+}
+
+async function verifyPassphrase(passphrase, stored) {
+  if (!stored || typeof passphrase !== "string") return false;
+  const hash = await hashPassphrase(passphrase, stored.salt);
+  if (hash.length !== stored.hash.length) return false;
+  let diff = 0;
+  for (let i = 0; i < hash.length; i++) {
+    diff |= hash.charCodeAt(i) ^ stored.hash.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+function consumeLoginAttempt(env, userId) {
+  return consumeRateLimit(
+    env,
+    `login:${userId}`,
+    LOGIN_ATTEMPT_LIMIT,
+    LOGIN_WINDOW_SECONDS
+  );
+}
+
+async function handleLogin(request, env, userId, url) {
+  const meta = await getUserMeta(env, userId);
+  if (!meta) {
+    return new Response(null, {
+      status: 303,
+      headers: { location: `/${userId}` },
+    });
+  }
+  const rate = meta.passphrase ? await consumeLoginAttempt(env, userId) : null;
+  if (rate && rate.limited) {
+    const minutes = Math.ceil(rate.reset / 60);
+    return htmlResponse(
+      renderLoginPage(
+        userId,
+        `Too many attempts. Try again in ${minutes} minute${
+          minutes === 1 ? "" : "s"
+        }.`
+      ),
+      { "retry-after": String(rate.reset) },
+      429
+    );
+  }
+  const form = await request.formData();
+  const passphrase = form.get("passphrase");
+  if (meta.passphrase && !(await verifyPassphrase(passphrase, meta.passphrase))) {
+    return htmlResponse(
+      renderLoginPage(userId, "Incorrect passphrase."),
+      {},
+      401
+    );
+  }
+  return new Response(null, {
+    status: 303,
+    headers: {
+      location: `/${userId}`,
+      "set-cookie": await sessionCookie(env, meta, url),
+    },
+  });
+}
+
+function bytesToBase64Url(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function base64UrlToBytes(value) {
+  try {
+    const binary = atob(value.replace(/-/g, "+").replace(/_/g, "/"));
+    return Uint8Array.from(binary, (ch) => ch.charCodeAt(0));
+  } catch {
+    return new Uint8Array(0);
+  }
+}
+
 function isUuidPath(pathname) {
   if (!pathname || pathname.length !== 37) return false;
   const value = pathname.slice(1);
@@ -100,668 +581,9411 @@ function isUuidPath(pathname) {
 }
 
 async function ensureUser(env, userId) {
-  const key = userMetaKey(userId);
-  const existing = await env.BOOKMARKS.get(key);
-  if (existing) return;
-  const meta = { id: userId, createdAt: new Date().toISOString() };
-  await env.BOOKMARKS.put(key, JSON.stringify(meta));
+  const existing = await getUserMeta(env, userId);
+  if (existing) return existing;
+  const meta = {
+    id: userId,
+    createdAt: new Date().toISOString(),
+    canonicalizedWith: canonicalRulesKey(CANONICAL_DEFAULTS),
+  };
+  await putUserMeta(env, meta);
+  // Over an empty library the first rebuild step completes the index.
+  await rebuildIndexes(env, userId);
+  return meta;
 }
 
 function userMetaKey(userId) {
   return `user:${userId}:meta`;
 }
 
+async function getUserMeta(env, userId) {
+  const value = await env.BOOKMARKS.get(userMetaKey(userId));
+  return value ? JSON.parse(value) : null;
+}
+
+async function putUserMeta(env, meta) {
+  await env.BOOKMARKS.put(userMetaKey(meta.id), JSON.stringify(meta));
+}
+
 async function handleApi(request, env, userId, url) {
   const { pathname, searchParams } = url;
 
   if (pathname === "/api/bookmarks" && request.method === "GET") {
     const tagsParam = searchParams.get("tags") || "";
     const q = (searchParams.get("q") || "").toLowerCase();
-    const tags = tagsParam
-      .split(",")
-      .map((t) => t.trim())
-      .filter(Boolean);
+    const tags = normalizeTags(tagsParam.split(","));
+    const orientation = searchParams.get("orientation") || "";
+    const minWidth = Number(searchParams.get("minWidth")) || 0;
+    const minHeight = Number(searchParams.get("minHeight")) || 0;
+    const brokenParam = searchParams.get("broken");
+    const sort = searchParams.get("sort") || "added";
+    if (!SORT_MODES.includes(sort)) {
+      return jsonResponse(
+        { error: `sort must be one of ${SORT_MODES.join(", ")}` },
+        400
+      );
+    }
+    if (orientation && !ORIENTATIONS.includes(orientation)) {
+      return jsonResponse(
+        { error: "orientation must be landscape, portrait or square" },
+        400
+      );
+    }
 
-    const bookmarks = await listBookmarks(env, userId);
+    const limitParam = searchParams.get("limit");
+    const limit = limitParam === null ? null : Number.parseInt(limitParam, 10);
+    if (limit !== null && !(limit > 0)) {
+      return jsonResponse({ error: "limit must be a positive integer" }, 400);
+    }
+    const after = decodeCursor(searchParams.get("cursor"));
+    if (after === undefined) {
+      return jsonResponse({ error: "invalid cursor" }, 400);
+    }
+    const { query, error: queryError } = readQuery(searchParams.get("query"));
+    if (queryError) return jsonResponse(queryError, 400);
+
+    const timeOrder = TIME_ORDERS.includes(sort);
+    const listed = !!after && timeOrder && after[0] === LIST_CURSOR;
+    const unfiltered =
+      tags.length === 0 &&
+      !q &&
+      !query &&
+      !orientation &&
+      !minWidth &&
+      !minHeight &&
+      brokenParam === null;
+    if (limit !== null && unfiltered && timeOrder && (!after || listed)) {
+      const page = await timeOrderPage(env, userId, sort, limit, after);
+      if (page && page.error) return jsonResponse(page, 400);
+      if (page) return jsonResponse(page);
+    }
+
+    const indexTags = [...new Set([...tags, ...requiredQueryTags(query)])];
+    const bookmarks = await findBookmarks(env, userId, indexTags);
     const filtered = bookmarks
       .filter((b) => {
       const tagsOk = tags.length === 0 || tags.every((t) => b.tags.includes(t));
       const qOk =
         q.length === 0 ||
         b.imageUrl.toLowerCase().includes(q) ||
-        b.tags.some((t) => t.toLowerCase().includes(q));
-      return tagsOk && qOk;
-    })
-      .sort((a, b) => {
-        const aTime = Date.parse(a.createdAt || a.updatedAt || 0);
-        const bTime = Date.parse(b.createdAt || b.updatedAt || 0);
-        return bTime - aTime;
-      });
+        b.tags.some((t) => t.toLowerCase().includes(q)) ||
+        DETAIL_FIELDS.some((f) => (b[f] || "").toLowerCase().includes(q));
+      const sizeOk =
+        (!orientation || imageOrientation(b) === orientation) &&
+        (!minWidth || b.width >= minWidth) &&
+        (!minHeight || b.height >= minHeight);
+      const brokenOk =
+        brokenParam === null ||
+        (b.status === "broken") === (brokenParam === "true");
+      return tagsOk && qOk && sizeOk && brokenOk && matchesQuery(query, b);
+    });
+    const positions =
+      sort === "manual" ? await readManualPositions(env, userId) : undefined;
+    const sorted = sortBookmarkList(filtered, sort, positions);
+    let sortAfter = after;
+    if (listed) sortAfter = after.length > 2 ? after.slice(2) : null;
 
-    return jsonResponse({ items: filtered });
+    return jsonResponse(paginate(sorted, limit, sortAfter, sort, positions));
   }
 
   if (pathname === "/api/bookmarks" && request.method === "POST") {
-    const body = await request.json();
-    const { imageUrl, tags = [] } = body || {};
+    const body = await readJson(request);
+    const { imageUrl, tags = [] } = body;
 
     if (!imageUrl || typeof imageUrl !== "string") {
       return jsonResponse({ error: "imageUrl is required" }, 400);
     }
+    const urlError = httpUrlError(imageUrl, "imageUrl");
+    if (urlError) {
+      return jsonResponse({ error: urlError }, 422);
+    }
+
+    const { details, error } = bookmarkDetails(body);
+    if (error) {
+      return jsonResponse({ error }, 400);
+    }
+    const tagError = tagsError(tags);
+    if (tagError) {
+      return jsonResponse({ error: tagError }, 400);
+    }
+
+    const probe = await probeImage(imageUrl);
+    if (probe.error) {
+      return jsonResponse({ error: probe.error }, 422);
+    }
 
     const normalizedTags = normalizeTags(tags);
-    const id = await bookmarkIdFromUrl(imageUrl);
+    const meta = await getUserMeta(env, userId);
+    const resolveId = await bookmarkIdResolver(env, userId, meta);
+    const id = await resolveId(imageUrl);
+    const previous = await getBookmark(env, userId, id);
+    const conflict = staleWriteResponse(body, previous);
+    if (conflict) return conflict;
+    if (!previous) {
+      const quotaError = await checkQuota(env, userId, { bookmarks: 1 });
+      if (quotaError) {
+        return jsonResponse({ error: quotaError, code: "quota_exceeded" }, 403);
+      }
+    }
 
     const bookmark = {
       id,
       imageUrl,
       tags: normalizedTags,
-      createdAt: new Date().toISOString(),
+      ...probe.metadata,
+      createdAt: previous ? previous.createdAt : new Date().toISOString(),
       updatedAt: new Date().toISOString(),
     };
+    if (previous && previous.archive) {
+      bookmark.archive = previous.archive;
+    }
+    if (previous && previous.upload) {
+      bookmark.upload = previous.upload;
+    }
+    for (const field of DETAIL_FIELDS) {
+      if (previous && previous[field]) bookmark[field] = previous[field];
+    }
+    applyDetails(bookmark, details);
+
+    let warning;
+    if (archiveEnabled(env, meta)) {
+      const quotaError = await checkQuota(env, userId, {
+        bytes: bookmark.byteSize || 1,
+      });
+      const archived = quotaError
+        ? { error: quotaError }
+        : await archiveImage(env, userId, bookmark);
+      if (archived.error) {
+        warning = `Saved without an archived copy: ${archived.error}`;
+      } else {
+        bookmark.archive = archived.archive;
+      }
+    }
+
+    await putBookmark(env, userId, bookmark, previous);
+
+    return jsonResponse({ ok: true, item: bookmark, warning });
+  }
+
+  if (pathname === "/api/uploads" && request.method === "POST") {
+    if (!env.IMAGES) {
+      return jsonResponse(
+        { error: "uploads need an IMAGES R2 bucket binding" },
+        400
+      );
+    }
+    const upload = await readUpload(request, env, searchParams);
+    if (upload.error) {
+      return jsonResponse({ error: upload.error }, upload.status);
+    }
+    const { bytes, fields } = upload;
+    const contentType = sniffImageType(bytes);
+    if (!contentType) {
+      return jsonResponse(
+        { error: "file must be a PNG, JPEG, GIF or WebP image" },
+        415
+      );
+    }
+    const { details, error } = bookmarkDetails(fields);
+    if (error) {
+      return jsonResponse({ error }, 400);
+    }
+    const tagError = tagsError((fields.tags || "").split(","));
+    if (tagError) {
+      return jsonResponse({ error: tagError }, 400);
+    }
+    const quotaError = await checkQuota(env, userId, {
+      bookmarks: 1,
+      bytes: bytes.byteLength,
+    });
+    if (quotaError) {
+      return jsonResponse({ error: quotaError, code: "quota_exceeded" }, 403);
+    }
+
+    const fileId = randomToken(24);
+    const key = uploadKey(fileId);
+    await env.IMAGES.put(key, bytes, {
+      httpMetadata: { contentType },
+      customMetadata: { userId },
+    });
+    const extension = UPLOAD_TYPES[contentType];
+    const imageUrl = `${url.origin}/files/${fileId}.${extension}`;
+    const meta = await getUserMeta(env, userId);
+    const now = new Date().toISOString();
+    const bookmark = {
+      id: await bookmarkIdFromUrl(imageUrl, canonicalRules(meta)),
+      imageUrl,
+      tags: normalizeTags((fields.tags || "").split(",")),
+      contentType,
+      byteSize: bytes.byteLength,
+      contentHash: await sha256Hex(bytes),
+      upload: { key, uploadedAt: now },
+      createdAt: now,
+      updatedAt: now,
+    };
+    const dimensions = imageDimensions(bytes);
+    if (dimensions) {
+      bookmark.width = dimensions.width;
+      bookmark.height = dimensions.height;
+    }
+    applyDetails(bookmark, details);
+
+    await putBookmark(env, userId, bookmark, null);
+    return jsonResponse({ ok: true, item: bookmark });
+  }
+
+  if (pathname === "/api/bookmarks" && request.method === "PUT") {
+    const body = await readJson(request);
+    const id = await bookmarkIdFromBody(
+      body,
+      await bookmarkIdResolver(env, userId)
+    );
+    if (!id) {
+      return jsonResponse({ error: "imageUrl or bookmarkId is required" }, 400);
+    }
+    const { details, error } = bookmarkDetails(body);
+    if (error) {
+      return jsonResponse({ error }, 400);
+    }
+    const tagError = body.tags === undefined ? null : tagsError(body.tags);
+    if (tagError) {
+      return jsonResponse({ error: tagError }, 400);
+    }
 
-    await env.BOOKMARKS.put(bookmarkKey(userId, id), JSON.stringify(bookmark));
+    const previous = await getBookmark(env, userId, id);
+    if (!previous) {
+      return jsonResponse({ error: "bookmark not found" }, 404);
+    }
+    const conflict = staleWriteResponse(body, previous);
+    if (conflict) return conflict;
+
+    const bookmark = { ...previous, updatedAt: new Date().toISOString() };
+    if (body.tags !== undefined) {
+      bookmark.tags = normalizeTags(body.tags);
+    }
+    applyDetails(bookmark, details);
 
+    await putBookmark(env, userId, bookmark, previous);
     return jsonResponse({ ok: true, item: bookmark });
   }
 
   if (pathname === "/api/bookmarks" && request.method === "DELETE") {
-    const body = await request.json();
-    const { imageUrl } = body || {};
+    const body = await readJson(request);
+    const { imageUrl } = body;
     if (!imageUrl) {
       return jsonResponse({ error: "imageUrl is required" }, 400);
     }
-    const id = await bookmarkIdFromUrl(imageUrl);
-    await env.BOOKMARKS.delete(bookmarkKey(userId, id));
-    return jsonResponse({ ok: true });
+    const resolveId = await bookmarkIdResolver(env, userId);
+    const id = await resolveId(imageUrl);
+    const previous = await getBookmark(env, userId, id);
+    if (!previous) return jsonResponse({ ok: true });
+    const conflict = staleWriteResponse(body, previous);
+    if (conflict) return conflict;
+    const [entry] = await trashBookmarks(env, userId, [previous]);
+    return jsonResponse({
+      ok: true,
+      trashed: true,
+      bookmarkId: previous.id,
+      expiresAt: entry.expiresAt,
+    });
   }
 
-  if (pathname === "/api/tags" && request.method === "PUT") {
-    const body = await request.json();
-    const { imageUrl, tags = [] } = body || {};
+  if (pathname === "/api/trash" && request.method === "GET") {
+    const entries = await listTrash(env, userId);
+    return jsonResponse({
+      items: entries.map(trashResponse),
+      retentionDays: trashRetentionMs(env) / DAY_MS,
+    });
+  }
 
-    if (!imageUrl) {
-      return jsonResponse({ error: "imageUrl is required" }, 400);
-    }
+  if (pathname === "/api/trash" && request.method === "DELETE") {
+    const names = await listKeyNames(env, trashPrefix(userId));
+    const batch = names.slice(0, TRASH_PURGE_BATCH);
+    const entries = await Promise.all(
+      batch.map(async (name) => JSON.parse(await env.BOOKMARKS.get(name)))
+    );
+    await purgeTrashEntries(env, entries.filter(Boolean));
+    return jsonResponse({
+      ok: true,
+      purged: batch.length,
+      done: names.length <= TRASH_PURGE_BATCH,
+    });
+  }
 
-    const id = await bookmarkIdFromUrl(imageUrl);
-    const key = bookmarkKey(userId, id);
-    const existing = await env.BOOKMARKS.get(key);
-    if (!existing) {
-      return jsonResponse({ error: "bookmark not found" }, 404);
+  if (pathname === "/api/trash/restore" && request.method === "POST") {
+    const body = await readJson(request);
+    const ids = uniqueIds(body.ids);
+    if (ids.length === 0) {
+      return jsonResponse({ error: "ids must be a non-empty array" }, 400);
+    }
+    if (ids.length > BATCH_LIMIT) {
+      return jsonResponse({ error: `at most ${BATCH_LIMIT} ids per request` }, 400);
+    }
+    const quotaError = await checkQuota(env, userId, { bookmarks: ids.length });
+    if (quotaError) {
+      return jsonResponse({ error: quotaError, code: "quota_exceeded" }, 403);
     }
+    const results = await restoreFromTrash(env, userId, ids);
+    return jsonResponse({ ok: results.every((r) => r.ok), results });
+  }
 
-    const bookmark = JSON.parse(existing);
-    bookmark.tags = normalizeTags(tags);
-    bookmark.updatedAt = new Date().toISOString();
+  const trashMatch = pathname.match(/^\/api\/trash\/([0-9a-f]{64})$/);
+  if (trashMatch && request.method === "DELETE") {
+    const entry = await getTrashEntry(env, userId, trashMatch[1]);
+    if (!entry) return jsonResponse({ error: "not found in trash" }, 404);
+    await purgeTrashEntries(env, [entry]);
+    return jsonResponse({ ok: true });
+  }
 
-    await env.BOOKMARKS.put(key, JSON.stringify(bookmark));
-    return jsonResponse({ ok: true, item: bookmark });
+  if (pathname === "/api/bookmarks/batch" && request.method === "POST") {
+    const body = await readJson(request);
+    const { operations } = body;
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return jsonResponse({ error: "operations must be a non-empty array" }, 400);
+    }
+    if (operations.length > BATCH_LIMIT) {
+      return jsonResponse(
+        { error: `at most ${BATCH_LIMIT} operations per request` },
+        400
+      );
+    }
+    const results = await applyBatch(env, userId, operations);
+    return jsonResponse({
+      ok: results.every((result) => result.ok),
+      results,
+    });
   }
 
-  return jsonResponse({ error: "Not Found" }, 404);
-}
+  if (pathname === "/api/bookmarks/order" && request.method === "POST") {
+    const body = await readJson(request);
+    const placement = ["before", "after"].find((key) => key in body);
+    if (typeof body.bookmarkId !== "string" || !placement) {
+      return jsonResponse(
+        { error: "bookmarkId and one of before or after are required" },
+        400
+      );
+    }
+    const result = await moveInManualOrder(
+      env,
+      userId,
+      body.bookmarkId,
+      body[placement],
+      placement
+    );
+    if (result.error) return jsonResponse({ error: result.error }, 404);
+    return jsonResponse({ ok: true });
+  }
 
-function bookmarkKey(userId, id) {
-  return `user:${userId}:bookmark:${id}`;
-}
+  if (pathname === "/api/bookmarks/canonicalize" && request.method === "POST") {
+    const result = await canonicalizeBookmarks(env, userId);
+    return jsonResponse({ ok: true, ...result });
+  }
 
-async function bookmarkIdFromUrl(imageUrl) {
-  const data = new TextEncoder().encode(imageUrl);
-  const hash = await crypto.subtle.digest("SHA-256", data);
-  return Array.from(new Uint8Array(hash))
-    .map((b) => b.toString(16).padStart(2, "0"))
-    .join("");
-}
+  if (pathname === "/api/duplicates" && request.method === "GET") {
+    return jsonResponse({ groups: await findDuplicates(env, userId) });
+  }
 
-async function listBookmarks(env, userId) {
-  const prefix = `user:${userId}:bookmark:`;
-  let cursor = undefined;
-  const items = [];
+  if (pathname === "/api/duplicates/merge" && request.method === "POST") {
+    const body = await readJson(request);
+    const ids = uniqueIds(body.ids);
+    if (ids.length < 2) {
+      return jsonResponse(
+        { error: "ids must list the bookmark to keep and at least one other" },
+        400
+      );
+    }
+    const result = await mergeDuplicates(env, userId, ids);
+    if (result.error) return jsonResponse({ error: result.error }, 404);
+    return jsonResponse({ ok: true, ...result });
+  }
 
-  do {
-    const resp = await env.BOOKMARKS.list({ prefix, cursor, limit: 1000 });
-    cursor = resp.cursor;
-    const values = await Promise.all(
-      resp.keys.map((k) => env.BOOKMARKS.get(k.name))
-    );
-    for (const value of values) {
-      if (value) items.push(JSON.parse(value));
+  const historyMatch = pathname.match(
+    /^\/api\/bookmarks\/([0-9a-f]{64})\/(history|revert)$/
+  );
+  if (historyMatch && historyMatch[2] === "history" && request.method === "GET") {
+    const limit = eventPageSize(searchParams);
+    if (!limit) {
+      return jsonResponse({ error: "limit must be a positive integer" }, 400);
     }
-  } while (cursor);
+    const prefix = historyPrefix(userId, historyMatch[1]);
+    const page = await listEvents(env, prefix, limit, searchParams.get("cursor"));
+    return jsonResponse(page);
+  }
 
-  return items;
-}
+  if (historyMatch && historyMatch[2] === "revert" && request.method === "POST") {
+    const body = await readJson(request);
+    const id = historyMatch[1];
+    if (typeof body.eventId !== "string" || !body.eventId) {
+      return jsonResponse({ error: "eventId is required" }, 400);
+    }
+    const value = await env.BOOKMARKS.get(historyPrefix(userId, id) + body.eventId);
+    if (!value) return jsonResponse({ error: "history event not found" }, 404);
+    const { snapshot } = JSON.parse(value);
+    if (!snapshot) {
+      return jsonResponse({ error: "cannot revert to a deleted version" }, 400);
+    }
+    const previous = await getBookmark(env, userId, id);
+    if (!previous) {
+      return jsonResponse(
+        { error: "bookmark not found (restore it from the trash first)" },
+        404
+      );
+    }
+    const bookmark = { ...previous, updatedAt: new Date().toISOString() };
+    for (const field of HISTORY_FIELDS) {
+      if (snapshot[field] === null) delete bookmark[field];
+      else bookmark[field] = snapshot[field];
+    }
+    bookmark.tags = snapshot.tags || [];
+    await putBookmark(env, userId, bookmark, previous, {
+      type: "revert",
+      revertedTo: body.eventId,
+    });
+    return jsonResponse({ ok: true, item: bookmark });
+  }
 
-function normalizeTags(tags) {
+  if (pathname === "/api/activity" && request.method === "GET") {
+    const limit = eventPageSize(searchParams);
+    if (!limit) {
+      return jsonResponse({ error: "limit must be a positive integer" }, 400);
+    }
+    const page = await listEvents(
+      env,
+      activityPrefix(userId),
+      limit,
+      searchParams.get("cursor")
+    );
+    return jsonResponse(page);
+  }
+
+  if (pathname === "/api/tags" && request.method === "GET") {
+    const { index } = await readIndexOrScan(env, userId);
+    const items = Object.entries(index.tags)
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    return jsonResponse({ items });
+  }
+
+  if (pathname === "/api/stats" && request.method === "GET") {
+    const period = searchParams.get("period") || "week";
+    if (!STATS_PERIODS[period]) {
+      return jsonResponse({ error: "period must be week or month" }, 400);
+    }
+    return jsonResponse(await libraryStats(env, userId, period));
+  }
+
+  if (pathname === "/api/tags/rename" && request.method === "POST") {
+    const body = await readJson(request);
+    const [from] = normalizeTags([body.from]);
+    const [to] = normalizeTags([body.to]);
+    if (!from || !to) {
+      return jsonResponse({ error: "from and to are required" }, 400);
+    }
+    const tagError = tagsError([to]);
+    if (tagError) return jsonResponse({ error: tagError }, 400);
+    if (from === to) {
+      return jsonResponse({ error: "to must differ from from" }, 400);
+    }
+    return tagRewriteResponse(env, userId, [from], to);
+  }
+
+  if (pathname === "/api/tags/merge" && request.method === "POST") {
+    const body = await readJson(request);
+    const [into] = normalizeTags([body.into]);
+    const tags = normalizeTags(body.tags).filter((tag) => tag !== into);
+    if (!into || tags.length === 0) {
+      return jsonResponse({ error: "tags and into are required" }, 400);
+    }
+    const tagError = tagsError([into]);
+    if (tagError) return jsonResponse({ error: tagError }, 400);
+    return tagRewriteResponse(env, userId, tags, into);
+  }
+
+  const tagMatch = pathname.match(/^\/api\/tags\/([^/]+)$/);
+  if (tagMatch && request.method === "DELETE") {
+    let tag;
+    try {
+      [tag] = normalizeTags([decodeURIComponent(tagMatch[1])]);
+    } catch {
+      return jsonResponse({ error: "invalid tag" }, 400);
+    }
+    if (!tag) return jsonResponse({ error: "tag is required" }, 400);
+    return tagRewriteResponse(env, userId, [tag], null);
+  }
+
+  if (pathname === "/api/tags" && request.method === "PUT") {
+    const body = await readJson(request);
+    const { imageUrl, tags = [] } = body;
+
+    if (!imageUrl) {
+      return jsonResponse({ error: "imageUrl is required" }, 400);
+    }
+    const tagError = tagsError(tags);
+    if (tagError) {
+      return jsonResponse({ error: tagError }, 400);
+    }
+
+    const resolveId = await bookmarkIdResolver(env, userId);
+    const id = await resolveId(imageUrl);
+    const previous = await getBookmark(env, userId, id);
+    if (!previous) {
+      return jsonResponse({ error: "bookmark not found" }, 404);
+    }
+
+    const bookmark = {
+      ...previous,
+      tags: normalizeTags(tags),
+      updatedAt: new Date().toISOString(),
+    };
+
+    await putBookmark(env, userId, bookmark, previous);
+    return jsonResponse({ ok: true, item: bookmark });
+  }
+
+  if (pathname === "/api/export" && request.method === "GET") {
+    const format = searchParams.get("format") || "json";
+    if (!EXPORT_FORMATS[format]) {
+      return jsonResponse({ error: "format must be json, csv or html" }, 400);
+    }
+    return exportResponse(env, userId, format, searchParams.get("cursor"));
+  }
+
+  if (pathname === "/api/import" && request.method === "POST") {
+    const cursor = searchParams.get("cursor");
+    if (cursor) {
+      const job = await getImportJob(env, userId, cursor);
+      if (!job) {
+        return jsonResponse({ error: "import not found or finished" }, 404);
+      }
+      const result = await runImportBatch(env, userId, job);
+      return jsonResponse({ ok: true, ...result });
+    }
+
+    const format =
+      searchParams.get("format") ||
+      importFormatFromContentType(request.headers.get("content-type"));
+    const mode = searchParams.get("mode") || "merge";
+    if (!IMPORT_PARSERS[format]) {
+      return jsonResponse({ error: "format must be json, csv or html" }, 400);
+    }
+    if (mode !== "merge" && mode !== "replace") {
+      return jsonResponse({ error: "mode must be merge or replace" }, 400);
+    }
+
+    const text = await readText(request, IMPORT_BODY_LIMIT);
+    let entries;
+    try {
+      entries = IMPORT_PARSERS[format](text);
+    } catch (err) {
+      return jsonResponse(
+        { error: "Unable to parse import file", detail: err.message },
+        400
+      );
+    }
+
+    const job = await startImport(env, userId, entries, format, mode);
+    const result = await runImportBatch(env, userId, job);
+    return jsonResponse({ ok: true, ...result });
+  }
+
+  if (pathname === "/api/collections" || pathname.startsWith("/api/collections/")) {
+    return handleCollectionsApi(request, env, userId, pathname);
+  }
+
+  if (pathname === "/api/settings" && request.method === "GET") {
+    const meta = await getUserMeta(env, userId);
+    const index = await readUserIndex(env, userId);
+    return jsonResponse(settingsResponse(env, meta, index));
+  }
+
+  if (pathname === "/api/settings" && request.method === "PUT") {
+    const body = await readJson(request);
+    const meta = await getUserMeta(env, userId);
+    const settings = { ...(meta.settings || {}) };
+    if ("archive" in body) {
+      if (body.archive && !env.IMAGES) {
+        return jsonResponse(
+          { error: "archiving needs an IMAGES R2 bucket binding" },
+          400
+        );
+      }
+      settings.archive = !!body.archive;
+    }
+    if ("canonicalization" in body) {
+      const { rules, error } = readCanonicalRules(body.canonicalization);
+      if (error) return jsonResponse({ error }, 400);
+      settings.canonicalization = { ...canonicalRules(meta), ...rules };
+    }
+    const updated = { ...meta, settings };
+    await putUserMeta(env, updated);
+    const index = await readUserIndex(env, userId);
+    return jsonResponse({ ok: true, ...settingsResponse(env, updated, index) });
+  }
+
+  const imageMatch = pathname.match(/^\/api\/image\/([0-9a-f]{64})(\/archive)?$/);
+  if (imageMatch && !imageMatch[2] && request.method === "GET") {
+    const trashed = async () => {
+      const entry = await getTrashEntry(env, userId, imageMatch[1]);
+      return entry ? entry.bookmark : null;
+    };
+    const bookmark =
+      (await getBookmark(env, userId, imageMatch[1])) || (await trashed());
+    const variant = searchParams.get("variant") || "original";
+    return await archivedImageResponse(env, request, bookmark, variant);
+  }
+
+  if (imageMatch && imageMatch[2] && request.method === "POST") {
+    const previous = await getBookmark(env, userId, imageMatch[1]);
+    if (!previous) {
+      return jsonResponse({ error: "bookmark not found" }, 404);
+    }
+    if (previous.upload) {
+      return jsonResponse({ error: "uploaded images are already stored" }, 400);
+    }
+    if (!env.IMAGES) {
+      return jsonResponse(
+        { error: "archiving needs an IMAGES R2 bucket binding" },
+        400
+      );
+    }
+    const quotaError = await checkQuota(env, userId, {
+      bytes: previous.byteSize || 1,
+    });
+    if (quotaError) {
+      return jsonResponse({ error: quotaError, code: "quota_exceeded" }, 403);
+    }
+    const archived = await archiveImage(env, userId, previous);
+    if (archived.error) {
+      return jsonResponse(
+        { error: archived.error, code: archived.code },
+        archived.code ? 403 : 422
+      );
+    }
+    const bookmark = { ...previous, archive: archived.archive };
+    await putBookmark(env, userId, bookmark, previous);
+    return jsonResponse({ ok: true, item: bookmark });
+  }
+
+  if (pathname === "/api/usage" && request.method === "GET") {
+    const usage = await readUsage(env, userId);
+    const limits = quotaLimits(env);
+    return jsonResponse({
+      bookmarks: { used: usage.bookmarks, limit: limits.bookmarks },
+      storageBytes: { used: usage.storageBytes, limit: limits.storageBytes },
+      rateLimit: {
+        limit: envNumber(env, "RATE_LIMIT", RATE_LIMIT),
+        windowSeconds: RATE_WINDOW_SECONDS,
+      },
+    });
+  }
+
+  if (pathname === "/api/account" && request.method === "GET") {
+    const meta = await getUserMeta(env, userId);
+    return jsonResponse({
+      id: meta.id,
+      createdAt: meta.createdAt,
+      hasPassphrase: !!meta.passphrase,
+    });
+  }
+
+  if (pathname === "/api/passphrase" && request.method === "PUT") {
+    const body = await readJson(request);
+    const meta = await getUserMeta(env, userId);
+    const rate = meta.passphrase
+      ? await consumeLoginAttempt(env, userId)
+      : null;
+    if (rate && rate.limited) {
+      return jsonResponse({ error: "too many passphrase attempts" }, 429, {
+        "retry-after": String(rate.reset),
+      });
+    }
+    if (
+      meta.passphrase &&
+      !(await verifyPassphrase(body.currentPassphrase, meta.passphrase))
+    ) {
+      return jsonResponse({ error: "current passphrase is incorrect" }, 403);
+    }
+
+    const passphrase =
+      typeof body.passphrase === "string" ? body.passphrase : "";
+    if (passphrase && passphrase.length < 8) {
+      return jsonResponse(
+        { error: "passphrase must be at least 8 characters" },
+        400
+      );
+    }
+
+    const updated = {
+      ...meta,
+      sessionVersion: (meta.sessionVersion || 0) + 1,
+    };
+    // Every older session is ended by the version bump.
+    delete updated.revokedSessions;
+    if (passphrase) {
+      const salt = randomToken(16);
+      updated.passphrase = { salt, hash: await hashPassphrase(passphrase, salt) };
+    } else {
+      delete updated.passphrase;
+    }
+    await putUserMeta(env, updated);
+    return jsonResponse(
+      { ok: true, hasPassphrase: !!updated.passphrase },
+      200,
+      { "set-cookie": await sessionCookie(env, updated, url) }
+    );
+  }
+
+  if (pathname === "/api/shares" && request.method === "GET") {
+    const shares = await listShares(env, userId);
+    return jsonResponse({
+      items: shares.map((share) => shareResponse(share, url)),
+    });
+  }
+
+  if (pathname === "/api/shares" && request.method === "POST") {
+    const body = await readJson(request);
+    const filter = {};
+    if (typeof body.collectionId === "string" && body.collectionId) {
+      const collection = await getCollection(env, userId, body.collectionId);
+      if (!collection) {
+        return jsonResponse({ error: "collection not found" }, 404);
+      }
+      filter.collectionId = collection.id;
+    } else if (typeof body.query === "string" && body.query.trim()) {
+      const { error } = readQuery(body.query);
+      if (error) return jsonResponse(error, 400);
+      filter.query = body.query.trim();
+    } else {
+      filter.tags = normalizeTags(body.tags);
+      if (filter.tags.length === 0) {
+        return jsonResponse(
+          { error: "tags, query or collectionId is required" },
+          400
+        );
+      }
+    }
+
+    const title = typeof body.title === "string" ? body.title.trim() : "";
+    const share = {
+      token: randomToken(24),
+      userId,
+      title: title || defaultShareTitle(filter),
+      filter,
+      createdAt: new Date().toISOString(),
+    };
+    await putShare(env, share);
+    return jsonResponse({ ok: true, item: shareResponse(share, url) });
+  }
+
+  const shareMatch = pathname.match(/^\/api\/shares\/([A-Za-z0-9_-]{32})$/);
+  if (shareMatch && request.method === "DELETE") {
+    const share = await getShare(env, shareMatch[1]);
+    if (!share || share.userId !== userId) {
+      return jsonResponse({ error: "share not found" }, 404);
+    }
+    await deleteShare(env, share);
+    return jsonResponse({ ok: true });
+  }
+
+  if (pathname === "/api/tokens" && request.method === "GET") {
+    const tokens = await listApiTokens(env, userId);
+    return jsonResponse({ items: tokens.map(apiTokenResponse) });
+  }
+
+  if (pathname === "/api/tokens" && request.method === "POST") {
+    const body = await readJson(request);
+    const name = typeof body.name === "string" ? body.name.trim() : "";
+    if (!name) {
+      return jsonResponse({ error: "name is required" }, 400);
+    }
+    if (name.length > API_TOKEN_NAME_LIMIT) {
+      return jsonResponse(
+        { error: `name must be at most ${API_TOKEN_NAME_LIMIT} characters` },
+        400
+      );
+    }
+    if (!API_TOKEN_SCOPES.includes(body.scope)) {
+      return jsonResponse({ error: "scope must be read or write" }, 400);
+    }
+    const secret = API_TOKEN_PREFIX + randomToken(32);
+    const token = {
+      id: randomToken(12),
+      userId,
+      name,
+      scope: body.scope,
+      hash: await apiTokenHash(secret),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+    };
+    await putApiToken(env, token);
+    return jsonResponse({
+      ok: true,
+      token: secret,
+      item: apiTokenResponse(token),
+    });
+  }
+
+  const tokenMatch = pathname.match(/^\/api\/tokens\/([A-Za-z0-9_-]{16})$/);
+  if (tokenMatch && request.method === "DELETE") {
+    const token = await getUserApiToken(env, userId, tokenMatch[1]);
+    if (!token) return jsonResponse({ error: "token not found" }, 404);
+    await deleteApiToken(env, token);
+    return jsonResponse({ ok: true });
+  }
+
+  if (pathname === "/api/index/rebuild" && request.method === "POST") {
+    const result = await rebuildIndexes(env, userId);
+    return jsonResponse({ ok: true, ...result });
+  }
+
+  return jsonResponse({ error: "Not Found" }, 404);
+}
+
+async function handleCollectionsApi(request, env, userId, pathname) {
+  if (pathname === "/api/collections" && request.method === "GET") {
+    const collections = await listCollections(env, userId);
+    return jsonResponse({ items: collections });
+  }
+
+  if (pathname === "/api/collections" && request.method === "POST") {
+    const body = await readJson(request);
+    const { fields, error } = collectionFields(body);
+    if (error) return jsonResponse({ error }, 400);
+    if (!fields.title) {
+      return jsonResponse({ error: "title is required" }, 400);
+    }
+    const now = new Date().toISOString();
+    const collection = {
+      id: crypto.randomUUID(),
+      title: fields.title,
+      description: fields.description || "",
+      coverImageUrl: fields.coverImageUrl || "",
+      bookmarkIds: await ownedBookmarkIds(env, userId, body.bookmarkIds),
+      createdAt: now,
+      updatedAt: now,
+    };
+    await putCollection(env, userId, collection);
+    return jsonResponse({ ok: true, item: collection });
+  }
+
+  const match = pathname.match(
+    /^\/api\/collections\/([0-9a-f-]{36})(\/items)?$/
+  );
+  if (!match) {
+    return jsonResponse({ error: "Not Found" }, 404);
+  }
+  const [, collectionId, itemsPath] = match;
+  const collection = await getCollection(env, userId, collectionId);
+  if (!collection) {
+    return jsonResponse({ error: "collection not found" }, 404);
+  }
+
+  if (!itemsPath && request.method === "GET") {
+    const bookmarks = await getBookmarksByIds(
+      env,
+      userId,
+      collection.bookmarkIds
+    );
+    return jsonResponse({ item: collection, bookmarks });
+  }
+
+  if (!itemsPath && request.method === "PUT") {
+    const body = await readJson(request);
+    const { fields, error } = collectionFields(body);
+    if (error) return jsonResponse({ error }, 400);
+    if ("title" in fields && !fields.title) {
+      return jsonResponse({ error: "title is required" }, 400);
+    }
+    const updated = {
+      ...collection,
+      ...fields,
+      updatedAt: new Date().toISOString(),
+    };
+    if (Array.isArray(body.bookmarkIds)) {
+      updated.bookmarkIds = await ownedBookmarkIds(
+        env,
+        userId,
+        body.bookmarkIds,
+        collection.bookmarkIds
+      );
+    }
+    await putCollection(env, userId, updated);
+    return jsonResponse({ ok: true, item: updated });
+  }
+
+  if (!itemsPath && request.method === "DELETE") {
+    await env.BOOKMARKS.delete(collectionKey(userId, collectionId));
+    return jsonResponse({ ok: true });
+  }
+
+  if (itemsPath && (request.method === "POST" || request.method === "DELETE")) {
+    const body = await readJson(request);
+    const bookmarkId = await bookmarkIdFromBody(
+      body,
+      await bookmarkIdResolver(env, userId)
+    );
+    if (!bookmarkId) {
+      return jsonResponse({ error: "imageUrl or bookmarkId is required" }, 400);
+    }
+
+    const ids = collection.bookmarkIds.filter((id) => id !== bookmarkId);
+    if (request.method === "POST") {
+      if (!(await getBookmark(env, userId, bookmarkId))) {
+        return jsonResponse({ error: "bookmark not found" }, 404);
+      }
+      const position = Number.isInteger(body.position)
+        ? Math.max(0, Math.min(body.position, ids.length))
+        : ids.length;
+      ids.splice(position, 0, bookmarkId);
+    }
+
+    const updated = {
+      ...collection,
+      bookmarkIds: ids,
+      updatedAt: new Date().toISOString(),
+    };
+    await putCollection(env, userId, updated);
+    return jsonResponse({ ok: true, item: updated });
+  }
+
+  return jsonResponse({ error: "Not Found" }, 404);
+}
+
+// Served publicly at /api/openapi.json. Keep it in step with handleApi and
+// handleCollectionsApi when routes or response shapes change.
+function openApiDocument(url) {
+  const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+  const json = (schema) => ({ "application/json": { schema } });
+  const ok = (schema, description = "OK") => ({
+    200: { description, content: json(schema) },
+  });
+  const errors = (...codes) =>
+    Object.fromEntries(
+      codes.map((code) => [code, { $ref: `#/components/responses/${code}` }])
+    );
+  const body = (schema) => ({ required: true, content: json(schema) });
+  const object = (properties, required = []) => ({
+    type: "object",
+    properties,
+    ...(required.length ? { required } : {}),
+  });
+  const string = (extra = {}) => ({ type: "string", ...extra });
+  const integer = { type: "integer" };
+  const boolean = { type: "boolean" };
+  const strings = { type: "array", items: string() };
+  const tagList = {
+    type: "array",
+    maxItems: TAG_COUNT_LIMIT,
+    items: string({ maxLength: TAG_LENGTH_LIMIT }),
+  };
+  const query = (name, schema, description) => ({
+    name,
+    in: "query",
+    schema,
+    ...(description ? { description } : {}),
+  });
+  const path = (name, schema) => ({ name, in: "path", required: true, schema });
+  const hex64 = string({ pattern: "^[0-9a-f]{64}$" });
+  const bookmarkId = path("bookmarkId", hex64);
+  const collectionId = path("collectionId", string({ format: "uuid" }));
+  const okFlag = object({ ok: boolean });
+  const itemResult = (name) => object({ ok: boolean, item: ref(name) });
+  const rewriteResult = object({
+    ok: boolean,
+    processed: integer,
+    remaining: integer,
+    done: boolean,
+  });
+  const page = (name) =>
+    object({
+      items: { type: "array", items: ref(name) },
+      cursor: { type: "string", nullable: true },
+    });
+  const list = (name) => object({ items: { type: "array", items: ref(name) } });
+  const expected = string({
+    format: "date-time",
+    nullable: true,
+    description:
+      "updatedAt the client last saw; a mismatch fails with 409 (null means the bookmark must not exist yet)",
+  });
+  const httpUrl = string({ format: "uri", maxLength: URL_LENGTH_LIMIT });
+  const target = {
+    imageUrl: httpUrl,
+    bookmarkId: hex64,
+  };
+  const details = {
+    title: string(),
+    notes: string(),
+    sourceUrl: httpUrl,
+  };
+  const limit = query("limit", integer, "Page size (at most 200)");
+  const cursor = query("cursor", string(), "cursor from the previous page");
+  const errorCode = string({
+    enum: [...Object.values(ERROR_CODES), "invalid_json", "quota_exceeded"],
+  });
+
+  const spec = {
+    openapi: "3.0.3",
+    info: {
+      title: "Image Bookmarks API",
+      version: "1",
+      description:
+        "Every route except this document needs a session cookie or a personal API token. Read tokens may only call GET routes; /api/tokens and /api/passphrase need a session. Errors are JSON objects with an `error` message and a machine-readable `code`. JSON bodies are limited to 1 MB. Each user may make a limited number of requests a minute; every response carries X-RateLimit-Limit, X-RateLimit-Remaining and X-RateLimit-Reset (seconds until the window resets).",
+    },
+    servers: [{ url: url.origin }],
+    security: [{ bearerAuth: [] }, { cookieAuth: [] }],
+    paths: {
+      "/api/openapi.json": {
+        get: {
+          summary: "This document",
+          security: [],
+          responses: ok({ type: "object" }),
+        },
+      },
+      "/api/bookmarks": {
+        get: {
+          summary: "List bookmarks",
+          parameters: [
+            query("tags", string(), "Comma separated tags that must all match"),
+            query("q", string(), "Substring of the URL, tags or details"),
+            query("query", string(), "Search syntax, see the README"),
+            query("orientation", string({ enum: ORIENTATIONS })),
+            query("minWidth", integer),
+            query("minHeight", integer),
+            query("broken", boolean),
+            query("sort", string({ enum: SORT_MODES })),
+            limit,
+            cursor,
+          ],
+          responses: { ...ok(page("Bookmark")), ...errors(400) },
+        },
+        post: {
+          summary: "Save an image (replaces the bookmark for the same image)",
+          requestBody: body(
+            object(
+              {
+                imageUrl: target.imageUrl,
+                tags: tagList,
+                ...details,
+                expectedUpdatedAt: expected,
+              },
+              ["imageUrl"]
+            )
+          ),
+          responses: {
+            ...ok(
+              object({ ok: boolean, item: ref("Bookmark"), warning: string() })
+            ),
+            ...errors(400, 403, 409, 422),
+          },
+        },
+        put: {
+          summary: "Update tags or details",
+          requestBody: body(
+            object({
+              ...target,
+              tags: tagList,
+              ...details,
+              expectedUpdatedAt: expected,
+            })
+          ),
+          responses: {
+            ...ok(itemResult("Bookmark")),
+            ...errors(400, 404, 409),
+          },
+        },
+        delete: {
+          summary: "Move a bookmark to the trash",
+          requestBody: body(
+            object(
+              { imageUrl: target.imageUrl, expectedUpdatedAt: expected },
+              ["imageUrl"]
+            )
+          ),
+          responses: {
+            ...ok(
+              object({
+                ok: boolean,
+                trashed: boolean,
+                bookmarkId: hex64,
+                expiresAt: string({ format: "date-time" }),
+              })
+            ),
+            ...errors(400, 409),
+          },
+        },
+      },
+      "/api/uploads": {
+        post: {
+          summary: "Upload an image file and bookmark it",
+          description:
+            "Send multipart/form-data with a `file` field, or the raw image bytes with the other fields as query parameters. The bookmark's imageUrl points at /files/{file}.",
+          parameters: [
+            query("tags", string(), "Comma separated tags (raw uploads)"),
+            query("title", string()),
+            query("notes", string()),
+            query("sourceUrl", string({ format: "uri" })),
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              "multipart/form-data": {
+                schema: object(
+                  {
+                    file: string({ format: "binary" }),
+                    tags: string({ description: "Comma separated" }),
+                    ...details,
+                  },
+                  ["file"]
+                ),
+              },
+              "application/octet-stream": {
+                schema: string({ format: "binary" }),
+              },
+            },
+          },
+          responses: {
+            ...ok(itemResult("Bookmark")),
+            ...errors(400, 403, 413, 415),
+          },
+        },
+      },
+      "/files/{file}": {
+        get: {
+          summary: "An uploaded image (public, the name is unguessable)",
+          security: [],
+          parameters: [path("file", string())],
+          responses: {
+            200: {
+              description: "Image bytes",
+              content: { "image/*": { schema: string({ format: "binary" }) } },
+            },
+            404: { description: "Not found" },
+          },
+        },
+      },
+      "/api/bookmarks/batch": {
+        post: {
+          summary: "Apply tag changes or deletions to many bookmarks",
+          requestBody: body(
+            object(
+              {
+                operations: {
+                  type: "array",
+                  maxItems: BATCH_LIMIT,
+                  items: object(
+                    {
+                      action: string({ enum: BATCH_ACTIONS }),
+                      ...target,
+                      tags: tagList,
+                    },
+                    ["action"]
+                  ),
+                },
+              },
+              ["operations"]
+            )
+          ),
+          responses: {
+            ...ok(
+              object({
+                ok: boolean,
+                results: { type: "array", items: ref("Result") },
+              })
+            ),
+            ...errors(400),
+          },
+        },
+      },
+      "/api/bookmarks/order": {
+        post: {
+          summary: "Move a bookmark in the manual order (sort=manual)",
+          requestBody: body(
+            object(
+              { bookmarkId: hex64, before: hex64, after: hex64 },
+              ["bookmarkId"]
+            )
+          ),
+          responses: { ...ok(okFlag), ...errors(400, 404) },
+        },
+      },
+      "/api/bookmarks/canonicalize": {
+        post: {
+          summary: "Re-key bookmarks after a rules change (repeat until done)",
+          responses: ok(
+            object({
+              ok: boolean,
+              processed: integer,
+              merged: integer,
+              scanned: integer,
+              done: boolean,
+            })
+          ),
+        },
+      },
+      "/api/bookmarks/{bookmarkId}/history": {
+        get: {
+          summary: "Change history of one bookmark, newest first",
+          parameters: [bookmarkId, limit, cursor],
+          responses: { ...ok(page("HistoryEvent")), ...errors(400) },
+        },
+      },
+      "/api/bookmarks/{bookmarkId}/revert": {
+        post: {
+          summary: "Restore tags and details from a history event",
+          parameters: [bookmarkId],
+          requestBody: body(object({ eventId: string() }, ["eventId"])),
+          responses: {
+            ...ok(itemResult("Bookmark")),
+            ...errors(400, 404),
+          },
+        },
+      },
+      "/api/activity": {
+        get: {
+          summary: "Changes across all bookmarks, newest first",
+          parameters: [limit, cursor],
+          responses: { ...ok(page("HistoryEvent")), ...errors(400) },
+        },
+      },
+      "/api/duplicates": {
+        get: {
+          summary: "Groups of bookmarks that look like the same image",
+          responses: ok(
+            object({ groups: { type: "array", items: ref("DuplicateGroup") } })
+          ),
+        },
+      },
+      "/api/duplicates/merge": {
+        post: {
+          summary: "Merge bookmarks into the first id and trash the others",
+          requestBody: body(
+            object({ ids: { ...strings, minItems: 2 } }, ["ids"])
+          ),
+          responses: {
+            ...ok(
+              object({
+                ok: boolean,
+                item: ref("Bookmark"),
+                trashed: strings,
+              })
+            ),
+            ...errors(400, 404),
+          },
+        },
+      },
+      "/api/trash": {
+        get: {
+          summary: "Deleted bookmarks awaiting purge",
+          responses: ok(
+            object({
+              items: { type: "array", items: ref("TrashEntry") },
+              retentionDays: integer,
+            })
+          ),
+        },
+        delete: {
+          summary: "Empty the trash (repeat until done)",
+          responses: ok(
+            object({ ok: boolean, purged: integer, done: boolean })
+          ),
+        },
+      },
+      "/api/trash/restore": {
+        post: {
+          summary: "Restore bookmarks from the trash",
+          requestBody: body(
+            object({ ids: { ...strings, maxItems: BATCH_LIMIT } }, ["ids"])
+          ),
+          responses: {
+            ...ok(
+              object({
+                ok: boolean,
+                results: { type: "array", items: ref("Result") },
+              })
+            ),
+            ...errors(400, 403),
+          },
+        },
+      },
+      "/api/trash/{bookmarkId}": {
+        delete: {
+          summary: "Permanently delete one trashed bookmark",
+          parameters: [bookmarkId],
+          responses: { ...ok(okFlag), ...errors(404) },
+        },
+      },
+      "/api/tags": {
+        get: {
+          summary: "Tags with bookmark counts",
+          responses: ok(list("TagCount")),
+        },
+        put: {
+          summary: "Replace the tags of one bookmark",
+          requestBody: body(
+            object({ imageUrl: target.imageUrl, tags: tagList }, ["imageUrl"])
+          ),
+          responses: {
+            ...ok(itemResult("Bookmark")),
+            ...errors(400, 404),
+          },
+        },
+      },
+      "/api/tags/rename": {
+        post: {
+          summary: "Rename a tag on every bookmark (repeat until done)",
+          requestBody: body(
+            object({ from: string(), to: string() }, ["from", "to"])
+          ),
+          responses: { ...ok(rewriteResult), ...errors(400, 404) },
+        },
+      },
+      "/api/tags/merge": {
+        post: {
+          summary: "Merge tags into one (repeat until done)",
+          requestBody: body(
+            object({ tags: strings, into: string() }, ["tags", "into"])
+          ),
+          responses: { ...ok(rewriteResult), ...errors(400, 404) },
+        },
+      },
+      "/api/tags/{tag}": {
+        delete: {
+          summary: "Remove a tag from every bookmark (repeat until done)",
+          parameters: [path("tag", string())],
+          responses: { ...ok(rewriteResult), ...errors(400, 404) },
+        },
+      },
+      "/api/collections": {
+        get: {
+          summary: "List collections",
+          responses: ok(list("Collection")),
+        },
+        post: {
+          summary: "Create a collection",
+          requestBody: body(ref("CollectionInput")),
+          responses: {
+            ...ok(itemResult("Collection")),
+            ...errors(400),
+          },
+        },
+      },
+      "/api/collections/{collectionId}": {
+        get: {
+          summary: "A collection with its bookmarks in order",
+          parameters: [collectionId],
+          responses: {
+            ...ok(
+              object({
+                item: ref("Collection"),
+                bookmarks: { type: "array", items: ref("Bookmark") },
+              })
+            ),
+            ...errors(404),
+          },
+        },
+        put: {
+          summary: "Update a collection",
+          parameters: [collectionId],
+          requestBody: body(ref("CollectionInput")),
+          responses: {
+            ...ok(itemResult("Collection")),
+            ...errors(400, 404),
+          },
+        },
+        delete: {
+          summary: "Delete a collection (its bookmarks are kept)",
+          parameters: [collectionId],
+          responses: { ...ok(okFlag), ...errors(404) },
+        },
+      },
+      "/api/collections/{collectionId}/items": {
+        post: {
+          summary: "Add or move a bookmark in a collection",
+          parameters: [collectionId],
+          requestBody: body(object({ ...target, position: integer })),
+          responses: {
+            ...ok(itemResult("Collection")),
+            ...errors(400, 404),
+          },
+        },
+        delete: {
+          summary: "Remove a bookmark from a collection",
+          parameters: [collectionId],
+          requestBody: body(object(target)),
+          responses: {
+            ...ok(itemResult("Collection")),
+            ...errors(400, 404),
+          },
+        },
+      },
+      "/api/shares": {
+        get: {
+          summary: "List public share links",
+          responses: ok(list("Share")),
+        },
+        post: {
+          summary: "Share tags, a query or a collection by public link",
+          requestBody: body(
+            object({
+              title: string(),
+              tags: strings,
+              query: string(),
+              collectionId: string({ format: "uuid" }),
+            })
+          ),
+          responses: {
+            ...ok(itemResult("Share")),
+            ...errors(400, 404),
+          },
+        },
+      },
+      "/api/shares/{token}": {
+        delete: {
+          summary: "Revoke a share link",
+          parameters: [path("token", string())],
+          responses: { ...ok(okFlag), ...errors(404) },
+        },
+      },
+      "/api/tokens": {
+        get: {
+          summary: "List personal API tokens (session only)",
+          security: [{ cookieAuth: [] }],
+          responses: { ...ok(list("ApiToken")), ...errors(403) },
+        },
+        post: {
+          summary: "Create a personal API token (session only)",
+          description: "The token is only returned once.",
+          security: [{ cookieAuth: [] }],
+          requestBody: body(
+            object(
+              {
+                name: string({ maxLength: API_TOKEN_NAME_LIMIT }),
+                scope: string({ enum: API_TOKEN_SCOPES }),
+              },
+              ["name", "scope"]
+            )
+          ),
+          responses: {
+            ...ok(
+              object({ ok: boolean, token: string(), item: ref("ApiToken") })
+            ),
+            ...errors(400, 403),
+          },
+        },
+      },
+      "/api/tokens/{tokenId}": {
+        delete: {
+          summary: "Revoke a personal API token (session only)",
+          security: [{ cookieAuth: [] }],
+          parameters: [path("tokenId", string())],
+          responses: { ...ok(okFlag), ...errors(403, 404) },
+        },
+      },
+      "/api/image/{bookmarkId}": {
+        get: {
+          summary: "Archived copy of an image",
+          parameters: [
+            bookmarkId,
+            query("variant", string({ enum: ["original", "thumb"] })),
+          ],
+          responses: {
+            200: {
+              description: "Image bytes",
+              content: { "image/*": { schema: string({ format: "binary" }) } },
+            },
+            ...errors(400, 404),
+          },
+        },
+      },
+      "/api/image/{bookmarkId}/archive": {
+        post: {
+          summary: "Archive (or re-archive) the image of a bookmark",
+          parameters: [bookmarkId],
+          responses: {
+            ...ok(itemResult("Bookmark")),
+            ...errors(400, 403, 404, 422),
+          },
+        },
+      },
+      "/api/export": {
+        get: {
+          summary: "Download every bookmark",
+          parameters: [
+            query("format", string({ enum: Object.keys(EXPORT_FORMATS) })),
+            query("cursor", string()),
+          ],
+          responses: {
+            200: {
+              description:
+                "Export file, or a part of it when an x-export-cursor header " +
+                "names the next part",
+              headers: { "x-export-cursor": { schema: string() } },
+              content: {
+                "application/json": { schema: { type: "object" } },
+                "text/csv": { schema: string() },
+                "text/html": { schema: string() },
+              },
+            },
+            ...errors(400),
+          },
+        },
+      },
+      "/api/import": {
+        post: {
+          summary: "Import bookmarks from an export file",
+          parameters: [
+            query("format", string({ enum: Object.keys(IMPORT_PARSERS) })),
+            query("mode", string({ enum: ["merge", "replace"] })),
+            query("cursor", string()),
+          ],
+          requestBody: {
+            content: {
+              "application/json": { schema: { type: "object" } },
+              "text/csv": { schema: string() },
+              "text/html": { schema: string() },
+            },
+          },
+          responses: {
+            ...ok(
+              object({
+                ok: boolean,
+                format: string(),
+                mode: string(),
+                total: integer,
+                imported: integer,
+                created: integer,
+                updated: integer,
+                trashed: integer,
+                errors: { type: "array", items: { type: "object" } },
+                cursor: { type: "string", nullable: true },
+                done: boolean,
+              })
+            ),
+            ...errors(400, 403, 404, 413),
+          },
+        },
+      },
+      "/api/settings": {
+        get: {
+          summary: "Account settings",
+          responses: ok(ref("Settings")),
+        },
+        put: {
+          summary: "Change account settings",
+          requestBody: body(
+            object({
+              archive: boolean,
+              canonicalization: ref("CanonicalRules"),
+            })
+          ),
+          responses: { ...ok(ref("Settings")), ...errors(400) },
+        },
+      },
+      "/api/stats": {
+        get: {
+          summary: "Library statistics",
+          parameters: [
+            query(
+              "period",
+              string({ enum: Object.keys(STATS_PERIODS) }),
+              "Group `added` by week (last 26, starting Monday UTC) or month (last 24)"
+            ),
+          ],
+          responses: { ...ok(ref("Stats")), ...errors(400) },
+        },
+      },
+      "/api/usage": {
+        get: {
+          summary: "Bookmark and storage use against quotas, and the rate limit",
+          responses: ok(ref("Usage")),
+        },
+      },
+      "/api/account": {
+        get: {
+          summary: "The signed-in account",
+          responses: ok(
+            object({
+              id: string({ format: "uuid" }),
+              createdAt: string({ format: "date-time" }),
+              hasPassphrase: boolean,
+            })
+          ),
+        },
+      },
+      "/api/passphrase": {
+        put: {
+          summary: "Set, change or remove the passphrase (session only)",
+          security: [{ cookieAuth: [] }],
+          requestBody: body(
+            object({ currentPassphrase: string(), passphrase: string() })
+          ),
+          responses: {
+            ...ok(object({ ok: boolean, hasPassphrase: boolean })),
+            ...errors(400, 403),
+          },
+        },
+      },
+      "/api/index/rebuild": {
+        post: {
+          summary: "Rebuild the tag indexes, 100 bookmarks per request",
+          responses: ok(
+            object({
+              ok: boolean,
+              scanned: integer,
+              done: boolean,
+              total: integer,
+              tags: integer,
+            })
+          ),
+        },
+      },
+    },
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          description: "A personal API token created in Settings",
+        },
+        cookieAuth: { type: "apiKey", in: "cookie", name: SESSION_COOKIE },
+      },
+      responses: {
+        400: { description: "Invalid request", content: json(ref("Error")) },
+        401: {
+          description: "Missing or invalid session or token",
+          content: json(ref("Error")),
+        },
+        403: {
+          description:
+            "The token does not allow this request, or a quota is reached (code quota_exceeded)",
+          content: json(ref("Error")),
+        },
+        404: { description: "Not found", content: json(ref("Error")) },
+        409: {
+          description: "The bookmark changed since expectedUpdatedAt",
+          content: json(ref("Conflict")),
+        },
+        413: {
+          description: "The request body or upload is too large",
+          content: json(ref("Error")),
+        },
+        415: {
+          description: "The upload is not a supported image type",
+          content: json(ref("Error")),
+        },
+        422: {
+          description: "The image could not be fetched",
+          content: json(ref("Error")),
+        },
+        429: {
+          description: "Too many requests in the current window",
+          headers: {
+            "Retry-After": {
+              description: "Seconds until the window resets",
+              schema: integer,
+            },
+          },
+          content: json(ref("Error")),
+        },
+      },
+      schemas: {
+        Error: object(
+          {
+            error: string(),
+            code: errorCode,
+            detail: string(),
+            position: {
+              ...integer,
+              description: "Offset of a search syntax error",
+            },
+          },
+          ["error", "code"]
+        ),
+        Conflict: object(
+          {
+            error: string(),
+            code: errorCode,
+            item: { ...ref("Bookmark"), nullable: true },
+          },
+          ["error", "code", "item"]
+        ),
+        Bookmark: object(
+          {
+            id: hex64,
+            imageUrl: target.imageUrl,
+            tags: strings,
+            ...details,
+            contentType: string(),
+            byteSize: integer,
+            contentHash: string(),
+            width: integer,
+            height: integer,
+            status: string({ enum: ["ok", "broken"] }),
+            failureCount: integer,
+            lastCheckedAt: string({ format: "date-time" }),
+            archive: object({
+              contentType: string(),
+              byteSize: integer,
+              contentHash: string(),
+              archivedAt: string({ format: "date-time" }),
+            }),
+            upload: object({
+              key: string(),
+              uploadedAt: string({ format: "date-time" }),
+            }),
+            createdAt: string({ format: "date-time" }),
+            updatedAt: string({ format: "date-time" }),
+          },
+          ["id", "imageUrl", "tags", "createdAt", "updatedAt"]
+        ),
+        Result: object({
+          bookmarkId: hex64,
+          ok: boolean,
+          error: string(),
+          item: ref("Bookmark"),
+        }),
+        HistoryEvent: object({
+          id: string(),
+          bookmarkId: hex64,
+          imageUrl: string(),
+          type: string(),
+          at: string({ format: "date-time" }),
+          changes: { type: "object" },
+          snapshot: { type: "object", nullable: true },
+        }),
+        TrashEntry: object({
+          bookmark: ref("Bookmark"),
+          deletedAt: string({ format: "date-time" }),
+          expiresAt: string({ format: "date-time" }),
+        }),
+        DuplicateGroup: object({
+          reason: string({ enum: ["url", "content"] }),
+          key: string(),
+          items: { type: "array", items: ref("Bookmark") },
+        }),
+        TagCount: object({ tag: string(), count: integer }),
+        CollectionInput: object({
+          title: string(),
+          description: string(),
+          coverImageUrl: httpUrl,
+          bookmarkIds: strings,
+        }),
+        Collection: object({
+          id: string({ format: "uuid" }),
+          title: string(),
+          description: string(),
+          coverImageUrl: string(),
+          bookmarkIds: strings,
+          createdAt: string({ format: "date-time" }),
+          updatedAt: string({ format: "date-time" }),
+        }),
+        Share: object({
+          token: string(),
+          title: string(),
+          filter: object({
+            tags: strings,
+            query: string(),
+            collectionId: string(),
+          }),
+          createdAt: string({ format: "date-time" }),
+          url: string({ format: "uri" }),
+        }),
+        ApiToken: object({
+          id: string(),
+          name: string(),
+          scope: string({ enum: API_TOKEN_SCOPES }),
+          createdAt: string({ format: "date-time" }),
+          lastUsedAt: string({ format: "date-time", nullable: true }),
+        }),
+        CanonicalRules: object({
+          ...Object.fromEntries(CANONICAL_FLAGS.map((flag) => [flag, boolean])),
+          ignoreParams: strings,
+        }),
+        Settings: object({
+          archive: boolean,
+          archiveAvailable: boolean,
+          canonicalization: ref("CanonicalRules"),
+          canonicalizationPending: boolean,
+          indexPending: boolean,
+        }),
+        Stats: object({
+          totals: object({
+            bookmarks: integer,
+            tags: integer,
+            untagged: integer,
+            broken: integer,
+            storageBytes: integer,
+          }),
+          added: object({
+            period: string({ enum: Object.keys(STATS_PERIODS) }),
+            items: {
+              type: "array",
+              items: object({
+                start: string({ description: "YYYY-MM-DD or YYYY-MM" }),
+                count: integer,
+              }),
+            },
+          }),
+          topTags: { type: "array", items: ref("TagCount") },
+          tagPairs: {
+            type: "array",
+            items: object({ tags: strings, count: integer }),
+          },
+          topDomains: {
+            type: "array",
+            items: object({ domain: string(), count: integer }),
+          },
+          updatedAt: string({ format: "date-time" }),
+        }),
+        Usage: object({
+          bookmarks: object({ used: integer, limit: integer }),
+          storageBytes: object({ used: integer, limit: integer }),
+          rateLimit: object({ limit: integer, windowSeconds: integer }),
+        }),
+      },
+    },
+  };
+  for (const operations of Object.values(spec.paths)) {
+    for (const operation of Object.values(operations)) {
+      if (!operation.security) Object.assign(operation.responses, errors(429));
+    }
+  }
+  return spec;
+}
+
+// Share pages show SHARE_PAGE_SIZE images each. Rendered pages are kept in
+// the Cache API under a key holding the time the library last changed, so
+// an edit shows on the next view without purging anything. The share itself
+// is read on every view, so revoking a link takes effect at once.
+const SHARE_PAGE_SIZE = 100;
+const SHARE_CACHE_SECONDS = 24 * 60 * 60;
+
+async function handleSharePage(env, ctx, url, token) {
+  const share = await getShare(env, token);
+  if (!share) return shareUnavailableResponse();
+  const page = Math.max(
+    1,
+    Number.parseInt(url.searchParams.get("page"), 10) || 1
+  );
+  const version = await shareVersion(env, share);
+  const cache =
+    version && typeof caches !== "undefined" ? caches.default : null;
+  const params = new URLSearchParams({ page, v: version });
+  const cacheKey = new Request(`${url.origin}/s/${token}?${params}`);
+  const cached = cache && (await cache.match(cacheKey));
+  if (cached) {
+    return htmlResponse(await cached.text(), { "x-robots-tag": "noindex" });
+  }
+
+  const resolved = await resolveShare(env, share, page);
+  if (!resolved) return shareUnavailableResponse();
+  const body = renderSharePage(resolved.title, resolved.items, {
+    page,
+    total: resolved.total,
+  });
+  if (cache) {
+    const copy = new Response(body, {
+      headers: {
+        "content-type": "text/html; charset=utf-8",
+        "cache-control": `max-age=${SHARE_CACHE_SECONDS}`,
+      },
+    });
+    ctx.waitUntil(cache.put(cacheKey, copy));
+  }
+  return htmlResponse(body, { "x-robots-tag": "noindex" });
+}
+
+function shareUnavailableResponse() {
+  return htmlResponse(
+    renderMessagePage(
+      "Link unavailable",
+      "This share link has been revoked or no longer exists."
+    ),
+    { "x-robots-tag": "noindex" },
+    404
+  );
+}
+
+// What a share page depends on: the library, and for a collection its list.
+// Null while the index is being rebuilt, when pages are not cached.
+async function shareVersion(env, share) {
+  const index = await readUserIndex(env, share.userId);
+  if (!index) return null;
+  const { collectionId } = share.filter;
+  if (!collectionId) return index.updatedAt;
+  const collection = await getCollection(env, share.userId, collectionId);
+  return collection ? `${index.updatedAt}/${collection.updatedAt}` : null;
+}
+
+const SAVE_SUGGESTION_LIMIT = 12;
+
+// Confirm page for the bookmarklet and the share target. It relies on the
+// session cookie from `/<uuid>`, so it works in any tab of a browser that has
+// opened the library. A shared page link offers the images found on the page.
+async function handleSavePage(request, env, url) {
+  const userId = await authenticate(request, env);
+  if (!userId) {
+    return htmlResponse(
+      renderMessagePage(
+        "Sign in first",
+        "Open your library link in this browser, then try saving again."
+      ),
+      { "x-robots-tag": "noindex" },
+      401
+    );
+  }
+
+  // Each visit fetches a URL of the caller's choosing, so it counts against
+  // the same per-user budget as the API.
+  const rate = await consumeRateLimit(
+    env,
+    `api:${userId}`,
+    envNumber(env, "RATE_LIMIT", RATE_LIMIT),
+    RATE_WINDOW_SECONDS
+  );
+  if (rate && rate.limited) {
+    return htmlResponse(
+      renderMessagePage(
+        "Too many requests",
+        "Wait a minute, then try saving again."
+      ),
+      { "x-robots-tag": "noindex", "retry-after": String(rate.reset) },
+      429
+    );
+  }
+
+  const { searchParams } = url;
+  const shared = (searchParams.get("text") || "").match(/https?:\/\/\S+/);
+  const target = searchParams.get("url") || (shared && shared[0]);
+  if (!target) {
+    return htmlResponse(
+      renderMessagePage("Nothing to save", "The link did not include a URL."),
+      { "x-robots-tag": "noindex" },
+      400
+    );
+  }
+
+  let images = [target];
+  let sourceUrl = searchParams.get("source") || "";
+  const probe = await probeImage(target);
+  if (probe.error) {
+    images = await findPageImages(target);
+    sourceUrl = target;
+    if (images.length === 0) {
+      return htmlResponse(
+        renderMessagePage("Nothing to save", probe.error),
+        { "x-robots-tag": "noindex" },
+        422
+      );
+    }
+  }
+
+  let existing = null;
+  if (images.length === 1) {
+    const resolveId = await bookmarkIdResolver(env, userId);
+    const id = await resolveId(images[0]);
+    existing = await getBookmark(env, userId, id);
+  }
+  // Suggestions wait for the index rather than scanning the library.
+  const index = await readUserIndex(env, userId);
+  const suggestions = Object.entries(index ? index.tags : {})
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, SAVE_SUGGESTION_LIMIT)
+    .map(([tag]) => tag);
+  const tags = normalizeTags([
+    ...(existing ? existing.tags : []),
+    ...(searchParams.get("tags") || "").split(","),
+  ]);
+
+  return htmlResponse(
+    renderSavePage({
+      userId,
+      images,
+      tags,
+      suggestions,
+      existing: !!existing,
+      title: (existing && existing.title) || searchParams.get("title") || "",
+      sourceUrl: (existing && existing.sourceUrl) || sourceUrl,
+      notes: (existing && existing.notes) || "",
+    }),
+    { "x-robots-tag": "noindex" }
+  );
+}
+
+function webManifest(userId) {
+  return {
+    id: `/${userId}`,
+    name: "Image Bookmark",
+    short_name: "Bookmarks",
+    start_url: `/${userId}`,
+    scope: "/",
+    display: "standalone",
+    background_color: "#f5f0ea",
+    theme_color: "#d45b2c",
+    icons: [{ src: "/icon.svg", sizes: "any", type: "image/svg+xml" }],
+    share_target: {
+      action: "/save",
+      method: "GET",
+      params: { title: "title", text: "text", url: "url" },
+    },
+  };
+}
+
+function shareKey(token) {
+  return `share:${token}`;
+}
+
+function userShareKey(userId, token) {
+  return `user:${userId}:share:${token}`;
+}
+
+async function getShare(env, token) {
+  const value = await env.BOOKMARKS.get(shareKey(token));
+  return value ? JSON.parse(value) : null;
+}
+
+async function putShare(env, share) {
+  const value = JSON.stringify(share);
+  await Promise.all([
+    env.BOOKMARKS.put(shareKey(share.token), value),
+    env.BOOKMARKS.put(userShareKey(share.userId, share.token), value),
+  ]);
+}
+
+async function deleteShare(env, share) {
+  await Promise.all([
+    env.BOOKMARKS.delete(shareKey(share.token)),
+    env.BOOKMARKS.delete(userShareKey(share.userId, share.token)),
+  ]);
+}
+
+async function listShares(env, userId) {
+  const names = await listKeyNames(env, `user:${userId}:share:`);
+  const values = await Promise.all(names.map((name) => env.BOOKMARKS.get(name)));
+  return values
+    .filter(Boolean)
+    .map((value) => JSON.parse(value))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function shareResponse(share, url) {
+  return {
+    token: share.token,
+    title: share.title,
+    filter: share.filter,
+    createdAt: share.createdAt,
+    url: `${url.origin}/s/${share.token}`,
+  };
+}
+
+function apiTokenKey(hash) {
+  return `api-token:${hash}`;
+}
+
+function userApiTokenKey(userId, id) {
+  return `user:${userId}:api-token:${id}`;
+}
+
+function apiTokenHash(secret) {
+  return sha256Hex(new TextEncoder().encode(secret));
+}
+
+async function getUserApiToken(env, userId, id) {
+  const value = await env.BOOKMARKS.get(userApiTokenKey(userId, id));
+  return value ? JSON.parse(value) : null;
+}
+
+async function putApiToken(env, token) {
+  const value = JSON.stringify(token);
+  await Promise.all([
+    env.BOOKMARKS.put(apiTokenKey(token.hash), value),
+    env.BOOKMARKS.put(userApiTokenKey(token.userId, token.id), value),
+  ]);
+}
+
+async function deleteApiToken(env, token) {
+  await Promise.all([
+    env.BOOKMARKS.delete(apiTokenKey(token.hash)),
+    env.BOOKMARKS.delete(userApiTokenKey(token.userId, token.id)),
+  ]);
+}
+
+async function listApiTokens(env, userId) {
+  const names = await listKeyNames(env, `user:${userId}:api-token:`);
+  const values = await Promise.all(names.map((name) => env.BOOKMARKS.get(name)));
+  return values
+    .filter(Boolean)
+    .map((value) => JSON.parse(value))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function apiTokenResponse(token) {
+  return {
+    id: token.id,
+    name: token.name,
+    scope: token.scope,
+    createdAt: token.createdAt,
+    lastUsedAt: token.lastUsedAt,
+  };
+}
+
+function defaultShareTitle(filter) {
+  if (filter.query) return filter.query;
+  return filter.tags ? filter.tags.map((t) => `#${t}`).join(" ") : "Collection";
+}
+
+// Returns the share's title, its `total` images and those on `page`. A
+// collection page only reads its own bookmarks.
+async function resolveShare(env, share, page) {
+  const { userId, filter } = share;
+  const start = (page - 1) * SHARE_PAGE_SIZE;
+  const end = start + SHARE_PAGE_SIZE;
+  if (filter.collectionId) {
+    const collection = await getCollection(env, userId, filter.collectionId);
+    if (!collection) return null;
+    const ids = collection.bookmarkIds;
+    const items = await getBookmarksByIds(env, userId, ids.slice(start, end));
+    return { title: share.title || collection.title, items, total: ids.length };
+  }
+
+  let matches;
+  if (filter.query) {
+    const { query } = readQuery(filter.query);
+    const bookmarks = await findBookmarks(env, userId, requiredQueryTags(query));
+    matches = bookmarks.filter((b) => matchesQuery(query, b));
+  } else {
+    const bookmarks = await findBookmarks(env, userId, filter.tags);
+    matches = bookmarks.filter((b) =>
+      filter.tags.every((t) => b.tags.includes(t))
+    );
+  }
+  const items = sortBookmarkList(matches).slice(start, end);
+  return { title: share.title, items, total: matches.length };
+}
+
+function randomToken(bytes) {
+  return bytesToBase64Url(crypto.getRandomValues(new Uint8Array(bytes)));
+}
+
+function bookmarkKey(userId, id) {
+  return `user:${userId}:bookmark:${id}`;
+}
+
+function collectionKey(userId, id) {
+  return `user:${userId}:collection:${id}`;
+}
+
+async function getCollection(env, userId, id) {
+  const value = await env.BOOKMARKS.get(collectionKey(userId, id));
+  return value ? JSON.parse(value) : null;
+}
+
+async function putCollection(env, userId, collection) {
+  await env.BOOKMARKS.put(
+    collectionKey(userId, collection.id),
+    JSON.stringify(collection)
+  );
+}
+
+async function listCollections(env, userId) {
+  const names = await listKeyNames(env, `user:${userId}:collection:`);
+  const values = await Promise.all(names.map((name) => env.BOOKMARKS.get(name)));
+  return values
+    .filter(Boolean)
+    .map((value) => JSON.parse(value))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Drops ids that are not one of the user's bookmarks. Ids the collection
+// already holds were checked when they were added (and deleting a bookmark
+// removes it from collections), so reordering reads nothing.
+async function ownedBookmarkIds(env, userId, ids, known = []) {
+  const held = new Set(known);
+  const candidates = uniqueIds(ids);
+  const found = new Set(
+    (
+      await getBookmarksByIds(
+        env,
+        userId,
+        candidates.filter((id) => !held.has(id))
+      )
+    ).map((bookmark) => bookmark.id)
+  );
+  return candidates.filter((id) => held.has(id) || found.has(id));
+}
+
+async function removeFromCollections(env, userId, bookmarkIds) {
+  const collections = await listCollections(env, userId);
+  await Promise.all(
+    collections
+      .filter((c) => c.bookmarkIds.some((id) => bookmarkIds.includes(id)))
+      .map((c) =>
+        putCollection(env, userId, {
+          ...c,
+          bookmarkIds: c.bookmarkIds.filter((id) => !bookmarkIds.includes(id)),
+          updatedAt: new Date().toISOString(),
+        })
+      )
+  );
+}
+
+function collectionFields(body) {
+  const fields = {};
+  for (const name of ["title", "description", "coverImageUrl"]) {
+    if (typeof body[name] === "string") fields[name] = body[name].trim();
+  }
+  if (fields.coverImageUrl) {
+    const error = httpUrlError(fields.coverImageUrl, "coverImageUrl");
+    if (error) return { fields, error };
+  }
+  return { fields };
+}
+
+function uniqueIds(ids) {
+  if (!Array.isArray(ids)) return [];
+  return Array.from(new Set(ids.filter((id) => typeof id === "string")));
+}
+
+async function bookmarkIdFromBody(body, resolveId) {
+  if (typeof body.bookmarkId === "string" && body.bookmarkId) {
+    return body.bookmarkId;
+  }
+  if (typeof body.imageUrl === "string" && body.imageUrl) {
+    return resolveId(body.imageUrl);
+  }
+  return null;
+}
+
+// Returns `imageUrl => id` for looking up a user's bookmarks. Until
+// canonicalizeBookmarks has finished, some bookmarks are still keyed under
+// the rules recorded in `canonicalizedWith` (or under the raw URL hash for
+// libraries saved before canonicalization), so a miss on the current id
+// falls back to that one.
+async function bookmarkIdResolver(env, userId, meta) {
+  meta = meta || (await getUserMeta(env, userId)) || {};
+  const rules = canonicalRules(meta);
+  const migrated = meta.canonicalizedWith === canonicalRulesKey(rules);
+  return async (imageUrl) => {
+    const id = await bookmarkIdFromUrl(imageUrl, rules);
+    if (migrated || (await getBookmark(env, userId, id))) return id;
+    const legacyId = await legacyBookmarkId(imageUrl, meta.canonicalizedWith);
+    if (legacyId === id || !(await getBookmark(env, userId, legacyId))) {
+      return id;
+    }
+    return legacyId;
+  };
+}
+
+async function legacyBookmarkId(imageUrl, canonicalizedWith) {
+  if (!canonicalizedWith) {
+    return sha256Hex(new TextEncoder().encode(imageUrl));
+  }
+  const { version, ...rules } = JSON.parse(canonicalizedWith);
+  if (!version) rules.anyHostSizeParams = true;
+  return bookmarkIdFromUrl(imageUrl, rules);
+}
+
+// Bookmark ids hash the canonical form of the image URL, so the same image
+// saved as http/https, with tracking parameters or at another CDN size
+// lands on the same key. `imageUrl` itself is stored as given.
+async function bookmarkIdFromUrl(imageUrl, rules = CANONICAL_DEFAULTS) {
+  return sha256Hex(new TextEncoder().encode(canonicalizeUrl(imageUrl, rules)));
+}
+
+async function sha256Hex(data) {
+  const hash = await crypto.subtle.digest("SHA-256", data);
+  return Array.from(new Uint8Array(hash))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+const CANONICAL_DEFAULTS = {
+  https: true,
+  stripWww: false,
+  stripTracking: true,
+  sortQuery: true,
+  stripSizeSuffix: true,
+  ignoreParams: [],
+};
+const CANONICAL_FLAGS = [
+  "https",
+  "stripWww",
+  "stripTracking",
+  "sortQuery",
+  "stripSizeSuffix",
+];
+const TRACKING_PARAMS = [
+  "fbclid",
+  "gclid",
+  "dclid",
+  "msclkid",
+  "yclid",
+  "igshid",
+  "mc_cid",
+  "mc_eid",
+  "ref_src",
+  "_ga",
+  "_gl",
+];
+// Bumped whenever a rule changes what it strips, so libraries keyed under
+// the old behaviour are re-keyed once.
+const CANONICAL_VERSION = 2;
+// Version 1 stripped these on every host, which merged distinct images on
+// sites where `?w=` or `?crop=` picks a different file. Kept only to find
+// bookmarks saved under that version.
+const LEGACY_SIZE_PARAMS = [
+  "w",
+  "h",
+  "width",
+  "height",
+  "dpr",
+  "resize",
+  "fit",
+  "crop",
+];
+// CDN-specific ways of asking for a resized copy of the same file.
+const SIZE_SUFFIX_RULES = [
+  {
+    // WordPress: photo-1024x768.jpg
+    host: /./,
+    path: /^(\/wp-content\/uploads\/.+)-\d+x\d+(\.\w+)$/i,
+    replace: "$1$2",
+  },
+  {
+    // Shopify: photo_800x.jpg, photo_grande@2x.jpg
+    host: /(^|\.)cdn\.shopify\.com$/,
+    path: /^(.+)_(\d+x\d*|\d*x\d+|pico|icon|thumb|small|compact|medium|large|grande|original|master)(@\dx)?(\.\w+)$/i,
+    replace: "$1$4",
+  },
+  {
+    // Pinterest: /236x/ab/cd/ef.jpg
+    host: /^i\.pinimg\.com$/,
+    path: /^\/\d+x(\d+)?\//,
+    replace: "/originals/",
+  },
+  {
+    // Imgur thumbnails: abcdefgm.jpg
+    host: /^i\.imgur\.com$/,
+    path: /^\/([A-Za-z0-9]{7})[sbtmlh](\.\w+)$/,
+    replace: "/$1$2",
+  },
+  {
+    // Twitter: ?name=small|large|orig
+    host: /^pbs\.twimg\.com$/,
+    params: ["name"],
+  },
+  {
+    // WordPress.com / Jetpack Photon: i0.wp.com/...?w=800&resize=400,300
+    host: /^i[0-3]\.wp\.com$/,
+    params: ["w", "h", "resize", "fit", "crop"],
+  },
+  {
+    host: /(^|\.)imgix\.net$/,
+    params: ["w", "h", "fit", "crop", "dpr"],
+  },
+  {
+    host: /^images\.unsplash\.com$/,
+    params: ["w", "h", "fit", "crop", "dpr"],
+  },
+  {
+    // Contentful
+    host: /^images\.ctfassets\.net$/,
+    params: ["w", "h", "fit"],
+  },
+  {
+    host: /(^|\.)cdn\.shopify\.com$/,
+    params: ["width", "height", "crop"],
+  },
+  {
+    host: /^cdn\.sanity\.io$/,
+    params: ["w", "h", "fit", "crop", "dpr"],
+  },
+];
+
+function canonicalRules(meta) {
+  const saved = (meta && meta.settings && meta.settings.canonicalization) || {};
+  return { ...CANONICAL_DEFAULTS, ...saved };
+}
+
+async function userCanonicalRules(env, userId) {
+  return canonicalRules(await getUserMeta(env, userId));
+}
+
+// Rules are merged over the defaults in a fixed key order, so this is a
+// stable fingerprint for spotting bookmarks keyed under older rules.
+function canonicalRulesKey(rules) {
+  return JSON.stringify({ version: CANONICAL_VERSION, ...rules });
+}
+
+function canonicalizeUrl(imageUrl, rules = CANONICAL_DEFAULTS) {
+  let url;
+  try {
+    url = new URL(imageUrl);
+  } catch {
+    return imageUrl;
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") return imageUrl;
+
+  url.hash = "";
+  if (rules.https) url.protocol = "https:";
+  if (rules.stripWww && url.hostname.startsWith("www.")) {
+    url.hostname = url.hostname.slice(4);
+  }
+
+  const ignored = new Set(rules.ignoreParams.map((p) => p.toLowerCase()));
+  if (rules.stripTracking) TRACKING_PARAMS.forEach((p) => ignored.add(p));
+  if (rules.stripSizeSuffix && rules.anyHostSizeParams) {
+    LEGACY_SIZE_PARAMS.forEach((p) => ignored.add(p));
+  }
+  let params = Array.from(url.searchParams).filter(([name]) => {
+    const key = name.toLowerCase();
+    if (ignored.has(key)) return false;
+    return !(rules.stripTracking && key.startsWith("utm_"));
+  });
+
+  if (rules.stripSizeSuffix) {
+    for (const rule of SIZE_SUFFIX_RULES) {
+      if (!rule.host.test(url.hostname)) continue;
+      if (rule.params) {
+        params = params.filter(([name]) => !rule.params.includes(name));
+      } else {
+        url.pathname = url.pathname.replace(rule.path, rule.replace);
+      }
+    }
+  }
+
+  if (rules.sortQuery) {
+    params.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+  }
+  url.search = new URLSearchParams(params).toString();
+  return url.toString();
+}
+
+// Reads `canonicalization` settings from a request body. Unknown keys are
+// rejected so a typo does not silently leave a rule at its default.
+function readCanonicalRules(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return { error: "canonicalization must be an object" };
+  }
+  const rules = {};
+  for (const [key, setting] of Object.entries(value)) {
+    if (CANONICAL_FLAGS.includes(key)) {
+      if (typeof setting !== "boolean") {
+        return { error: `canonicalization.${key} must be a boolean` };
+      }
+      rules[key] = setting;
+    } else if (key === "ignoreParams") {
+      if (
+        !Array.isArray(setting) ||
+        !setting.every((p) => typeof p === "string")
+      ) {
+        return {
+          error: "canonicalization.ignoreParams must be an array of strings",
+        };
+      }
+      rules.ignoreParams = Array.from(
+        new Set(setting.map((p) => p.trim().toLowerCase()).filter(Boolean))
+      );
+    } else {
+      return { error: `unknown canonicalization setting: ${key}` };
+    }
+  }
+  return { rules };
+}
+
+async function getBookmark(env, userId, id) {
+  const value = await env.BOOKMARKS.get(bookmarkKey(userId, id));
+  return value ? JSON.parse(value) : null;
+}
+
+// Changes queued by the app while offline carry the `updatedAt` they were
+// made against (`null` for a new bookmark). When it no longer matches, the
+// bookmark changed elsewhere in the meantime and the change is refused with
+// the current version, so the user can decide.
+function staleWriteResponse(body, previous) {
+  if (!("expectedUpdatedAt" in body)) return null;
+  const current = previous ? previous.updatedAt : null;
+  if (body.expectedUpdatedAt === current) return null;
+  const error = body.expectedUpdatedAt
+    ? "bookmark was changed after this edit was made"
+    : "a bookmark for this image was added after this edit was made";
+  return jsonResponse({ error, item: previous }, 409);
+}
+
+async function getBookmarksByIds(env, userId, ids) {
+  const items = await Promise.all(ids.map((id) => getBookmark(env, userId, id)));
+  return items.filter(Boolean);
+}
+
+async function putBookmark(env, userId, bookmark, previous, event) {
+  await env.BOOKMARKS.put(
+    bookmarkKey(userId, bookmark.id),
+    JSON.stringify(bookmark)
+  );
+  const changes = [{ previous, next: bookmark }];
+  await applyIndexChanges(env, userId, changes);
+  await recordHistory(env, userId, changes, event);
+}
+
+// Every change to a bookmark's tags or detail fields appends an event, stored
+// twice: under `history:<userId>:<bookmarkId>:` for the bookmark and under
+// `activity:<userId>:` for the user's feed. Event ids start with an inverted
+// timestamp so KV lists them newest first. The keys live outside `user:` so
+// the link checker's scan over `user:` keys does not have to page past them.
+const HISTORY_FIELDS = ["tags", "title", "notes", "sourceUrl"];
+const HISTORY_PAGE_SIZE = 50;
+const MAX_TIMESTAMP = 9999999999999;
+
+function historyPrefix(userId, bookmarkId) {
+  return `history:${userId}:${bookmarkId}:`;
+}
+
+function activityPrefix(userId) {
+  return `activity:${userId}:`;
+}
+
+function historyValue(value) {
+  if (value === undefined || value === "") return null;
+  if (Array.isArray(value) && value.length === 0) return null;
+  return value;
+}
+
+function historyDiff(previous, next) {
+  const changes = {};
+  for (const field of HISTORY_FIELDS) {
+    const before = historyValue(previous ? previous[field] : undefined);
+    const after = historyValue(next ? next[field] : undefined);
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes[field] = { before, after };
+    }
+  }
+  return changes;
+}
+
+function historySnapshot(bookmark) {
+  const snapshot = {};
+  for (const field of HISTORY_FIELDS) {
+    snapshot[field] = historyValue(bookmark[field]);
+  }
+  return snapshot;
+}
+
+function historyEventType(previous, next, changes) {
+  if (!previous) return "create";
+  if (!next) return "delete";
+  return Object.keys(changes).every((f) => f === "tags") ? "tags" : "edit";
+}
+
+// `event` can override the derived type (for restores and reverts) and add
+// fields such as `revertedTo`. Updates that leave every tracked field alone,
+// like link checks and archiving, are not recorded.
+async function recordHistory(env, userId, changes, event = {}) {
+  const now = Date.now();
+  const timestamp = String(MAX_TIMESTAMP - now).padStart(13, "0");
+  await Promise.all(
+    changes.map(async ({ previous, next }) => {
+      const diff = historyDiff(previous, next);
+      if (previous && next && Object.keys(diff).length === 0) return;
+      const bookmark = next || previous;
+      const entry = {
+        id: `${timestamp}-${randomToken(6)}`,
+        bookmarkId: bookmark.id,
+        imageUrl: bookmark.imageUrl,
+        type: historyEventType(previous, next, diff),
+        at: new Date(now).toISOString(),
+        changes: diff,
+        snapshot: next ? historySnapshot(next) : null,
+        ...event,
+      };
+      const value = JSON.stringify(entry);
+      await Promise.all([
+        env.BOOKMARKS.put(historyPrefix(userId, bookmark.id) + entry.id, value),
+        env.BOOKMARKS.put(activityPrefix(userId) + entry.id, value),
+      ]);
+    })
+  );
+}
+
+async function listEvents(env, prefix, limit, cursor) {
+  const resp = await env.BOOKMARKS.list({
+    prefix,
+    limit,
+    cursor: cursor || undefined,
+  });
+  const values = await Promise.all(
+    resp.keys.map(({ name }) => env.BOOKMARKS.get(name))
+  );
+  return {
+    items: values.filter(Boolean).map((value) => JSON.parse(value)),
+    cursor: resp.list_complete ? null : resp.cursor,
+  };
+}
+
+function eventPageSize(searchParams) {
+  const param = searchParams.get("limit");
+  if (param === null) return HISTORY_PAGE_SIZE;
+  const limit = Number.parseInt(param, 10);
+  return limit > 0 ? Math.min(limit, MAX_PAGE_SIZE) : null;
+}
+
+// Deleted bookmarks move to `user:<id>:trash:<bookmarkId>` together with
+// their collection positions, and keep their archived images until purged.
+// `trash-expiry:<expiresAt>:<userId>:<bookmarkId>` keys sort by expiry so the
+// scheduled purge only lists entries that are due. Both keys also carry a KV
+// expiration a week later as a backstop if the cron trigger is disabled.
+const TRASH_RETENTION_DAYS = 30;
+const TRASH_PURGE_BATCH = 100;
+const TRASH_EXPIRY_PREFIX = "trash-expiry:";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRASH_EXPIRATION_GRACE_MS = 7 * DAY_MS;
+
+function trashRetentionMs(env) {
+  const days = Number(env.TRASH_RETENTION_DAYS);
+  return (days > 0 ? days : TRASH_RETENTION_DAYS) * DAY_MS;
+}
+
+function trashPrefix(userId) {
+  return `user:${userId}:trash:`;
+}
+
+function trashKey(userId, id) {
+  return trashPrefix(userId) + id;
+}
+
+function trashExpiryKey(entry) {
+  const { expiresAt, userId, bookmark } = entry;
+  return `${TRASH_EXPIRY_PREFIX}${expiresAt}:${userId}:${bookmark.id}`;
+}
+
+async function getTrashEntry(env, userId, id) {
+  const value = await env.BOOKMARKS.get(trashKey(userId, id));
+  return value ? JSON.parse(value) : null;
+}
+
+async function listTrash(env, userId) {
+  const names = await listKeyNames(env, trashPrefix(userId));
+  const values = await Promise.all(names.map((name) => env.BOOKMARKS.get(name)));
+  return values
+    .filter(Boolean)
+    .map((value) => JSON.parse(value))
+    .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+function trashResponse(entry) {
+  return {
+    bookmark: entry.bookmark,
+    deletedAt: entry.deletedAt,
+    expiresAt: entry.expiresAt,
+  };
+}
+
+async function trashBookmarks(env, userId, bookmarks) {
+  const collections = await listCollections(env, userId);
+  const now = Date.now();
+  const retention = trashRetentionMs(env);
+  const expiration = Math.floor(
+    (now + retention + TRASH_EXPIRATION_GRACE_MS) / 1000
+  );
+  const entries = bookmarks.map((bookmark) => ({
+    userId,
+    bookmark,
+    collections: collections
+      .map((c) => ({ id: c.id, position: c.bookmarkIds.indexOf(bookmark.id) }))
+      .filter((c) => c.position >= 0),
+    deletedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + retention).toISOString(),
+  }));
+
+  await Promise.all(
+    entries.flatMap((entry) => [
+      env.BOOKMARKS.put(
+        trashKey(userId, entry.bookmark.id),
+        JSON.stringify(entry),
+        { expiration }
+      ),
+      env.BOOKMARKS.put(trashExpiryKey(entry), "", { expiration }),
+    ])
+  );
+  await Promise.all(
+    bookmarks.map((b) => env.BOOKMARKS.delete(bookmarkKey(userId, b.id)))
+  );
+  const changes = bookmarks.map((previous) => ({ previous, next: null }));
+  await applyIndexChanges(env, userId, changes);
+  await recordHistory(env, userId, changes);
+  await removeFromCollections(env, userId, bookmarks.map((b) => b.id));
+  return entries;
+}
+
+async function restoreFromTrash(env, userId, ids) {
+  const restored = [];
+  const results = await Promise.all(
+    ids.map(async (id) => {
+      const entry = await getTrashEntry(env, userId, id);
+      if (!entry) {
+        return { bookmarkId: id, ok: false, error: "not found in trash" };
+      }
+      if (await getBookmark(env, userId, id)) {
+        return {
+          bookmarkId: id,
+          ok: false,
+          error: "a bookmark for this image already exists",
+        };
+      }
+      restored.push(entry);
+      return { bookmarkId: id, ok: true, item: entry.bookmark };
+    })
+  );
+  if (restored.length === 0) return results;
+
+  await Promise.all(
+    restored.map((entry) =>
+      env.BOOKMARKS.put(
+        bookmarkKey(userId, entry.bookmark.id),
+        JSON.stringify(entry.bookmark)
+      )
+    )
+  );
+  const changes = restored.map((entry) => ({
+    previous: null,
+    next: entry.bookmark,
+  }));
+  await applyIndexChanges(env, userId, changes);
+  await recordHistory(env, userId, changes, { type: "restore" });
+
+  const positions = new Map();
+  for (const entry of restored) {
+    for (const { id, position } of entry.collections || []) {
+      if (!positions.has(id)) positions.set(id, []);
+      positions.get(id).push({ bookmarkId: entry.bookmark.id, position });
+    }
+  }
+  await Promise.all(
+    Array.from(positions).map(async ([collectionId, items]) => {
+      const collection = await getCollection(env, userId, collectionId);
+      if (!collection) return;
+      const bookmarkIds = [...collection.bookmarkIds];
+      items.sort((a, b) => a.position - b.position);
+      for (const { bookmarkId, position } of items) {
+        if (!bookmarkIds.includes(bookmarkId)) {
+          bookmarkIds.splice(position, 0, bookmarkId);
+        }
+      }
+      await putCollection(env, userId, {
+        ...collection,
+        bookmarkIds,
+        updatedAt: new Date().toISOString(),
+      });
+    })
+  );
+
+  await Promise.all(
+    restored.flatMap((entry) => [
+      env.BOOKMARKS.delete(trashKey(userId, entry.bookmark.id)),
+      env.BOOKMARKS.delete(trashExpiryKey(entry)),
+    ])
+  );
+  return results;
+}
+
+async function purgeTrashEntries(env, entries) {
+  await Promise.all(
+    entries.map(async (entry) => {
+      const { userId, bookmark } = entry;
+      await env.BOOKMARKS.delete(trashKey(userId, bookmark.id));
+      await env.BOOKMARKS.delete(trashExpiryKey(entry));
+      // A re-saved bookmark for the same image reuses the archive keys.
+      if (!(await getBookmark(env, userId, bookmark.id))) {
+        await deleteArchive(env, bookmark);
+        await deleteUpload(env, bookmark);
+      }
+    })
+  );
+}
+
+async function purgeExpiredTrash(env) {
+  const { keys } = await env.BOOKMARKS.list({
+    prefix: TRASH_EXPIRY_PREFIX,
+    limit: TRASH_PURGE_BATCH,
+  });
+  const now = new Date().toISOString();
+  await Promise.all(
+    keys.map(async ({ name }) => {
+      const match = name
+        .slice(TRASH_EXPIRY_PREFIX.length)
+        .match(/^(.+Z):([^:]+):([0-9a-f]{64})$/);
+      if (!match) return;
+      const [, expiresAt, userId, id] = match;
+      if (expiresAt > now) return;
+      const entry = await getTrashEntry(env, userId, id);
+      if (entry && entry.expiresAt === expiresAt) {
+        await purgeTrashEntries(env, [entry]);
+      } else {
+        await env.BOOKMARKS.delete(name);
+      }
+    })
+  );
+}
+
+const BATCH_LIMIT = 100;
+const BATCH_ACTIONS = ["addTags", "removeTags", "setTags", "delete"];
+
+// Applies `{ action, bookmarkId | imageUrl, tags }` operations in order and
+// returns one result per operation. Each bookmark is read and written once,
+// and the tag index is updated in a single pass.
+async function applyBatch(env, userId, operations) {
+  const results = new Array(operations.length);
+  const pending = new Map();
+  const resolveId = await bookmarkIdResolver(env, userId);
+
+  await Promise.all(
+    operations.map(async (operation, position) => {
+      if (!operation || typeof operation !== "object") {
+        results[position] = { ok: false, error: "operation must be an object" };
+        return;
+      }
+      const id = await bookmarkIdFromBody(operation, resolveId);
+      if (!id) {
+        results[position] = {
+          ok: false,
+          error: "bookmarkId or imageUrl is required",
+        };
+        return;
+      }
+      if (!BATCH_ACTIONS.includes(operation.action)) {
+        results[position] = {
+          bookmarkId: id,
+          ok: false,
+          error: `action must be one of ${BATCH_ACTIONS.join(", ")}`,
+        };
+        return;
+      }
+      const tagError =
+        operation.action === "delete" ? null : tagsError(operation.tags || []);
+      if (tagError) {
+        results[position] = { bookmarkId: id, ok: false, error: tagError };
+        return;
+      }
+      if (!pending.has(id)) pending.set(id, []);
+      pending.get(id).push({ operation, position });
+    })
+  );
+
+  const now = new Date().toISOString();
+  const changes = [];
+  const deleted = [];
+  await Promise.all(
+    Array.from(pending).map(async ([id, entries]) => {
+      entries.sort((a, b) => a.position - b.position);
+      const previous = await getBookmark(env, userId, id);
+      let current = previous;
+      for (const { operation, position } of entries) {
+        if (!current) {
+          results[position] = {
+            bookmarkId: id,
+            ok: false,
+            error: "bookmark not found",
+          };
+          continue;
+        }
+        if (operation.action === "delete") {
+          current = null;
+          results[position] = { bookmarkId: id, ok: true, deleted: true };
+          continue;
+        }
+        const tags = normalizeTags(operation.tags);
+        let nextTags = tags;
+        if (operation.action === "addTags") {
+          nextTags = normalizeTags([...current.tags, ...tags]);
+        } else if (operation.action === "removeTags") {
+          nextTags = current.tags.filter((tag) => !tags.includes(tag));
+        }
+        if (nextTags.length > TAG_COUNT_LIMIT) {
+          results[position] = {
+            bookmarkId: id,
+            ok: false,
+            error: `a bookmark can have at most ${TAG_COUNT_LIMIT} tags`,
+          };
+          continue;
+        }
+        if (nextTags.join(",") !== current.tags.join(",")) {
+          current = { ...current, tags: nextTags, updatedAt: now };
+        }
+        results[position] = { bookmarkId: id, ok: true, item: current };
+      }
+
+      if (!previous || current === previous) return;
+      if (current) {
+        await env.BOOKMARKS.put(bookmarkKey(userId, id), JSON.stringify(current));
+        changes.push({ previous, next: current });
+      } else {
+        deleted.push(previous);
+      }
+    })
+  );
+
+  await applyIndexChanges(env, userId, changes);
+  await recordHistory(env, userId, changes);
+  if (deleted.length > 0) await trashBookmarks(env, userId, deleted);
+  return results;
+}
+
+const CANONICALIZE_BATCH = 100;
+
+// Moves bookmarks saved under older canonicalization rules to the key their
+// URL hashes to now. Each request checks the next CANONICALIZE_BATCH keys
+// from a list cursor kept in the user meta, so a pass costs the same per
+// request however large the library is. Bookmarks that end up on the same
+// key are merged; a moved bookmark listed again later already has its
+// current id and is left alone. Once the listing is complete, the rules are
+// recorded on the user so the client stops asking. Changing the rules
+// mid-pass starts it over.
+async function canonicalizeBookmarks(env, userId) {
+  const meta = await getUserMeta(env, userId);
+  const rules = canonicalRules(meta);
+  const rulesKey = canonicalRulesKey(rules);
+  if (meta.canonicalizedWith === rulesKey) {
+    return { processed: 0, merged: 0, scanned: 0, done: true };
+  }
+  const saved = meta.canonicalizeCursor;
+  const resp = await env.BOOKMARKS.list({
+    prefix: `user:${userId}:bookmark:`,
+    cursor: saved && saved.rules === rulesKey ? saved.cursor : undefined,
+    limit: CANONICALIZE_BATCH,
+  });
+  const values = await Promise.all(
+    resp.keys.map((k) => env.BOOKMARKS.get(k.name))
+  );
+  const batch = [];
+  for (const value of values) {
+    if (!value) continue;
+    const bookmark = JSON.parse(value);
+    const id = await bookmarkIdFromUrl(bookmark.imageUrl, rules);
+    if (id !== bookmark.id) batch.push({ bookmark, id });
+  }
+  const targets = new Map();
+  for (const { bookmark, id } of batch) {
+    if (!targets.has(id)) targets.set(id, []);
+    targets.get(id).push(bookmark);
+  }
+
+  const changes = [];
+  const merges = [];
+  const renames = new Map();
+  let merged = 0;
+  await Promise.all(
+    Array.from(targets).map(async ([id, sources]) => {
+      const existing = await getBookmark(env, userId, id);
+      merged += existing ? sources.length : sources.length - 1;
+      const base = existing || { ...sources[0], id };
+      let next = base;
+      for (const source of existing ? sources : sources.slice(1)) {
+        next = mergeBookmarkRecords(next, source);
+        if (!next.archive && source.archive) {
+          next.archive = source.archive;
+        }
+      }
+      await env.BOOKMARKS.put(bookmarkKey(userId, id), JSON.stringify(next));
+      for (const source of sources) {
+        await env.BOOKMARKS.delete(bookmarkKey(userId, source.id));
+        await moveHistory(env, userId, source.id, id);
+        if (source.archive && source.archive !== next.archive) {
+          await deleteArchive(env, source);
+        }
+        changes.push({ previous: source, next: null });
+        renames.set(source.id, id);
+      }
+      changes.push({ previous: existing, next });
+      if (next !== base) {
+        merges.push({
+          change: { previous: base, next },
+          mergedFrom: sources.map((b) => b.id).filter((from) => from !== id),
+        });
+      }
+    })
+  );
+  // Renamed first: applying the deletes drops the old ids from the order.
+  await renameInManualOrder(env, userId, renames);
+  await applyIndexChanges(env, userId, changes);
+  await renameInCollections(env, userId, renames);
+  for (const { change, mergedFrom } of merges) {
+    await recordHistory(env, userId, [change], { type: "merge", mergedFrom });
+  }
+
+  const next = { ...(await getUserMeta(env, userId)) };
+  delete next.canonicalizeCursor;
+  if (resp.list_complete) {
+    next.canonicalizedWith = rulesKey;
+  } else {
+    next.canonicalizeCursor = { rules: rulesKey, cursor: resp.cursor };
+  }
+  await putUserMeta(env, next);
+  return {
+    processed: batch.length,
+    merged,
+    scanned: resp.keys.length,
+    done: resp.list_complete,
+  };
+}
+
+async function moveHistory(env, userId, fromId, toId) {
+  const names = await listKeyNames(env, historyPrefix(userId, fromId));
+  await Promise.all(
+    names.map(async (name) => {
+      const value = await env.BOOKMARKS.get(name);
+      if (value) {
+        const entry = { ...JSON.parse(value), bookmarkId: toId };
+        await env.BOOKMARKS.put(
+          historyPrefix(userId, toId) + entry.id,
+          JSON.stringify(entry)
+        );
+      }
+      await env.BOOKMARKS.delete(name);
+    })
+  );
+}
+
+async function renameInCollections(env, userId, renames) {
+  if (renames.size === 0) return;
+  const collections = await listCollections(env, userId);
+  await Promise.all(
+    collections
+      .filter((c) => c.bookmarkIds.some((id) => renames.has(id)))
+      .map((c) =>
+        putCollection(env, userId, {
+          ...c,
+          bookmarkIds: uniqueIds(
+            c.bookmarkIds.map((id) => renames.get(id) || id)
+          ),
+          updatedAt: new Date().toISOString(),
+        })
+      )
+  );
+}
+
+// Groups bookmarks that are probably the same image: URLs that match once
+// every canonicalization rule is applied (including dropping `www.`), and
+// identical bytes where a content hash is known. Items are oldest first.
+async function findDuplicates(env, userId) {
+  const rules = { ...(await userCanonicalRules(env, userId)) };
+  for (const flag of CANONICAL_FLAGS) rules[flag] = true;
+  const bookmarks = await listBookmarks(env, userId);
+  const byUrl = new Map();
+  const byContent = new Map();
+  for (const bookmark of bookmarks) {
+    addToSetMap(byUrl, canonicalizeUrl(bookmark.imageUrl, rules), bookmark);
+    const hash = contentHashOf(bookmark);
+    if (hash) addToSetMap(byContent, hash, bookmark);
+  }
+
+  const groups = [];
+  const seen = new Set();
+  for (const [reason, map] of [
+    ["url", byUrl],
+    ["content", byContent],
+  ]) {
+    for (const [key, set] of map) {
+      if (set.size < 2) continue;
+      const items = Array.from(set).sort((a, b) =>
+        a.createdAt.localeCompare(b.createdAt)
+      );
+      const signature = items.map((b) => b.id).sort().join(",");
+      if (seen.has(signature)) continue;
+      seen.add(signature);
+      groups.push({ reason, key, items });
+    }
+  }
+  return groups;
+}
+
+function contentHashOf(bookmark) {
+  return (
+    (bookmark.archive && bookmark.archive.contentHash) || bookmark.contentHash
+  );
+}
+
+// Folds the other bookmarks into the first one: tags are combined, empty
+// details filled in and collection entries repointed. The others go to the
+// trash, keeping their own archived copies until they are purged.
+async function mergeDuplicates(env, userId, ids) {
+  const bookmarks = await getBookmarksByIds(env, userId, ids);
+  if (bookmarks.length !== ids.length) return { error: "bookmark not found" };
+  const [keeper, ...others] = bookmarks;
+  const merged = {
+    ...others.reduce(mergeBookmarkRecords, keeper),
+    updatedAt: new Date().toISOString(),
+  };
+  await putBookmark(env, userId, merged, keeper, {
+    type: "merge",
+    mergedFrom: others.map((b) => b.id),
+  });
+  await renameInCollections(
+    env,
+    userId,
+    new Map(others.map((b) => [b.id, keeper.id]))
+  );
+  await trashBookmarks(env, userId, others);
+  return { item: merged, trashed: others.map((b) => b.id) };
+}
+
+async function* iterateBookmarks(env, userId) {
+  const prefix = `user:${userId}:bookmark:`;
+  let cursor = undefined;
+
+  do {
+    const resp = await env.BOOKMARKS.list({ prefix, cursor, limit: 1000 });
+    cursor = resp.cursor;
+    const values = await Promise.all(
+      resp.keys.map((k) => env.BOOKMARKS.get(k.name))
+    );
+    yield values.filter(Boolean).map((value) => JSON.parse(value));
+  } while (cursor);
+}
+
+async function listBookmarks(env, userId) {
+  const items = [];
+  for await (const page of iterateBookmarks(env, userId)) {
+    items.push(...page);
+  }
+  return items;
+}
+
+async function listKeyNames(env, prefix) {
+  let cursor = undefined;
+  const names = [];
+
+  do {
+    const resp = await env.BOOKMARKS.list({ prefix, cursor, limit: 1000 });
+    cursor = resp.cursor;
+    for (const k of resp.keys) names.push(k.name);
+  } while (cursor);
+
+  return names;
+}
+
+// Tag filters read `user:<id>:tag:<tag>` (the ids carrying that tag) instead
+// of scanning every bookmark. `user:<id>:index` holds per-user totals, stored
+// bytes, tag counts and the counters behind /api/stats. While it is missing
+// or being rebuilt, reads fall back to a full scan.
+//
+// Both are written by a Durable Object (`LIBRARY_INDEX`), one per user, which
+// applies changes one at a time so concurrent saves cannot overwrite each
+// other's counts. It keeps its own copy of what it writes and mirrors it to
+// KV for reads. Without the binding the worker writes KV directly, and
+// concurrent writes can lose updates until the next rebuild.
+const INDEX_VERSION = 3;
+const REBUILD_BATCH = 100;
+
+function userIndexKey(userId) {
+  return `user:${userId}:index`;
+}
+
+function tagIndexPrefix(userId) {
+  return `user:${userId}:tag:`;
+}
+
+function tagIndexKey(userId, tag) {
+  return tagIndexPrefix(userId) + encodeURIComponent(tag);
+}
+
+function emptyIndex() {
+  return {
+    version: INDEX_VERSION,
+    total: 0,
+    storageBytes: 0,
+    tags: {},
+    ...emptyStats(),
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+// The index as last written, including one that is still being rebuilt.
+// `store` is anything with KV's get, put and delete.
+async function readStoredIndex(store, userId) {
+  const value = await store.get(userIndexKey(userId));
+  if (!value) return null;
+  const index = JSON.parse(value);
+  return index.version === INDEX_VERSION ? index : null;
+}
+
+async function readUserIndex(env, userId) {
+  const index = await readStoredIndex(env.BOOKMARKS, userId);
+  return index && !index.rebuild ? index : null;
+}
+
+async function readTagIds(store, userId, tag) {
+  const value = await store.get(tagIndexKey(userId, tag));
+  return value ? JSON.parse(value) : [];
+}
+
+// The complete index, else the same counts worked out from a scan of every
+// bookmark. Tag id lists are read from the returned `store`.
+async function readIndexOrScan(env, userId) {
+  const index = await readUserIndex(env, userId);
+  if (index) return { index, store: env.BOOKMARKS };
+  const values = new Map();
+  const store = {
+    get: async (key) => (values.has(key) ? values.get(key) : null),
+    put: async (key, value) => void values.set(key, value),
+    delete: async (key) => void values.delete(key),
+  };
+  const scanned = emptyIndex();
+  const bookmarks = await listBookmarks(env, userId);
+  await updateIndex(
+    store,
+    userId,
+    scanned,
+    bookmarks.map((next) => ({ previous: null, next }))
+  );
+  return { index: scanned, store };
+}
+
+async function findBookmarks(env, userId, tags) {
+  if (tags.length > 0 && (await readUserIndex(env, userId))) {
+    const lists = await Promise.all(
+      tags.map((tag) => readTagIds(env.BOOKMARKS, userId, tag))
+    );
+    lists.sort((a, b) => a.length - b.length);
+    const [smallest, ...rest] = lists;
+    const ids = smallest.filter((id) => rest.every((list) => list.includes(id)));
+    return getBookmarksByIds(env, userId, ids);
+  }
+  return listBookmarks(env, userId);
+}
+
+const TAG_REWRITE_BATCH = 100;
+
+async function tagRewriteResponse(env, userId, sources, target) {
+  const { index, store } = await readIndexOrScan(env, userId);
+  if (!sources.some((tag) => index.tags[tag])) {
+    return jsonResponse({ error: "tag not found" }, 404);
+  }
+  const result = await rewriteTags(env, userId, store, sources, target);
+  return jsonResponse({ ok: true, ...result });
+}
+
+// Replaces the `sources` tags with `target` (or drops them when `target` is
+// null) on every bookmark that has them. Each call rewrites at most
+// TAG_REWRITE_BATCH bookmarks to stay within the per-request KV operation
+// limit, so clients repeat the request until `done` is true.
+async function rewriteTags(env, userId, store, sources, target) {
+  const lists = await Promise.all(
+    sources.map((tag) => readTagIds(store, userId, tag))
+  );
+  const ids = Array.from(new Set(lists.flat()));
+  const batch = ids.slice(0, TAG_REWRITE_BATCH);
+  const now = new Date().toISOString();
+  const updates = [];
+
+  const changes = await Promise.all(
+    batch.map(async (id) => {
+      const bookmark = await getBookmark(env, userId, id);
+      const before = bookmark ? bookmark.tags : [];
+      const after = normalizeTags(
+        before.flatMap((tag) =>
+          sources.includes(tag) ? (target ? [target] : []) : [tag]
+        )
+      );
+      // Always drop the id from the source tag lists, even when the index
+      // was stale, so the next call makes progress.
+      const indexed = Array.from(new Set([...before, ...sources]));
+      if (!bookmark) {
+        return { previous: { id, tags: indexed }, next: { id, tags: after } };
+      }
+      const next = { ...bookmark, tags: after, updatedAt: now };
+      await env.BOOKMARKS.put(bookmarkKey(userId, id), JSON.stringify(next));
+      updates.push({ previous: bookmark, next });
+      return { previous: { ...bookmark, tags: indexed }, next };
+    })
+  );
+  await applyIndexChanges(env, userId, changes);
+  await recordHistory(env, userId, updates);
+
+  return {
+    processed: batch.length,
+    remaining: ids.length - batch.length,
+    done: ids.length <= TAG_REWRITE_BATCH,
+  };
+}
+
+function addToSetMap(map, key, value) {
+  if (!map.has(key)) map.set(key, new Set());
+  map.get(key).add(value);
+}
+
+async function applyIndexChanges(env, userId, changes) {
+  if (changes.length === 0) return;
+  await libraryIndexRequest(env, userId, "apply", { changes });
+}
+
+// Runs one REBUILD_BATCH step of an index rebuild, starting one when none is
+// in progress.
+async function rebuildIndexes(env, userId) {
+  return libraryIndexRequest(env, userId, "rebuild", {});
+}
+
+async function libraryIndexRequest(env, userId, action, body) {
+  if (!env.LIBRARY_INDEX) {
+    return runIndexAction(env, env.BOOKMARKS, userId, action, body);
+  }
+  const stub = env.LIBRARY_INDEX.get(env.LIBRARY_INDEX.idFromName(userId));
+  const params = new URLSearchParams({ user: userId });
+  const resp = await stub.fetch(`https://library-index/${action}?${params}`, {
+    method: "POST",
+    body: JSON.stringify(body),
+  });
+  return resp.json();
+}
+
+export class LibraryIndex {
+  constructor(state, env) {
+    const { storage } = state;
+    this.env = env;
+    // Keys this object has not written yet, such as indexes built before it
+    // existed, are read from KV.
+    this.store = {
+      async get(key) {
+        const value = await storage.get(key);
+        return value === undefined ? env.BOOKMARKS.get(key) : value;
+      },
+      async put(key, value) {
+        await storage.put(key, value);
+        await env.BOOKMARKS.put(key, value);
+      },
+      async delete(key) {
+        await storage.delete(key);
+        await env.BOOKMARKS.delete(key);
+      },
+    };
+    this.running = Promise.resolve();
+  }
+
+  // Input gates only hold requests back during storage calls, not while KV
+  // is awaited, so requests wait for the previous one explicitly.
+  async fetch(request) {
+    const { pathname, searchParams } = new URL(request.url);
+    const body = await request.json();
+    const result = this.running.then(() =>
+      runIndexAction(
+        this.env,
+        this.store,
+        searchParams.get("user"),
+        pathname.slice(1),
+        body
+      )
+    );
+    this.running = result.catch(() => {});
+    return jsonResponse(await result);
+  }
+}
+
+async function runIndexAction(env, store, userId, action, body) {
+  if (action === "apply") {
+    return applyToIndex(env, store, userId, body.changes);
+  }
+  if (action === "rebuild") return rebuildStep(env, store, userId);
+  if (action === "move") return moveInOrder(env, store, userId, body);
+  if (action === "rename") {
+    return renameInOrder(store, userId, new Map(body.renames));
+  }
+  throw new Error(`unknown index action: ${action}`);
+}
+
+// While a rebuild is running, only bookmarks the scan has passed are counted;
+// the scan picks up the rest when it reaches them.
+async function applyToIndex(env, store, userId, changes) {
+  await updateTimeOrder(env, userId, changes);
+  const deleted = changes.filter(({ previous, next }) => previous && !next);
+  if (deleted.length > 0) {
+    await dropFromOrder(
+      store,
+      userId,
+      new Set(deleted.map(({ previous }) => previous.id))
+    );
+  }
+  const index = await readStoredIndex(store, userId);
+  if (!index) return { ok: true };
+  const { rebuild } = index;
+  const scanned = rebuild
+    ? changes.filter(
+        ({ previous, next }) =>
+          bookmarkKey(userId, (next || previous).id) <= rebuild.lastKey
+      )
+    : changes;
+  // `updatedAt` moves on every change, counted or not: share pages are
+  // cached by it.
+  await updateIndex(store, userId, index, scanned);
+  index.updatedAt = new Date().toISOString();
+  await store.put(userIndexKey(userId), JSON.stringify(index));
+  return { ok: true };
+}
+
+// Rebuilds the index from the stored bookmarks, REBUILD_BATCH keys per call
+// from a list cursor kept in the index itself, so clients repeat the request
+// until `done` is true. Calling it once a rebuild is done starts a new one.
+async function rebuildStep(env, store, userId) {
+  let index = await readStoredIndex(store, userId);
+  if (!index || !index.rebuild) {
+    index = { ...emptyIndex(), rebuild: { cursor: null, lastKey: "" } };
+  }
+  const resp = await env.BOOKMARKS.list({
+    prefix: `user:${userId}:bookmark:`,
+    cursor: index.rebuild.cursor || undefined,
+    limit: REBUILD_BATCH,
+  });
+  const values = await Promise.all(
+    resp.keys.map((k) => env.BOOKMARKS.get(k.name))
+  );
+  const bookmarks = values.filter(Boolean).map((value) => JSON.parse(value));
+  const changes = bookmarks.map((next) => ({ previous: null, next }));
+  await updateIndex(store, userId, index, changes);
+  await updateTimeOrder(env, userId, changes);
+
+  if (resp.list_complete) {
+    delete index.rebuild;
+    const prefix = tagIndexPrefix(userId);
+    const stale = (await listKeyNames(env, prefix)).filter(
+      (name) => !index.tags[decodeURIComponent(name.slice(prefix.length))]
+    );
+    await Promise.all(stale.map((name) => store.delete(name)));
+  } else if (resp.keys.length > 0) {
+    index.rebuild = {
+      cursor: resp.cursor,
+      lastKey: resp.keys[resp.keys.length - 1].name,
+    };
+  }
+  index.updatedAt = new Date().toISOString();
+  await store.put(userIndexKey(userId), JSON.stringify(index));
+  return {
+    scanned: resp.keys.length,
+    done: resp.list_complete,
+    total: index.total,
+    tags: Object.keys(index.tags).length,
+  };
+}
+
+// Applies bookmark changes to `index` and writes the tag id lists they touch.
+// A tag without a count in the index has no list, whatever is still stored
+// under its key from before a rebuild. Returns false when nothing changed.
+async function updateIndex(store, userId, index, changes) {
+  const added = new Map();
+  const removed = new Map();
+  const counters = new Map();
+  let totalDelta = 0;
+  let bytesDelta = 0;
+
+  for (const { previous, next } of changes) {
+    const id = (next || previous).id;
+    const before = previous ? previous.tags : [];
+    const after = next ? next.tags : [];
+    if (!previous && next) totalDelta += 1;
+    if (previous && !next) totalDelta -= 1;
+    bytesDelta += storedBytes(next) - storedBytes(previous);
+    countStats(counters, previous, -1);
+    countStats(counters, next, 1);
+    for (const tag of before) {
+      if (!after.includes(tag)) addToSetMap(removed, tag, id);
+    }
+    for (const tag of after) {
+      if (!before.includes(tag)) addToSetMap(added, tag, id);
+    }
+  }
+
+  const touched = new Set([...added.keys(), ...removed.keys()]);
+  const counted = Array.from(counters.values()).some(Boolean);
+  if (touched.size === 0 && !totalDelta && !bytesDelta && !counted) {
+    return false;
+  }
+
+  await Promise.all(
+    Array.from(touched).map(async (tag) => {
+      const ids = new Set(
+        index.tags[tag] ? await readTagIds(store, userId, tag) : []
+      );
+      for (const id of removed.get(tag) || []) ids.delete(id);
+      for (const id of added.get(tag) || []) ids.add(id);
+      const key = tagIndexKey(userId, tag);
+      if (ids.size > 0) {
+        index.tags[tag] = ids.size;
+        await store.put(key, JSON.stringify(Array.from(ids)));
+      } else {
+        delete index.tags[tag];
+        await store.delete(key);
+      }
+    })
+  );
+
+  index.total = Math.max(0, index.total + totalDelta);
+  index.storageBytes = Math.max(0, index.storageBytes + bytesDelta);
+  applyStats(index, counters);
+  return true;
+}
+
+// Empty keys whose names sort like bookmarkSortKey, so the unfiltered added
+// and updated orders page through a KV list instead of every bookmark:
+//
+//   sorted:<userId>:added:<inverted createdAt>:<bookmarkId>
+//   sorted:<userId>:updated:<inverted updatedAt>:<inverted createdAt>:<id>
+//
+// Like history, they live outside `user:` so the link checker does not page
+// past them. They are kept whether or not the index is complete, but only
+// read once it is, since a rebuild is what writes them for older bookmarks.
+const TIME_ORDERS = ["added", "updated"];
+
+function timeOrderPrefix(userId, sort) {
+  return `sorted:${userId}:${sort}:`;
+}
+
+function timeOrderKey(userId, sort, bookmark) {
+  const inverted = (value) =>
+    String(MAX_TIMESTAMP - (Date.parse(value) || 0)).padStart(13, "0");
+  const added = inverted(bookmark.createdAt || bookmark.updatedAt);
+  const parts =
+    sort === "updated"
+      ? [inverted(bookmark.updatedAt || bookmark.createdAt), added]
+      : [added];
+  return timeOrderPrefix(userId, sort) + [...parts, bookmark.id].join(":");
+}
+
+async function updateTimeOrder(env, userId, changes) {
+  const names = (bookmark) =>
+    bookmark && bookmark.imageUrl
+      ? TIME_ORDERS.map((sort) => timeOrderKey(userId, sort, bookmark))
+      : [];
+  const puts = new Set();
+  const deletes = new Set();
+  for (const { previous, next } of changes) {
+    const before = names(previous);
+    const after = names(next);
+    for (const name of before) if (!after.includes(name)) deletes.add(name);
+    for (const name of after) if (!before.includes(name)) puts.add(name);
+  }
+  for (const name of puts) deletes.delete(name);
+  await Promise.all([
+    ...Array.from(puts, (name) => env.BOOKMARKS.put(name, "")),
+    ...Array.from(deletes, (name) => env.BOOKMARKS.delete(name)),
+  ]);
+}
+
+// One page of the unfiltered added or updated order: a KV list plus a read
+// per bookmark, however large the library. Cursors carry the list cursor
+// after LIST_CURSOR, then the sort key of the last item so a full-scan page
+// can take over. Keys whose bookmark has since changed or gone are skipped.
+// Returns null while the index is incomplete.
+const LIST_CURSOR = "list";
+
+async function timeOrderPage(env, userId, sort, limit, after) {
+  if (!(await readUserIndex(env, userId))) return null;
+  if (after && typeof after[1] !== "string") return { error: "invalid cursor" };
+  let resp;
+  try {
+    resp = await env.BOOKMARKS.list({
+      prefix: timeOrderPrefix(userId, sort),
+      cursor: after ? after[1] : undefined,
+      limit: Math.min(limit, MAX_PAGE_SIZE),
+    });
+  } catch {
+    return { error: "invalid cursor" };
+  }
+  const names = resp.keys.map((k) => k.name);
+  const bookmarks = await Promise.all(
+    names.map((name) =>
+      getBookmark(env, userId, name.slice(name.lastIndexOf(":") + 1))
+    )
+  );
+  const items = bookmarks.filter(
+    (bookmark, i) =>
+      bookmark && timeOrderKey(userId, sort, bookmark) === names[i]
+  );
+  const last = items[items.length - 1];
+  return {
+    items,
+    cursor: resp.list_complete
+      ? null
+      : encodeCursor([
+          LIST_CURSOR,
+          resp.cursor,
+          ...(last ? bookmarkSortKey(last, sort) : []),
+        ]),
+  };
+}
+
+// Counters kept in the user index for /api/stats: untagged and broken
+// bookmarks, bookmarks added per UTC day, and bookmarks per source domain.
+function emptyStats() {
+  return { untagged: 0, broken: 0, addedByDay: {}, domains: {} };
+}
+
+// Collects a bookmark's share of the stats counters into `counters` (keys like
+// "untagged" or "domains:example.com"), negated for the removed version.
+// The bare `{ id, tags }` records from tag rewrites are skipped.
+function countStats(counters, bookmark, sign) {
+  if (!bookmark || !bookmark.imageUrl) return;
+  const keys = [];
+  if (bookmark.tags.length === 0) keys.push("untagged");
+  if (bookmark.status === "broken") keys.push("broken");
+  if (bookmark.createdAt) {
+    keys.push(`addedByDay:${bookmark.createdAt.slice(0, 10)}`);
+  }
+  const domain = sourceDomain(bookmark);
+  if (domain) keys.push(`domains:${domain}`);
+  for (const key of keys) counters.set(key, (counters.get(key) || 0) + sign);
+}
+
+function applyStats(index, counters) {
+  for (const [key, delta] of counters) {
+    if (!delta) continue;
+    const [field, name] = key.split(/:(.*)/);
+    if (name === undefined) {
+      index[field] = Math.max(0, index[field] + delta);
+      continue;
+    }
+    const value = (index[field][name] || 0) + delta;
+    if (value > 0) {
+      index[field][name] = value;
+    } else {
+      delete index[field][name];
+    }
+  }
+}
+
+const STATS_TOP = 10;
+const STATS_PAIR_TAGS = 20;
+const STATS_PERIODS = { week: 26, month: 24 };
+
+// Everything except tag pairs comes from the counters in the user index.
+// Pairs intersect the id lists of the most used tags, which costs one KV read
+// per tag instead of a scan of every bookmark.
+async function libraryStats(env, userId, period) {
+  const { index, store } = await readIndexOrScan(env, userId);
+  const tags = topCounts(index.tags, STATS_PAIR_TAGS);
+  return {
+    totals: {
+      bookmarks: index.total,
+      tags: Object.keys(index.tags).length,
+      untagged: index.untagged,
+      broken: index.broken,
+      storageBytes: index.storageBytes,
+    },
+    added: { period, items: addedPerPeriod(index.addedByDay, period) },
+    topTags: tags
+      .slice(0, STATS_TOP)
+      .map(([tag, count]) => ({ tag, count })),
+    tagPairs: await tagPairs(store, userId, tags.map(([tag]) => tag)),
+    topDomains: topCounts(index.domains, STATS_TOP).map(([domain, count]) => ({
+      domain,
+      count,
+    })),
+    updatedAt: index.updatedAt,
+  };
+}
+
+function topCounts(counts, limit) {
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit);
+}
+
+// The last STATS_PERIODS[period] weeks (starting Monday, UTC) or months up to
+// the current one, oldest first, including empty ones.
+function addedPerPeriod(addedByDay, period, now = new Date()) {
+  const periodOf = (day) =>
+    period === "month" ? day.slice(0, 7) : weekStart(day);
+  const counts = new Map();
+  for (const [day, count] of Object.entries(addedByDay)) {
+    const key = periodOf(day);
+    counts.set(key, (counts.get(key) || 0) + count);
+  }
+  const items = [];
+  for (let back = STATS_PERIODS[period] - 1; back >= 0; back--) {
+    const start = periodsAgo(period, now, back);
+    items.push({ start, count: counts.get(start) || 0 });
+  }
+  return items;
+}
+
+function periodsAgo(period, now, back) {
+  if (period === "month") {
+    const year = now.getUTCFullYear();
+    const month = now.getUTCMonth() - back;
+    return new Date(Date.UTC(year, month, 1)).toISOString().slice(0, 7);
+  }
+  const monday = Date.parse(weekStart(now.toISOString().slice(0, 10)));
+  return new Date(monday - back * 7 * DAY_MS).toISOString().slice(0, 10);
+}
+
+function weekStart(day) {
+  const date = new Date(`${day}T00:00:00Z`);
+  const sinceMonday = (date.getUTCDay() + 6) % 7;
+  return new Date(date - sinceMonday * DAY_MS).toISOString().slice(0, 10);
+}
+
+async function tagPairs(store, userId, tags) {
+  const lists = await Promise.all(
+    tags.map(async (tag) => new Set(await readTagIds(store, userId, tag)))
+  );
+  const pairs = [];
+  for (let i = 0; i < tags.length; i++) {
+    for (let j = i + 1; j < tags.length; j++) {
+      let count = 0;
+      for (const id of lists[i]) if (lists[j].has(id)) count++;
+      if (count > 0) pairs.push({ tags: [tags[i], tags[j]], count });
+    }
+  }
+  pairs.sort(
+    (a, b) => b.count - a.count || a.tags.join().localeCompare(b.tags.join())
+  );
+  return pairs.slice(0, STATS_TOP);
+}
+
+// The page a bookmark was saved from, else the image host. Uploads without a
+// sourceUrl have no meaningful domain.
+function sourceDomain(bookmark) {
+  if (!bookmark.sourceUrl && bookmark.upload) return null;
+  try {
+    const { hostname } = new URL(bookmark.sourceUrl || bookmark.imageUrl);
+    return hostname.replace(/^www\./, "");
+  } catch {
+    return null;
+  }
+}
+
+// R2 bytes a bookmark holds: its upload or the original of its archive.
+// Thumbnails are not counted.
+function storedBytes(bookmark) {
+  if (!bookmark) return 0;
+  const upload = bookmark.upload ? bookmark.byteSize || 0 : 0;
+  const archive = bookmark.archive ? bookmark.archive.byteSize || 0 : 0;
+  return upload + archive;
+}
+
+// Per-user quotas, raised with the BOOKMARK_QUOTA and STORAGE_QUOTA_BYTES
+// variables. Bookmarks in the trash do not count.
+const BOOKMARK_QUOTA = 10000;
+const STORAGE_QUOTA_BYTES = 1024 * 1024 * 1024;
+
+function quotaLimits(env) {
+  return {
+    bookmarks: envNumber(env, "BOOKMARK_QUOTA", BOOKMARK_QUOTA),
+    storageBytes: envNumber(env, "STORAGE_QUOTA_BYTES", STORAGE_QUOTA_BYTES),
+  };
+}
+
+async function readUsage(env, userId) {
+  const { index } = await readIndexOrScan(env, userId);
+  return { bookmarks: index.total, storageBytes: index.storageBytes };
+}
+
+// Returns an error message when adding `bookmarks` bookmarks and `bytes`
+// stored bytes would go over the user's quota.
+async function checkQuota(env, userId, { bookmarks = 0, bytes = 0 }) {
+  const limits = quotaLimits(env);
+  const usage = await readUsage(env, userId);
+  if (bookmarks > 0 && usage.bookmarks + bookmarks > limits.bookmarks) {
+    return `bookmark quota reached (${limits.bookmarks} bookmarks)`;
+  }
+  if (bytes > 0 && usage.storageBytes + bytes > limits.storageBytes) {
+    return `storage quota reached (${formatMegabytes(limits.storageBytes)})`;
+  }
+  return null;
+}
+
+// Requests are counted in a Durable Object (`RATE_LIMITER`), one object per
+// user and kind of limit, in fixed windows. A single object sees every request
+// for its name in order, so counts stay exact under bursts and no KV write is
+// spent per request. Without the binding nothing is limited.
+const RATE_LIMIT = 600;
+const RATE_WINDOW_SECONDS = 60;
+
+async function consumeRateLimit(env, name, limit, windowSeconds) {
+  if (!env.RATE_LIMITER) return null;
+  const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(name));
+  const params = new URLSearchParams({ limit, window: windowSeconds });
+  const resp = await stub.fetch(`https://rate-limiter/consume?${params}`, {
+    method: "POST",
+  });
+  return resp.json();
+}
+
+export class RateLimiter {
+  constructor(state) {
+    this.storage = state.storage;
+  }
+
+  async fetch(request) {
+    const { searchParams } = new URL(request.url);
+    const limit = Number(searchParams.get("limit"));
+    const seconds = Number(searchParams.get("window"));
+    const now = Math.floor(Date.now() / 1000);
+    const window = Math.floor(now / seconds);
+    const reset = (window + 1) * seconds - now;
+    const stored = await this.storage.get("counter");
+    const used = stored && stored.window === window ? stored.count : 0;
+    if (used >= limit) {
+      return jsonResponse({ limit, remaining: 0, reset, limited: true });
+    }
+    await this.storage.put("counter", { window, count: used + 1 });
+    return jsonResponse({
+      limit,
+      remaining: limit - used - 1,
+      reset,
+      limited: false,
+    });
+  }
+}
+
+function withRateLimitHeaders(response, rate) {
+  const headers = new Headers(response.headers);
+  headers.set("x-ratelimit-limit", String(rate.limit));
+  headers.set("x-ratelimit-remaining", String(rate.remaining));
+  headers.set("x-ratelimit-reset", String(rate.reset));
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  });
+}
+
+const MAX_PAGE_SIZE = 200;
+
+// The manual order is a list of bookmark ids at `user:<id>:order`. Bookmarks
+// not in it sort first, newest first, so new saves show up at the top. Like
+// the index it is written by the `LIBRARY_INDEX` object, which drops the ids
+// of deleted bookmarks, so concurrent moves cannot overwrite each other.
+function manualOrderKey(userId) {
+  return `user:${userId}:order`;
+}
+
+async function readManualOrder(store, userId) {
+  const value = await store.get(manualOrderKey(userId));
+  return value ? JSON.parse(value) : [];
+}
+
+async function readManualPositions(env, userId) {
+  const order = await readManualOrder(env.BOOKMARKS, userId);
+  return new Map(order.map((id, position) => [id, position]));
+}
+
+async function moveInManualOrder(env, userId, id, anchorId, placement) {
+  const [bookmark, anchor] = await Promise.all([
+    getBookmark(env, userId, id),
+    id === anchorId ? null : getBookmark(env, userId, anchorId),
+  ]);
+  if (!bookmark) return { error: "bookmark not found" };
+  if (!anchor) return { error: `${placement} bookmark not found` };
+  return libraryIndexRequest(env, userId, "move", {
+    id,
+    anchorId,
+    placement,
+  });
+}
+
+async function renameInManualOrder(env, userId, renames) {
+  if (renames.size === 0) return;
+  await libraryIndexRequest(env, userId, "rename", {
+    renames: Array.from(renames),
+  });
+}
+
+// Splices `id` in next to `anchorId`. An anchor that has no position yet is
+// placed first, together with the unplaced bookmarks below it, so the rest
+// of the grid stays where it was.
+async function moveInOrder(env, store, userId, { id, anchorId, placement }) {
+  const order = await readManualOrder(store, userId);
+  let ids = order;
+  if (!order.includes(anchorId)) {
+    const below = await unplacedFrom(env, store, userId, order, anchorId);
+    if (!below) return { error: `${placement} bookmark not found` };
+    ids = [...below, ...order];
+  }
+  const rest = ids.filter((other) => other !== id);
+  const anchor = rest.indexOf(anchorId);
+  rest.splice(placement === "after" ? anchor + 1 : anchor, 0, id);
+  await store.put(manualOrderKey(userId), JSON.stringify(rest));
+  return { ok: true };
+}
+
+// `anchorId` and the unplaced ids that sort after it, in the order the grid
+// shows them. They are read from the time-ordered keys, one KV list per 1000
+// bookmarks and no bookmark reads; while the index is being rebuilt those
+// may be incomplete, so the library is scanned instead.
+async function unplacedFrom(env, store, userId, order, anchorId) {
+  const placed = new Set(order);
+  let ids = [];
+  const index = await readStoredIndex(store, userId);
+  if (!index || index.rebuild) {
+    const bookmarks = await listBookmarks(env, userId);
+    ids = sortBookmarkList(bookmarks, "added").map((bookmark) => bookmark.id);
+  } else {
+    const prefix = timeOrderPrefix(userId, "added");
+    for (const name of await listKeyNames(env, prefix)) {
+      ids.push(name.slice(name.lastIndexOf(":") + 1));
+    }
+  }
+  const unplaced = ids.filter((id) => !placed.has(id));
+  const start = unplaced.indexOf(anchorId);
+  return start < 0 ? null : unplaced.slice(start);
+}
+
+async function renameInOrder(store, userId, renames) {
+  const order = await readManualOrder(store, userId);
+  if (order.some((id) => renames.has(id))) {
+    await store.put(
+      manualOrderKey(userId),
+      JSON.stringify(uniqueIds(order.map((id) => renames.get(id) || id)))
+    );
+  }
+  return { ok: true };
+}
+
+async function dropFromOrder(store, userId, ids) {
+  const order = await readManualOrder(store, userId);
+  const rest = order.filter((id) => !ids.has(id));
+  if (rest.length < order.length) {
+    await store.put(manualOrderKey(userId), JSON.stringify(rest));
+  }
+}
+
+const SORT_MODES = ["added", "updated", "domain", "tags", "size", "manual"];
+
+// bookmarkSortKey, compareSortKeys and sortBookmarkList are also injected
+// into app.js, so the grid orders cards exactly like the API. They may only
+// reference each other. `positions` maps bookmark ids to their place in the
+// manual order; bookmarks without one come first, newest first.
+function bookmarkSortKey(bookmark, sort = "added", positions = new Map()) {
+  const time = (value) => Date.parse(value) || 0;
+  const added = -time(bookmark.createdAt || bookmark.updatedAt);
+  const { id } = bookmark;
+  switch (sort) {
+    case "updated":
+      return [-time(bookmark.updatedAt || bookmark.createdAt), added, id];
+    case "domain": {
+      let host = "";
+      try {
+        host = new URL(bookmark.imageUrl).hostname.replace(/^www\./, "");
+      } catch {}
+      return [host, added, id];
+    }
+    case "tags":
+      return [-(bookmark.tags || []).length, added, id];
+    case "size":
+      return [-((bookmark.width || 0) * (bookmark.height || 0)), added, id];
+    case "manual":
+      return positions.has(id) ? [1, positions.get(id), id] : [0, added, id];
+    default:
+      return [added, id];
+  }
+}
+
+function sortBookmarkList(bookmarks, sort, positions) {
+  return bookmarks
+    .map((bookmark) => ({
+      bookmark,
+      key: bookmarkSortKey(bookmark, sort, positions),
+    }))
+    .sort((a, b) => compareSortKeys(a.key, b.key))
+    .map(({ bookmark }) => bookmark);
+}
+
+function compareSortKeys(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] < b[i]) return -1;
+    if (a[i] > b[i]) return 1;
+  }
+  return 0;
+}
+
+function encodeCursor(key) {
+  return btoa(JSON.stringify(key))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const key = JSON.parse(atob(cursor.replace(/-/g, "+").replace(/_/g, "/")));
+    return Array.isArray(key) ? key : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+// Cursors hold the sort key of the last item returned, so a page boundary
+// stays put when bookmarks are added or removed between requests.
+function paginate(sorted, limit, after, sort, positions) {
+  const key = (bookmark) => bookmarkSortKey(bookmark, sort, positions);
+  const start = after
+    ? sorted.findIndex((b) => compareSortKeys(key(b), after) > 0)
+    : 0;
+  const rest = start < 0 ? [] : sorted.slice(start);
+  if (limit === null) return { items: rest, cursor: null };
+
+  const items = rest.slice(0, Math.min(limit, MAX_PAGE_SIZE));
+  const hasMore = rest.length > items.length;
+  return {
+    items,
+    cursor: hasMore ? encodeCursor(key(items[items.length - 1])) : null,
+  };
+}
+
+const ORIENTATIONS = ["landscape", "portrait", "square"];
+
+function imageOrientation(bookmark) {
+  if (!bookmark.width || !bookmark.height) return null;
+  if (bookmark.width > bookmark.height) return "landscape";
+  if (bookmark.width < bookmark.height) return "portrait";
+  return "square";
+}
+
+// Parses the search box grammar into a tree for `matchesQuery`:
+//
+//   cats OR dogs -nsfw site:imgur.com added:>2026-01-01 untagged
+//
+// Terms are ANDed unless joined by OR; `-term` and NOT negate, parentheses
+// group, and "quoted phrases" match literally. Throws a SyntaxError with a
+// `position` (0-based) when the query does not parse. An empty query returns
+// null, which matches everything.
+//
+// This function and `matchesQuery` are also sent to the browser through
+// `toString()`, so they must not reference anything outside themselves.
+function parseQuery(input) {
+  const fields = [
+    "tag",
+    "site",
+    "added",
+    "updated",
+    "is",
+    "orientation",
+    "title",
+    "notes",
+    "url",
+  ];
+  const fail = (message, position) => {
+    const error = new SyntaxError(
+      message + " at position " + (position + 1)
+    );
+    error.position = position;
+    throw error;
+  };
+
+  const dateBounds = (text) => {
+    const match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(text);
+    if (!match) return null;
+    const year = Number(match[1]);
+    const month = match[2] ? Number(match[2]) - 1 : 0;
+    const day = match[3] ? Number(match[3]) : 1;
+    if (month > 11 || day < 1 || day > 31) return null;
+    const start = Date.UTC(year, month, day);
+    let end = Date.UTC(year + 1, 0, 1);
+    if (match[3]) end = Date.UTC(year, month, day + 1);
+    else if (match[2]) end = Date.UTC(year, month + 1, 1);
+    return [start, end];
+  };
+
+  const dateRange = (value) => {
+    if (value.includes("..")) {
+      const [fromText, toText] = value.split("..");
+      const from = fromText ? dateBounds(fromText) : [-Infinity, -Infinity];
+      const to = toText ? dateBounds(toText) : [Infinity, Infinity];
+      return from && to ? { from: from[0], to: to[1] } : null;
+    }
+    const [, op, text] = /^(>=|<=|>|<)?(.*)$/.exec(value);
+    const bounds = dateBounds(text);
+    if (!bounds) return null;
+    if (op === ">") return { from: bounds[1], to: Infinity };
+    if (op === ">=") return { from: bounds[0], to: Infinity };
+    if (op === "<") return { from: -Infinity, to: bounds[0] };
+    if (op === "<=") return { from: -Infinity, to: bounds[1] };
+    return { from: bounds[0], to: bounds[1] };
+  };
+
+  const tokens = [];
+  let i = 0;
+  while (i < input.length) {
+    const ch = input[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    if (ch === "(" || ch === ")") {
+      tokens.push({ type: ch, position: i });
+      i++;
+      continue;
+    }
+
+    const position = i;
+    let negated = false;
+    if (ch === "-" && i + 1 < input.length && !/[\s()]/.test(input[i + 1])) {
+      negated = true;
+      i++;
+    }
+    let field = null;
+    const fieldMatch = /^([a-zA-Z]+):/.exec(input.slice(i));
+    if (fieldMatch && fields.includes(fieldMatch[1].toLowerCase())) {
+      field = fieldMatch[1].toLowerCase();
+      i += fieldMatch[0].length;
+    }
+    let value = "";
+    let quoted = false;
+    if (input[i] === '"') {
+      const end = input.indexOf('"', i + 1);
+      if (end < 0) fail("Unclosed quote", i);
+      value = input.slice(i + 1, end);
+      quoted = true;
+      i = end + 1;
+    } else {
+      while (i < input.length && !/[\s()]/.test(input[i])) value += input[i++];
+    }
+
+    if (field && !value) fail('Missing value after "' + field + ':"', position);
+    if (!field && !quoted) {
+      const unknown = /^([a-zA-Z]+):(?!\/\/)/.exec(value);
+      if (unknown) {
+        fail(
+          'Unknown field "' +
+            unknown[1] +
+            ':" (use ' +
+            fields.map((name) => name + ":").join(", ") +
+            ")",
+          position
+        );
+      }
+      if (!negated && (value === "OR" || value === "AND" || value === "NOT")) {
+        tokens.push({ type: value, position });
+        continue;
+      }
+    }
+    tokens.push({ type: "term", field, value, quoted, negated, position });
+  }
+
+  const buildTerm = (token) => {
+    const value = token.value.toLowerCase();
+    switch (token.field) {
+      case null:
+        if (value === "untagged" && !token.quoted) {
+          return { type: "is", value };
+        }
+        return { type: "text", value };
+      case "tag":
+        return { type: "tag", value };
+      case "site":
+        return { type: "site", value: value.replace(/^www\./, "") };
+      case "is":
+        if (!["broken", "untagged", "archived"].includes(value)) {
+          fail('"is:" must be broken, untagged or archived', token.position);
+        }
+        return { type: "is", value };
+      case "orientation":
+        if (!["landscape", "portrait", "square"].includes(value)) {
+          fail(
+            '"orientation:" must be landscape, portrait or square',
+            token.position
+          );
+        }
+        return { type: "orientation", value };
+      case "added":
+      case "updated": {
+        const range = dateRange(value);
+        if (!range) {
+          fail(
+            'Invalid date for "' +
+              token.field +
+              ':" (use YYYY, YYYY-MM or YYYY-MM-DD with >, >=, <, <= or a..b)',
+            token.position
+          );
+        }
+        return { type: "date", field: token.field, ...range };
+      }
+      default:
+        return { type: "field", field: token.field, value };
+    }
+  };
+
+  let next = 0;
+  const peek = () => tokens[next];
+  const endPosition = () => (peek() ? peek().position : input.length);
+
+  const parseAnd = () => {
+    const children = [];
+    while (peek() && peek().type !== ")") {
+      if (peek().type === "AND") {
+        next++;
+        continue;
+      }
+      children.push(parseOr());
+    }
+    if (children.length === 0) fail("Expected a search term", endPosition());
+    return children.length === 1 ? children[0] : { type: "and", children };
+  };
+
+  // OR binds tighter than the implicit AND, so `a OR b -c` is `(a OR b) -c`.
+  const parseOr = () => {
+    const children = [parseUnary()];
+    while (peek() && peek().type === "OR") {
+      const operator = peek();
+      next++;
+      if (!peek() || ["OR", "AND", ")"].includes(peek().type)) {
+        fail('Expected a search term after "OR"', operator.position);
+      }
+      children.push(parseUnary());
+    }
+    return children.length === 1 ? children[0] : { type: "or", children };
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (token.type === "OR") {
+      fail('Expected a search term before "OR"', token.position);
+    }
+    if (token.type === "NOT") {
+      next++;
+      if (!peek() || ["OR", "AND", ")"].includes(peek().type)) {
+        fail('Expected a search term after "NOT"', token.position);
+      }
+      return { type: "not", child: parseUnary() };
+    }
+    if (token.type === "(") {
+      next++;
+      const inner = parseAnd();
+      if (!peek() || peek().type !== ")") {
+        fail("Missing closing parenthesis", token.position);
+      }
+      next++;
+      return inner;
+    }
+    next++;
+    const node = buildTerm(token);
+    return token.negated ? { type: "not", child: node } : node;
+  };
+
+  if (tokens.length === 0) return null;
+  const tree = parseAnd();
+  if (peek()) fail('Unexpected "' + peek().type + '"', peek().position);
+  return tree;
+}
+
+function matchesQuery(node, bookmark) {
+  if (!node) return true;
+  const tags = bookmark.tags || [];
+  const lower = (value) => (value || "").toLowerCase();
+  switch (node.type) {
+    case "and":
+      return node.children.every((child) => matchesQuery(child, bookmark));
+    case "or":
+      return node.children.some((child) => matchesQuery(child, bookmark));
+    case "not":
+      return !matchesQuery(node.child, bookmark);
+    case "text":
+      return (
+        tags.some((tag) => tag.includes(node.value)) ||
+        [bookmark.imageUrl, bookmark.title, bookmark.notes, bookmark.sourceUrl]
+          .some((value) => lower(value).includes(node.value))
+      );
+    case "tag":
+      return node.value.endsWith("*")
+        ? tags.some((tag) => tag.startsWith(node.value.slice(0, -1)))
+        : tags.includes(node.value);
+    case "field": {
+      const values = {
+        title: bookmark.title,
+        notes: bookmark.notes,
+        url: bookmark.imageUrl,
+      };
+      return lower(values[node.field]).includes(node.value);
+    }
+    case "site":
+      return [bookmark.imageUrl, bookmark.sourceUrl].some((value) => {
+        try {
+          const host = new URL(value).hostname.replace(/^www\./, "");
+          return host === node.value || host.endsWith("." + node.value);
+        } catch {
+          return false;
+        }
+      });
+    case "is":
+      if (node.value === "broken") return bookmark.status === "broken";
+      if (node.value === "archived") return Boolean(bookmark.archive);
+      return tags.length === 0;
+    case "orientation": {
+      const { width, height } = bookmark;
+      if (!width || !height) return false;
+      if (node.value === "square") return width === height;
+      return node.value === "landscape" ? width > height : width < height;
+    }
+    case "date": {
+      const stamp =
+        node.field === "added"
+          ? bookmark.createdAt
+          : bookmark.updatedAt || bookmark.createdAt;
+      const time = Date.parse(stamp);
+      return time >= node.from && time < node.to;
+    }
+  }
+  return false;
+}
+
+// Returns `{ query }` or `{ error }` with the body for a 400 response.
+function readQuery(text) {
+  try {
+    return { query: parseQuery(text || "") };
+  } catch (err) {
+    if (!(err instanceof SyntaxError)) throw err;
+    return {
+      error: { error: `invalid query: ${err.message}`, position: err.position },
+    };
+  }
+}
+
+// Tags every match must carry, so the tag index can narrow the candidates.
+function requiredQueryTags(node) {
+  if (!node) return [];
+  if (node.type === "tag" && !node.value.endsWith("*")) return [node.value];
+  if (node.type === "and") return node.children.flatMap(requiredQueryTags);
+  return [];
+}
+
+const PROBE_BYTES = 64 * 1024;
+const PROBE_TIMEOUT_MS = 10 * 1000;
+
+// Fetches the start of the image to confirm it is one and to read its
+// dimensions from the file header. Returns `{ metadata }` or `{ error }`.
+async function probeImage(imageUrl) {
+  let parsed;
+  try {
+    parsed = new URL(imageUrl);
+  } catch {
+    return { error: "imageUrl must be a valid URL" };
+  }
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    return { error: "imageUrl must be an http(s) URL" };
+  }
+
+  let resp;
+  try {
+    resp = await fetch(parsed.toString(), {
+      headers: { accept: "image/*", range: `bytes=0-${PROBE_BYTES - 1}` },
+      redirect: "follow",
+      signal: AbortSignal.timeout(PROBE_TIMEOUT_MS),
+    });
+  } catch (err) {
+    return { error: probeFetchError(err) };
+  }
+  if (!resp.ok) {
+    if (resp.body) await resp.body.cancel();
+    return { error: `image URL responded with HTTP ${resp.status}` };
+  }
+
+  const contentType = (resp.headers.get("content-type") || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+  if (!contentType.startsWith("image/")) {
+    if (resp.body) await resp.body.cancel();
+    return {
+      error: `URL does not point to an image (content type: ${
+        contentType || "unknown"
+      })`,
+    };
+  }
+
+  let bytes;
+  try {
+    bytes = await readPrefix(resp.body, PROBE_BYTES);
+  } catch (err) {
+    return { error: probeFetchError(err) };
+  }
+  const dimensions = imageDimensions(bytes);
+  const byteSize = responseByteSize(resp);
+  const metadata = { contentType };
+  if (byteSize) metadata.byteSize = byteSize;
+  if (byteSize && bytes.byteLength === byteSize) {
+    metadata.contentHash = await sha256Hex(bytes);
+  }
+  if (dimensions) {
+    metadata.width = dimensions.width;
+    metadata.height = dimensions.height;
+  }
+  return { metadata };
+}
+
+// The timeout covers reading the body too, so a server that trickles bytes
+// fails the same way as one that never answers.
+function probeFetchError(err) {
+  if (err.name === "TimeoutError") return "image URL did not respond in time";
+  return `could not fetch image: ${err.message}`;
+}
+
+// Reads at most `maxBytes` from the start of the stream and cancels the
+// rest, for servers that ignore the Range header.
+async function readPrefix(stream, maxBytes) {
+  if (!stream) return new Uint8Array(0);
+  const reader = stream.getReader();
+  const chunks = [];
+  let length = 0;
+  while (length < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    length += value.byteLength;
+  }
+  await reader.cancel();
+
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return bytes.subarray(0, maxBytes);
+}
+
+const PAGE_SCAN_BYTES = 512 * 1024;
+const PAGE_FETCH_TIMEOUT_MS = 10 * 1000;
+const PAGE_IMAGE_LIMIT = 24;
+
+// Lists the images a web page most likely wants to share: og:image and
+// twitter:image first, then <img> sources, resolved against the page URL.
+async function findPageImages(pageUrl) {
+  let resp;
+  try {
+    resp = await fetch(pageUrl, {
+      headers: { accept: "text/html" },
+      redirect: "follow",
+      signal: AbortSignal.timeout(PAGE_FETCH_TIMEOUT_MS),
+    });
+  } catch {
+    return [];
+  }
+  const contentType = resp.headers.get("content-type") || "";
+  if (!resp.ok || !contentType.includes("html")) {
+    if (resp.body) await resp.body.cancel();
+    return [];
+  }
+
+  let html;
+  try {
+    html = new TextDecoder().decode(
+      await readPrefix(resp.body, PAGE_SCAN_BYTES)
+    );
+  } catch {
+    return [];
+  }
+  const base = resp.url || pageUrl;
+  const images = new Set();
+  const add = (value) => {
+    const absolute = value ? resolveUrl(unescapeHtml(value), base) : null;
+    if (absolute && isHttpUrl(absolute)) images.add(absolute);
+  };
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const attrs = htmlAttributes(tag);
+    const name = attrs.property || attrs.name || "";
+    if (/^(og:image(:url|:secure_url)?|twitter:image(:src)?)$/i.test(name)) {
+      add(attrs.content);
+    }
+  }
+  for (const [tag] of html.matchAll(/<img\b[^>]*>/gi)) {
+    add(htmlAttributes(tag).src);
+  }
+  return Array.from(images).slice(0, PAGE_IMAGE_LIMIT);
+}
+
+function htmlAttributes(tag) {
+  const attrs = {};
+  for (const [, name, ...values] of tag.matchAll(
+    /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g
+  )) {
+    attrs[name.toLowerCase()] = values.find((value) => value !== undefined);
+  }
+  return attrs;
+}
+
+function resolveUrl(value, base) {
+  try {
+    return new URL(value, base).href;
+  } catch {
+    return null;
+  }
+}
+
+function responseByteSize(resp) {
+  const range = resp.headers.get("content-range") || "";
+  const total = range.match(/\/(\d+)$/);
+  if (total) return Number(total[1]);
+  const length = Number(resp.headers.get("content-length"));
+  return resp.status === 200 && length > 0 ? length : null;
+}
+
+function imageDimensions(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const ascii = (start, length) =>
+    String.fromCharCode(...bytes.subarray(start, start + length));
+
+  if (bytes.length >= 24 && ascii(1, 3) === "PNG" && ascii(12, 4) === "IHDR") {
+    return { width: view.getUint32(16), height: view.getUint32(20) };
+  }
+
+  if (bytes.length >= 10 && ascii(0, 3) === "GIF") {
+    return { width: view.getUint16(6, true), height: view.getUint16(8, true) };
+  }
+
+  if (bytes.length >= 30 && ascii(0, 4) === "RIFF" && ascii(8, 4) === "WEBP") {
+    const chunk = ascii(12, 4);
+    if (chunk === "VP8 ") {
+      return {
+        width: view.getUint16(26, true) & 0x3fff,
+        height: view.getUint16(28, true) & 0x3fff,
+      };
+    }
+    if (chunk === "VP8L") {
+      const bits = view.getUint32(21, true);
+      return {
+        width: (bits & 0x3fff) + 1,
+        height: ((bits >> 14) & 0x3fff) + 1,
+      };
+    }
+    if (chunk === "VP8X") {
+      const uint24 = (at) =>
+        bytes[at] | (bytes[at + 1] << 8) | (bytes[at + 2] << 16);
+      return { width: uint24(24) + 1, height: uint24(27) + 1 };
+    }
+    return null;
+  }
+
+  if (bytes.length >= 4 && bytes[0] === 0xff && bytes[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < bytes.length) {
+      if (bytes[offset] !== 0xff) return null;
+      const marker = bytes[offset + 1];
+      if (marker === 0xff) {
+        offset += 1;
+        continue;
+      }
+      const standalone =
+        marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7);
+      if (standalone) {
+        offset += 2;
+        continue;
+      }
+      const isFrame =
+        marker >= 0xc0 &&
+        marker <= 0xcf &&
+        marker !== 0xc4 &&
+        marker !== 0xc8 &&
+        marker !== 0xcc;
+      if (isFrame) {
+        return {
+          width: view.getUint16(offset + 7),
+          height: view.getUint16(offset + 5),
+        };
+      }
+      offset += 2 + view.getUint16(offset + 2);
+    }
+  }
+
+  return null;
+}
+
+const LINK_CHECK_STATE_KEY = "jobs:link-check";
+const LINK_CHECK_BUDGET = 500;
+const LINK_CHECK_PAGE = 1000;
+const LINK_CHECK_CONCURRENCY = 25;
+// Most KV operations and fetches one listed key can cost: a get, a HEAD and
+// a ranged GET, a put, and an index read and write for its user.
+const LINK_CHECK_COST = 6;
+const LINK_CHECK_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const LINK_CHECK_TIMEOUT_MS = 5 * 1000;
+const LINK_BROKEN_AFTER = 2;
+
+// Each cron run pages through `user:` keys from the saved KV list cursor and
+// checks the bookmarks it finds, until it has spent its budget of KV
+// operations and fetches (`LINK_CHECK_BUDGET`, kept below the per-invocation
+// limits) or reached the end, where the next run starts over.
+async function checkLinks(env) {
+  const state = JSON.parse(
+    (await env.BOOKMARKS.get(LINK_CHECK_STATE_KEY)) || "{}"
+  );
+  const now = Date.now();
+  // The state read and write come out of the budget too.
+  let budget = envNumber(env, "LINK_CHECK_BUDGET", LINK_CHECK_BUDGET) - 2;
+  let cursor = state.cursor || undefined;
+  let complete = false;
+  while (!complete && budget > LINK_CHECK_COST) {
+    const pageSize = Math.floor((budget - 1) / LINK_CHECK_COST);
+    const resp = await env.BOOKMARKS.list({
+      prefix: "user:",
+      cursor,
+      limit: Math.min(LINK_CHECK_PAGE, pageSize),
+    });
+    budget -= 1 + (await checkLinkPage(env, resp.keys, now));
+    cursor = resp.cursor;
+    complete = resp.list_complete;
+  }
+
+  await env.BOOKMARKS.put(
+    LINK_CHECK_STATE_KEY,
+    JSON.stringify({
+      cursor: complete ? null : cursor,
+      updatedAt: new Date(now).toISOString(),
+    })
+  );
+}
+
+// Checks the bookmarks among `keys` that are due and returns the number of
+// KV operations and fetches it used.
+async function checkLinkPage(env, keys, now) {
+  const bookmarkKeys = keys
+    .map(({ name }) => name.match(/^user:([^:]+):bookmark:([0-9a-f]{64})$/))
+    .filter(Boolean);
+  const changesByUser = new Map();
+  let used = 0;
+
+  for (let i = 0; i < bookmarkKeys.length; i += LINK_CHECK_CONCURRENCY) {
+    const chunk = bookmarkKeys.slice(i, i + LINK_CHECK_CONCURRENCY);
+    await Promise.all(
+      chunk.map(async ([, userId, id]) => {
+        used += 1;
+        const previous = await getBookmark(env, userId, id);
+        if (!previous || previous.upload) return;
+        const lastChecked = Date.parse(previous.lastCheckedAt) || 0;
+        if (now - lastChecked < LINK_CHECK_INTERVAL_MS) return;
+
+        used += 3;
+        const reachable = await isLinkReachable(previous.imageUrl);
+        const failureCount = reachable ? 0 : (previous.failureCount || 0) + 1;
+        const next = {
+          ...previous,
+          lastCheckedAt: new Date(now).toISOString(),
+          status: failureCount >= LINK_BROKEN_AFTER ? "broken" : "ok",
+          failureCount,
+        };
+        await env.BOOKMARKS.put(bookmarkKey(userId, id), JSON.stringify(next));
+        if (!changesByUser.has(userId)) changesByUser.set(userId, []);
+        changesByUser.get(userId).push({ previous, next });
+      })
+    );
+  }
+  // One index update per user: parallel read-modify-writes of the same
+  // `user:<id>:index` would drop each other's counter changes.
+  for (const [userId, changes] of changesByUser) {
+    used += 2;
+    await applyIndexChanges(env, userId, changes);
+  }
+  return used;
+}
+
+// A host that does not answer within LINK_CHECK_TIMEOUT_MS counts as a
+// failure, so one slow host cannot hold up the rest of the cron run.
+async function isLinkReachable(imageUrl) {
+  try {
+    const head = await fetch(imageUrl, {
+      method: "HEAD",
+      redirect: "follow",
+      signal: AbortSignal.timeout(LINK_CHECK_TIMEOUT_MS),
+    });
+    if (head.body) await head.body.cancel();
+    if (head.ok) return true;
+    if (head.status === 404 || head.status === 410) return false;
+
+    const get = await fetch(imageUrl, {
+      headers: { range: "bytes=0-0" },
+      redirect: "follow",
+      signal: AbortSignal.timeout(LINK_CHECK_TIMEOUT_MS),
+    });
+    if (get.body) await get.body.cancel();
+    return get.ok;
+  } catch {
+    return false;
+  }
+}
+
+const ARCHIVE_MAX_BYTES = 25 * 1024 * 1024;
+// Archiving runs inside the save request, so a slow host must not hold it
+// open. Applies to each of the two fetches, body included.
+const ARCHIVE_TIMEOUT_MS = 15 * 1000;
+const THUMBNAIL_SIZE = 480;
+
+function archiveEnabled(env, meta) {
+  return !!env.IMAGES && !!(meta && meta.settings && meta.settings.archive);
+}
+
+function settingsResponse(env, meta, index) {
+  const rules = canonicalRules(meta);
+  return {
+    archive: archiveEnabled(env, meta),
+    archiveAvailable: !!env.IMAGES,
+    canonicalization: rules,
+    canonicalizationPending:
+      meta.canonicalizedWith !== canonicalRulesKey(rules),
+    indexPending: !index,
+  };
+}
+
+function archiveKey(userId, bookmarkId, variant) {
+  return `archive/${userId}/${bookmarkId}/${variant}`;
+}
+
+// Stores the original bytes in R2 plus a thumbnail made with Cloudflare
+// Image Resizing. When resizing is unavailable the thumbnail is skipped and
+// /api/image serves the original for both variants.
+async function archiveImage(env, userId, bookmark) {
+  let resp;
+  try {
+    resp = await fetch(bookmark.imageUrl, {
+      headers: { accept: "image/*" },
+      signal: AbortSignal.timeout(ARCHIVE_TIMEOUT_MS),
+    });
+  } catch (err) {
+    return { error: probeFetchError(err) };
+  }
+  const contentType = (resp.headers.get("content-type") || "").split(";")[0];
+  if (!resp.ok || !contentType.startsWith("image/")) {
+    if (resp.body) await resp.body.cancel();
+    return {
+      error: resp.ok
+        ? "URL no longer serves an image"
+        : `image URL responded with HTTP ${resp.status}`,
+    };
+  }
+
+  let bytes;
+  try {
+    bytes = await readPrefix(resp.body, ARCHIVE_MAX_BYTES + 1);
+  } catch (err) {
+    return { error: probeFetchError(err) };
+  }
+  if (bytes.byteLength > ARCHIVE_MAX_BYTES) {
+    return { error: "image is too large to archive" };
+  }
+  // The probed size is only a hint (origins may omit or misstate it), so the
+  // quota is checked again against the bytes actually downloaded.
+  const quotaError = await checkQuota(env, userId, {
+    bytes: bytes.byteLength,
+  });
+  if (quotaError) return { error: quotaError, code: "quota_exceeded" };
+
+  const originalKey = archiveKey(userId, bookmark.id, "original");
+  await env.IMAGES.put(originalKey, bytes, {
+    httpMetadata: { contentType },
+  });
+
+  let thumbnailKey = null;
+  try {
+    const thumb = await fetch(bookmark.imageUrl, {
+      cf: {
+        image: {
+          width: THUMBNAIL_SIZE,
+          height: THUMBNAIL_SIZE,
+          fit: "scale-down",
+        },
+      },
+      signal: AbortSignal.timeout(ARCHIVE_TIMEOUT_MS),
+    });
+    const thumbType = (thumb.headers.get("content-type") || "").split(";")[0];
+    if (thumb.ok && thumbType.startsWith("image/") && wasResized(thumb)) {
+      const thumbBytes = await readPrefix(thumb.body, bytes.byteLength);
+      if (thumbBytes.byteLength < bytes.byteLength) {
+        thumbnailKey = archiveKey(userId, bookmark.id, "thumb");
+        await env.IMAGES.put(thumbnailKey, thumbBytes, {
+          httpMetadata: { contentType: thumbType },
+        });
+      }
+    } else if (thumb.body) {
+      await thumb.body.cancel();
+    }
+  } catch {
+    thumbnailKey = null;
+  }
+
+  return {
+    archive: {
+      originalKey,
+      thumbnailKey,
+      contentType,
+      byteSize: bytes.byteLength,
+      contentHash: await sha256Hex(bytes),
+      archivedAt: new Date().toISOString(),
+    },
+  };
+}
+
+// Image Resizing marks its output with `cf-resized`, and with `err=` when it
+// gave up. Without the header the zone has no resizing, and the response is
+// the original again, so it is dropped before the body is read.
+function wasResized(resp) {
+  const resized = resp.headers.get("cf-resized");
+  return !!resized && !resized.includes("err=");
+}
+
+async function deleteArchive(env, bookmark) {
+  if (!env.IMAGES || !bookmark.archive) return;
+  const keys = [bookmark.archive.originalKey, bookmark.archive.thumbnailKey];
+  await env.IMAGES.delete(keys.filter(Boolean));
+}
+
+// Uploaded files are stored in the IMAGES bucket at `upload/<fileId>` and
+// served publicly from /files/<fileId>.<ext>, so a bookmark for an upload is
+// an ordinary image URL. As with share links, the random id is what keeps the
+// file private. `bookmark.upload.key` lets the trash purge delete the object.
+const UPLOAD_MAX_BYTES = 10 * 1024 * 1024;
+const UPLOAD_FORM_OVERHEAD = 64 * 1024;
+const UPLOAD_TYPES = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/gif": "gif",
+  "image/webp": "webp",
+};
+
+function uploadKey(fileId) {
+  return `upload/${fileId}`;
+}
+
+function uploadMaxBytes(env) {
+  return envNumber(env, "UPLOAD_MAX_BYTES", UPLOAD_MAX_BYTES);
+}
+
+// Accepts `multipart/form-data` with a `file` field plus optional `tags`
+// (comma separated), `title`, `notes` and `sourceUrl` fields, or the raw
+// image bytes as the body with those fields in the query string.
+async function readUpload(request, env, searchParams) {
+  const limit = uploadMaxBytes(env);
+  const tooLarge = {
+    error: `file must be at most ${formatMegabytes(limit)}`,
+    status: 413,
+  };
+  const fieldNames = ["tags", ...DETAIL_FIELDS];
+  const fields = {};
+  const contentType = (request.headers.get("content-type") || "").split(";")[0];
+
+  if (contentType.trim().toLowerCase() === "multipart/form-data") {
+    const length = Number(request.headers.get("content-length"));
+    if (length > limit + UPLOAD_FORM_OVERHEAD) return tooLarge;
+    let form;
+    try {
+      form = await request.formData();
+    } catch {
+      return { error: "invalid multipart body", status: 400 };
+    }
+    const file = form.get("file");
+    if (!file || typeof file === "string") {
+      return { error: "file is required", status: 400 };
+    }
+    if (file.size > limit) return tooLarge;
+    for (const name of fieldNames) {
+      const value = form.get(name);
+      if (typeof value === "string") fields[name] = value;
+    }
+    return { bytes: new Uint8Array(await file.arrayBuffer()), fields };
+  }
+
+  const bytes = await readPrefix(request.body, limit + 1);
+  if (bytes.byteLength > limit) return tooLarge;
+  if (bytes.byteLength === 0) {
+    return { error: "file is required", status: 400 };
+  }
+  for (const name of fieldNames) {
+    if (searchParams.has(name)) fields[name] = searchParams.get(name);
+  }
+  return { bytes, fields };
+}
+
+// The declared content type is ignored: only files whose bytes start like one
+// of the UPLOAD_TYPES are stored, so /files never serves anything else.
+function sniffImageType(bytes) {
+  const ascii = (start, length) =>
+    String.fromCharCode(...bytes.subarray(start, start + length));
+  if (bytes.length >= 8 && ascii(1, 3) === "PNG") return "image/png";
+  if (bytes.length >= 6 && ascii(0, 4) === "GIF8") return "image/gif";
+  if (bytes.length >= 12 && ascii(0, 4) === "RIFF" && ascii(8, 4) === "WEBP") {
+    return "image/webp";
+  }
+  if (bytes.length >= 3 && bytes[0] === 0xff && bytes[1] === 0xd8) {
+    return bytes[2] === 0xff ? "image/jpeg" : null;
+  }
+  return null;
+}
+
+async function uploadedFileResponse(env, request, fileId) {
+  const object = env.IMAGES ? await env.IMAGES.get(uploadKey(fileId)) : null;
+  if (!object) return new Response("Not Found", { status: 404 });
+
+  const headers = new Headers();
+  object.writeHttpMetadata(headers);
+  headers.set("etag", object.httpEtag);
+  headers.set("cache-control", "public, max-age=31536000, immutable");
+  headers.set("x-content-type-options", "nosniff");
+  if (request.headers.get("if-none-match") === object.httpEtag) {
+    return new Response(null, { status: 304, headers });
+  }
+  return new Response(object.body, { headers });
+}
+
+async function deleteUpload(env, bookmark) {
+  if (!env.IMAGES || !bookmark.upload) return;
+  await env.IMAGES.delete(bookmark.upload.key);
+}
+
+async function archivedImageResponse(env, request, bookmark, variant) {
+  if (!bookmark || !bookmark.archive || !env.IMAGES) {
+    return jsonResponse({ error: "archived image not found" }, 404);
+  }
+  if (variant !== "original" && variant !== "thumb") {
+    return jsonResponse({ error: "variant must be original or thumb" }, 400);
+  }
+
+  const key =
+    variant === "thumb" && bookmark.archive.thumbnailKey
+      ? bookmark.archive.thumbnailKey
+      : bookmark.archive.originalKey;
+  const object = await env.IMAGES.get(key);
+  if (!object) {
+    return jsonResponse({ error: "archived image not found" }, 404);
+  }
+
+  const headers = new Headers();
+  object.writeHttpMetadata(headers);
+  headers.set("etag", object.httpEtag);
+  headers.set("cache-control", "private, max-age=31536000, immutable");
+  if (request.headers.get("if-none-match") === object.httpEtag) {
+    return new Response(null, { status: 304, headers });
+  }
+  return new Response(object.body, { headers });
+}
+
+const DETAIL_FIELDS = ["title", "notes", "sourceUrl"];
+
+function bookmarkDetails(body) {
+  const details = {};
+  for (const field of DETAIL_FIELDS) {
+    if (typeof body[field] === "string") details[field] = body[field].trim();
+  }
+  if (details.sourceUrl) {
+    const error = httpUrlError(details.sourceUrl, "sourceUrl");
+    if (error) return { details, error };
+  }
+  return { details };
+}
+
+function applyDetails(bookmark, details) {
+  for (const [field, value] of Object.entries(details)) {
+    if (value) {
+      bookmark[field] = value;
+    } else {
+      delete bookmark[field];
+    }
+  }
+}
+
+function isHttpUrl(value) {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === "http:" || protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+const URL_LENGTH_LIMIT = 2048;
+
+// Stored URLs end up in img src and link href attributes, so anything other
+// than a bounded http(s) URL is refused before it is saved.
+function httpUrlError(value, field) {
+  if (value.length > URL_LENGTH_LIMIT) {
+    return `${field} must be at most ${URL_LENGTH_LIMIT} characters`;
+  }
+  if (!isHttpUrl(value)) return `${field} must be an http(s) URL`;
+  return null;
+}
+
+const TAG_LENGTH_LIMIT = 64;
+
+function normalizeTags(tags) {
   if (!Array.isArray(tags)) return [];
   const normalized = tags
-    .map((t) => String(t).trim())
+    .map((t) =>
+      String(t)
+        .replace(/[\u0000-\u001f\u007f]/g, "")
+        .trim()
+        .slice(0, TAG_LENGTH_LIMIT)
+        .trim()
+    )
+    .filter(Boolean)
+    .map((t) => t.toLowerCase());
+  return Array.from(new Set(normalized));
+}
+
+const TAG_COUNT_LIMIT = 50;
+
+// Tags sent to the API are refused when there are too many or one is too
+// long; normalizeTags would otherwise cut them down silently.
+function tagsError(tags) {
+  if (!Array.isArray(tags)) return "tags must be an array";
+  if (tags.some((tag) => String(tag).trim().length > TAG_LENGTH_LIMIT)) {
+    return `tags must be at most ${TAG_LENGTH_LIMIT} characters`;
+  }
+  if (normalizeTags(tags).length > TAG_COUNT_LIMIT) {
+    return `a bookmark can have at most ${TAG_COUNT_LIMIT} tags`;
+  }
+  return null;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function unescapeHtml(value) {
+  return String(value)
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) =>
+      String.fromCodePoint(parseInt(hex, 16))
+    )
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+function parseTimestamp(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const text = String(value).trim();
+  const time = /^\d+$/.test(text) ? Number(text) * 1000 : Date.parse(text);
+  return Number.isFinite(time) ? new Date(time).toISOString() : null;
+}
+
+function unixSeconds(iso) {
+  return Math.floor((Date.parse(iso) || 0) / 1000);
+}
+
+const EXPORT_FIELDS = [
+  "imageUrl",
+  "title",
+  "notes",
+  "sourceUrl",
+  "tags",
+  "contentType",
+  "width",
+  "height",
+  "byteSize",
+  "createdAt",
+  "updatedAt",
+];
+
+const IMAGE_METADATA_FIELDS = ["width", "height", "byteSize"];
+
+function exportRecord(bookmark) {
+  const record = {};
+  for (const field of EXPORT_FIELDS) {
+    if (bookmark[field] !== undefined) record[field] = bookmark[field];
+  }
+  return record;
+}
+
+// Spreadsheets run a cell that starts with one of these as a formula, so a
+// title like `=HYPERLINK(...)` is exported as `'=HYPERLINK(...)`, which they
+// show as text. The CSV import strips the quote again.
+const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvField(value) {
+  let text = Array.isArray(value) ? value.join(",") : String(value ?? "");
+  if (CSV_FORMULA_START.test(text)) text = "'" + text;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const EXPORT_FORMATS = {
+  json: {
+    contentType: "application/json; charset=utf-8",
+    start: (exportedAt) =>
+      `{"version":1,"exportedAt":${JSON.stringify(exportedAt)},"items":[`,
+    row: (bookmark, index) =>
+      (index === 0 ? "\n" : ",\n") + JSON.stringify(exportRecord(bookmark)),
+    end: () => "\n]}\n",
+  },
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    start: () => EXPORT_FIELDS.join(",") + "\r\n",
+    row: (bookmark) =>
+      EXPORT_FIELDS.map((field) => csvField(bookmark[field])).join(",") +
+      "\r\n",
+    end: () => "",
+  },
+  html: {
+    contentType: "text/html; charset=utf-8",
+    start: () =>
+      "<!DOCTYPE NETSCAPE-Bookmark-file-1>\n" +
+      '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">\n' +
+      "<TITLE>Image Bookmarks</TITLE>\n<H1>Image Bookmarks</H1>\n<DL><p>\n",
+    row: (bookmark) =>
+      `    <DT><A HREF="${escapeHtml(bookmark.imageUrl)}"` +
+      ` ADD_DATE="${unixSeconds(bookmark.createdAt)}"` +
+      ` LAST_MODIFIED="${unixSeconds(bookmark.updatedAt)}"` +
+      ` TAGS="${escapeHtml(bookmark.tags.join(","))}"` +
+      (bookmark.sourceUrl
+        ? ` SOURCE_URL="${escapeHtml(bookmark.sourceUrl)}"`
+        : "") +
+      `>${escapeHtml(bookmark.title || bookmark.imageUrl)}</A>\n` +
+      (bookmark.notes ? `    <DD>${escapeHtml(bookmark.notes)}\n` : ""),
+    end: () => "</DL><p>\n",
+  },
+};
+
+// An export returns at most EXPORT_PAGE bookmarks, one KV read each, to stay
+// within the per-request KV operation limit. When more remain, the response
+// carries an `x-export-cursor` header; requesting the same format with
+// `cursor=` returns the next part, and the parts joined in order form the
+// complete file. The cursor holds the rows written so far and the KV cursor.
+const EXPORT_PAGE = 500;
+
+async function exportResponse(env, userId, format, cursor) {
+  const formatter = EXPORT_FORMATS[format];
+  const exportedAt = new Date().toISOString();
+  const [written, listCursor] = cursor
+    ? [Number(cursor.split(".")[0]), cursor.slice(cursor.indexOf(".") + 1)]
+    : [0, undefined];
+  if (cursor && (!Number.isInteger(written) || !listCursor)) {
+    return jsonResponse({ error: "invalid cursor" }, 400);
+  }
+
+  const resp = await env.BOOKMARKS.list({
+    prefix: `user:${userId}:bookmark:`,
+    cursor: listCursor,
+    limit: EXPORT_PAGE,
+  });
+  const values = await Promise.all(
+    resp.keys.map((k) => env.BOOKMARKS.get(k.name))
+  );
+  const bookmarks = values.filter(Boolean).map((value) => JSON.parse(value));
+
+  const parts = cursor ? [] : [formatter.start(exportedAt)];
+  bookmarks.forEach((bookmark, i) => {
+    parts.push(formatter.row(bookmark, written + i));
+  });
+  const filename = `image-bookmarks-${exportedAt.slice(0, 10)}.${format}`;
+  const headers = {
+    "content-type": formatter.contentType,
+    "content-disposition": `attachment; filename="${filename}"`,
+    "cache-control": "no-store",
+  };
+  if (resp.list_complete) {
+    parts.push(formatter.end());
+  } else {
+    headers["x-export-cursor"] = `${written + bookmarks.length}.${resp.cursor}`;
+  }
+  return new Response(parts.join(""), { headers });
+}
+
+function importFormatFromContentType(contentType) {
+  const type = (contentType || "").split(";")[0].trim().toLowerCase();
+  if (type === "application/json") return "json";
+  if (type === "text/csv") return "csv";
+  if (type === "text/html") return "html";
+  return null;
+}
+
+function parseJsonImport(text) {
+  const data = JSON.parse(text);
+  const items = Array.isArray(data) ? data : data && data.items;
+  if (!Array.isArray(items)) {
+    throw new Error("expected an array or an object with an items array");
+  }
+  return items.map((record, i) =>
+    record && typeof record === "object"
+      ? { row: i + 1, record }
+      : { row: i + 1, error: "row must be an object" }
+  );
+}
+
+function parseCsv(text) {
+  const rows = [];
+  let fields = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === "\n") line++;
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      fields.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      fields.push(field);
+      rows.push({ line: rowLine, fields });
+      fields = [];
+      field = "";
+      line++;
+      rowLine = line;
+    } else {
+      field += ch;
+    }
+  }
+
+  if (quoted) throw new Error(`unterminated quoted field on line ${rowLine}`);
+  if (field || fields.length) {
+    fields.push(field);
+    rows.push({ line: rowLine, fields });
+  }
+  return rows.filter((row) => row.fields.some((f) => f.trim()));
+}
+
+function parseCsvImport(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ""));
+  if (!header) return [];
+  const columns = header.fields.map((name) => name.trim());
+  const urlColumn = columns.findIndex((name) =>
+    ["imageurl", "url"].includes(name.toLowerCase())
+  );
+  if (urlColumn < 0) throw new Error("missing imageUrl column");
+  columns[urlColumn] = "imageUrl";
+
+  return rows.map(({ line, fields }) => {
+    const record = {};
+    columns.forEach((name, i) => {
+      if (fields[i] === undefined) return;
+      const value = fields[i];
+      record[name] =
+        value.startsWith("'") && CSV_FORMULA_START.test(value.slice(1))
+          ? value.slice(1)
+          : value;
+    });
+    return { row: line, record };
+  });
+}
+
+function parseNetscapeImport(text) {
+  const entries = [];
+  const anchors = text.matchAll(
+    /<A\s([^>]*)>([\s\S]*?)<\/A>(?:\s*<DD>([^<]*))?/gi
+  );
+  for (const [, attrText, label, description] of anchors) {
+    const attrs = {};
+    for (const [, name, value] of attrText.matchAll(
+      /([A-Z_-]+)\s*=\s*"([^"]*)"/gi
+    )) {
+      attrs[name.toUpperCase()] = unescapeHtml(value);
+    }
+    const title = unescapeHtml(label.replace(/<[^>]*>/g, "")).trim();
+    entries.push({
+      row: entries.length + 1,
+      record: {
+        imageUrl: attrs.HREF,
+        title: title === attrs.HREF ? "" : title,
+        notes: description ? unescapeHtml(description).trim() : "",
+        sourceUrl: attrs.SOURCE_URL || "",
+        tags: attrs.TAGS || "",
+        createdAt: attrs.ADD_DATE,
+        updatedAt: attrs.LAST_MODIFIED,
+      },
+    });
+  }
+  return entries;
+}
+
+const IMPORT_PARSERS = {
+  json: parseJsonImport,
+  csv: parseCsvImport,
+  html: parseNetscapeImport,
+};
+
+function mergeBookmarkRecords(existing, incoming) {
+  const created = [existing.createdAt, incoming.createdAt].sort()[0];
+  const updated = [existing.updatedAt, incoming.updatedAt].sort().pop();
+  const merged = {
+    ...existing,
+    tags: normalizeTags([...existing.tags, ...incoming.tags]),
+    createdAt: created,
+    updatedAt: updated,
+  };
+  for (const field of DETAIL_FIELDS) {
+    if (!merged[field] && incoming[field]) merged[field] = incoming[field];
+  }
+  return merged;
+}
+
+// Imports write IMPORT_BATCH rows per request to stay within the per-request
+// KV operation limit, like tag rewrites. The validated rows of a larger import
+// wait at `import:<userId>:rows` with its progress at `import:<userId>`, and
+// the caller repeats `POST /api/import?cursor=<id>` until `done`. A replace
+// import then moves bookmarks missing from the file to the trash, a page per
+// request. The keys live outside `user:` so the link checker skips them.
+const IMPORT_BATCH = 100;
+const IMPORT_JOB_TTL_SECONDS = 24 * 60 * 60;
+
+function importJobKey(userId) {
+  return `import:${userId}`;
+}
+
+function importRowsKey(userId) {
+  return `import:${userId}:rows`;
+}
+
+async function startImport(env, userId, entries, format, mode) {
+  const errors = [];
+  const incoming = new Map();
+  const now = new Date().toISOString();
+  const rules = await userCanonicalRules(env, userId);
+
+  for (const { row, record, error } of entries) {
+    if (error) {
+      errors.push({ row, error });
+      continue;
+    }
+    const imageUrl =
+      typeof record.imageUrl === "string" ? record.imageUrl.trim() : "";
+    if (!imageUrl) {
+      errors.push({ row, error: "imageUrl is required" });
+      continue;
+    }
+    const urlError = httpUrlError(imageUrl, "imageUrl");
+    if (urlError) {
+      errors.push({ row, error: urlError });
+      continue;
+    }
+    const tags = normalizeTags(
+      typeof record.tags === "string" ? record.tags.split(",") : record.tags
+    ).slice(0, TAG_COUNT_LIMIT);
+    const createdAt = parseTimestamp(record.createdAt) || now;
+    const bookmark = {
+      id: await bookmarkIdFromUrl(imageUrl, rules),
+      imageUrl,
+      tags,
+      createdAt,
+      updatedAt: parseTimestamp(record.updatedAt) || createdAt,
+    };
+    const { details } = bookmarkDetails(record);
+    if (details.sourceUrl && httpUrlError(details.sourceUrl, "sourceUrl")) {
+      delete details.sourceUrl;
+    }
+    applyDetails(bookmark, details);
+    if (typeof record.contentType === "string" && record.contentType) {
+      bookmark.contentType = record.contentType;
+    }
+    for (const field of IMAGE_METADATA_FIELDS) {
+      const value = Number(record[field]);
+      if (record[field] !== "" && Number.isInteger(value) && value > 0) {
+        bookmark[field] = value;
+      }
+    }
+    const duplicate = incoming.get(bookmark.id);
+    incoming.set(
+      bookmark.id,
+      duplicate ? mergeBookmarkRecords(duplicate, bookmark) : bookmark
+    );
+  }
+
+  const rows = Array.from(incoming.values());
+  // A replace import leaves exactly the imported bookmarks.
+  if (mode === "replace") {
+    const added = rows.length - (await readUsage(env, userId)).bookmarks;
+    const quotaError = await checkQuota(env, userId, { bookmarks: added });
+    if (quotaError) throw new ApiError(403, quotaError, "quota_exceeded");
+  }
+
+  return {
+    id: randomToken(16),
+    format,
+    mode,
+    rows,
+    errors,
+    position: 0,
+    created: 0,
+    updated: 0,
+    trashed: 0,
+    missing: null,
+    trashDone: false,
+    stored: false,
+  };
+}
+
+async function getImportJob(env, userId, id) {
+  const value = await env.BOOKMARKS.get(importJobKey(userId));
+  const progress = value ? JSON.parse(value) : null;
+  if (!progress || progress.id !== id) return null;
+  const rows = await env.BOOKMARKS.get(importRowsKey(userId));
+  return rows ? { ...progress, rows: JSON.parse(rows) } : null;
+}
+
+// Runs the next step of an import, saves or clears its progress, and returns
+// the totals so far.
+async function runImportBatch(env, userId, job) {
+  if (job.position < job.rows.length) {
+    await importRows(env, userId, job);
+  } else if (job.mode === "replace") {
+    await trashMissingRows(env, userId, job);
+  }
+  const done =
+    job.position >= job.rows.length &&
+    (job.mode === "merge" || job.trashDone);
+
+  const options = { expirationTtl: IMPORT_JOB_TTL_SECONDS };
+  const { rows, ...progress } = job;
+  if (done && job.stored) {
+    await Promise.all([
+      env.BOOKMARKS.delete(importJobKey(userId)),
+      env.BOOKMARKS.delete(importRowsKey(userId)),
+    ]);
+  } else if (!done) {
+    if (!job.stored) {
+      await env.BOOKMARKS.put(
+        importRowsKey(userId),
+        JSON.stringify(rows),
+        options
+      );
+    }
+    await env.BOOKMARKS.put(
+      importJobKey(userId),
+      JSON.stringify({ ...progress, stored: true }),
+      options
+    );
+  }
+
+  return {
+    format: job.format,
+    mode: job.mode,
+    total: rows.length,
+    imported: job.position,
+    created: job.created,
+    updated: job.updated,
+    trashed: job.trashed,
+    errors: job.errors,
+    cursor: done ? null : job.id,
+    done,
+  };
+}
+
+async function importRows(env, userId, job) {
+  const batch = job.rows.slice(job.position, job.position + IMPORT_BATCH);
+  const changes = await Promise.all(
+    batch.map(async (bookmark) => {
+      const previous = await getBookmark(env, userId, bookmark.id);
+      if (!previous) return { previous, next: bookmark };
+      if (job.mode === "merge") {
+        return { previous, next: mergeBookmarkRecords(previous, bookmark) };
+      }
+      // A replaced record keeps the files the worker stores for it.
+      const next = { ...bookmark };
+      if (previous.archive) next.archive = previous.archive;
+      if (previous.upload) {
+        next.upload = previous.upload;
+        next.byteSize = previous.byteSize;
+      }
+      return { previous, next };
+    })
+  );
+  const created = changes.filter((c) => !c.previous).length;
+  if (job.mode === "merge") {
+    const quotaError = await checkQuota(env, userId, { bookmarks: created });
+    if (quotaError) throw new ApiError(403, quotaError, "quota_exceeded");
+  }
+
+  await Promise.all(
+    changes.map(({ next }) =>
+      env.BOOKMARKS.put(bookmarkKey(userId, next.id), JSON.stringify(next))
+    )
+  );
+  await applyIndexChanges(env, userId, changes);
+  await recordHistory(env, userId, changes);
+
+  job.position += batch.length;
+  job.created += created;
+  job.updated += batch.length - created;
+}
+
+// Bookmarks missing from a replace import go to the trash like a DELETE, so
+// their stored files and collection entries are cleaned up with them. The
+// ids are listed once up front: trashing while paging a KV listing could make
+// its cursor skip keys.
+async function trashMissingRows(env, userId, job) {
+  if (!job.missing) {
+    const prefix = `user:${userId}:bookmark:`;
+    const imported = new Set(job.rows.map((row) => row.id));
+    const names = await listKeyNames(env, prefix);
+    job.missing = names
+      .map((name) => name.slice(prefix.length))
+      .filter((id) => !imported.has(id));
+  }
+  const ids = job.missing.slice(0, IMPORT_BATCH);
+  const found = await Promise.all(ids.map((id) => getBookmark(env, userId, id)));
+  const bookmarks = found.filter(Boolean);
+  if (bookmarks.length > 0) await trashBookmarks(env, userId, bookmarks);
+
+  job.missing = job.missing.slice(ids.length);
+  job.trashed += bookmarks.length;
+  job.trashDone = job.missing.length === 0;
+}
+
+function renderHomePage(userId) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>Image Bookmark</title>
+  <meta name="theme-color" content="#d45b2c" />
+  <link rel="manifest" href="/${escapeHtml(userId)}/manifest.webmanifest" />
+  <link rel="icon" href="/icon.svg" type="image/svg+xml" />
+  <link rel="stylesheet" href="/styles.css" />
+</head>
+<body data-user-id="${escapeHtml(userId)}">
+  <header class="hero">
+    <div class="hero-inner">
+      <div>
+        <h1>Image Bookmark</h1>
+        <p>Save, tag, and find images fast.</p>
+        <div class="account-actions">
+          <button id="openSettings" type="button">Settings</button>
+          <a href="/${escapeHtml(userId)}/stats">Stats</a>
+          <form method="post" action="/logout">
+            <button type="submit">Sign Out</button>
+          </form>
+        </div>
+      </div>
+      <div class="search-panel">
+        <input id="search" type="search" placeholder="cats OR dogs -nsfw site:imgur.com added:>2026-01-01" />
+        <p id="searchError" class="form-error search-error" hidden></p>
+        <details class="search-help">
+          <summary>Search syntax</summary>
+          <ul>
+            <li><code>cats dogs</code> both words; <code>cats OR dogs</code> either; <code>-nsfw</code> or <code>NOT nsfw</code> excludes</li>
+            <li><code>"red car"</code> exact phrase; <code>(cats OR dogs) -nsfw</code> groups</li>
+            <li><code>tag:cats</code>, <code>tag:cat*</code>, <code>untagged</code>, <code>site:imgur.com</code></li>
+            <li><code>title:</code>, <code>notes:</code>, <code>url:</code>, <code>orientation:portrait</code>, <code>is:broken</code>, <code>is:archived</code></li>
+            <li><code>added:2026-03</code>, <code>added:>2026-01-01</code>, <code>updated:2026-01-01..2026-02-15</code></li>
+          </ul>
+        </details>
+        <div class="search-options">
+          <select id="orientationFilter">
+            <option value="">Any orientation</option>
+            <option value="landscape">Landscape</option>
+            <option value="portrait">Portrait</option>
+            <option value="square">Square</option>
+          </select>
+          <select id="sortOrder">
+            <option value="added">Newest first</option>
+            <option value="updated">Recently updated</option>
+            <option value="domain">By domain</option>
+            <option value="tags">Most tags</option>
+            <option value="size">Largest first</option>
+            <option value="manual">Manual order</option>
+          </select>
+          <label class="toggle">
+            <input id="brokenFilter" type="checkbox" />
+            Show broken
+          </label>
+        </div>
+        <div class="search-actions">
+          <button id="refresh">Search</button>
+          <button id="shareSearch" class="secondary">Share Search</button>
+          <button id="manageShares" class="secondary">Shared Links</button>
+        </div>
+      </div>
+    </div>
+  </header>
+
+  <main class="container">
+    <section class="add-form">
+      <h2>Add or Update Bookmark</h2>
+      <div class="form-row">
+        <input id="imageUrl" type="url" placeholder="Image URL (.jpg, .png, .gif, ...)" required />
+        <input id="tags" type="text" placeholder="Tags (comma separated)" list="tagSuggestions" autocomplete="off" />
+        <button id="save">Save</button>
+        <button id="uploadImage" class="secondary">Upload</button>
+        <input id="uploadFile" type="file" accept="image/png,image/jpeg,image/gif,image/webp" multiple hidden />
+      </div>
+      <p class="upload-hint">You can also drop image files anywhere on the page or paste one from the clipboard.</p>
+      <div class="form-row form-details">
+        <input id="title" type="text" placeholder="Title (optional)" />
+        <input id="sourceUrl" type="url" placeholder="Source page URL (optional)" />
+        <textarea id="notes" rows="1" placeholder="Notes (optional)"></textarea>
+      </div>
+    </section>
+
+    <div class="library">
+      <aside class="collections-panel">
+        <div class="panel-header">
+          <h2>Collections</h2>
+          <button id="newCollection">New</button>
+        </div>
+        <nav id="collectionList" class="collection-list"></nav>
+        <div class="panel-header">
+          <h2>Tags</h2>
+          <button id="manageTags">Manage</button>
+        </div>
+        <nav id="tagList" class="collection-list tag-list"></nav>
+      </aside>
+
+      <section class="library-main">
+        <div id="collectionHeader" class="collection-header" hidden>
+          <img id="collectionCover" alt="" hidden />
+          <div class="collection-info">
+            <h2 id="collectionTitle"></h2>
+            <p id="collectionDescription"></p>
+          </div>
+          <div class="collection-actions">
+            <button id="shareCollection">Share</button>
+            <button id="editCollection">Edit</button>
+            <button id="deleteCollection" class="danger">Delete</button>
+          </div>
+        </div>
+        <div id="trashHeader" class="collection-header trash-header" hidden>
+          <div class="collection-info">
+            <h2>Trash</h2>
+            <p id="trashNote"></p>
+          </div>
+          <div class="collection-actions">
+            <button id="emptyTrash" class="danger">Empty Trash</button>
+          </div>
+        </div>
+        <div class="grid-toolbar">
+          <span id="syncStatus" class="sync-status" role="status" hidden></span>
+          <button id="reviewConflicts" hidden>Review</button>
+          <button id="selectMode">Select</button>
+        </div>
+        <div id="bulkBar" class="bulk-bar" hidden>
+          <span id="selectionCount" class="selection-count"></span>
+          <button id="selectAll">Select all results</button>
+          <button id="bulkAddTags">Add tags</button>
+          <button id="bulkRemoveTags">Remove tags</button>
+          <button id="bulkDelete" class="danger">Delete</button>
+        </div>
+        <div id="grid" class="grid"></div>
+        <div id="gridSentinel" class="grid-sentinel"></div>
+      </section>
+    </div>
+  </main>
+
+  <dialog id="previewDialog" class="dialog">
+    <div class="dialog-body">
+      <div id="previewStage" class="lightbox-stage">
+        <img id="previewImage" alt="Preview" draggable="false" />
+        <button id="previewPrev" class="lightbox-nav prev" aria-label="Previous image">‹</button>
+        <button id="previewNext" class="lightbox-nav next" aria-label="Next image">›</button>
+      </div>
+      <div class="lightbox-bar">
+        <span id="previewPosition"></span>
+        <button id="zoomOut" aria-label="Zoom out">−</button>
+        <button id="zoomReset" title="Fit to window">100%</button>
+        <button id="zoomIn" aria-label="Zoom in">+</button>
+        <button id="slideshowToggle">Play</button>
+        <select id="slideshowInterval" aria-label="Slideshow speed">
+          <option value="3">3 s</option>
+          <option value="5" selected>5 s</option>
+          <option value="10">10 s</option>
+        </select>
+      </div>
+      <p class="lightbox-keys">← → next/previous · + − 0 zoom · Space slideshow · T edit tags · C copy URL · Delete delete · Esc close</p>
+      <div class="dialog-meta">
+        <div class="dialog-tabs">
+          <button id="detailsTab" type="button" class="active">Details</button>
+          <button id="historyTab" type="button">History</button>
+        </div>
+        <div id="previewDetails" class="preview-details">
+          <h3 id="previewTitle" class="preview-title"></h3>
+          <p id="previewNotes" class="preview-notes"></p>
+          <a id="previewSource" class="preview-source" target="_blank" rel="noopener noreferrer"></a>
+          <div id="previewTags" class="tags"></div>
+          <div id="previewInfo" class="image-info"></div>
+          <div class="dialog-collections">
+            <select id="collectionSelect"></select>
+            <button id="addToCollection">Add to Collection</button>
+          </div>
+        </div>
+        <div id="previewHistory" class="history-list" hidden></div>
+        <div class="dialog-actions">
+          <button id="copyUrl">Copy Image URL</button>
+          <button id="editTags">Edit</button>
+          <button id="deleteBookmark" class="danger">Delete</button>
+          <button id="closePreview" class="ghost">Close</button>
+        </div>
+      </div>
+    </div>
+  </dialog>
+
+  <dialog id="editDialog" class="dialog">
+    <div class="dialog-body">
+      <h3>Edit Bookmark</h3>
+      <input id="editTitleInput" type="text" placeholder="Title" />
+      <input id="editSourceInput" type="url" placeholder="Source page URL" />
+      <textarea id="editNotesInput" rows="4" placeholder="Notes"></textarea>
+      <input id="editTagsInput" type="text" placeholder="Tags (comma separated)" list="tagSuggestions" autocomplete="off" />
+      <div class="dialog-actions">
+        <button id="saveTags">Save</button>
+        <button id="cancelEdit" class="ghost">Cancel</button>
+      </div>
+    </div>
+  </dialog>
+
+  <dialog id="collectionDialog" class="dialog">
+    <div class="dialog-body">
+      <h3 id="collectionDialogTitle">New Collection</h3>
+      <input id="collectionTitleInput" type="text" placeholder="Title" />
+      <textarea id="collectionDescriptionInput" rows="3" placeholder="Description"></textarea>
+      <input id="collectionCoverInput" type="url" placeholder="Cover image URL (optional)" />
+      <div class="dialog-actions">
+        <button id="saveCollection">Save</button>
+        <button id="cancelCollection" class="ghost">Cancel</button>
+      </div>
+    </div>
+  </dialog>
+
+  <dialog id="sharesDialog" class="dialog">
+    <div class="dialog-body">
+      <h3>Shared Links</h3>
+      <p class="dialog-note">Anyone with a link can view (but not change) the bookmarks it covers. Revoke a link to disable it.</p>
+      <div id="shareList" class="share-list"></div>
+      <div class="dialog-actions">
+        <button id="closeShares" class="ghost">Close</button>
+      </div>
+    </div>
+  </dialog>
+
+  <dialog id="tagsDialog" class="dialog">
+    <div class="dialog-body">
+      <h3>Tags</h3>
+      <p class="dialog-note">Changes apply to every bookmark with the tag. Renaming a tag to one that already exists merges them.</p>
+      <p id="tagProgress" class="dialog-note" hidden></p>
+      <div id="tagManageList" class="share-list"></div>
+      <div class="dialog-actions">
+        <button id="closeTags" class="ghost">Close</button>
+      </div>
+    </div>
+  </dialog>
+
+  <datalist id="tagSuggestions"></datalist>
+
+  <div id="toast" class="toast" role="status" hidden>
+    <span id="toastMessage"></span>
+    <button id="toastUndo">Undo</button>
+  </div>
+
+  <dialog id="conflictsDialog" class="dialog">
+    <div class="dialog-body">
+      <h3>Changes Not Applied</h3>
+      <p class="dialog-note">These changes were made offline. The bookmarks changed elsewhere in the meantime, or the server refused them.</p>
+      <div id="conflictList" class="share-list"></div>
+      <div class="dialog-actions">
+        <button id="closeConflicts" class="ghost">Close</button>
+      </div>
+    </div>
+  </dialog>
+
+  <dialog id="duplicatesDialog" class="dialog">
+    <div class="dialog-body">
+      <h3>Possible Duplicates</h3>
+      <p class="dialog-note">Merging keeps the selected bookmark, adds the tags of the others to it and moves the others to the Trash.</p>
+      <div id="duplicateList" class="share-list"></div>
+      <div class="dialog-actions">
+        <button id="closeDuplicates" class="ghost">Close</button>
+      </div>
+    </div>
+  </dialog>
+
+  <dialog id="settingsDialog" class="dialog">
+    <div class="dialog-body">
+      <h3>Settings</h3>
+      <section class="settings-section">
+        <h4>Usage</h4>
+        <p id="usageStatus" class="dialog-note"></p>
+      </section>
+      <section class="settings-section">
+        <h4>Passphrase</h4>
+        <p id="passphraseStatus" class="dialog-note"></p>
+        <input id="currentPassphrase" type="password" placeholder="Current passphrase" autocomplete="current-password" />
+        <input id="newPassphrase" type="password" placeholder="New passphrase (leave empty to remove)" autocomplete="new-password" />
+        <div class="dialog-actions">
+          <button id="savePassphrase">Save Passphrase</button>
+        </div>
+      </section>
+      <section class="settings-section">
+        <h4>Archive</h4>
+        <label class="checkbox">
+          <input id="archiveSetting" type="checkbox" />
+          Keep a copy of each image I save, so it survives if the original disappears
+        </label>
+        <p id="archiveStatus" class="dialog-note"></p>
+      </section>
+      <section class="settings-section">
+        <h4>Quick save</h4>
+        <p class="dialog-note">Drag this link to your bookmarks bar. Click it on any page to save an image from that page.</p>
+        <a id="bookmarklet" class="bookmarklet" href="#">Save Image</a>
+        <p class="dialog-note">On a phone, install this page as an app (Add to Home Screen) to share images and links into it.</p>
+      </section>
+      <section class="settings-section">
+        <h4>Duplicate detection</h4>
+        <p class="dialog-note">Image URLs are normalized before saving, so the same image is only bookmarked once.</p>
+        <label class="checkbox">
+          <input class="canonical-rule" data-rule="https" type="checkbox" />
+          Treat http:// and https:// as the same
+        </label>
+        <label class="checkbox">
+          <input class="canonical-rule" data-rule="stripWww" type="checkbox" />
+          Ignore a leading www.
+        </label>
+        <label class="checkbox">
+          <input class="canonical-rule" data-rule="stripTracking" type="checkbox" />
+          Ignore tracking parameters (utm_*, fbclid, gclid...)
+        </label>
+        <label class="checkbox">
+          <input class="canonical-rule" data-rule="sortQuery" type="checkbox" />
+          Ignore the order of query parameters
+        </label>
+        <label class="checkbox">
+          <input class="canonical-rule" data-rule="stripSizeSuffix" type="checkbox" />
+          Ignore CDN size variants (-300x200.jpg, _800x.jpg, ?w=800)
+        </label>
+        <input id="canonicalIgnoreParams" type="text" placeholder="Other query parameters to ignore (comma separated)" />
+        <p id="canonicalStatus" class="dialog-note"></p>
+        <div class="dialog-actions">
+          <button id="saveCanonical">Save Rules</button>
+          <button id="findDuplicates" class="secondary">Find Duplicates</button>
+        </div>
+      </section>
+      <section class="settings-section">
+        <h4>API tokens</h4>
+        <p class="dialog-note">Scripts can call the <a href="/api/openapi.json" target="_blank" rel="noopener">API</a> with a token in an <code>Authorization: Bearer</code> header. Read-only tokens can only fetch data.</p>
+        <div id="tokenList" class="share-list"></div>
+        <div class="token-form">
+          <input id="tokenName" type="text" maxlength="100" placeholder="Token name, e.g. backup script" />
+          <select id="tokenScope">
+            <option value="read">Read only</option>
+            <option value="write">Read and write</option>
+          </select>
+          <button id="createToken">Create Token</button>
+        </div>
+        <div id="newToken" class="token-reveal" hidden>
+          <div class="dialog-note">Copy this token now. It will not be shown again.</div>
+          <button id="copyToken">Copy</button>
+          <input id="newTokenValue" type="text" readonly />
+        </div>
+      </section>
+      <div class="dialog-actions">
+        <button id="closeSettings" class="ghost">Close</button>
+      </div>
+    </div>
+  </dialog>
+
+  <dialog id="confirmDialog" class="dialog">
+    <div class="dialog-body">
+      <h3>Delete Bookmark?</h3>
+      <p>It moves to the Trash, where you can restore it until it expires.</p>
+      <div class="dialog-actions">
+        <button id="confirmDelete" class="danger">Delete</button>
+        <button id="cancelDelete" class="ghost">Cancel</button>
+      </div>
+    </div>
+  </dialog>
+
+  <script src="/app.js"></script>
+</body>
+</html>`;
+}
+
+function renderSharePage(title, items, { page, total }) {
+  const pages = Math.ceil(total / SHARE_PAGE_SIZE);
+  const pageLink = (number, label) =>
+    `<a class="button-link" href="?page=${number}">${label}</a>`;
+  const nav =
+    pages > 1
+      ? `<nav class="share-pages">
+      ${page > 1 ? pageLink(page - 1, "Previous") : ""}
+      <span>Page ${page} of ${pages}</span>
+      ${page < pages ? pageLink(page + 1, "Next") : ""}
+    </nav>`
+      : "";
+  const cards = items
+    .map(
+      (item) => `
+      <div class="card" data-image-url="${escapeHtml(item.imageUrl)}">
+        <img src="${escapeHtml(item.imageUrl)}" alt="bookmark" loading="lazy" />
+        <div class="card-body">
+          ${
+            item.title
+              ? `<div class="card-title">${escapeHtml(item.title)}</div>`
+              : ""
+          }
+          <div class="tags">${item.tags
+            .map((t) => `<span class="tag">${escapeHtml(t)}</span>`)
+            .join("")}</div>
+        </div>
+      </div>`
+    )
+    .join("");
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <meta name="robots" content="noindex" />
+  <title>${escapeHtml(title)} · Image Bookmark</title>
+  <link rel="stylesheet" href="/styles.css" />
+</head>
+<body>
+  <header class="hero">
+    <div class="hero-inner">
+      <div>
+        <h1>${escapeHtml(title)}</h1>
+        <p>${total} shared image${total === 1 ? "" : "s"} · read-only</p>
+      </div>
+    </div>
+  </header>
+
+  <main class="container">
+    <div id="grid" class="grid">${
+      cards || '<p class="grid-status">Nothing here yet.</p>'
+    }
+    </div>
+    ${nav}
+  </main>
+
+  <dialog id="previewDialog" class="dialog">
+    <div class="dialog-body">
+      <img id="previewImage" alt="Preview" />
+      <div class="dialog-meta">
+        <div id="previewTags" class="tags"></div>
+        <div class="dialog-actions">
+          <button id="copyUrl">Copy Image URL</button>
+          <button id="closePreview" class="ghost">Close</button>
+        </div>
+      </div>
+    </div>
+  </dialog>
+
+  <script src="/share.js"></script>
+</body>
+</html>`;
+}
+
+function renderStatsPage(userId) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>Stats · Image Bookmark</title>
+  <meta name="theme-color" content="#d45b2c" />
+  <link rel="icon" href="/icon.svg" type="image/svg+xml" />
+  <link rel="stylesheet" href="/styles.css" />
+</head>
+<body data-user-id="${escapeHtml(userId)}">
+  <header class="hero">
+    <div class="hero-inner">
+      <div>
+        <h1>Library Stats</h1>
+        <p>How the library grows and what it holds.</p>
+        <div class="account-actions">
+          <a href="/${escapeHtml(userId)}">Back to Library</a>
+        </div>
+      </div>
+    </div>
+  </header>
+
+  <main class="container stats">
+    <p id="statsStatus" class="grid-status">Loading...</p>
+    <section id="statsTotals" class="stats-totals"></section>
+    <section class="stats-panel">
+      <div class="stats-heading">
+        <h2>Bookmarks Added</h2>
+        <select id="statsPeriod" aria-label="Group by">
+          <option value="week">Per week</option>
+          <option value="month">Per month</option>
+        </select>
+      </div>
+      <div id="addedChart" class="stats-chart"></div>
+    </section>
+    <div class="stats-tables">
+      <section class="stats-panel">
+        <h2>Top Tags</h2>
+        <table id="topTags" class="stats-table"></table>
+      </section>
+      <section class="stats-panel">
+        <h2>Tags Used Together</h2>
+        <table id="tagPairs" class="stats-table"></table>
+      </section>
+      <section class="stats-panel">
+        <h2>Top Domains</h2>
+        <table id="topDomains" class="stats-table"></table>
+      </section>
+    </div>
+  </main>
+
+  <script src="/stats.js"></script>
+</body>
+</html>`;
+}
+
+function renderSavePage(options) {
+  const { userId, images, tags, suggestions, existing } = options;
+  const choices = images
+    .map(
+      (src, index) => `
+        <label class="save-choice">
+          <input type="radio" name="imageUrl" value="${escapeHtml(src)}"${
+        index === 0 ? " checked" : ""
+      } />
+          <img src="${escapeHtml(src)}" alt="" loading="lazy" />
+        </label>`
+    )
+    .join("");
+  const chips = suggestions
+    .map(
+      (tag) =>
+        `<button type="button" class="tag" data-tag="${escapeHtml(tag)}">${escapeHtml(
+          tag
+        )}</button>`
+    )
+    .join("");
+  let note = "";
+  if (existing) {
+    note = "Already in your library. Saving updates its tags and details.";
+  } else if (images.length > 1) {
+    note = "That link is a page. Pick one of its images.";
+  }
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <meta name="robots" content="noindex" />
+  <title>Save Image · Image Bookmark</title>
+  <link rel="stylesheet" href="/styles.css" />
+</head>
+<body>
+  <main class="container">
+    <form id="saveForm" class="dialog-body save-panel">
+      <h3>Save Image</h3>
+      ${note ? `<p class="dialog-note">${note}</p>` : ""}
+      <div class="save-choices${images.length === 1 ? " single" : ""}">${choices}
+      </div>
+      <input id="saveTags" type="text" placeholder="Tags (comma separated)" value="${escapeHtml(
+        tags.join(", ")
+      )}" autocomplete="off" />
+      <div id="saveSuggestions" class="tags">${chips}</div>
+      <input name="title" type="text" placeholder="Title (optional)" value="${escapeHtml(
+        options.title
+      )}" />
+      <input name="sourceUrl" type="url" placeholder="Source page URL (optional)" value="${escapeHtml(
+        options.sourceUrl
+      )}" />
+      <textarea name="notes" rows="3" placeholder="Notes (optional)">${escapeHtml(
+        options.notes
+      )}</textarea>
+      <p id="saveStatus" class="dialog-note" role="status"></p>
+      <div class="dialog-actions">
+        <button id="saveButton" type="submit">Save</button>
+        <a class="button-link" href="/${escapeHtml(userId)}">Open Library</a>
+      </div>
+    </form>
+  </main>
+  <script src="/save.js"></script>
+</body>
+</html>`;
+}
+
+function iconSvg() {
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 64">
+  <rect width="64" height="64" rx="14" fill="#d45b2c" />
+  <rect x="14" y="16" width="36" height="32" rx="4" fill="#fff6ee" />
+  <path d="M18 42l9-11 7 8 5-5 7 8z" fill="#2a7f62" />
+  <circle cx="40" cy="24" r="4" fill="#f5a36f" />
+</svg>`;
+}
+
+function renderLoginPage(userId, error) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <meta name="robots" content="noindex" />
+  <title>Sign in · Image Bookmark</title>
+  <link rel="stylesheet" href="/styles.css" />
+</head>
+<body>
+  <header class="hero">
+    <div class="hero-inner">
+      <div>
+        <h1>Image Bookmark</h1>
+        <p>This library is protected by a passphrase.</p>
+      </div>
+      <form class="search-panel" method="post" action="/${escapeHtml(userId)}/login">
+        <input name="passphrase" type="password" placeholder="Passphrase" autocomplete="current-password" autofocus required />
+        <button type="submit">Sign In</button>
+        ${error ? `<p class="form-error">${escapeHtml(error)}</p>` : ""}
+      </form>
+    </div>
+  </header>
+</body>
+</html>`;
+}
+
+function renderMessagePage(title, message) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>${escapeHtml(title)} · Image Bookmark</title>
+  <link rel="stylesheet" href="/styles.css" />
+</head>
+<body>
+  <header class="hero">
+    <div class="hero-inner">
+      <div>
+        <h1>${escapeHtml(title)}</h1>
+        <p>${escapeHtml(message)}</p>
+      </div>
+    </div>
+  </header>
+</body>
+</html>`;
+}
+
+function renderLandingPage() {
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>Image Bookmark</title>
+  <link rel="stylesheet" href="/styles.css" />
+</head>
+<body>
+  <header class="hero">
+    <div class="hero-inner">
+      <div>
+        <h1>Image Bookmark</h1>
+        <p>Open with a user UUID, for example:</p>
+        <p><code>https://domain.com/&lt;uuid&gt;</code></p>
+      </div>
+    </div>
+  </header>
+</body>
+</html>`;
+}
+function stylesCss() {
+  return `:root {
+  --bg: #f5f0ea;
+  --card: #fff6ee;
+  --ink: #1d1b18;
+  --accent: #d45b2c;
+  --accent-2: #2a7f62;
+  --muted: #7b6f64;
+  --border: #e2d4c5;
+  --shadow: rgba(36, 23, 12, 0.08);
+}
+
+* {
+  box-sizing: border-box;
+}
+
+body {
+  margin: 0;
+  font-family: "Space Grotesk", "Gill Sans", "Trebuchet MS", sans-serif;
+  color: var(--ink);
+  background: radial-gradient(circle at top, #fff0e1 0%, #f5f0ea 55%, #efe4da 100%);
+}
+
+.hero {
+  padding: 48px 24px;
+  border-bottom: 1px solid var(--border);
+  background: linear-gradient(120deg, #f5a36f 0%, #f7c59f 42%, #f2e1cf 100%);
+}
+
+.hero-inner {
+  width: 100%;
+  max-width: none;
+  margin: 0;
+  display: grid;
+  grid-template-columns: 1fr 1fr;
+  gap: 24px;
+  align-items: center;
+  padding: 0 24px;
+}
+
+.hero h1 {
+  font-size: 40px;
+  margin: 0 0 8px;
+}
+
+.hero p {
+  margin: 0;
+  color: var(--muted);
+}
+
+.search-panel {
+  display: grid;
+  gap: 12px;
+}
+
+.search-panel input,
+.form-row input {
+  padding: 12px 14px;
+  border-radius: 10px;
+  border: 1px solid var(--border);
+  background: #fffaf4;
+  font-size: 14px;
+}
+
+.account-actions {
+  display: flex;
+  gap: 8px;
+  margin-top: 12px;
+}
+
+.account-actions form {
+  margin: 0;
+}
+
+.account-actions button,
+.account-actions a {
+  padding: 6px 12px;
+  border-radius: 8px;
+  border: 1px solid var(--border);
+  background: rgba(255, 250, 244, 0.7);
+  color: var(--ink);
+  cursor: pointer;
+  font-size: 12px;
+  text-decoration: none;
+}
+
+.form-error {
+  color: #c0382a;
+  font-weight: 600;
+}
+
+.settings-section {
+  display: grid;
+  gap: 10px;
+  padding-bottom: 16px;
+  border-bottom: 1px solid var(--border);
+}
+
+.settings-section h4 {
+  margin: 0;
+}
+
+.checkbox {
+  display: flex;
+  gap: 8px;
+  align-items: flex-start;
+  font-size: 14px;
+}
+
+.search-error {
+  margin: 0;
+  font-size: 13px;
+}
+
+.search-help {
+  font-size: 12px;
+  color: var(--muted);
+}
+
+.search-help summary {
+  cursor: pointer;
+}
+
+.search-help ul {
+  margin: 6px 0 0;
+  padding-left: 18px;
+  display: grid;
+  gap: 4px;
+}
+
+.search-options {
+  display: flex;
+  gap: 8px;
+}
+
+.search-options select {
+  flex: 1;
+  padding: 10px 12px;
+  border-radius: 10px;
+  border: 1px solid var(--border);
+  background: #fffaf4;
+  font: inherit;
+  font-size: 14px;
+}
+
+.toggle {
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  font-size: 13px;
+  white-space: nowrap;
+}
+
+.card.broken {
+  border-color: #d2412f;
+}
+
+.badge {
+  justify-self: start;
+  padding: 2px 8px;
+  border-radius: 999px;
+  background: #d2412f;
+  color: white;
+  font-size: 11px;
+  font-weight: 600;
+}
+
+.card-meta,
+.image-info {
+  color: var(--muted);
+  font-size: 12px;
+}
+
+.search-actions {
+  display: flex;
+  gap: 8px;
+}
+
+.search-actions button {
+  flex: 1;
+}
+
+.search-panel button.secondary {
+  background: #fff3ea;
+  color: var(--ink);
+  border: 1px solid var(--border);
+}
+
+.search-panel button,
+.form-row button {
+  padding: 12px 16px;
+  border-radius: 10px;
+  border: none;
+  background: var(--accent);
+  color: white;
+  font-weight: 600;
+  cursor: pointer;
+}
+
+.container {
+  max-width: none;
+  margin: 0;
+  padding: 24px;
+}
+
+.add-form {
+  margin-bottom: 24px;
+  background: var(--card);
+  border: 1px solid var(--border);
+  border-radius: 16px;
+  padding: 16px;
+  box-shadow: 0 10px 20px var(--shadow);
+}
+
+.form-row {
+  display: grid;
+  grid-template-columns: 2fr 2fr 1fr 1fr;
+  gap: 12px;
+}
+
+.form-row button.secondary {
+  background: #fff3ea;
+  color: var(--ink);
+  border: 1px solid var(--border);
+}
+
+.upload-hint {
+  margin: 8px 0 0;
+  font-size: 12px;
+  color: var(--muted);
+}
+
+body.dropping .add-form {
+  outline: 3px dashed var(--accent);
+  outline-offset: 4px;
+}
+
+.form-details {
+  margin-top: 12px;
+  grid-template-columns: 1fr 1fr 2fr;
+}
+
+.form-row textarea {
+  padding: 12px 14px;
+  border-radius: 10px;
+  border: 1px solid var(--border);
+  background: #fffaf4;
+  font: inherit;
+  font-size: 14px;
+  resize: vertical;
+}
+
+.card-title {
+  font-weight: 600;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+}
+
+.preview-title {
+  margin: 0;
+}
+
+.preview-notes {
+  margin: 0;
+  white-space: pre-wrap;
+}
+
+.preview-source {
+  color: var(--accent);
+  font-size: 13px;
+  overflow-wrap: anywhere;
+}
+
+.preview-title:empty,
+.preview-notes:empty,
+.preview-source:empty {
+  display: none;
+}
+
+.library {
+  display: grid;
+  grid-template-columns: 220px 1fr;
+  gap: 24px;
+  align-items: start;
+}
+
+.library-main {
+  min-width: 0;
+}
+
+.collections-panel {
+  background: var(--card);
+  border: 1px solid var(--border);
+  border-radius: 16px;
+  padding: 12px;
+  display: grid;
+  gap: 12px;
+}
+
+.panel-header {
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  gap: 8px;
+}
+
+.panel-header h2 {
+  margin: 0;
+  font-size: 16px;
+}
+
+.panel-header button,
+.collection-actions button,
+.dialog-collections button {
+  padding: 6px 10px;
+  border-radius: 8px;
+  border: 1px solid var(--border);
+  background: #fff3ea;
+  cursor: pointer;
+  font-size: 12px;
+}
+
+.collection-list {
+  display: grid;
+  gap: 4px;
+}
+
+.collection-list button {
+  display: flex;
+  justify-content: space-between;
+  gap: 8px;
+  padding: 8px 10px;
+  border: none;
+  border-radius: 8px;
+  background: transparent;
+  text-align: left;
+  cursor: pointer;
+  font-size: 13px;
+  color: var(--ink);
+}
+
+.collection-list button.active {
+  background: var(--accent);
+  color: white;
+}
+
+.collection-list .count {
+  color: inherit;
+  opacity: 0.7;
+}
+
+.tag-list {
+  max-height: 320px;
+  overflow-y: auto;
+  font-size: 13px;
+  color: var(--muted);
+}
+
+.collection-header {
+  display: grid;
+  grid-template-columns: auto 1fr auto;
+  gap: 16px;
+  align-items: center;
+  margin-bottom: 16px;
+}
+
+.collection-header[hidden] {
+  display: none;
+}
+
+.collection-header img {
+  width: 96px;
+  height: 96px;
+  object-fit: cover;
+  border-radius: 12px;
+  border: 1px solid var(--border);
+}
+
+.collection-header h2 {
+  margin: 0 0 4px;
+}
+
+.collection-header p {
+  margin: 0;
+  color: var(--muted);
+  white-space: pre-wrap;
+}
+
+.collection-actions {
+  display: flex;
+  gap: 8px;
+}
+
+.collection-actions button.danger {
+  background: #d2412f;
+  border-color: #c0382a;
+  color: white;
+}
+
+.card.dragging {
+  opacity: 0.4;
+}
+
+.card.drop-target {
+  outline: 2px dashed var(--accent);
+}
+
+.grid {
+  display: grid;
+  grid-template-columns: repeat(6, 1fr);
+  gap: 12px;
+  width: 100%;
+}
+
+.grid-sentinel {
+  height: 1px;
+}
+
+.grid-status {
+  grid-column: 1 / -1;
+  color: var(--muted);
+}
+
+.share-pages {
+  display: flex;
+  gap: 12px;
+  align-items: center;
+  justify-content: center;
+  margin-top: 24px;
+  color: var(--muted);
+}
+
+.card {
+  position: relative;
+  border-radius: 14px;
+  overflow: hidden;
+  background: white;
+  border: 1px solid var(--border);
+  box-shadow: 0 8px 16px var(--shadow);
+  display: flex;
+  flex-direction: column;
+}
+
+.card-select {
+  position: absolute;
+  top: 10px;
+  left: 10px;
+  width: 20px;
+  height: 20px;
+  display: none;
+  cursor: pointer;
+}
+
+.grid.selecting .card-select,
+.card:hover .card-select {
+  display: block;
+}
+
+.card.selected {
+  outline: 3px solid var(--accent);
+  outline-offset: -3px;
+}
+
+.card img {
+  width: 100%;
+  height: clamp(220px, 35vw, 360px);
+  object-fit: contain;
+  display: block;
+}
+
+.card-body {
+  padding: 10px 12px 12px;
+  display: grid;
+  gap: 8px;
+  font-size: 13px;
+}
+
+.tags {
+  display: flex;
+  flex-wrap: wrap;
+  gap: 6px;
+}
+
+.tag {
+  padding: 4px 8px;
+  border-radius: 999px;
+  background: var(--accent-2);
+  color: white;
+  font-size: 12px;
+}
+
+.card-actions {
+  display: flex;
+  gap: 8px;
+}
+
+.card-actions button {
+  flex: 1;
+  padding: 8px 10px;
+  border-radius: 8px;
+  border: 1px solid var(--border);
+  background: #fff3ea;
+  cursor: pointer;
+  font-size: 12px;
+}
+
+@media (max-width: 900px) {
+  .hero-inner {
+    grid-template-columns: 1fr;
+  }
+  .library {
+    grid-template-columns: 1fr;
+  }
+  .collection-header {
+    grid-template-columns: 1fr;
+  }
+  .form-row {
+    grid-template-columns: 1fr;
+  }
+  .grid {
+    grid-template-columns: repeat(3, 1fr);
+  }
+}
+
+@media (max-width: 640px) {
+  .hero {
+    padding: 16px 12px;
+  }
+  .hero-inner {
+    padding: 0;
+    gap: 12px;
+  }
+  .hero h1 {
+    font-size: 24px;
+  }
+  .hero p {
+    font-size: 13px;
+  }
+  .search-panel input,
+  .form-row input,
+  .form-row textarea {
+    padding: 8px 10px;
+  }
+  .search-panel button,
+  .form-row button {
+    padding: 8px 10px;
+  }
+  .search-panel {
+    gap: 8px;
+  }
+  .grid {
+    grid-template-columns: repeat(2, 1fr);
+  }
+  .card img {
+    height: clamp(160px, 45vw, 240px);
+  }
+}
+
+.dialog {
+  border: none;
+  border-radius: 16px;
+  padding: 0;
+  max-width: 900px;
+  width: min(92vw, 900px);
+  box-shadow: 0 20px 60px rgba(0, 0, 0, 0.25);
+}
+
+.dialog::backdrop {
+  background: rgba(20, 16, 12, 0.55);
+  backdrop-filter: blur(3px);
+}
+
+.dialog-body {
+  padding: 20px;
+  display: grid;
+  gap: 16px;
+  max-height: 85vh;
+  overflow: hidden;
+}
+
+.dialog-body img {
+  width: 100%;
+  height: auto;
+  max-height: 65vh;
+  object-fit: contain;
+  border-radius: 12px;
+  border: 1px solid var(--border);
+  background: #fff;
+}
+
+.lightbox-stage {
+  position: relative;
+  overflow: hidden;
+  border-radius: 12px;
+  border: 1px solid var(--border);
+  background: #fff;
+  touch-action: none;
+  user-select: none;
+}
+
+.lightbox-stage img {
+  display: block;
+  border: none;
+  border-radius: 0;
+  transform-origin: center;
+  transition: transform 0.08s ease-out;
+  cursor: zoom-in;
+}
+
+.lightbox-stage.zoomed img {
+  cursor: grab;
+}
+
+.lightbox-nav {
+  position: absolute;
+  top: 50%;
+  transform: translateY(-50%);
+  width: 40px;
+  height: 56px;
+  border: none;
+  border-radius: 10px;
+  background: rgba(20, 16, 12, 0.45);
+  color: #fff;
+  font-size: 28px;
+  cursor: pointer;
+}
+
+.lightbox-nav.prev {
+  left: 8px;
+}
+
+.lightbox-nav.next {
+  right: 8px;
+}
+
+.lightbox-nav:disabled {
+  visibility: hidden;
+}
+
+.lightbox-bar {
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 8px;
+  font-size: 13px;
+}
+
+.lightbox-bar button,
+.lightbox-bar select {
+  padding: 6px 10px;
+  border-radius: 8px;
+  border: 1px solid var(--border);
+  background: #fff3ea;
+  font: inherit;
+  cursor: pointer;
+}
+
+#previewPosition {
+  margin-right: auto;
+  color: var(--muted);
+}
+
+.lightbox-keys {
+  margin: 0;
+  font-size: 12px;
+  color: var(--muted);
+}
+
+@media (hover: none) {
+  .lightbox-keys {
+    display: none;
+  }
+}
+
+.dialog-tabs {
+  display: flex;
+  gap: 4px;
+  border-bottom: 1px solid var(--border);
+}
+
+.dialog-tabs button {
+  padding: 6px 12px;
+  border: none;
+  border-bottom: 2px solid transparent;
+  background: transparent;
+  cursor: pointer;
+  font: inherit;
+  font-size: 13px;
+  color: var(--muted);
+}
+
+.dialog-tabs button.active {
+  border-bottom-color: var(--accent);
+  color: var(--ink);
+  font-weight: 600;
+}
+
+.preview-details {
+  display: grid;
+  gap: 12px;
+}
+
+.preview-details[hidden] {
+  display: none;
+}
+
+.history-list {
+  display: grid;
+  gap: 10px;
+  max-height: 320px;
+  overflow-y: auto;
+  font-size: 13px;
+}
+
+.history-item {
+  display: grid;
+  gap: 4px;
+  padding-bottom: 10px;
+  border-bottom: 1px solid var(--border);
+}
+
+.history-item time {
+  color: var(--muted);
+  font-size: 12px;
+}
+
+.history-change {
+  color: var(--muted);
+  overflow-wrap: anywhere;
+}
+
+.history-item button {
+  justify-self: start;
+  padding: 4px 10px;
+  border-radius: 8px;
+  border: 1px solid var(--border);
+  background: #fff3ea;
+  cursor: pointer;
+  font-size: 12px;
+}
+
+.dialog-actions {
+  display: flex;
+  flex-wrap: wrap;
+  gap: 10px;
+}
+
+.dialog-actions button {
+  padding: 10px 14px;
+  border-radius: 10px;
+  border: 1px solid var(--border);
+  background: #fff3ea;
+  cursor: pointer;
+  font-size: 13px;
+  font-weight: 600;
+}
+
+.dialog-actions button.danger {
+  background: #d2412f;
+  border-color: #c0382a;
+  color: white;
+}
+
+.dialog-actions button.ghost {
+  background: transparent;
+}
+
+.dialog-meta {
+  display: grid;
+  gap: 12px;
+}
+
+.dialog-body input,
+.dialog-body textarea,
+.dialog-collections select,
+.token-form select {
+  padding: 10px 12px;
+  border-radius: 10px;
+  border: 1px solid var(--border);
+  background: #fffaf4;
+  font: inherit;
+  font-size: 14px;
+}
+
+.dialog-collections {
+  display: flex;
+  gap: 8px;
+}
+
+.dialog-note {
+  margin: 0;
+  color: var(--muted);
+  font-size: 13px;
+}
+
+.share-list {
+  display: grid;
+  gap: 10px;
+  overflow-y: auto;
+}
+
+.share-row,
+.tag-row,
+.token-reveal {
+  display: grid;
+  grid-template-columns: 1fr auto auto;
+  gap: 8px;
+  align-items: center;
+}
+
+.duplicate-group {
+  display: grid;
+  gap: 8px;
+  padding-bottom: 10px;
+  border-bottom: 1px solid var(--border);
+}
+
+.duplicate-item {
+  display: grid;
+  grid-template-columns: auto 48px 1fr;
+  gap: 8px;
+  align-items: center;
+  font-size: 13px;
+}
+
+.duplicate-item img {
+  width: 48px;
+  height: 48px;
+  object-fit: cover;
+  border-radius: 6px;
+}
+
+.duplicate-url {
+  overflow-wrap: anywhere;
+}
+
+.duplicate-group button {
+  justify-self: end;
+  padding: 6px 10px;
+  border-radius: 8px;
+  border: 1px solid var(--border);
+  background: #fff3ea;
+  cursor: pointer;
+  font-size: 12px;
+}
+
+.tag-row button.danger,
+.bulk-bar button.danger {
+  background: #d2412f;
+  border-color: #c0382a;
+  color: white;
+}
+
+.trash-header {
+  grid-template-columns: 1fr auto;
+}
+
+.trash-view .grid-toolbar,
+.trash-view .bulk-bar {
+  display: none;
+}
+
+.toast {
+  position: fixed;
+  left: 50%;
+  bottom: 24px;
+  transform: translateX(-50%);
+  z-index: 20;
+  display: flex;
+  align-items: center;
+  gap: 16px;
+  padding: 12px 16px;
+  border-radius: 12px;
+  background: var(--ink);
+  color: white;
+  box-shadow: 0 8px 16px var(--shadow);
+  font-size: 14px;
+}
+
+.toast[hidden] {
+  display: none;
+}
+
+.toast button {
+  padding: 6px 12px;
+  border: none;
+  border-radius: 8px;
+  background: var(--accent);
+  color: white;
+  font-weight: 600;
+  cursor: pointer;
+}
+
+.grid-toolbar {
+  display: flex;
+  justify-content: flex-end;
+  align-items: center;
+  gap: 8px;
+  margin-bottom: 12px;
+}
+
+.sync-status {
+  font-size: 12px;
+  color: var(--muted);
+}
+
+.card.pending {
+  opacity: 0.75;
+}
+
+.badge.pending {
+  background: var(--muted);
+}
+
+.bulk-bar {
+  position: sticky;
+  top: 0;
+  z-index: 5;
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 8px;
+  padding: 10px 12px;
+  margin-bottom: 12px;
+  border-radius: 12px;
+  border: 1px solid var(--border);
+  background: var(--card);
+  box-shadow: 0 8px 16px var(--shadow);
+}
+
+.bulk-bar[hidden] {
+  display: none;
+}
+
+.bulk-bar button:disabled {
+  opacity: 0.5;
+  cursor: default;
+}
+
+.selection-count {
+  flex: 1;
+  font-size: 13px;
+  font-weight: 600;
+}
+
+.share-row input,
+.token-reveal input {
+  grid-column: 1 / -1;
+}
+
+#newToken[hidden] {
+  display: none;
+}
+
+.token-form {
+  display: grid;
+  grid-template-columns: 1fr auto auto;
+  gap: 8px;
+}
+
+.share-row button,
+.tag-row button,
+.token-reveal button,
+.grid-toolbar button,
+.bulk-bar button {
+  padding: 6px 10px;
+  border-radius: 8px;
+  border: 1px solid var(--border);
+  background: #fff3ea;
+  cursor: pointer;
+  font-size: 12px;
+}
+
+.dialog-collections[hidden] {
+  display: none;
+}
+
+.save-panel {
+  max-width: 560px;
+  max-height: none;
+  margin: 0 auto;
+  overflow: visible;
+  background: var(--card);
+  border: 1px solid var(--border);
+  border-radius: 16px;
+}
+
+.save-panel h3 {
+  margin: 0;
+}
+
+.save-choices {
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(120px, 1fr));
+  gap: 8px;
+}
+
+.save-choices.single {
+  grid-template-columns: 1fr;
+}
+
+.save-choice {
+  position: relative;
+  cursor: pointer;
+}
+
+.save-choice input {
+  position: absolute;
+  opacity: 0;
+}
+
+.save-choice img {
+  display: block;
+  height: 120px;
+  object-fit: cover;
+  border: 3px solid transparent;
+}
+
+.save-choice input:checked + img {
+  border-color: var(--accent);
+}
+
+.save-choices.single img {
+  height: auto;
+  max-height: 50vh;
+  object-fit: contain;
+  border: 1px solid var(--border);
+}
+
+#saveSuggestions .tag {
+  border: 1px solid var(--border);
+  background: #fff3ea;
+  color: var(--ink);
+  cursor: pointer;
+}
+
+#saveSuggestions .tag.active {
+  border-color: var(--accent-2);
+  background: var(--accent-2);
+  color: white;
+}
+
+.button-link,
+.bookmarklet {
+  padding: 10px 14px;
+  border-radius: 10px;
+  border: 1px solid var(--border);
+  background: #fff3ea;
+  color: var(--ink);
+  font-size: 13px;
+  font-weight: 600;
+  text-decoration: none;
+}
+
+.bookmarklet {
+  justify-self: start;
+  cursor: grab;
+}
+
+.stats {
+  display: grid;
+  gap: 20px;
+}
+
+.stats-totals {
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(160px, 1fr));
+  gap: 12px;
+}
+
+.stats-total,
+.stats-panel {
+  background: var(--card);
+  border: 1px solid var(--border);
+  border-radius: 16px;
+  padding: 16px;
+  box-shadow: 0 10px 20px var(--shadow);
+}
+
+.stats-total {
+  display: grid;
+  gap: 4px;
+}
+
+.stats-total strong {
+  font-size: 28px;
+}
+
+.stats-total span {
+  color: var(--muted);
+  font-size: 13px;
+}
+
+.stats-panel h2 {
+  margin: 0 0 12px;
+  font-size: 18px;
+}
+
+.stats-heading {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 12px;
+}
+
+.stats-chart {
+  display: flex;
+  align-items: stretch;
+  gap: 4px;
+  height: 220px;
+}
+
+.stats-column {
+  flex: 1;
+  display: flex;
+  flex-direction: column;
+  justify-content: flex-end;
+  align-items: center;
+  gap: 4px;
+  min-width: 0;
+}
+
+.stats-bar {
+  width: 100%;
+  min-height: 1px;
+  border-radius: 4px 4px 0 0;
+  background: var(--accent);
+}
+
+.stats-label {
+  font-size: 10px;
+  color: var(--muted);
+  white-space: nowrap;
+}
+
+.stats-tables {
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(280px, 1fr));
+  gap: 20px;
+}
+
+.stats-table {
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 14px;
+}
+
+.stats-table td {
+  padding: 6px 4px;
+  border-top: 1px solid var(--border);
+  overflow-wrap: anywhere;
+}
+
+.stats-meter {
+  width: 40%;
+}
+
+.stats-meter span {
+  display: block;
+  height: 8px;
+  border-radius: 4px;
+  background: var(--accent-2);
+}
+
+.stats-count {
+  text-align: right;
+  font-variant-numeric: tabular-nums;
+}
+
+.stats-empty {
+  color: var(--muted);
+}
+`;
+}
+
+// Runs on other sites as a bookmarklet: saves the page's only image, or
+// shows a picker when there are several. The home page builds the link from
+// `toString()`, so this must not reference anything outside itself.
+function bookmarklet(origin) {
+  var seen = {};
+  var images = [];
+  var add = function (src) {
+    if (src && /^https?:/.test(src) && !seen[src]) {
+      seen[src] = true;
+      images.push(src);
+    }
+  };
+  var meta = document.querySelector('meta[property="og:image"]');
+  if (meta && meta.content) add(new URL(meta.content, location.href).href);
+  Array.prototype.forEach.call(document.images, function (img) {
+    if (img.naturalWidth >= 100 && img.naturalHeight >= 100) {
+      add(img.currentSrc || img.src);
+    }
+  });
+  var save = function (src) {
+    var params = new URLSearchParams({
+      url: src,
+      source: location.href,
+      title: document.title,
+    });
+    window.open(
+      origin + "/save?" + params,
+      "image-bookmark",
+      "width=560,height=760"
+    );
+  };
+  if (images.length === 0) return alert("No images found on this page.");
+  if (images.length === 1) return save(images[0]);
+
+  var overlay = document.createElement("div");
+  overlay.style.cssText =
+    "position:fixed;inset:0;z-index:2147483647;overflow:auto;padding:16px;" +
+    "display:flex;flex-wrap:wrap;gap:8px;align-content:flex-start;" +
+    "background:rgba(0,0,0,0.8)";
+  overlay.title = "Click an image to save it, or the background to cancel";
+  overlay.addEventListener("click", function (event) {
+    if (event.target === overlay) overlay.remove();
+  });
+  images.forEach(function (src) {
+    var img = document.createElement("img");
+    img.src = src;
+    img.style.cssText =
+      "width:160px;height:160px;object-fit:cover;border-radius:8px;" +
+      "background:#fff;cursor:pointer";
+    img.addEventListener("click", function () {
+      overlay.remove();
+      save(src);
+    });
+    overlay.appendChild(img);
+  });
+  document.body.appendChild(overlay);
+}
+
+function appJs() {
+  return `const $ = (id) => document.getElementById(id);
+const previewDialog = $("previewDialog");
+const editDialog = $("editDialog");
+const confirmDialog = $("confirmDialog");
+const previewImage = $("previewImage");
+const previewTags = $("previewTags");
+const editTagsInput = $("editTagsInput");
+const copyUrlBtn = $("copyUrl");
+const editTagsBtn = $("editTags");
+const deleteBtn = $("deleteBookmark");
+const closePreviewBtn = $("closePreview");
+const saveTagsBtn = $("saveTags");
+const cancelEditBtn = $("cancelEdit");
+const confirmDeleteBtn = $("confirmDelete");
+const cancelDeleteBtn = $("cancelDelete");
+const collectionDialog = $("collectionDialog");
+const collectionSelect = $("collectionSelect");
+const sharesDialog = $("sharesDialog");
+const settingsDialog = $("settingsDialog");
+const duplicatesDialog = $("duplicatesDialog");
+const conflictsDialog = $("conflictsDialog");
+const tagsDialog = $("tagsDialog");
+const PAGE_SIZE = 48;
+let activeBookmark = null;
+let bookmarksState = [];
+let nextCursor = null;
+let loadingPage = false;
+let queryVersion = 0;
+let activeQuery = null;
+let tagsState = [];
+let tagRewriteRunning = false;
+let selecting = false;
+let selectedIds = new Set();
+let lastSelectedId = null;
+const BATCH_SIZE = 100;
+let viewingTrash = false;
+let trashState = [];
+let trashRetentionDays = 30;
+let toastTimer = null;
+let collectionsState = [];
+let activeCollection = null;
+let editingCollection = null;
+let draggedId = null;
+
+async function apiFetch(url, options) {
+  const resp = await fetch(url, options);
+  if (resp.status === 401) {
+    location.href = "/" + document.body.dataset.userId;
+  }
+  return resp;
+}
+
+const QUEUE_KEY = "offlineQueue:" + document.body.dataset.userId;
+let syncing = false;
+
+function readQueue() {
+  try {
+    return JSON.parse(localStorage.getItem(QUEUE_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+function writeQueue(queue) {
+  localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+  renderSyncStatus();
+}
+
+function changeBody(method, bookmark, fields) {
+  if (method === "POST") return { imageUrl: bookmark.imageUrl, ...fields };
+  if (method === "PUT") return { bookmarkId: bookmark.id, ...fields };
+  return { imageUrl: bookmark.imageUrl };
+}
+
+// Sends an add, edit or delete. When the network is unreachable the change
+// is queued instead and null is returned; the caller shows it as pending.
+async function sendBookmarkChange(method, bookmark, fields) {
+  if (navigator.onLine) {
+    try {
+      return await apiFetch("/api/bookmarks", {
+        method,
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify(changeBody(method, bookmark, fields)),
+      });
+    } catch {
+      // Network failure: queue it below.
+    }
+  }
+  queueChange(method, bookmark, fields);
+  return null;
+}
+
+// Queued changes remember the updatedAt they were made against, so replaying
+// them cannot overwrite a newer edit. Several changes to one image collapse
+// into one: an edit folds into a queued add or edit, and deleting a queued
+// add drops it.
+function queueChange(method, bookmark, fields) {
+  const queue = readQueue();
+  const index = queue.findIndex(
+    (c) => c.imageUrl === bookmark.imageUrl && !c.error
+  );
+  const queued = index >= 0 ? queue[index] : null;
+  let change = {
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2),
+    method,
+    imageUrl: bookmark.imageUrl,
+    fields,
+    expectedUpdatedAt: method === "POST" ? null : bookmark.updatedAt,
+    queuedAt: new Date().toISOString(),
+  };
+  if (queued && method !== "POST") {
+    queue.splice(index, 1);
+    if (queued.method === "POST" && method === "DELETE") return writeQueue(queue);
+    change =
+      method === "PUT"
+        ? { ...queued, fields: { ...queued.fields, ...fields } }
+        : { ...change, expectedUpdatedAt: queued.expectedUpdatedAt };
+  }
+  queue.push(change);
+  writeQueue(queue);
+}
+
+function pendingBookmark(bookmark, fields) {
+  const now = new Date().toISOString();
+  return {
+    ...bookmark,
+    ...fields,
+    id: bookmark.id || "pending:" + bookmark.imageUrl,
+    tags: fields.tags || bookmark.tags || [],
+    createdAt: bookmark.createdAt || now,
+    updatedAt: bookmark.updatedAt || now,
+    pending: true,
+  };
+}
+
+// Shows queued changes on top of a list that came from the server or the
+// service worker's cache.
+function applyQueuedChanges() {
+  for (const change of readQueue()) {
+    if (change.error) continue;
+    const current = bookmarksState.find((b) => b.imageUrl === change.imageUrl);
+    if (change.method === "DELETE") {
+      removeBookmarkByUrl(change.imageUrl);
+    } else if (change.method === "POST" || current) {
+      upsertBookmark(
+        pendingBookmark(current || { imageUrl: change.imageUrl }, change.fields)
+      );
+    }
+  }
+}
+
+// Replays queued changes in order. Refused changes stay in the queue with
+// the server's error and current version until the user resolves them.
+async function syncQueue() {
+  if (syncing || !navigator.onLine) return;
+  syncing = true;
+  let applied = 0;
+  try {
+    for (const change of readQueue()) {
+      if (change.error) continue;
+      const body = { imageUrl: change.imageUrl };
+      if (change.method !== "DELETE") Object.assign(body, change.fields);
+      if (!change.force) body.expectedUpdatedAt = change.expectedUpdatedAt;
+      let resp;
+      try {
+        resp = await apiFetch("/api/bookmarks", {
+          method: change.method,
+          headers: { "content-type": "application/json" },
+          body: JSON.stringify(body),
+        });
+      } catch {
+        break;
+      }
+      if (resp.status === 429) {
+        const retry = Number(resp.headers.get("retry-after")) || 60;
+        setTimeout(syncQueue, retry * 1000);
+        break;
+      }
+      const data = await resp.json().catch(() => ({}));
+      const queue = readQueue();
+      const index = queue.findIndex((c) => c.id === change.id);
+      if (index < 0) continue;
+      if (resp.ok) {
+        queue.splice(index, 1);
+        applied += 1;
+      } else {
+        queue[index] = {
+          ...change,
+          error: data.error || "HTTP " + resp.status,
+          current: data.item || null,
+        };
+      }
+      writeQueue(queue);
+    }
+  } finally {
+    syncing = false;
+  }
+  if (applied === 0 && !readQueue().some((c) => c.error)) return;
+  loadTags();
+  loadCollections();
+  if (activeCollection) {
+    await showCollection(activeCollection.id);
+  } else if (!viewingTrash) {
+    await loadBookmarks();
+  }
+}
+
+function renderSyncStatus() {
+  const queue = readQueue();
+  const failed = queue.filter((c) => c.error).length;
+  const waiting = queue.length - failed;
+  const parts = [];
+  if (!navigator.onLine) parts.push("Offline");
+  if (waiting) {
+    parts.push(waiting + (waiting === 1 ? " change" : " changes") + " waiting to sync");
+  }
+  if (failed) {
+    parts.push(failed + (failed === 1 ? " change" : " changes") + " not applied");
+  }
+  $("syncStatus").textContent = parts.join(" · ");
+  $("syncStatus").hidden = parts.length === 0;
+  $("reviewConflicts").hidden = failed === 0;
+  if (conflictsDialog.open) renderConflicts();
+}
+
+const CHANGE_LABELS = { POST: "Add", PUT: "Edit", DELETE: "Delete" };
+
+function openConflictsDialog() {
+  renderConflicts();
+  openDialog(conflictsDialog);
+}
+
+function renderConflicts() {
+  const list = $("conflictList");
+  list.innerHTML = "";
+  const failed = readQueue().filter((c) => c.error);
+  if (failed.length === 0) {
+    list.textContent = "Nothing to review.";
+    return;
+  }
+  for (const change of failed) {
+    const row = document.createElement("div");
+    row.className = "tag-row";
+    const label = document.createElement("div");
+    const name = document.createElement("strong");
+    name.textContent = CHANGE_LABELS[change.method] + ": " + change.imageUrl;
+    const detail = document.createElement("div");
+    detail.className = "dialog-note";
+    detail.textContent = change.error;
+    if (change.current) {
+      const tags = change.current.tags.length
+        ? change.current.tags.join(", ")
+        : "no tags";
+      detail.textContent += ". Now has " + tags + ".";
+    }
+    label.append(name, detail);
+    const apply = document.createElement("button");
+    apply.textContent = "Apply Anyway";
+    apply.addEventListener("click", () => resolveConflict(change.id, true));
+    const discard = document.createElement("button");
+    discard.textContent = "Discard";
+    discard.className = "danger";
+    discard.addEventListener("click", () => resolveConflict(change.id, false));
+    row.append(label, apply, discard);
+    list.appendChild(row);
+  }
+}
+
+async function resolveConflict(id, apply) {
+  const queue = readQueue();
+  const index = queue.findIndex((c) => c.id === id);
+  if (index < 0) return;
+  if (apply) {
+    const change = { ...queue[index], force: true };
+    delete change.error;
+    delete change.current;
+    queue[index] = change;
+  } else {
+    queue.splice(index, 1);
+  }
+  writeQueue(queue);
+  if (apply) await syncQueue();
+}
+
+function parseTags(value) {
+  return value
+    .split(",")
+    .map((t) => t.trim())
+    .filter(Boolean);
+}
+
+${parseQuery}
+
+${matchesQuery}
+
+${bookmarkSortKey}
+
+${compareSortKeys}
+
+${sortBookmarkList}
+
+${bookmarklet}
+
+function readSearch() {
+  const error = $("searchError");
+  try {
+    activeQuery = parseQuery($("search").value);
+  } catch (err) {
+    error.textContent = err.message;
+    error.hidden = false;
+    return false;
+  }
+  error.hidden = true;
+  return true;
+}
+
+function archivedImageUrl(bookmark, variant) {
+  return (
+    "/api/image/" +
+    bookmark.id +
+    "?variant=" +
+    variant +
+    "&v=" +
+    encodeURIComponent(bookmark.archive.archivedAt)
+  );
+}
+
+function cardImageUrl(bookmark) {
+  return bookmark.archive ? archivedImageUrl(bookmark, "thumb") : bookmark.imageUrl;
+}
+
+function setActiveBookmark(bookmark) {
+  const switched =
+    !activeBookmark || !bookmark || activeBookmark.id !== bookmark.id;
+  activeBookmark = bookmark;
+  if (!bookmark) return;
+  if (switched) {
+    showPreviewTab("details");
+    setPreviewZoom(1);
+  } else if (!$("previewHistory").hidden) {
+    loadHistory(bookmark);
+  }
+  previewImage.src = bookmark.imageUrl;
+  renderPreviewPosition();
+  previewTags.innerHTML = "";
+  (bookmark.tags || []).forEach((t) => {
+    const tag = document.createElement("span");
+    tag.className = "tag";
+    tag.textContent = t;
+    previewTags.appendChild(tag);
+  });
+  $("previewInfo").textContent = describeImage(bookmark);
+  $("previewTitle").textContent = bookmark.title || "";
+  $("previewNotes").textContent = bookmark.notes || "";
+  const source = $("previewSource");
+  source.textContent = bookmark.sourceUrl ? "Source: " + bookmark.sourceUrl : "";
+  if (/^https?:\\/\\//i.test(bookmark.sourceUrl || "")) {
+    source.href = bookmark.sourceUrl;
+  } else {
+    source.removeAttribute("href");
+  }
+}
+
+// The preview is a lightbox over bookmarksState: it follows the current
+// search and sort, and pages in more results when it reaches the end.
+const PRELOAD_AHEAD = 2;
+const MAX_ZOOM = 8;
+const SWIPE_DISTANCE = 50;
+let previewZoom = { scale: 1, x: 0, y: 0 };
+let previewGesture = null;
+const previewPointers = new Map();
+let preloadedImages = [];
+let slideshowTimer = null;
+
+function openPreview(bookmark) {
+  setActiveBookmark(bookmark);
+  openDialog(previewDialog);
+  preloadNeighbors();
+}
+
+function previewIndex() {
+  if (!activeBookmark) return -1;
+  return bookmarksState.findIndex((b) => b.id === activeBookmark.id);
+}
+
+function renderPreviewPosition() {
+  const index = previewIndex();
+  $("previewPosition").textContent =
+    index < 0
+      ? ""
+      : index + 1 + " / " + bookmarksState.length + (nextCursor ? "+" : "");
+  $("previewPrev").disabled = index <= 0;
+  $("previewNext").disabled =
+    index < 0 || (index >= bookmarksState.length - 1 && !nextCursor);
+}
+
+async function stepPreview(delta) {
+  const index = previewIndex();
+  if (index < 0) return false;
+  if (index + delta >= bookmarksState.length && nextCursor) {
+    await loadMoreBookmarks();
+  }
+  const next = bookmarksState[index + delta];
+  if (!next) return false;
+  setActiveBookmark(next);
+  preloadNeighbors();
+  return true;
+}
+
+function preloadNeighbors() {
+  const index = previewIndex();
+  if (index < 0) return;
+  const neighbors = [index - 1];
+  for (let offset = 1; offset <= PRELOAD_AHEAD; offset++) {
+    neighbors.push(index + offset);
+  }
+  preloadedImages = neighbors
+    .map((i) => bookmarksState[i])
     .filter(Boolean)
-    .map((t) => t.toLowerCase());
-  return Array.from(new Set(normalized));
+    .map((bookmark) => {
+      const image = new Image();
+      image.src = bookmark.imageUrl;
+      return image;
+    });
+}
+
+function setPreviewZoom(scale, x = 0, y = 0) {
+  const clamped = Math.min(MAX_ZOOM, Math.max(1, scale));
+  previewZoom =
+    clamped === 1 ? { scale: 1, x: 0, y: 0 } : { scale: clamped, x, y };
+  previewImage.style.transform =
+    "translate(" +
+    previewZoom.x +
+    "px, " +
+    previewZoom.y +
+    "px) scale(" +
+    previewZoom.scale +
+    ")";
+  $("previewStage").classList.toggle("zoomed", previewZoom.scale > 1);
+  $("zoomReset").textContent = Math.round(previewZoom.scale * 100) + "%";
+}
+
+// Zooms around the middle of the stage, so the offset scales with the image.
+function zoomPreviewBy(factor) {
+  const scale = Math.min(MAX_ZOOM, Math.max(1, previewZoom.scale * factor));
+  const ratio = scale / previewZoom.scale;
+  setPreviewZoom(scale, previewZoom.x * ratio, previewZoom.y * ratio);
+}
+
+function pointerDistance() {
+  const [a, b] = [...previewPointers.values()];
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function startPreviewGesture(event) {
+  if (event.target.closest("button")) return;
+  event.preventDefault();
+  $("previewStage").setPointerCapture(event.pointerId);
+  previewPointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+  previewGesture =
+    previewPointers.size === 2
+      ? { pinch: pointerDistance(), ...previewZoom }
+      : { startX: event.clientX, startY: event.clientY, ...previewZoom };
+}
+
+function movePreviewGesture(event) {
+  if (!previewGesture || !previewPointers.has(event.pointerId)) return;
+  previewPointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+  const { pinch, scale, x, y } = previewGesture;
+  if (pinch && previewPointers.size === 2) {
+    const ratio = pointerDistance() / pinch;
+    setPreviewZoom(scale * ratio, x * ratio, y * ratio);
+  } else if (!pinch && scale > 1) {
+    setPreviewZoom(
+      scale,
+      x + event.clientX - previewGesture.startX,
+      y + event.clientY - previewGesture.startY
+    );
+  }
+}
+
+function endPreviewGesture(event) {
+  if (!previewPointers.delete(event.pointerId) || !previewGesture) return;
+  const { pinch, scale, startX, startY } = previewGesture;
+  previewGesture = null;
+  if (pinch || scale > 1 || event.type === "pointercancel") return;
+  const dx = event.clientX - startX;
+  const dy = event.clientY - startY;
+  if (Math.abs(dx) > SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) {
+    stepPreview(dx < 0 ? 1 : -1);
+  }
+}
+
+function toggleSlideshow(play = !slideshowTimer) {
+  clearTimeout(slideshowTimer);
+  slideshowTimer = null;
+  if (play) scheduleSlide();
+  $("slideshowToggle").textContent = play ? "Pause" : "Play";
+}
+
+function scheduleSlide() {
+  const delay = Number($("slideshowInterval").value) * 1000;
+  slideshowTimer = setTimeout(async () => {
+    if (!(await stepPreview(1)) && bookmarksState.length > 0) {
+      setActiveBookmark(bookmarksState[0]);
+      preloadNeighbors();
+    }
+    if (slideshowTimer) scheduleSlide();
+  }, delay);
+}
+
+async function copyPreviewUrl() {
+  await copyImageUrl();
+  copyUrlBtn.textContent = "Copied";
+  setTimeout(() => {
+    copyUrlBtn.textContent = "Copy Image URL";
+  }, 1500);
+}
+
+const PREVIEW_SHORTCUTS = {
+  ArrowRight: () => stepPreview(1),
+  ArrowLeft: () => stepPreview(-1),
+  "+": () => zoomPreviewBy(1.5),
+  "=": () => zoomPreviewBy(1.5),
+  "-": () => zoomPreviewBy(1 / 1.5),
+  0: () => setPreviewZoom(1),
+  " ": () => toggleSlideshow(),
+  t: () => {
+    toggleSlideshow(false);
+    openEditDialog(activeBookmark);
+    editTagsInput.focus();
+  },
+  c: copyPreviewUrl,
+  Delete: () => {
+    toggleSlideshow(false);
+    openDialog(confirmDialog);
+  },
+};
+PREVIEW_SHORTCUTS.Backspace = PREVIEW_SHORTCUTS.Delete;
+
+function handlePreviewKey(event) {
+  if (event.target.closest("input, select, textarea")) return;
+  if (event.metaKey || event.ctrlKey || event.altKey) return;
+  const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+  const shortcut = PREVIEW_SHORTCUTS[key];
+  if (!shortcut || !activeBookmark) return;
+  event.preventDefault();
+  shortcut();
+}
+
+function openEditDialog(bookmark) {
+  setActiveBookmark(bookmark);
+  $("editTitleInput").value = bookmark.title || "";
+  $("editSourceInput").value = bookmark.sourceUrl || "";
+  $("editNotesInput").value = bookmark.notes || "";
+  editTagsInput.value = (bookmark.tags || []).join(", ");
+  openDialog(editDialog);
+}
+
+function formatDimensions(bookmark) {
+  return bookmark.width && bookmark.height
+    ? bookmark.width + " × " + bookmark.height
+    : "";
+}
+
+function formatBytes(bytes) {
+  if (!bytes) return "";
+  if (bytes < 1024) return bytes + " B";
+  if (bytes < 1024 * 1024) return Math.round(bytes / 1024) + " KB";
+  if (bytes < 1024 * 1024 * 1024) {
+    return (bytes / (1024 * 1024)).toFixed(1) + " MB";
+  }
+  return (bytes / (1024 * 1024 * 1024)).toFixed(1) + " GB";
+}
+
+function describeImage(bookmark) {
+  return [
+    formatDimensions(bookmark),
+    formatBytes(bookmark.byteSize),
+    bookmark.contentType,
+    bookmark.status === "broken"
+      ? "Broken link (" + bookmark.failureCount + " failed checks)"
+      : "",
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+function openDialog(dialog) {
+  if (dialog && !dialog.open) dialog.showModal();
+}
+
+function closeDialog(dialog) {
+  if (dialog && dialog.open) dialog.close();
+}
+
+function wireBackdropClose(dialog) {
+  if (!dialog) return;
+  dialog.addEventListener("click", (event) => {
+    if (event.target === dialog) dialog.close();
+  });
+}
+
+function showPreviewTab(tab) {
+  const history = tab === "history";
+  $("detailsTab").classList.toggle("active", !history);
+  $("historyTab").classList.toggle("active", history);
+  $("previewDetails").hidden = history;
+  $("previewHistory").hidden = !history;
+  if (history && activeBookmark) loadHistory(activeBookmark);
+}
+
+const HISTORY_LABELS = {
+  create: "Created",
+  tags: "Tags changed",
+  edit: "Edited",
+  delete: "Deleted",
+  restore: "Restored from trash",
+  revert: "Reverted",
+  merge: "Merged duplicates",
+};
+
+async function loadHistory(bookmark) {
+  const list = $("previewHistory");
+  list.textContent = "Loading...";
+  const resp = await apiFetch("/api/bookmarks/" + bookmark.id + "/history");
+  if (!activeBookmark || activeBookmark.id !== bookmark.id) return;
+  if (!resp.ok) {
+    list.textContent = "Failed to load history.";
+    return;
+  }
+  const data = await resp.json();
+  renderHistory(data.items || []);
+}
+
+function describeHistoryValue(value) {
+  if (value === null) return "(empty)";
+  return Array.isArray(value) ? value.join(", ") : String(value);
+}
+
+function renderHistory(events) {
+  const list = $("previewHistory");
+  list.innerHTML = "";
+  if (events.length === 0) {
+    list.textContent = "No history yet.";
+    return;
+  }
+  events.forEach((event, index) => {
+    const item = document.createElement("div");
+    item.className = "history-item";
+    const label = document.createElement("strong");
+    label.textContent = HISTORY_LABELS[event.type] || event.type;
+    const time = document.createElement("time");
+    time.dateTime = event.at;
+    time.textContent = new Date(event.at).toLocaleString();
+    item.append(label, time);
+    for (const [field, change] of Object.entries(event.changes || {})) {
+      const line = document.createElement("div");
+      line.className = "history-change";
+      line.textContent =
+        field +
+        ": " +
+        describeHistoryValue(change.before) +
+        " → " +
+        describeHistoryValue(change.after);
+      item.appendChild(line);
+    }
+    if (index > 0 && event.snapshot) {
+      const revert = document.createElement("button");
+      revert.textContent = "Restore this version";
+      revert.addEventListener("click", () => revertBookmark(event));
+      item.appendChild(revert);
+    }
+    list.appendChild(item);
+  });
+}
+
+async function revertBookmark(event) {
+  if (!activeBookmark) return;
+  const when = new Date(event.at).toLocaleString();
+  if (!confirm("Restore the version from " + when + "?")) return;
+  const resp = await apiFetch("/api/bookmarks/" + activeBookmark.id + "/revert", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ eventId: event.id }),
+  });
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok) return alert(data.error || "Failed to restore version");
+  upsertBookmark(data.item);
+  setActiveBookmark(data.item);
+  renderGrid(bookmarksState);
+  loadTags();
+}
+
+async function copyImageUrl() {
+  if (!activeBookmark) return;
+  await copyText(activeBookmark.imageUrl);
+}
+
+async function copyText(value) {
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    await navigator.clipboard.writeText(value);
+  } else {
+    const input = document.createElement("input");
+    input.value = value;
+    document.body.appendChild(input);
+    input.select();
+    document.execCommand("copy");
+    document.body.removeChild(input);
+  }
+}
+
+function bookmarkQueryParams() {
+  const query = $("search").value.trim();
+  const orientation = $("orientationFilter").value;
+  const params = new URLSearchParams();
+  if (query) params.set("query", query);
+  if (orientation) params.set("orientation", orientation);
+  if ($("brokenFilter").checked) params.set("broken", "true");
+  params.set("sort", $("sortOrder").value);
+  params.set("limit", String(PAGE_SIZE));
+  return params;
+}
+
+async function fetchPage(params, cursor) {
+  if (cursor) params.set("cursor", cursor);
+  const resp = await apiFetch("/api/bookmarks?" + params.toString());
+  if (!resp.ok) throw new Error("Failed to load bookmarks");
+  return resp.json();
+}
+
+async function loadBookmarks() {
+  if (!readSearch()) return;
+  renderTags();
+  clearSelection();
+  const version = ++queryVersion;
+  loadingPage = true;
+  try {
+    const data = await fetchPage(bookmarkQueryParams(), null);
+    if (version !== queryVersion) return;
+    bookmarksState = data.items || [];
+    if (!activeCollection) applyQueuedChanges();
+    nextCursor = data.cursor || null;
+    renderGrid(bookmarksState);
+  } finally {
+    if (version === queryVersion) loadingPage = false;
+  }
+  maybeLoadMore();
+}
+
+async function loadMoreBookmarks() {
+  if (loadingPage || !nextCursor) return;
+  const version = queryVersion;
+  loadingPage = true;
+  try {
+    const data = await fetchPage(bookmarkQueryParams(), nextCursor);
+    if (version !== queryVersion) return;
+    const known = new Set(bookmarksState.map((b) => b.id));
+    const items = (data.items || []).filter((b) => !known.has(b.id));
+    bookmarksState = bookmarksState.concat(items);
+    nextCursor = data.cursor || null;
+    appendCards(items);
+  } finally {
+    if (version === queryVersion) loadingPage = false;
+  }
+  maybeLoadMore();
+}
+
+function sentinelVisible() {
+  const rect = $("gridSentinel").getBoundingClientRect();
+  return rect.top < window.innerHeight + 600;
+}
+
+function maybeLoadMore() {
+  if (nextCursor && !loadingPage && sentinelVisible()) {
+    loadMoreBookmarks();
+  }
+}
+
+// In manual mode the loaded cards are already in the saved order, so their
+// current positions stand in for it and new bookmarks go first, as on the
+// server.
+function sortBookmarks(items) {
+  const positions = new Map(bookmarksState.map((b, index) => [b.id, index]));
+  return sortBookmarkList(items, $("sortOrder").value, positions);
+}
+
+function upsertBookmark(item) {
+  if (viewingTrash) return;
+  if (!activeCollection && !matchesQuery(activeQuery, item)) {
+    bookmarksState = bookmarksState.filter((b) => b.id !== item.id);
+    return;
+  }
+  const index = bookmarksState.findIndex((b) => b.id === item.id);
+  if (index >= 0) {
+    bookmarksState[index] = item;
+  } else if (activeCollection) {
+    bookmarksState.push(item);
+  } else {
+    bookmarksState.unshift(item);
+  }
+  if (!activeCollection) bookmarksState = sortBookmarks(bookmarksState);
 }
 
-function renderHomePage(userId) {
-  return `<!doctype html>
-<html lang="en">
-<head>
-  <meta charset="utf-8" />
-  <meta name="viewport" content="width=device-width, initial-scale=1" />
-  <title>Image Bookmark</title>
-  <link rel="stylesheet" href="/styles.css" />
-</head>
-<body data-user-id="${userId}">
-  <header class="hero">
-    <div class="hero-inner">
-      <div>
-        <h1>Image Bookmark</h1>
-        <p>Save, tag, and find images fast.</p>
-      </div>
-      <div class="search-panel">
-        <input id="search" type="search" placeholder="Search by tag or URL" />
-        <input id="tagFilter" type="text" placeholder="Filter tags (comma separated)" />
-        <button id="refresh">Search</button>
-      </div>
-    </div>
-  </header>
+function removeBookmarkByUrl(imageUrl) {
+  bookmarksState = bookmarksState.filter((b) => b.imageUrl !== imageUrl);
+}
 
-  <main class="container">
-    <section class="add-form">
-      <h2>Add or Update Bookmark</h2>
-      <div class="form-row">
-        <input id="imageUrl" type="url" placeholder="Image URL (.jpg, .png, .gif, ...)" required />
-        <input id="tags" type="text" placeholder="Tags (comma separated)" />
-        <button id="save">Save</button>
-      </div>
-    </section>
+function renderGrid(items) {
+  if (viewingTrash) return renderTrash();
+  const grid = $("grid");
+  grid.innerHTML = "";
+  if (items.length === 0 && !nextCursor) {
+    grid.innerHTML = activeCollection
+      ? '<p class="grid-status">This collection is empty.</p>'
+      : '<p class="grid-status">No bookmarks yet.</p>';
+    return;
+  }
+  appendCards(items);
+}
 
-    <section>
-      <div id="grid" class="grid"></div>
-    </section>
-  </main>
+function appendCards(items) {
+  const grid = $("grid");
+  for (const item of items) {
+    const card = document.createElement("div");
+    card.className = item.status === "broken" ? "card broken" : "card";
+    card.classList.toggle("pending", !!item.pending);
+    card.dataset.id = item.id;
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.className = "card-select";
+    checkbox.setAttribute("aria-label", "Select bookmark");
+    const image = document.createElement("img");
+    image.src = cardImageUrl(item);
+    image.alt = "bookmark";
+    image.loading = "lazy";
+    const body = document.createElement("div");
+    body.className = "card-body";
+    if (item.title) {
+      const title = document.createElement("div");
+      title.className = "card-title";
+      title.textContent = item.title;
+      body.appendChild(title);
+    }
+    if (item.status === "broken") {
+      body.appendChild(cardBadge("badge", "Broken link"));
+    }
+    if (item.pending) {
+      body.appendChild(cardBadge("badge pending", "Waiting to sync"));
+    }
+    if (formatDimensions(item)) {
+      const meta = document.createElement("div");
+      meta.className = "card-meta";
+      meta.textContent = formatDimensions(item);
+      body.appendChild(meta);
+    }
+    const tags = document.createElement("div");
+    tags.className = "tags";
+    for (const tag of item.tags || []) {
+      const chip = document.createElement("span");
+      chip.className = "tag";
+      chip.textContent = tag;
+      tags.appendChild(chip);
+    }
+    const actions = document.createElement("div");
+    actions.className = "card-actions";
+    actions.append(cardButton("edit", "Edit"), cardButton("delete", "Delete"));
+    if (activeCollection) actions.appendChild(cardButton("remove", "Remove"));
+    body.append(tags, actions);
+    card.append(checkbox, image, body);
 
-  <dialog id="previewDialog" class="dialog">
-    <div class="dialog-body">
-      <img id="previewImage" alt="Preview" />
-      <div class="dialog-meta">
-        <div id="previewTags" class="tags"></div>
-        <div class="dialog-actions">
-          <button id="copyUrl">Copy Image URL</button>
-          <button id="editTags">Edit Tags</button>
-          <button id="deleteBookmark" class="danger">Delete</button>
-          <button id="closePreview" class="ghost">Close</button>
-        </div>
-      </div>
-    </div>
-  </dialog>
+    card.addEventListener("click", (event) => {
+      if (selecting || event.shiftKey || event.metaKey || event.ctrlKey) {
+        toggleSelection(item.id, event.shiftKey);
+        return;
+      }
+      openPreview(item);
+    });
 
-  <dialog id="editDialog" class="dialog">
-    <div class="dialog-body">
-      <h3>Edit Tags</h3>
-      <input id="editTagsInput" type="text" placeholder="Tags (comma separated)" />
-      <div class="dialog-actions">
-        <button id="saveTags">Save</button>
-        <button id="cancelEdit" class="ghost">Cancel</button>
-      </div>
-    </div>
-  </dialog>
+    checkbox.checked = selectedIds.has(item.id);
+    card.classList.toggle("selected", checkbox.checked);
+    checkbox.addEventListener("click", (event) => {
+      event.stopPropagation();
+      toggleSelection(item.id, event.shiftKey);
+    });
 
-  <dialog id="confirmDialog" class="dialog">
-    <div class="dialog-body">
-      <h3>Delete Bookmark?</h3>
-      <p>This cannot be undone.</p>
-      <div class="dialog-actions">
-        <button id="confirmDelete" class="danger">Delete</button>
-        <button id="cancelDelete" class="ghost">Cancel</button>
-      </div>
-    </div>
-  </dialog>
+    card.querySelector('[data-action="edit"]').addEventListener("click", (event) => {
+      event.stopPropagation();
+      openEditDialog(item);
+    });
 
-  <script src="/app.js"></script>
-</body>
-</html>`;
+    card.querySelector('[data-action="delete"]').addEventListener("click", (event) => {
+      event.stopPropagation();
+      setActiveBookmark(item);
+      openDialog(confirmDialog);
+    });
+
+    if (activeCollection) {
+      card.querySelector('[data-action="remove"]').addEventListener("click", (event) => {
+        event.stopPropagation();
+        removeFromCollection(item);
+      });
+    }
+    if (activeCollection || $("sortOrder").value === "manual") {
+      wireCardReorder(card, item);
+    }
+
+    grid.appendChild(card);
+  }
 }
 
-function renderLandingPage() {
-  return `<!doctype html>
-<html lang="en">
-<head>
-  <meta charset="utf-8" />
-  <meta name="viewport" content="width=device-width, initial-scale=1" />
-  <title>Image Bookmark</title>
-  <link rel="stylesheet" href="/styles.css" />
-</head>
-<body>
-  <header class="hero">
-    <div class="hero-inner">
-      <div>
-        <h1>Image Bookmark</h1>
-        <p>Open with a user UUID, for example:</p>
-        <p><code>https://domain.com/&lt;uuid&gt;</code></p>
-      </div>
-    </div>
-  </header>
-</body>
-</html>`;
+function refreshSelection() {
+  const grid = $("grid");
+  grid.classList.toggle("selecting", selecting);
+  for (const card of grid.querySelectorAll(".card")) {
+    const selected = selectedIds.has(card.dataset.id);
+    card.classList.toggle("selected", selected);
+    card.querySelector(".card-select").checked = selected;
+  }
+  $("bulkBar").hidden = !selecting;
+  $("selectMode").textContent = selecting ? "Done" : "Select";
+  $("selectionCount").textContent = selectedIds.size + " selected";
+  for (const id of ["bulkAddTags", "bulkRemoveTags", "bulkDelete"]) {
+    $(id).disabled = selectedIds.size === 0;
+  }
 }
-function stylesCss() {
-  return `:root {
-  --bg: #f5f0ea;
-  --card: #fff6ee;
-  --ink: #1d1b18;
-  --accent: #d45b2c;
-  --accent-2: #2a7f62;
-  --muted: #7b6f64;
-  --border: #e2d4c5;
-  --shadow: rgba(36, 23, 12, 0.08);
+
+function clearSelection() {
+  selectedIds.clear();
+  lastSelectedId = null;
+  refreshSelection();
 }
 
-* {
-  box-sizing: border-box;
+function setSelecting(on) {
+  selecting = on;
+  clearSelection();
 }
 
-body {
-  margin: 0;
-  font-family: "Space Grotesk", "Gill Sans", "Trebuchet MS", sans-serif;
-  color: var(--ink);
-  background: radial-gradient(circle at top, #fff0e1 0%, #f5f0ea 55%, #efe4da 100%);
+// Shift-click selects every card between the last one clicked and this one.
+function toggleSelection(id, extend) {
+  selecting = true;
+  const ids = bookmarksState.map((b) => b.id);
+  const from = ids.indexOf(lastSelectedId);
+  const to = ids.indexOf(id);
+  if (extend && from >= 0 && to >= 0) {
+    for (const rangeId of ids.slice(Math.min(from, to), Math.max(from, to) + 1)) {
+      selectedIds.add(rangeId);
+    }
+  } else if (selectedIds.has(id)) {
+    selectedIds.delete(id);
+  } else {
+    selectedIds.add(id);
+  }
+  lastSelectedId = id;
+  refreshSelection();
 }
 
-.hero {
-  padding: 48px 24px;
-  border-bottom: 1px solid var(--border);
-  background: linear-gradient(120deg, #f5a36f 0%, #f7c59f 42%, #f2e1cf 100%);
+async function selectAllResults() {
+  while (nextCursor) {
+    if (loadingPage) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      continue;
+    }
+    const cursor = nextCursor;
+    await loadMoreBookmarks();
+    if (nextCursor === cursor && !loadingPage) break;
+  }
+  for (const bookmark of bookmarksState) selectedIds.add(bookmark.id);
+  refreshSelection();
 }
 
-.hero-inner {
-  width: 100%;
-  max-width: none;
-  margin: 0;
-  display: grid;
-  grid-template-columns: 1fr 1fr;
-  gap: 24px;
-  align-items: center;
-  padding: 0 24px;
+async function runBulkAction(action, tags) {
+  const ids = Array.from(selectedIds);
+  const deletedIds = [];
+  let failed = 0;
+  for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+    const operations = ids
+      .slice(i, i + BATCH_SIZE)
+      .map((bookmarkId) => ({ action, bookmarkId, tags }));
+    const resp = await apiFetch("/api/bookmarks/batch", {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ operations }),
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      alert(data.error || "Failed to update bookmarks");
+      break;
+    }
+    for (const result of data.results) {
+      if (!result.ok) {
+        failed += 1;
+      } else if (result.deleted) {
+        deletedIds.push(result.bookmarkId);
+        bookmarksState = bookmarksState.filter((b) => b.id !== result.bookmarkId);
+      } else {
+        upsertBookmark(result.item);
+      }
+    }
+  }
+
+  const visible = new Set(bookmarksState.map((b) => b.id));
+  selectedIds = new Set(ids.filter((id) => visible.has(id)));
+  renderGrid(bookmarksState);
+  refreshSelection();
+  loadTags();
+  if (action === "delete") {
+    loadCollections();
+    if (deletedIds.length > 0) {
+      const count = deletedIds.length;
+      const noun = count === 1 ? "1 bookmark" : count + " bookmarks";
+      showUndoToast("Moved " + noun + " to Trash", deletedIds);
+    }
+  }
+  if (failed > 0) alert(failed + " bookmarks could not be updated");
 }
 
-.hero h1 {
-  font-size: 40px;
-  margin: 0 0 8px;
+async function bulkTags(action) {
+  const label = action === "addTags" ? "Tags to add" : "Tags to remove";
+  const value = prompt(label + " (comma separated)", "");
+  if (value === null) return;
+  const tags = parseTags(value);
+  if (tags.length === 0) return;
+  await runBulkAction(action, tags);
 }
 
-.hero p {
-  margin: 0;
-  color: var(--muted);
+async function bulkDelete() {
+  const count = selectedIds.size;
+  const noun = count === 1 ? "1 bookmark" : count + " bookmarks";
+  if (!confirm("Delete " + noun + "?")) return;
+  await runBulkAction("delete");
+}
+
+function wireCardReorder(card, item) {
+  card.draggable = true;
+  card.addEventListener("dragstart", (event) => {
+    draggedId = item.id;
+    card.classList.add("dragging");
+    event.dataTransfer.effectAllowed = "move";
+    event.dataTransfer.setData("text/plain", item.id);
+  });
+  card.addEventListener("dragend", () => {
+    draggedId = null;
+    card.classList.remove("dragging");
+  });
+  card.addEventListener("dragover", (event) => {
+    if (!draggedId || draggedId === item.id) return;
+    event.preventDefault();
+    card.classList.add("drop-target");
+  });
+  card.addEventListener("dragleave", () => {
+    card.classList.remove("drop-target");
+  });
+  card.addEventListener("drop", (event) => {
+    event.preventDefault();
+    card.classList.remove("drop-target");
+    if (draggedId && draggedId !== item.id) moveBookmark(draggedId, item.id);
+  });
+}
+
+async function moveBookmark(movedId, targetId) {
+  const from = bookmarksState.findIndex((b) => b.id === movedId);
+  const to = bookmarksState.findIndex((b) => b.id === targetId);
+  if (from < 0 || to < 0) return;
+  const [moved] = bookmarksState.splice(from, 1);
+  bookmarksState.splice(to, 0, moved);
+  renderGrid(bookmarksState);
+  if (activeCollection) {
+    await saveCollectionOrder();
+  } else {
+    await saveManualOrder(movedId, from < to ? "after" : "before", targetId);
+  }
+}
+
+async function saveManualOrder(bookmarkId, placement, targetId) {
+  const resp = await apiFetch("/api/bookmarks/order", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ bookmarkId, [placement]: targetId }),
+  });
+  if (!resp.ok) {
+    alert("Failed to save order");
+    return loadBookmarks();
+  }
+}
+
+async function loadCollections() {
+  const resp = await apiFetch("/api/collections");
+  if (!resp.ok) return;
+  const data = await resp.json();
+  collectionsState = data.items || [];
+  renderCollections();
+}
+
+function replaceCollection(collection) {
+  const index = collectionsState.findIndex((c) => c.id === collection.id);
+  if (index >= 0) {
+    collectionsState[index] = collection;
+  } else {
+    collectionsState.push(collection);
+  }
+  if (activeCollection && activeCollection.id === collection.id) {
+    activeCollection = collection;
+    renderCollectionHeader();
+  }
+  renderCollections();
+}
+
+function collectionButton(label, count, active, onClick) {
+  const button = document.createElement("button");
+  if (active) button.className = "active";
+  const name = document.createElement("span");
+  name.textContent = label;
+  button.appendChild(name);
+  if (count !== null) {
+    const badge = document.createElement("span");
+    badge.className = "count";
+    badge.textContent = String(count);
+    button.appendChild(badge);
+  }
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+function renderCollections() {
+  const list = $("collectionList");
+  list.innerHTML = "";
+  list.appendChild(
+    collectionButton("All bookmarks", null, !activeCollection, showAllBookmarks)
+  );
+  for (const collection of collectionsState) {
+    const active = !!activeCollection && activeCollection.id === collection.id;
+    list.appendChild(
+      collectionButton(collection.title, collection.bookmarkIds.length, active, () =>
+        showCollection(collection.id)
+      )
+    );
+  }
+  list.appendChild(collectionButton("Trash", null, viewingTrash, showTrash));
+
+  collectionSelect.innerHTML = "";
+  for (const collection of collectionsState) {
+    const option = document.createElement("option");
+    option.value = collection.id;
+    option.textContent = collection.title;
+    collectionSelect.appendChild(option);
+  }
+  collectionSelect.parentElement.hidden = collectionsState.length === 0;
+}
+
+async function loadTags() {
+  const resp = await apiFetch("/api/tags");
+  if (!resp.ok) return;
+  const data = await resp.json();
+  tagsState = data.items || [];
+  renderTags();
+  if (tagsDialog.open) renderTagManager();
+}
+
+function tagTerm(tag) {
+  return /[\\s()"]/.test(tag)
+    ? 'tag:"' + tag.replace(/"/g, "") + '"'
+    : "tag:" + tag;
+}
+
+function searchHasTerm(term) {
+  return (" " + $("search").value.trim() + " ").includes(" " + term + " ");
+}
+
+function toggleTagFilter(tag) {
+  const term = tagTerm(tag);
+  const value = $("search").value.trim();
+  $("search").value = searchHasTerm(term)
+    ? (" " + value + " ").replace(" " + term + " ", " ").trim()
+    : (value ? value + " " : "") + term;
+  showAllBookmarks();
+}
+
+function renderTags() {
+  const list = $("tagList");
+  list.innerHTML = "";
+  if (tagsState.length === 0) {
+    list.textContent = "No tags yet.";
+    return;
+  }
+  for (const { tag, count } of tagsState) {
+    const active = searchHasTerm(tagTerm(tag));
+    list.appendChild(
+      collectionButton(tag, count, active, () => toggleTagFilter(tag))
+    );
+  }
+}
+
+function suggestTags(input) {
+  const value = input.value;
+  const cut = value.lastIndexOf(",") + 1;
+  const prefix = value.slice(0, cut);
+  const partial = value.slice(cut).trim().toLowerCase();
+  const used = parseTags(prefix).map((t) => t.toLowerCase());
+  const list = $("tagSuggestions");
+  list.innerHTML = "";
+  for (const { tag } of tagsState) {
+    if (list.children.length >= 20) break;
+    if (!tag.startsWith(partial) || used.includes(tag)) continue;
+    const option = document.createElement("option");
+    option.value = (prefix ? prefix.trimEnd() + " " : "") + tag;
+    list.appendChild(option);
+  }
+}
+
+function openTagsDialog() {
+  $("tagProgress").hidden = true;
+  renderTagManager();
+  openDialog(tagsDialog);
+}
+
+function renderTagManager() {
+  const list = $("tagManageList");
+  list.innerHTML = "";
+  if (tagsState.length === 0) {
+    list.textContent = "No tags yet.";
+    return;
+  }
+  for (const { tag, count } of tagsState) {
+    const row = document.createElement("div");
+    row.className = "tag-row";
+    const label = document.createElement("div");
+    const name = document.createElement("strong");
+    name.textContent = tag;
+    const detail = document.createElement("div");
+    detail.className = "dialog-note";
+    detail.textContent = count === 1 ? "1 bookmark" : count + " bookmarks";
+    label.append(name, detail);
+    const rename = document.createElement("button");
+    rename.textContent = "Rename";
+    rename.addEventListener("click", () => renameTag(tag));
+    const remove = document.createElement("button");
+    remove.textContent = "Delete";
+    remove.className = "danger";
+    remove.addEventListener("click", () => deleteTag(tag, count));
+    row.append(label, rename, remove);
+    list.appendChild(row);
+  }
+}
+
+// Tag rewrites are processed in batches; keep calling until the server
+// reports that every bookmark has been updated.
+async function runTagRewrite(url, options) {
+  if (tagRewriteRunning) return;
+  tagRewriteRunning = true;
+  const progress = $("tagProgress");
+  progress.hidden = false;
+  progress.textContent = "Updating bookmarks...";
+  let processed = 0;
+  try {
+    for (;;) {
+      const resp = await apiFetch(url, options);
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok) {
+        progress.hidden = true;
+        return alert(data.error || "Failed to update tags");
+      }
+      processed += data.processed;
+      progress.textContent = data.done
+        ? "Updated " + processed + " bookmarks."
+        : "Updated " + processed + " bookmarks, " + data.remaining + " to go...";
+      if (data.done) break;
+    }
+  } finally {
+    tagRewriteRunning = false;
+    await loadTags();
+    if (activeCollection) {
+      await showCollection(activeCollection.id);
+    } else {
+      await loadBookmarks();
+    }
+  }
+}
+
+async function renameTag(tag) {
+  const name = prompt("Rename tag", tag);
+  if (name === null) return;
+  const to = name.trim().toLowerCase();
+  if (!to || to === tag) return;
+  if (
+    tagsState.some((t) => t.tag === to) &&
+    !confirm('Merge "' + tag + '" into the existing tag "' + to + '"?')
+  ) {
+    return;
+  }
+  await runTagRewrite("/api/tags/rename", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ from: tag, to }),
+  });
 }
 
-.search-panel {
-  display: grid;
-  gap: 12px;
+async function deleteTag(tag, count) {
+  const noun = count === 1 ? "1 bookmark" : count + " bookmarks";
+  if (!confirm('Remove the tag "' + tag + '" from ' + noun + "?")) return;
+  await runTagRewrite("/api/tags/" + encodeURIComponent(tag), {
+    method: "DELETE",
+  });
 }
 
-.search-panel input,
-.form-row input {
-  padding: 12px 14px;
-  border-radius: 10px;
-  border: 1px solid var(--border);
-  background: #fffaf4;
-  font-size: 14px;
+function leaveTrash() {
+  viewingTrash = false;
+  document.body.classList.remove("trash-view");
+  $("trashHeader").hidden = true;
 }
 
-.search-panel button,
-.form-row button {
-  padding: 12px 16px;
-  border-radius: 10px;
-  border: none;
-  background: var(--accent);
-  color: white;
-  font-weight: 600;
-  cursor: pointer;
+async function showTrash() {
+  const resp = await apiFetch("/api/trash");
+  if (!resp.ok) return alert("Failed to load trash");
+  const data = await resp.json();
+  ++queryVersion;
+  loadingPage = false;
+  setSelecting(false);
+  viewingTrash = true;
+  activeCollection = null;
+  trashState = data.items || [];
+  trashRetentionDays = data.retentionDays || trashRetentionDays;
+  nextCursor = null;
+  document.body.classList.add("trash-view");
+  $("trashHeader").hidden = false;
+  renderCollections();
+  renderCollectionHeader();
+  renderTrash();
 }
 
-.container {
-  max-width: none;
-  margin: 0;
-  padding: 24px;
+function cardBadge(className, text) {
+  const badge = document.createElement("span");
+  badge.className = className;
+  badge.textContent = text;
+  return badge;
 }
 
-.add-form {
-  margin-bottom: 24px;
-  background: var(--card);
-  border: 1px solid var(--border);
-  border-radius: 16px;
-  padding: 16px;
-  box-shadow: 0 10px 20px var(--shadow);
+function cardButton(action, label) {
+  const button = document.createElement("button");
+  button.dataset.action = action;
+  button.textContent = label;
+  return button;
 }
 
-.form-row {
-  display: grid;
-  grid-template-columns: 2fr 2fr 1fr;
-  gap: 12px;
+function renderTrash() {
+  const grid = $("grid");
+  grid.innerHTML = "";
+  $("trashNote").textContent =
+    "Deleted bookmarks are removed permanently after " +
+    trashRetentionDays +
+    " days.";
+  $("emptyTrash").disabled = trashState.length === 0;
+  if (trashState.length === 0) {
+    grid.innerHTML = '<p class="grid-status">Trash is empty.</p>';
+    return;
+  }
+  for (const entry of trashState) {
+    const { bookmark } = entry;
+    const card = document.createElement("div");
+    card.className = "card";
+    const image = document.createElement("img");
+    image.src = cardImageUrl(bookmark);
+    image.alt = "bookmark";
+    image.loading = "lazy";
+    const body = document.createElement("div");
+    body.className = "card-body";
+    if (bookmark.title) {
+      const title = document.createElement("div");
+      title.className = "card-title";
+      title.textContent = bookmark.title;
+      body.appendChild(title);
+    }
+    const meta = document.createElement("div");
+    meta.className = "card-meta";
+    meta.textContent =
+      "Deleted " +
+      new Date(entry.deletedAt).toLocaleDateString() +
+      ", expires " +
+      new Date(entry.expiresAt).toLocaleDateString();
+    const tags = document.createElement("div");
+    tags.className = "tags";
+    for (const tag of bookmark.tags || []) {
+      const chip = document.createElement("span");
+      chip.className = "tag";
+      chip.textContent = tag;
+      tags.appendChild(chip);
+    }
+    const actions = document.createElement("div");
+    actions.className = "card-actions";
+    const restore = document.createElement("button");
+    restore.textContent = "Restore";
+    restore.addEventListener("click", () => restoreBookmarks([bookmark.id]));
+    const purge = document.createElement("button");
+    purge.textContent = "Delete Forever";
+    purge.addEventListener("click", () => purgeTrashed(bookmark.id));
+    actions.append(restore, purge);
+    body.append(meta, tags, actions);
+    card.append(image, body);
+    grid.appendChild(card);
+  }
 }
 
-.grid {
-  display: grid;
-  grid-template-columns: repeat(6, 1fr);
-  gap: 12px;
-  width: 100%;
-}
+async function restoreBookmarks(ids) {
+  const restored = [];
+  const failures = [];
+  for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+    const resp = await apiFetch("/api/trash/restore", {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ ids: ids.slice(i, i + BATCH_SIZE) }),
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      failures.push(data.error || "Failed to restore");
+      break;
+    }
+    for (const result of data.results) {
+      if (result.ok) restored.push(result.item);
+      else failures.push(result.error);
+    }
+  }
 
-.card {
-  border-radius: 14px;
-  overflow: hidden;
-  background: white;
-  border: 1px solid var(--border);
-  box-shadow: 0 8px 16px var(--shadow);
-  display: flex;
-  flex-direction: column;
+  const restoredIds = new Set(restored.map((b) => b.id));
+  trashState = trashState.filter((entry) => !restoredIds.has(entry.bookmark.id));
+  for (const item of restored) upsertBookmark(item);
+  renderGrid(bookmarksState);
+  loadTags();
+  if (activeCollection) {
+    await Promise.all([loadCollections(), showCollection(activeCollection.id)]);
+  } else {
+    loadCollections();
+  }
+  if (failures.length > 0) alert(failures[0]);
 }
 
-.card img {
-  width: 100%;
-  height: clamp(220px, 35vw, 360px);
-  object-fit: contain;
-  display: block;
+async function purgeTrashed(id) {
+  if (!confirm("Delete this bookmark permanently? This cannot be undone.")) return;
+  const resp = await apiFetch("/api/trash/" + id, { method: "DELETE" });
+  if (!resp.ok) return alert("Failed to delete bookmark");
+  trashState = trashState.filter((entry) => entry.bookmark.id !== id);
+  renderTrash();
 }
 
-.card-body {
-  padding: 10px 12px 12px;
-  display: grid;
-  gap: 8px;
-  font-size: 13px;
+async function emptyTrash() {
+  if (!confirm("Permanently delete everything in the Trash?")) return;
+  for (;;) {
+    const resp = await apiFetch("/api/trash", { method: "DELETE" });
+    if (!resp.ok) return alert("Failed to empty trash");
+    const data = await resp.json();
+    if (data.done) break;
+  }
+  trashState = [];
+  renderTrash();
 }
 
-.tags {
-  display: flex;
-  flex-wrap: wrap;
-  gap: 6px;
+function showUndoToast(message, ids) {
+  clearTimeout(toastTimer);
+  $("toastMessage").textContent = message;
+  $("toastUndo").onclick = () => {
+    hideToast();
+    restoreBookmarks(ids);
+  };
+  $("toast").hidden = false;
+  toastTimer = setTimeout(hideToast, 8000);
 }
 
-.tag {
-  padding: 4px 8px;
-  border-radius: 999px;
-  background: var(--accent-2);
-  color: white;
-  font-size: 12px;
+function hideToast() {
+  clearTimeout(toastTimer);
+  $("toast").hidden = true;
 }
 
-.card-actions {
-  display: flex;
-  gap: 8px;
+function renderCollectionHeader() {
+  const header = $("collectionHeader");
+  header.hidden = !activeCollection;
+  if (!activeCollection) return;
+  $("collectionTitle").textContent = activeCollection.title;
+  $("collectionDescription").textContent = activeCollection.description || "";
+  const cover =
+    activeCollection.coverImageUrl ||
+    (bookmarksState[0] ? bookmarksState[0].imageUrl : "");
+  const coverImage = $("collectionCover");
+  coverImage.hidden = !cover;
+  if (cover) coverImage.src = cover;
 }
 
-.card-actions button {
-  flex: 1;
-  padding: 8px 10px;
-  border-radius: 8px;
-  border: 1px solid var(--border);
-  background: #fff3ea;
-  cursor: pointer;
-  font-size: 12px;
+async function showAllBookmarks() {
+  leaveTrash();
+  activeCollection = null;
+  renderCollections();
+  renderCollectionHeader();
+  await loadBookmarks();
 }
 
-@media (max-width: 900px) {
-  .hero-inner {
-    grid-template-columns: 1fr;
-  }
-  .form-row {
-    grid-template-columns: 1fr;
-  }
-  .grid {
-    grid-template-columns: repeat(3, 1fr);
+async function showCollection(id) {
+  leaveTrash();
+  clearSelection();
+  const version = ++queryVersion;
+  loadingPage = true;
+  try {
+    const resp = await apiFetch("/api/collections/" + id);
+    if (!resp.ok) return alert("Failed to load collection");
+    const data = await resp.json();
+    if (version !== queryVersion) return;
+    activeCollection = data.item;
+    bookmarksState = data.bookmarks || [];
+    nextCursor = null;
+    renderCollections();
+    renderCollectionHeader();
+    renderGrid(bookmarksState);
+  } finally {
+    if (version === queryVersion) loadingPage = false;
   }
 }
 
-@media (max-width: 640px) {
-  .hero {
-    padding: 16px 12px;
-  }
-  .hero-inner {
-    padding: 0;
-    gap: 12px;
-  }
-  .hero h1 {
-    font-size: 24px;
-  }
-  .hero p {
-    font-size: 13px;
-  }
-  .search-panel input,
-  .form-row input {
-    padding: 8px 10px;
-  }
-  .search-panel button,
-  .form-row button {
-    padding: 8px 10px;
-  }
-  .search-panel {
-    gap: 8px;
-  }
-  .grid {
-    grid-template-columns: repeat(2, 1fr);
-  }
-  .card img {
-    height: clamp(160px, 45vw, 240px);
+async function saveCollectionOrder() {
+  if (!activeCollection) return;
+  const resp = await apiFetch("/api/collections/" + activeCollection.id, {
+    method: "PUT",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ bookmarkIds: bookmarksState.map((b) => b.id) }),
+  });
+  if (!resp.ok) {
+    alert("Failed to save order");
+    return showCollection(activeCollection.id);
   }
+  const data = await resp.json();
+  replaceCollection(data.item);
 }
 
-.dialog {
-  border: none;
-  border-radius: 16px;
-  padding: 0;
-  max-width: 900px;
-  width: min(92vw, 900px);
-  box-shadow: 0 20px 60px rgba(0, 0, 0, 0.25);
+async function changeCollectionItem(collectionId, bookmarkId, method) {
+  const resp = await apiFetch("/api/collections/" + collectionId + "/items", {
+    method,
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ bookmarkId }),
+  });
+  if (!resp.ok) return null;
+  const data = await resp.json();
+  replaceCollection(data.item);
+  return data.item;
 }
 
-.dialog::backdrop {
-  background: rgba(20, 16, 12, 0.55);
-  backdrop-filter: blur(3px);
+async function removeFromCollection(item) {
+  if (!activeCollection) return;
+  const updated = await changeCollectionItem(activeCollection.id, item.id, "DELETE");
+  if (!updated) return alert("Failed to remove from collection");
+  bookmarksState = bookmarksState.filter((b) => b.id !== item.id);
+  renderGrid(bookmarksState);
 }
 
-.dialog-body {
-  padding: 20px;
-  display: grid;
-  gap: 16px;
-  max-height: 85vh;
-  overflow: hidden;
+function openCollectionDialog(collection) {
+  editingCollection = collection;
+  $("collectionDialogTitle").textContent = collection ? "Edit Collection" : "New Collection";
+  $("collectionTitleInput").value = collection ? collection.title : "";
+  $("collectionDescriptionInput").value = collection ? collection.description : "";
+  $("collectionCoverInput").value = collection ? collection.coverImageUrl : "";
+  openDialog(collectionDialog);
 }
 
-.dialog-body img {
-  width: 100%;
-  height: auto;
-  max-height: 65vh;
-  object-fit: contain;
-  border-radius: 12px;
-  border: 1px solid var(--border);
-  background: #fff;
+async function saveCollection() {
+  const payload = {
+    title: $("collectionTitleInput").value.trim(),
+    description: $("collectionDescriptionInput").value.trim(),
+    coverImageUrl: $("collectionCoverInput").value.trim(),
+  };
+  if (!payload.title) return alert("Title required");
+  const resp = await apiFetch(
+    editingCollection ? "/api/collections/" + editingCollection.id : "/api/collections",
+    {
+      method: editingCollection ? "PUT" : "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(payload),
+    }
+  );
+  if (!resp.ok) return alert("Failed to save collection");
+  const data = await resp.json();
+  replaceCollection(data.item);
+  closeDialog(collectionDialog);
+  if (!editingCollection) showCollection(data.item.id);
 }
 
-.dialog-actions {
-  display: flex;
-  flex-wrap: wrap;
-  gap: 10px;
+async function createShare(payload) {
+  const title = prompt("Title shown on the shared page", "");
+  if (title === null) return;
+  const resp = await apiFetch("/api/shares", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ ...payload, title }),
+  });
+  if (!resp.ok) return alert("Failed to create share link");
+  await openSharesDialog();
 }
 
-.dialog-actions button {
-  padding: 10px 14px;
-  border-radius: 10px;
-  border: 1px solid var(--border);
-  background: #fff3ea;
-  cursor: pointer;
-  font-size: 13px;
-  font-weight: 600;
+async function openSharesDialog() {
+  const resp = await apiFetch("/api/shares");
+  if (!resp.ok) return alert("Failed to load share links");
+  const data = await resp.json();
+  renderShares(data.items || []);
+  openDialog(sharesDialog);
 }
 
-.dialog-actions button.danger {
-  background: #d2412f;
-  border-color: #c0382a;
-  color: white;
+function describeShare(share) {
+  if (share.filter.collectionId) {
+    const collection = collectionsState.find((c) => c.id === share.filter.collectionId);
+    return "Collection: " + (collection ? collection.title : "deleted");
+  }
+  if (share.filter.query) return "Search: " + share.filter.query;
+  return "Tags: " + share.filter.tags.join(", ");
 }
 
-.dialog-actions button.ghost {
-  background: transparent;
+function renderShares(shares) {
+  const list = $("shareList");
+  list.innerHTML = "";
+  if (shares.length === 0) {
+    list.textContent = "No active share links.";
+    return;
+  }
+  for (const share of shares) {
+    const row = document.createElement("div");
+    row.className = "share-row";
+    const label = document.createElement("div");
+    const title = document.createElement("strong");
+    title.textContent = share.title;
+    const detail = document.createElement("div");
+    detail.className = "dialog-note";
+    detail.textContent = describeShare(share);
+    label.append(title, detail);
+    const copy = document.createElement("button");
+    copy.textContent = "Copy";
+    copy.addEventListener("click", () => copyText(share.url));
+    const revoke = document.createElement("button");
+    revoke.textContent = "Revoke";
+    revoke.addEventListener("click", async () => {
+      const resp = await apiFetch("/api/shares/" + share.token, { method: "DELETE" });
+      if (!resp.ok) return alert("Failed to revoke share link");
+      renderShares(shares.filter((s) => s.token !== share.token));
+    });
+    const link = document.createElement("input");
+    link.type = "text";
+    link.readOnly = true;
+    link.value = share.url;
+    row.append(label, copy, revoke, link);
+    list.appendChild(row);
+  }
 }
 
-.dialog-meta {
-  display: grid;
-  gap: 12px;
-}
-`;
-}
+const TOKEN_SCOPE_LABELS = { read: "Read only", write: "Read and write" };
 
-function appJs() {
-  return `const $ = (id) => document.getElementById(id);
-const previewDialog = $("previewDialog");
-const editDialog = $("editDialog");
-const confirmDialog = $("confirmDialog");
-const previewImage = $("previewImage");
-const previewTags = $("previewTags");
-const editTagsInput = $("editTagsInput");
-const copyUrlBtn = $("copyUrl");
-const editTagsBtn = $("editTags");
-const deleteBtn = $("deleteBookmark");
-const closePreviewBtn = $("closePreview");
-const saveTagsBtn = $("saveTags");
-const cancelEditBtn = $("cancelEdit");
-const confirmDeleteBtn = $("confirmDelete");
-const cancelDeleteBtn = $("cancelDelete");
-let activeBookmark = null;
-let bookmarksState = [];
+async function loadApiTokens() {
+  const resp = await apiFetch("/api/tokens");
+  if (!resp.ok) return;
+  const data = await resp.json();
+  renderApiTokens(data.items);
+}
 
-function parseTags(value) {
-  return value
-    .split(",")
-    .map((t) => t.trim())
-    .filter(Boolean);
+function renderApiTokens(tokens) {
+  const list = $("tokenList");
+  list.innerHTML = "";
+  if (tokens.length === 0) {
+    list.textContent = "No API tokens.";
+    return;
+  }
+  for (const token of tokens) {
+    const row = document.createElement("div");
+    row.className = "tag-row";
+    const label = document.createElement("div");
+    const name = document.createElement("strong");
+    name.textContent = token.name;
+    const detail = document.createElement("div");
+    detail.className = "dialog-note";
+    detail.textContent =
+      TOKEN_SCOPE_LABELS[token.scope] +
+      " · created " +
+      new Date(token.createdAt).toLocaleDateString() +
+      " · " +
+      (token.lastUsedAt
+        ? "last used " + new Date(token.lastUsedAt).toLocaleDateString()
+        : "never used");
+    label.append(name, detail);
+    const revoke = document.createElement("button");
+    revoke.textContent = "Revoke";
+    revoke.className = "danger";
+    revoke.addEventListener("click", async () => {
+      const message = "Revoke " + token.name + "? Scripts using it will stop.";
+      if (!confirm(message)) return;
+      const resp = await apiFetch("/api/tokens/" + token.id, { method: "DELETE" });
+      if (!resp.ok) return alert("Failed to revoke token");
+      renderApiTokens(tokens.filter((t) => t.id !== token.id));
+    });
+    row.append(label, revoke);
+    list.appendChild(row);
+  }
 }
 
-function setActiveBookmark(bookmark) {
-  activeBookmark = bookmark;
-  if (!bookmark) return;
-  previewImage.src = bookmark.imageUrl;
-  previewTags.innerHTML = "";
-  (bookmark.tags || []).forEach((t) => {
-    const tag = document.createElement("span");
-    tag.className = "tag";
-    tag.textContent = t;
-    previewTags.appendChild(tag);
+async function createApiToken() {
+  const name = $("tokenName").value.trim();
+  if (!name) return alert("Give the token a name");
+  const resp = await apiFetch("/api/tokens", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ name, scope: $("tokenScope").value }),
   });
+  const data = await resp.json();
+  if (!resp.ok) return alert(data.error || "Failed to create token");
+  $("tokenName").value = "";
+  $("newTokenValue").value = data.token;
+  $("newToken").hidden = false;
+  $("newTokenValue").select();
+  loadApiTokens();
 }
 
-function openDialog(dialog) {
-  if (dialog && !dialog.open) dialog.showModal();
+async function openSettings() {
+  const [accountResp, settingsResp] = await Promise.all([
+    apiFetch("/api/account"),
+    apiFetch("/api/settings"),
+  ]);
+  if (!accountResp.ok || !settingsResp.ok) return alert("Failed to load settings");
+  const account = await accountResp.json();
+  renderPassphraseStatus(account.hasPassphrase);
+  const settings = await settingsResp.json();
+  renderArchiveSetting(settings);
+  renderCanonicalSetting(settings);
+  $("newToken").hidden = true;
+  $("newTokenValue").value = "";
+  loadUsage();
+  loadApiTokens();
+  openDialog(settingsDialog);
+}
+
+async function loadUsage() {
+  $("usageStatus").textContent = "";
+  const resp = await apiFetch("/api/usage");
+  if (!resp.ok) return;
+  const usage = await resp.json();
+  $("usageStatus").textContent =
+    usage.bookmarks.used.toLocaleString() +
+    " of " +
+    usage.bookmarks.limit.toLocaleString() +
+    " bookmarks, " +
+    (formatBytes(usage.storageBytes.used) || "0 B") +
+    " of " +
+    formatBytes(usage.storageBytes.limit) +
+    " stored. The API allows " +
+    usage.rateLimit.limit +
+    " requests a minute.";
 }
 
-function closeDialog(dialog) {
-  if (dialog && dialog.open) dialog.close();
+function renderArchiveSetting(settings) {
+  $("archiveSetting").checked = settings.archive;
+  $("archiveSetting").disabled = !settings.archiveAvailable;
+  $("archiveStatus").textContent = settings.archiveAvailable
+    ? "Archived images are stored privately and used for thumbnails in the grid."
+    : "Archiving is not configured on this server.";
 }
 
-function wireBackdropClose(dialog) {
-  if (!dialog) return;
-  dialog.addEventListener("click", (event) => {
-    if (event.target === dialog) dialog.close();
+async function saveArchiveSetting() {
+  const resp = await apiFetch("/api/settings", {
+    method: "PUT",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ archive: $("archiveSetting").checked }),
   });
+  const data = await resp.json();
+  if (!resp.ok) {
+    alert(data.error || "Failed to update settings");
+    return openSettings();
+  }
+  renderArchiveSetting(data);
 }
 
-async function copyImageUrl() {
-  if (!activeBookmark) return;
-  const value = activeBookmark.imageUrl;
-  if (navigator.clipboard && navigator.clipboard.writeText) {
-    await navigator.clipboard.writeText(value);
-  } else {
-    const input = document.createElement("input");
-    input.value = value;
-    document.body.appendChild(input);
-    input.select();
-    document.execCommand("copy");
-    document.body.removeChild(input);
+function renderCanonicalSetting(settings) {
+  for (const input of document.querySelectorAll(".canonical-rule")) {
+    input.checked = settings.canonicalization[input.dataset.rule];
   }
+  $("canonicalIgnoreParams").value =
+    settings.canonicalization.ignoreParams.join(", ");
+  if (!canonicalizing) $("canonicalStatus").textContent = "";
 }
 
-async function loadBookmarks() {
-  const q = $("search").value.trim();
-  const tags = $("tagFilter").value.trim();
-  const params = new URLSearchParams();
-  if (q) params.set("q", q);
-  if (tags) params.set("tags", tags);
-
-  const resp = await fetch("/api/bookmarks?" + params.toString());
+async function saveCanonicalSetting() {
+  const canonicalization = {
+    ignoreParams: $("canonicalIgnoreParams")
+      .value.split(",")
+      .map((param) => param.trim())
+      .filter(Boolean),
+  };
+  for (const input of document.querySelectorAll(".canonical-rule")) {
+    canonicalization[input.dataset.rule] = input.checked;
+  }
+  const resp = await apiFetch("/api/settings", {
+    method: "PUT",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ canonicalization }),
+  });
   const data = await resp.json();
-  bookmarksState = sortBookmarks(data.items || []);
-  renderGrid(bookmarksState);
+  if (!resp.ok) return alert(data.error || "Failed to update settings");
+  renderCanonicalSetting(data);
+  if (data.canonicalizationPending) await runCanonicalization();
 }
 
-function sortBookmarks(items) {
-  return [...items].sort((a, b) => {
-    const aTime = Date.parse(a.updatedAt || a.createdAt || 0);
-    const bTime = Date.parse(b.updatedAt || b.createdAt || 0);
-    return bTime - aTime;
-  });
-}
+let canonicalizing = false;
 
-function upsertBookmark(item) {
-  const index = bookmarksState.findIndex((b) => b.id === item.id);
-  if (index >= 0) {
-    bookmarksState[index] = item;
+// Re-keys bookmarks saved under older normalization rules. The server does
+// a batch per request and reports whether anything is left.
+async function runCanonicalization() {
+  if (canonicalizing) return;
+  canonicalizing = true;
+  const status = $("canonicalStatus");
+  status.textContent = "Updating saved bookmarks...";
+  let processed = 0;
+  let merged = 0;
+  try {
+    for (;;) {
+      const resp = await apiFetch("/api/bookmarks/canonicalize", {
+        method: "POST",
+      });
+      if (!resp.ok) {
+        status.textContent = "Failed to update saved bookmarks.";
+        return;
+      }
+      const data = await resp.json();
+      processed += data.processed;
+      merged += data.merged;
+      if (data.done) break;
+    }
+  } finally {
+    canonicalizing = false;
+  }
+  status.textContent =
+    "Updated " + processed + " saved bookmarks" +
+    (merged ? ", merging " + merged + " duplicates." : ".");
+  if (processed === 0) return;
+  loadTags();
+  if (activeCollection) {
+    await Promise.all([loadCollections(), showCollection(activeCollection.id)]);
   } else {
-    bookmarksState.unshift(item);
+    loadCollections();
+    await loadBookmarks();
   }
-  bookmarksState = sortBookmarks(bookmarksState);
 }
 
-function removeBookmarkByUrl(imageUrl) {
-  bookmarksState = bookmarksState.filter((b) => b.imageUrl !== imageUrl);
+// Finishes an index rebuild. Until it is done the server answers from a
+// scan of the library, so nothing on screen changes when it completes.
+async function runIndexRebuild() {
+  for (;;) {
+    const resp = await apiFetch("/api/index/rebuild", { method: "POST" });
+    if (!resp.ok) return;
+    const data = await resp.json();
+    if (data.done) return;
+  }
 }
 
-function renderGrid(items) {
-  const grid = $("grid");
-  grid.innerHTML = "";
-  if (items.length === 0) {
-    grid.innerHTML = "<p>No bookmarks yet.</p>";
+async function checkPendingWork() {
+  const resp = await apiFetch("/api/settings");
+  if (!resp.ok) return;
+  const settings = await resp.json();
+  if (settings.indexPending) await runIndexRebuild();
+  if (settings.canonicalizationPending) await runCanonicalization();
+}
+
+async function openDuplicatesDialog() {
+  const list = $("duplicateList");
+  list.textContent = "Looking for duplicates...";
+  openDialog(duplicatesDialog);
+  const resp = await apiFetch("/api/duplicates");
+  if (!resp.ok) {
+    list.textContent = "Failed to load duplicates.";
     return;
   }
+  const data = await resp.json();
+  renderDuplicates(data.groups);
+}
 
-  for (const item of items) {
-    const card = document.createElement("div");
-    card.className = "card";
-    card.innerHTML =
-      '<img src="' +
-      item.imageUrl +
-      '" alt="bookmark" loading="lazy" />' +
-      '<div class="card-body">' +
-      '<div class="tags">' +
-      (item.tags || [])
-        .map((t) => '<span class="tag">' + t + "</span>")
-        .join("") +
-      "</div>" +
-      '<div class="card-actions">' +
-      '<button data-action="edit">Edit Tags</button>' +
-      '<button data-action="delete">Delete</button>' +
-      "</div>" +
-      "</div>";
-
-    card.addEventListener("click", () => {
-      setActiveBookmark(item);
-      openDialog(previewDialog);
-    });
-
-    card.querySelector('[data-action="edit"]').addEventListener("click", (event) => {
-      event.stopPropagation();
-      setActiveBookmark(item);
-      editTagsInput.value = (item.tags || []).join(", ");
-      openDialog(editDialog);
+function renderDuplicates(groups) {
+  const list = $("duplicateList");
+  list.innerHTML = "";
+  if (groups.length === 0) {
+    list.textContent = "No duplicates found.";
+    return;
+  }
+  groups.forEach((group, index) => {
+    const section = document.createElement("div");
+    section.className = "duplicate-group";
+    const reason = document.createElement("div");
+    reason.className = "dialog-note";
+    reason.textContent =
+      group.reason === "content" ? "Identical image files" : "Same image URL";
+    section.appendChild(reason);
+    group.items.forEach((bookmark, position) => {
+      const row = document.createElement("label");
+      row.className = "duplicate-item";
+      const keep = document.createElement("input");
+      keep.type = "radio";
+      keep.name = "keep-" + index;
+      keep.value = bookmark.id;
+      keep.checked = position === 0;
+      const image = document.createElement("img");
+      image.src = cardImageUrl(bookmark);
+      image.alt = "";
+      image.loading = "lazy";
+      const text = document.createElement("div");
+      const url = document.createElement("div");
+      url.className = "duplicate-url";
+      url.textContent = bookmark.imageUrl;
+      const tags = document.createElement("div");
+      tags.className = "dialog-note";
+      tags.textContent = bookmark.tags.length ? bookmark.tags.join(", ") : "No tags";
+      text.append(url, tags);
+      row.append(keep, image, text);
+      section.appendChild(row);
     });
-
-    card.querySelector('[data-action="delete"]').addEventListener("click", (event) => {
-      event.stopPropagation();
-      setActiveBookmark(item);
-      openDialog(confirmDialog);
+    const merge = document.createElement("button");
+    merge.textContent = "Merge";
+    merge.addEventListener("click", () => {
+      const keepId = section.querySelector("input:checked").value;
+      const others = group.items.map((b) => b.id).filter((id) => id !== keepId);
+      mergeDuplicateGroup([keepId, ...others]);
     });
+    section.appendChild(merge);
+    list.appendChild(section);
+  });
+}
 
-    grid.appendChild(card);
+async function mergeDuplicateGroup(ids) {
+  const resp = await apiFetch("/api/duplicates/merge", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ ids }),
+  });
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok) return alert(data.error || "Failed to merge bookmarks");
+  loadTags();
+  loadCollections();
+  if (activeCollection) {
+    showCollection(activeCollection.id);
+  } else {
+    loadBookmarks();
   }
+  await openDuplicatesDialog();
+}
+
+function renderPassphraseStatus(hasPassphrase) {
+  $("passphraseStatus").textContent = hasPassphrase
+    ? "A passphrase is required to open this library on a new device."
+    : "No passphrase set: anyone with this page's URL can open the library.";
+  $("currentPassphrase").hidden = !hasPassphrase;
+  $("currentPassphrase").value = "";
+  $("newPassphrase").value = "";
+}
+
+async function savePassphrase() {
+  const resp = await apiFetch("/api/passphrase", {
+    method: "PUT",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({
+      currentPassphrase: $("currentPassphrase").value,
+      passphrase: $("newPassphrase").value,
+    }),
+  });
+  const data = await resp.json();
+  if (!resp.ok) return alert(data.error || "Failed to update passphrase");
+  renderPassphraseStatus(data.hasPassphrase);
+}
+
+async function deleteActiveCollection() {
+  if (!activeCollection) return;
+  if (!confirm('Delete collection "' + activeCollection.title + '"? Bookmarks are kept.')) return;
+  const resp = await apiFetch("/api/collections/" + activeCollection.id, { method: "DELETE" });
+  if (!resp.ok) return alert("Failed to delete collection");
+  collectionsState = collectionsState.filter((c) => c.id !== activeCollection.id);
+  await showAllBookmarks();
 }
 
 $("save").addEventListener("click", async () => {
@@ -769,38 +9993,247 @@ $("save").addEventListener("click", async () => {
   const tags = parseTags($("tags").value);
   if (!imageUrl) return alert("Image URL required");
 
-  const resp = await fetch("/api/bookmarks", {
-    method: "POST",
-    headers: { "content-type": "application/json" },
-    body: JSON.stringify({ imageUrl, tags }),
-  });
-  if (!resp.ok) {
-    return alert("Failed to save bookmark");
+  const details = {};
+  for (const field of ["title", "sourceUrl", "notes"]) {
+    const value = $(field).value.trim();
+    if (value) details[field] = value;
   }
-  const data = await resp.json();
+
+  const fields = { tags, ...details };
+  const resp = await sendBookmarkChange("POST", { imageUrl }, fields);
+  if (resp && !resp.ok) {
+    const error = await resp.json().catch(() => ({}));
+    return alert(error.error || "Failed to save bookmark");
+  }
+  const data = resp
+    ? await resp.json()
+    : { item: pendingBookmark({ imageUrl }, fields) };
+  if (data.warning) alert(data.warning);
   if (data.item) {
+    if (activeCollection && resp) {
+      await changeCollectionItem(activeCollection.id, data.item.id, "POST");
+    }
     upsertBookmark(data.item);
     renderGrid(bookmarksState);
+    loadTags();
+  }
+
+  for (const field of ["imageUrl", "tags", "title", "sourceUrl", "notes"]) {
+    $(field).value = "";
+  }
+});
+
+const UPLOADABLE_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"];
+
+async function uploadFiles(files) {
+  const images = files.filter((file) => UPLOADABLE_TYPES.includes(file.type));
+  if (images.length === 0) {
+    return alert("Only PNG, JPEG, GIF and WebP images can be uploaded");
+  }
+  if (!navigator.onLine) return alert("Uploading needs a connection");
+
+  const button = $("uploadImage");
+  button.disabled = true;
+  const errors = [];
+  for (const [index, file] of images.entries()) {
+    button.textContent = "Uploading " + (index + 1) + "/" + images.length;
+    const form = new FormData();
+    form.append("file", file);
+    for (const field of ["tags", "title", "sourceUrl", "notes"]) {
+      const value = $(field).value.trim();
+      if (value) form.append(field, value);
+    }
+    const resp = await apiFetch("/api/uploads", {
+      method: "POST",
+      body: form,
+    }).catch(() => null);
+    const data = resp ? await resp.json().catch(() => ({})) : {};
+    if (!resp || !resp.ok) {
+      errors.push(file.name + ": " + (data.error || "upload failed"));
+      continue;
+    }
+    if (activeCollection) {
+      await changeCollectionItem(activeCollection.id, data.item.id, "POST");
+    }
+    upsertBookmark(data.item);
+  }
+  button.disabled = false;
+  button.textContent = "Upload";
+  renderGrid(bookmarksState);
+  loadTags();
+
+  if (errors.length > 0) return alert(errors.join("\\n"));
+  for (const field of ["imageUrl", "tags", "title", "sourceUrl", "notes"]) {
+    $(field).value = "";
   }
+}
+
+function draggingFiles(event) {
+  const types = event.dataTransfer ? event.dataTransfer.types : [];
+  return Array.from(types || []).includes("Files");
+}
+
+$("uploadImage").addEventListener("click", () => $("uploadFile").click());
+$("uploadFile").addEventListener("change", () => {
+  const files = [...$("uploadFile").files];
+  $("uploadFile").value = "";
+  if (files.length > 0) uploadFiles(files);
+});
+document.addEventListener("dragover", (event) => {
+  if (!draggingFiles(event)) return;
+  event.preventDefault();
+  document.body.classList.add("dropping");
+});
+document.addEventListener("dragleave", (event) => {
+  if (!event.relatedTarget) document.body.classList.remove("dropping");
+});
+document.addEventListener("drop", (event) => {
+  if (!draggingFiles(event)) return;
+  event.preventDefault();
+  document.body.classList.remove("dropping");
+  uploadFiles([...event.dataTransfer.files]);
+});
+document.addEventListener("paste", (event) => {
+  if (document.querySelector("dialog[open]") || !event.clipboardData) return;
+  const files = [...event.clipboardData.files].filter((file) =>
+    file.type.startsWith("image/")
+  );
+  if (files.length === 0) return;
+  event.preventDefault();
+  uploadFiles(files);
+});
 
-  $("imageUrl").value = "";
-  $("tags").value = "";
+$("refresh").addEventListener("click", showAllBookmarks);
+$("search").addEventListener("keydown", (event) => {
+  if (event.key === "Enter") showAllBookmarks();
+});
+$("orientationFilter").addEventListener("change", showAllBookmarks);
+$("sortOrder").addEventListener("change", showAllBookmarks);
+$("brokenFilter").addEventListener("change", showAllBookmarks);
+$("newCollection").addEventListener("click", () => openCollectionDialog(null));
+$("editCollection").addEventListener("click", () => openCollectionDialog(activeCollection));
+$("deleteCollection").addEventListener("click", deleteActiveCollection);
+$("saveCollection").addEventListener("click", saveCollection);
+$("shareCollection").addEventListener("click", () => {
+  if (activeCollection) createShare({ collectionId: activeCollection.id });
+});
+$("shareSearch").addEventListener("click", () => {
+  if (!readSearch()) return;
+  const query = $("search").value.trim();
+  if (!query) return alert("Enter a search to share");
+  createShare({ query });
+});
+$("manageShares").addEventListener("click", openSharesDialog);
+$("manageTags").addEventListener("click", openTagsDialog);
+$("selectMode").addEventListener("click", () => setSelecting(!selecting));
+$("emptyTrash").addEventListener("click", emptyTrash);
+$("detailsTab").addEventListener("click", () => showPreviewTab("details"));
+$("historyTab").addEventListener("click", () => showPreviewTab("history"));
+$("selectAll").addEventListener("click", selectAllResults);
+$("bulkAddTags").addEventListener("click", () => bulkTags("addTags"));
+$("bulkRemoveTags").addEventListener("click", () => bulkTags("removeTags"));
+$("bulkDelete").addEventListener("click", bulkDelete);
+$("closeTags").addEventListener("click", () => closeDialog(tagsDialog));
+for (const input of [$("tags"), editTagsInput]) {
+  input.addEventListener("input", () => suggestTags(input));
+  input.addEventListener("focus", () => suggestTags(input));
+}
+$("closeShares").addEventListener("click", () => closeDialog(sharesDialog));
+$("openSettings").addEventListener("click", openSettings);
+$("savePassphrase").addEventListener("click", savePassphrase);
+$("archiveSetting").addEventListener("change", saveArchiveSetting);
+$("saveCanonical").addEventListener("click", saveCanonicalSetting);
+$("bookmarklet").href =
+  "javascript:" +
+  encodeURIComponent(
+    "(" + bookmarklet.toString() + ")(" + JSON.stringify(location.origin) + ")"
+  );
+$("bookmarklet").addEventListener("click", (event) => {
+  event.preventDefault();
+  alert("Drag this link to your bookmarks bar, then click it on another page.");
+});
+$("createToken").addEventListener("click", createApiToken);
+$("copyToken").addEventListener("click", () =>
+  copyText($("newTokenValue").value)
+);
+$("findDuplicates").addEventListener("click", openDuplicatesDialog);
+$("closeDuplicates").addEventListener("click", () => closeDialog(duplicatesDialog));
+$("closeSettings").addEventListener("click", () => closeDialog(settingsDialog));
+$("cancelCollection").addEventListener("click", () => closeDialog(collectionDialog));
+
+$("addToCollection").addEventListener("click", async () => {
+  if (!activeBookmark || !collectionSelect.value) return;
+  const collectionId = collectionSelect.value;
+  const updated = await changeCollectionItem(collectionId, activeBookmark.id, "POST");
+  if (!updated) return alert("Failed to add to collection");
+  if (activeCollection && activeCollection.id === collectionId) {
+    upsertBookmark(activeBookmark);
+    renderGrid(bookmarksState);
+  }
 });
 
-$("refresh").addEventListener("click", loadBookmarks);
+if ("IntersectionObserver" in window) {
+  new IntersectionObserver(
+    (entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) maybeLoadMore();
+    },
+    { rootMargin: "600px 0px" }
+  ).observe($("gridSentinel"));
+} else {
+  window.addEventListener("scroll", maybeLoadMore, { passive: true });
+}
 
 wireBackdropClose(previewDialog);
+
+previewImage.addEventListener("error", () => {
+  if (!activeBookmark || !activeBookmark.archive) return;
+  const fallback = archivedImageUrl(activeBookmark, "original");
+  if (!previewImage.src.endsWith(fallback)) previewImage.src = fallback;
+});
 wireBackdropClose(editDialog);
 wireBackdropClose(confirmDialog);
+wireBackdropClose(collectionDialog);
+wireBackdropClose(sharesDialog);
+wireBackdropClose(settingsDialog);
+wireBackdropClose(tagsDialog);
+wireBackdropClose(duplicatesDialog);
 
-copyUrlBtn.addEventListener("click", async () => {
-  await copyImageUrl();
+copyUrlBtn.addEventListener("click", copyPreviewUrl);
+previewDialog.addEventListener("keydown", handlePreviewKey);
+previewDialog.addEventListener("close", () => {
+  toggleSlideshow(false);
+  setPreviewZoom(1);
+});
+$("previewPrev").addEventListener("click", () => stepPreview(-1));
+$("previewNext").addEventListener("click", () => stepPreview(1));
+$("zoomIn").addEventListener("click", () => zoomPreviewBy(1.5));
+$("zoomOut").addEventListener("click", () => zoomPreviewBy(1 / 1.5));
+$("zoomReset").addEventListener("click", () => setPreviewZoom(1));
+$("slideshowToggle").addEventListener("click", () => toggleSlideshow());
+$("slideshowInterval").addEventListener("change", () => {
+  if (slideshowTimer) toggleSlideshow(true);
+});
+const previewStage = $("previewStage");
+previewStage.addEventListener("pointerdown", startPreviewGesture);
+previewStage.addEventListener("pointermove", movePreviewGesture);
+previewStage.addEventListener("pointerup", endPreviewGesture);
+previewStage.addEventListener("pointercancel", endPreviewGesture);
+previewStage.addEventListener(
+  "wheel",
+  (event) => {
+    event.preventDefault();
+    zoomPreviewBy(event.deltaY < 0 ? 1.25 : 0.8);
+  },
+  { passive: false }
+);
+previewImage.addEventListener("dblclick", () => {
+  if (previewZoom.scale > 1) setPreviewZoom(1);
+  else zoomPreviewBy(2);
 });
 
 editTagsBtn.addEventListener("click", () => {
   if (!activeBookmark) return;
-  editTagsInput.value = (activeBookmark.tags || []).join(", ");
-  openDialog(editDialog);
+  openEditDialog(activeBookmark);
 });
 
 deleteBtn.addEventListener("click", () => {
@@ -814,21 +10247,27 @@ closePreviewBtn.addEventListener("click", () => {
 
 saveTagsBtn.addEventListener("click", async () => {
   if (!activeBookmark) return;
-  const tags = parseTags(editTagsInput.value);
-  const resp = await fetch("/api/tags", {
-    method: "PUT",
-    headers: { "content-type": "application/json" },
-    body: JSON.stringify({ imageUrl: activeBookmark.imageUrl, tags }),
-  });
-  if (!resp.ok) {
-    return alert("Failed to update tags");
+  const fields = {
+    title: $("editTitleInput").value,
+    sourceUrl: $("editSourceInput").value,
+    notes: $("editNotesInput").value,
+    tags: parseTags(editTagsInput.value),
+  };
+  const resp = await sendBookmarkChange("PUT", activeBookmark, fields);
+  if (resp && !resp.ok) {
+    const error = await resp.json().catch(() => ({}));
+    return alert(error.error || "Failed to update bookmark");
   }
-  const data = await resp.json();
+  const data = resp
+    ? await resp.json()
+    : { item: pendingBookmark(activeBookmark, fields) };
   if (data.item) {
     upsertBookmark(data.item);
+    setActiveBookmark(data.item);
   }
   closeDialog(editDialog);
   renderGrid(bookmarksState);
+  loadTags();
 });
 
 cancelEditBtn.addEventListener("click", () => {
@@ -838,26 +10277,350 @@ cancelEditBtn.addEventListener("click", () => {
 confirmDeleteBtn.addEventListener("click", async () => {
   if (!activeBookmark) return;
   const imageUrl = activeBookmark.imageUrl;
-  const resp = await fetch("/api/bookmarks", {
-    method: "DELETE",
-    headers: { "content-type": "application/json" },
-    body: JSON.stringify({ imageUrl }),
-  });
-  if (!resp.ok) {
+  const index = previewIndex();
+  const resp = await sendBookmarkChange("DELETE", activeBookmark, {});
+  if (resp && !resp.ok) {
     return alert("Failed to delete bookmark");
   }
+  const data = resp ? await resp.json() : {};
   removeBookmarkByUrl(imageUrl);
   closeDialog(confirmDialog);
-  closeDialog(previewDialog);
+  // Deleting from the lightbox moves on to the next image.
+  const neighbor = bookmarksState[index] || bookmarksState[index - 1];
+  if (previewDialog.open && index >= 0 && neighbor) {
+    setActiveBookmark(neighbor);
+    preloadNeighbors();
+  } else {
+    closeDialog(previewDialog);
+  }
   renderGrid(bookmarksState);
+  loadCollections();
+  loadTags();
+  if (data.trashed) showUndoToast("Moved to Trash", [data.bookmarkId]);
 });
 
 cancelDeleteBtn.addEventListener("click", () => {
   closeDialog(confirmDialog);
 });
 
+$("reviewConflicts").addEventListener("click", openConflictsDialog);
+$("closeConflicts").addEventListener("click", () => closeDialog(conflictsDialog));
+wireBackdropClose(conflictsDialog);
+window.addEventListener("online", syncQueue);
+window.addEventListener("offline", renderSyncStatus);
+
 window.addEventListener("load", async () => {
-  await loadBookmarks();
+  if ("serviceWorker" in navigator) {
+    navigator.serviceWorker.register("/sw.js").catch(() => {});
+  }
+  renderSyncStatus();
+  await Promise.all([loadCollections(), loadTags(), loadBookmarks()]);
+  await syncQueue();
+  await checkPendingWork();
+});
+`;
+}
+
+function shareJs() {
+  return `const $ = (id) => document.getElementById(id);
+const previewDialog = $("previewDialog");
+const previewImage = $("previewImage");
+const previewTags = $("previewTags");
+let activeImageUrl = null;
+
+async function copyText(value) {
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    await navigator.clipboard.writeText(value);
+  } else {
+    const input = document.createElement("input");
+    input.value = value;
+    document.body.appendChild(input);
+    input.select();
+    document.execCommand("copy");
+    document.body.removeChild(input);
+  }
+}
+
+document.querySelectorAll(".card").forEach((card) => {
+  card.addEventListener("click", () => {
+    activeImageUrl = card.dataset.imageUrl;
+    previewImage.src = activeImageUrl;
+    previewTags.innerHTML = "";
+    card.querySelectorAll(".tag").forEach((tag) => {
+      previewTags.appendChild(tag.cloneNode(true));
+    });
+    previewDialog.showModal();
+  });
+});
+
+previewDialog.addEventListener("click", (event) => {
+  if (event.target === previewDialog) previewDialog.close();
+});
+
+$("copyUrl").addEventListener("click", async () => {
+  if (activeImageUrl) await copyText(activeImageUrl);
+});
+
+$("closePreview").addEventListener("click", () => {
+  previewDialog.close();
+});
+`;
+}
+
+function saveJs() {
+  return `const $ = (id) => document.getElementById(id);
+const form = $("saveForm");
+const tagsInput = $("saveTags");
+const status = $("saveStatus");
+
+function currentTags() {
+  return tagsInput.value
+    .split(",")
+    .map((t) => t.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function renderSuggestions() {
+  const tags = currentTags();
+  $("saveSuggestions").querySelectorAll("[data-tag]").forEach((chip) => {
+    chip.classList.toggle("active", tags.includes(chip.dataset.tag));
+  });
+}
+
+$("saveSuggestions").addEventListener("click", (event) => {
+  const tag = event.target.dataset.tag;
+  if (!tag) return;
+  const tags = currentTags();
+  tagsInput.value = (
+    tags.includes(tag) ? tags.filter((t) => t !== tag) : [...tags, tag]
+  ).join(", ");
+  renderSuggestions();
+});
+tagsInput.addEventListener("input", renderSuggestions);
+
+form.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  const data = new FormData(form);
+  $("saveButton").disabled = true;
+  status.classList.remove("form-error");
+  status.textContent = "Saving...";
+  const resp = await fetch("/api/bookmarks", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({
+      imageUrl: data.get("imageUrl"),
+      tags: currentTags(),
+      title: data.get("title"),
+      sourceUrl: data.get("sourceUrl"),
+      notes: data.get("notes"),
+    }),
+  });
+  const result = await resp.json().catch(() => ({}));
+  $("saveButton").disabled = false;
+  if (!resp.ok) {
+    status.classList.add("form-error");
+    status.textContent = result.error || "Failed to save";
+    return;
+  }
+  status.textContent = result.warning || "Saved.";
+  if (window.opener) setTimeout(() => window.close(), 800);
+});
+
+renderSuggestions();
+`;
+}
+
+function statsJs() {
+  return `const $ = (id) => document.getElementById(id);
+const TOTAL_LABELS = [
+  ["bookmarks", "Bookmarks"],
+  ["tags", "Tags"],
+  ["untagged", "Untagged"],
+  ["broken", "Broken links"],
+  ["storageBytes", "Stored files"],
+];
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return bytes + " B";
+  if (bytes < 1024 * 1024) return Math.round(bytes / 1024) + " KB";
+  if (bytes < 1024 * 1024 * 1024) {
+    return (bytes / (1024 * 1024)).toFixed(1) + " MB";
+  }
+  return (bytes / (1024 * 1024 * 1024)).toFixed(1) + " GB";
+}
+
+function renderTotals(totals) {
+  const container = $("statsTotals");
+  container.innerHTML = "";
+  for (const [key, label] of TOTAL_LABELS) {
+    const tile = document.createElement("div");
+    tile.className = "stats-total";
+    const value = document.createElement("strong");
+    value.textContent =
+      key === "storageBytes"
+        ? formatBytes(totals[key])
+        : totals[key].toLocaleString();
+    const name = document.createElement("span");
+    name.textContent = label;
+    tile.append(value, name);
+    container.appendChild(tile);
+  }
+}
+
+function renderChart(added) {
+  const chart = $("addedChart");
+  chart.innerHTML = "";
+  const max = Math.max(1, ...added.items.map((item) => item.count));
+  for (const item of added.items) {
+    const column = document.createElement("div");
+    column.className = "stats-column";
+    column.title =
+      (added.period === "week" ? "Week of " : "") +
+      item.start +
+      ": " +
+      item.count;
+    const bar = document.createElement("div");
+    bar.className = "stats-bar";
+    bar.style.height = (item.count / max) * 100 + "%";
+    const label = document.createElement("span");
+    label.className = "stats-label";
+    label.textContent =
+      added.period === "month"
+        ? new Date(item.start + "-01T00:00:00Z").toLocaleDateString(undefined, {
+            month: "short",
+            timeZone: "UTC",
+          })
+        : item.start.slice(5);
+    column.append(bar, label);
+    chart.appendChild(column);
+  }
+}
+
+function renderTable(table, rows, empty) {
+  table.innerHTML = "";
+  if (rows.length === 0) {
+    const cell = table.insertRow().insertCell();
+    cell.className = "stats-empty";
+    cell.textContent = empty;
+    return;
+  }
+  const max = rows[0][1];
+  for (const [name, count] of rows) {
+    const row = table.insertRow();
+    row.insertCell().textContent = name;
+    const meter = row.insertCell();
+    meter.className = "stats-meter";
+    const bar = document.createElement("span");
+    bar.style.width = (count / max) * 100 + "%";
+    meter.appendChild(bar);
+    const total = row.insertCell();
+    total.className = "stats-count";
+    total.textContent = count.toLocaleString();
+  }
+}
+
+async function loadStats() {
+  const status = $("statsStatus");
+  status.hidden = false;
+  status.textContent = "Loading...";
+  const resp = await fetch("/api/stats?period=" + $("statsPeriod").value);
+  if (resp.status === 401) {
+    location.href = "/" + document.body.dataset.userId;
+    return;
+  }
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok) {
+    status.textContent = data.error || "Failed to load stats";
+    return;
+  }
+  status.hidden = true;
+  renderTotals(data.totals);
+  renderChart(data.added);
+  renderTable(
+    $("topTags"),
+    data.topTags.map((item) => [item.tag, item.count]),
+    "No tags yet."
+  );
+  renderTable(
+    $("tagPairs"),
+    data.tagPairs.map((item) => [item.tags.join(" + "), item.count]),
+    "No two tags share a bookmark yet."
+  );
+  renderTable(
+    $("topDomains"),
+    data.topDomains.map((item) => [item.domain, item.count]),
+    "No bookmarks yet."
+  );
+}
+
+$("statsPeriod").addEventListener("change", loadStats);
+loadStats();
+`;
+}
+
+// Network first for the app shell, the library page and the bookmark,
+// tag and collection lists, falling back to the last cached copy offline.
+// Signing out clears the cache.
+function serviceWorkerJs() {
+  return `const CACHE = "image-bookmark-v1";
+const SHELL = ["/app.js", "/styles.css", "/icon.svg"];
+const CACHED_API = /^\\/api\\/(bookmarks|tags|collections)(\\/[^/]+)?$/;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE)
+      .then((cache) => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(keys.filter((k) => k !== CACHE).map((k) => caches.delete(k)))
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+function cacheable(request, url) {
+  if (request.method !== "GET" || url.origin !== location.origin) return false;
+  if (request.mode === "navigate") {
+    return /^\\/[0-9a-f-]{36}$/i.test(url.pathname);
+  }
+  if (SHELL.includes(url.pathname)) return true;
+  if (url.pathname.startsWith("/api/image/")) {
+    return url.searchParams.get("variant") === "thumb";
+  }
+  if (url.pathname.startsWith("/files/")) return true;
+  return CACHED_API.test(url.pathname);
+}
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const url = new URL(event.request.url);
+  if (event.request.method === "POST" && url.pathname === "/logout") {
+    event.respondWith(caches.delete(CACHE).then(() => fetch(event.request)));
+    return;
+  }
+  if (cacheable(event.request, url)) {
+    event.respondWith(networkFirst(event.request));
+  }
 });
 `;
 }
@@ -0,0 +1,154 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  client,
+  hangingResponse,
+  imageResponse,
+  memoryR2,
+  pngBytes,
+  shortTimeouts,
+  standInOrigin,
+  testEnv,
+} from "./helpers.mjs";
+
+const IMAGE_URL = "https://images.test/large.png";
+const ORIGINAL = new Uint8Array(200 * 1024);
+ORIGINAL.set(pngBytes(2400, 1600));
+
+// Streams the bytes on demand and counts how many were read.
+function countedResponse(bytes, counter) {
+  const body = new ReadableStream(
+    {
+      pull(controller) {
+        controller.enqueue(bytes.slice(counter.read, counter.read + 16384));
+        counter.read += 16384;
+        if (counter.read >= bytes.byteLength) controller.close();
+      },
+    },
+    { highWaterMark: 0 }
+  );
+  return new Response(body, {
+    headers: {
+      "content-type": "image/png",
+      "content-length": String(bytes.byteLength),
+    },
+  });
+}
+
+// Answers like an origin behind a zone with or without Image Resizing: a
+// `cf.image` request gets a small resized copy, or the original again.
+async function archive(resizing) {
+  const origin = standInOrigin();
+  const resizeRequest = { read: 0 };
+  origin.routes.set(IMAGE_URL, (_, init) => {
+    if (!(init.cf && init.cf.image)) return imageResponse(ORIGINAL);
+    if (!resizing) return countedResponse(ORIGINAL, resizeRequest);
+    return imageResponse(pngBytes(480, 320), "image/png", {
+      "cf-resized": "internal=ok/- q=0 n=20",
+    });
+  });
+  try {
+    const env = testEnv({ IMAGES: memoryR2() });
+    const api = client(env);
+    await api.signIn();
+    await api("PUT", "/api/settings", { body: { archive: true } });
+    const res = await api("POST", "/api/bookmarks", {
+      body: { imageUrl: IMAGE_URL, tags: [] },
+    });
+    assert.equal(res.status, 200, res.text);
+    return { env, api, item: res.json.item, resizeRequest };
+  } finally {
+    origin.restore();
+  }
+}
+
+test("thumbnails are stored when Image Resizing answers", async () => {
+  const { env, item } = await archive(true);
+  assert.ok(item.archive.thumbnailKey);
+  const thumb = env.IMAGES.store.get(item.archive.thumbnailKey);
+  assert.equal(thumb.bytes.byteLength, 33);
+  assert.equal(item.archive.byteSize, ORIGINAL.byteLength);
+});
+
+test("without Image Resizing only the original is stored", async () => {
+  const { env, api, item, resizeRequest } = await archive(false);
+  assert.equal(item.archive.thumbnailKey, null);
+  assert.equal(resizeRequest.read, 0, "the unresized body is not downloaded");
+  assert.deepEqual([...env.IMAGES.store.keys()], [item.archive.originalKey]);
+
+  const thumb = await api("GET", `/api/image/${item.id}?variant=thumb`);
+  assert.equal(thumb.status, 200);
+  assert.equal(thumb.headers.get("content-type"), "image/png");
+});
+
+test("a host that stalls saves the bookmark without an archive", async () => {
+  const origin = standInOrigin();
+  const restore = shortTimeouts();
+  let calls = 0;
+  origin.routes.set(IMAGE_URL, (request, init) =>
+    ++calls === 1 ? imageResponse(ORIGINAL) : hangingResponse(request, init)
+  );
+  try {
+    const env = testEnv({ IMAGES: memoryR2() });
+    const api = client(env);
+    await api.signIn();
+    await api("PUT", "/api/settings", { body: { archive: true } });
+    const res = await api("POST", "/api/bookmarks", {
+      body: { imageUrl: IMAGE_URL, tags: [] },
+    });
+    assert.equal(res.status, 200, res.text);
+    assert.equal(res.json.item.archive, undefined);
+    assert.equal(
+      res.json.warning,
+      "Saved without an archived copy: image URL did not respond in time"
+    );
+    assert.equal(env.IMAGES.store.size, 0);
+  } finally {
+    restore();
+    origin.restore();
+  }
+});
+
+test("archives that would pass the storage quota are refused", async () => {
+  const origin = standInOrigin();
+  // The first URL states its size up front; the second does not, so only
+  // the downloaded bytes show it is too large.
+  const sized = "https://images.test/sized.png";
+  const unsized = "https://images.test/unsized.png";
+  origin.routes.set(sized, () => imageResponse(ORIGINAL));
+  origin.routes.set(
+    unsized,
+    () =>
+      new Response(new Blob([ORIGINAL]).stream(), {
+        headers: { "content-type": "image/png" },
+      })
+  );
+  try {
+    const env = testEnv({
+      IMAGES: memoryR2(),
+      STORAGE_QUOTA_BYTES: String(100 * 1024),
+    });
+    const api = client(env);
+    await api.signIn();
+    await api("PUT", "/api/settings", { body: { archive: true } });
+    for (const imageUrl of [sized, unsized]) {
+      const res = await api("POST", "/api/bookmarks", {
+        body: { imageUrl, tags: [] },
+      });
+      assert.equal(res.status, 200, res.text);
+      assert.equal(res.json.item.archive, undefined);
+      assert.match(res.json.warning, /storage quota reached/);
+    }
+    assert.equal(env.IMAGES.store.size, 0);
+
+    const [item] = (await api("GET", "/api/bookmarks")).json.items.filter(
+      (bookmark) => bookmark.imageUrl === unsized
+    );
+    const again = await api("POST", `/api/image/${item.id}/archive`);
+    assert.equal(again.status, 403);
+    assert.equal(again.json.code, "quota_exceeded");
+    assert.equal(env.IMAGES.store.size, 0);
+  } finally {
+    origin.restore();
+  }
+});
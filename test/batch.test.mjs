@@ -0,0 +1,120 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { client, testEnv } from "./helpers.mjs";
+
+async function importItems(api, items) {
+  let res = await api("POST", "/api/import?format=json", { body: { items } });
+  while (!res.json.done) {
+    res = await api("POST", `/api/import?cursor=${res.json.cursor}`);
+  }
+  assert.equal(res.status, 200, res.text);
+}
+
+async function tagCounts(api) {
+  const res = await api("GET", "/api/tags");
+  return Object.fromEntries(
+    res.json.items.map((item) => [item.tag, item.count])
+  );
+}
+
+const url = (name) => `https://images.test/${name}.png`;
+
+async function library() {
+  const env = testEnv();
+  const api = client(env);
+  await api.signIn();
+  await importItems(api, [
+    { imageUrl: url("a"), tags: ["cats"] },
+    { imageUrl: url("b"), tags: ["cats", "dogs"] },
+    { imageUrl: url("c"), tags: [] },
+  ]);
+  const list = await api("GET", "/api/bookmarks");
+  const ids = {};
+  for (const item of list.json.items) {
+    ids[item.imageUrl.match(/(\w+)\.png$/)[1]] = item.id;
+  }
+  return { env, api, ids };
+}
+
+test("batch operations run in order and update the tag index", async () => {
+  const { api, ids } = await library();
+  const res = await api("POST", "/api/bookmarks/batch", {
+    body: {
+      operations: [
+        { action: "addTags", bookmarkId: ids.a, tags: ["pets", "Fluffy"] },
+        { action: "removeTags", imageUrl: url("a"), tags: ["cats"] },
+        { action: "setTags", bookmarkId: ids.c, tags: ["birds"] },
+        { action: "delete", bookmarkId: ids.b },
+        { action: "addTags", bookmarkId: ids.b, tags: ["late"] },
+      ],
+    },
+  });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.json.ok, false);
+  const [added, removed, set, deleted, afterDelete] = res.json.results;
+  assert.deepEqual(added.item.tags, ["cats", "pets", "fluffy"]);
+  assert.deepEqual(removed.item.tags, ["pets", "fluffy"]);
+  assert.deepEqual(set.item.tags, ["birds"]);
+  assert.deepEqual(deleted, { bookmarkId: ids.b, ok: true, deleted: true });
+  assert.deepEqual(afterDelete, {
+    bookmarkId: ids.b,
+    ok: false,
+    error: "bookmark not found",
+  });
+
+  assert.deepEqual(await tagCounts(api), { birds: 1, fluffy: 1, pets: 1 });
+  const trash = await api("GET", "/api/trash");
+  assert.deepEqual(
+    trash.json.items.map((entry) => entry.bookmark.id),
+    [ids.b]
+  );
+  const history = await api("GET", `/api/bookmarks/${ids.a}/history`);
+  assert.deepEqual(
+    history.json.items.map((event) => event.type),
+    ["tags", "create"]
+  );
+});
+
+test("invalid operations fail alone", async () => {
+  const { api, ids } = await library();
+  const res = await api("POST", "/api/bookmarks/batch", {
+    body: {
+      operations: [
+        "setTags",
+        { action: "setTags", tags: ["x"] },
+        { action: "rename", bookmarkId: ids.a },
+        { action: "addTags", bookmarkId: ids.a, tags: "cats" },
+        { action: "delete", bookmarkId: "0".repeat(64) },
+        { action: "addTags", bookmarkId: ids.c, tags: ["ok"] },
+      ],
+    },
+  });
+  assert.equal(res.status, 200, res.text);
+  assert.deepEqual(
+    res.json.results.map((result) => result.ok),
+    [false, false, false, false, false, true]
+  );
+  assert.equal(res.json.results[0].error, "operation must be an object");
+  assert.equal(
+    res.json.results[1].error,
+    "bookmarkId or imageUrl is required"
+  );
+  assert.match(res.json.results[2].error, /^action must be one of addTags/);
+  assert.equal(res.json.results[4].error, "bookmark not found");
+  assert.deepEqual(await tagCounts(api), { cats: 2, dogs: 1, ok: 1 });
+
+  const empty = await api("POST", "/api/bookmarks/batch", {
+    body: { operations: [] },
+  });
+  assert.equal(empty.status, 400);
+  const tooMany = await api("POST", "/api/bookmarks/batch", {
+    body: {
+      operations: Array.from({ length: 101 }, () => ({
+        action: "delete",
+        bookmarkId: ids.a,
+      })),
+    },
+  });
+  assert.equal(tooMany.status, 400);
+  assert.equal(tooMany.json.error, "at most 100 operations per request");
+});
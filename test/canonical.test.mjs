@@ -0,0 +1,201 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import {
+  USER_ID,
+  client,
+  imageResponse,
+  pngBytes,
+  standInOrigin,
+  testEnv,
+} from "./helpers.mjs";
+
+const IMAGE_URL = "http://images.test/a.png?utm_source=feed";
+
+// Rewrites the library the way it was stored before canonicalization:
+// bookmarks keyed by the hash of the URL as given, and no record of the
+// rules they were saved under.
+function makeLegacy(env) {
+  const store = env.BOOKMARKS.store;
+  for (const [key, entry] of [...store]) {
+    if (!key.includes(":bookmark:")) continue;
+    const bookmark = JSON.parse(entry.value);
+    const id = createHash("sha256").update(bookmark.imageUrl).digest("hex");
+    store.delete(key);
+    store.set(`user:${USER_ID}:bookmark:${id}`, {
+      ...entry,
+      value: JSON.stringify({ ...bookmark, id }),
+    });
+  }
+  store.delete(`user:${USER_ID}:index`);
+  const metaKey = `user:${USER_ID}:meta`;
+  const meta = JSON.parse(store.get(metaKey).value);
+  delete meta.canonicalizedWith;
+  store.get(metaKey).value = JSON.stringify(meta);
+}
+
+async function legacyLibrary(origin) {
+  origin.routes.set(IMAGE_URL, () => imageResponse(pngBytes(4, 4)));
+  const env = testEnv();
+  const api = client(env);
+  await api.signIn();
+  const saved = await api("POST", "/api/bookmarks", {
+    body: { imageUrl: IMAGE_URL, tags: ["old"] },
+  });
+  assert.equal(saved.status, 200, saved.text);
+  makeLegacy(env);
+  await api.signIn();
+  return { env, api };
+}
+
+test("bookmarks saved before canonicalization are found by URL", async () => {
+  const origin = standInOrigin();
+  try {
+    const { api } = await legacyLibrary(origin);
+    const settings = await api("GET", "/api/settings");
+    assert.equal(settings.json.canonicalizationPending, true);
+
+    const tagged = await api("PUT", "/api/tags", {
+      body: { imageUrl: IMAGE_URL, tags: ["renamed"] },
+    });
+    assert.equal(tagged.status, 200, tagged.text);
+
+    const resaved = await api("POST", "/api/bookmarks", {
+      body: { imageUrl: IMAGE_URL, tags: ["again"] },
+    });
+    assert.equal(resaved.status, 200, resaved.text);
+    const list = await api("GET", "/api/bookmarks");
+    assert.equal(list.json.items.length, 1);
+    assert.deepEqual(list.json.items[0].tags, ["again"]);
+
+    const removed = await api("DELETE", "/api/bookmarks", {
+      body: { imageUrl: IMAGE_URL },
+    });
+    assert.equal(removed.json.trashed, true);
+    const after = await api("GET", "/api/bookmarks");
+    assert.equal(after.json.items.length, 0);
+  } finally {
+    origin.restore();
+  }
+});
+
+test("size parameters are only ignored on known image CDNs", async () => {
+  const origin = standInOrigin();
+  const urls = [
+    "https://images.test/chart.png?h=1",
+    "https://images.test/chart.png?h=2",
+    "https://demo.imgix.net/photo.jpg?w=400",
+    "https://demo.imgix.net/photo.jpg?w=1200&dpr=2",
+  ];
+  try {
+    const api = client(testEnv());
+    await api.signIn();
+    for (const imageUrl of urls) {
+      origin.routes.set(imageUrl, () => imageResponse(pngBytes(4, 4)));
+      await api("POST", "/api/bookmarks", { body: { imageUrl, tags: [] } });
+    }
+    const list = await api("GET", "/api/bookmarks");
+    // The second imgix save replaced the first; both chart sizes are kept.
+    const saved = list.json.items.map((item) => item.imageUrl);
+    assert.deepEqual(saved.sort(), [urls[3], urls[0], urls[1]].sort());
+  } finally {
+    origin.restore();
+  }
+});
+
+test("libraries keyed by the any-host size rule are re-keyed", async () => {
+  const origin = standInOrigin();
+  const imageUrl = "https://images.test/chart.png?w=100";
+  origin.routes.set(imageUrl, () => imageResponse(pngBytes(4, 4)));
+  try {
+    const env = testEnv();
+    const api = client(env);
+    await api.signIn();
+    await api("POST", "/api/bookmarks", { body: { imageUrl, tags: ["a"] } });
+    // Rewrite the library as the first version of the rules stored it.
+    const store = env.BOOKMARKS.store;
+    const [key] = [...store.keys()].filter((k) => k.includes(":bookmark:"));
+    const id = createHash("sha256")
+      .update("https://images.test/chart.png")
+      .digest("hex");
+    const entry = store.get(key);
+    store.delete(key);
+    store.set(`user:${USER_ID}:bookmark:${id}`, {
+      ...entry,
+      value: JSON.stringify({ ...JSON.parse(entry.value), id }),
+    });
+    store.delete(`user:${USER_ID}:index`);
+    const metaKey = `user:${USER_ID}:meta`;
+    const meta = JSON.parse(store.get(metaKey).value);
+    const { version, ...rules } = JSON.parse(meta.canonicalizedWith);
+    assert.equal(version, 2);
+    meta.canonicalizedWith = JSON.stringify(rules);
+    store.get(metaKey).value = JSON.stringify(meta);
+    await api.signIn();
+
+    const tagged = await api("PUT", "/api/tags", {
+      body: { imageUrl, tags: ["b"] },
+    });
+    assert.equal(tagged.status, 200, tagged.text);
+    assert.equal(tagged.json.item.id, id);
+
+    const settings = await api("GET", "/api/settings");
+    assert.equal(settings.json.canonicalizationPending, true);
+    const moved = await api("POST", "/api/bookmarks/canonicalize");
+    assert.equal(moved.json.done, true);
+    const list = await api("GET", "/api/bookmarks");
+    assert.equal(list.json.items.length, 1);
+    assert.notEqual(list.json.items[0].id, id);
+    assert.deepEqual(list.json.items[0].tags, ["b"]);
+  } finally {
+    origin.restore();
+  }
+});
+
+test("the migration pages through the library with a saved cursor", async () => {
+  const env = testEnv();
+  const api = client(env);
+  await api.signIn();
+  // 250 images on www., plus 5 saved again without it.
+  const items = Array.from({ length: 250 }, (_, i) => ({
+    imageUrl: `https://www.images.test/${i}.png`,
+    tags: ["bulk"],
+  }));
+  for (let i = 0; i < 5; i++) {
+    items.push({ imageUrl: `https://images.test/${i}.png`, tags: ["bare"] });
+  }
+  let imported = await api("POST", "/api/import?format=json", {
+    body: { items },
+  });
+  while (!imported.json.done) {
+    imported = await api("POST", `/api/import?cursor=${imported.json.cursor}`);
+  }
+  const settings = await api("PUT", "/api/settings", {
+    body: { canonicalization: { stripWww: true } },
+  });
+  assert.equal(settings.json.canonicalizationPending, true);
+
+  const runs = [];
+  for (;;) {
+    const res = await api("POST", "/api/bookmarks/canonicalize");
+    assert.equal(res.status, 200, res.text);
+    runs.push(res.json);
+    if (res.json.done) break;
+  }
+  assert.ok(runs.length >= 3);
+  assert.ok(runs.every((run) => run.scanned <= 100));
+  const moved = runs.reduce((sum, run) => sum + run.processed, 0);
+  const merged = runs.reduce((sum, run) => sum + run.merged, 0);
+  assert.equal(moved, 250);
+  assert.equal(merged, 5);
+
+  const after = await api("GET", "/api/settings");
+  assert.equal(after.json.canonicalizationPending, false);
+  const stats = await api("GET", "/api/stats");
+  assert.equal(stats.json.totals.bookmarks, 250);
+  const again = await api("POST", "/api/bookmarks/canonicalize");
+  assert.deepEqual(
+    { processed: again.json.processed, done: again.json.done },
+    { processed: 0, done: true }
+  );
+});
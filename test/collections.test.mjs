@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  client,
+  imageResponse,
+  pngBytes,
+  standInOrigin,
+  testEnv,
+} from "./helpers.mjs";
+
+const URLS = [1, 2, 3].map((n) => `https://images.test/${n}.png`);
+const OTHER_USER = "223e4567-e89b-42d3-a456-426614174000";
+
+async function library() {
+  const origin = standInOrigin();
+  for (const url of URLS) {
+    origin.routes.set(url, () => imageResponse(pngBytes(3, 3)));
+  }
+  const env = testEnv();
+  const api = client(env);
+  await api.signIn();
+  const ids = [];
+  for (const imageUrl of URLS) {
+    const res = await api("POST", "/api/bookmarks", {
+      body: { imageUrl, tags: [] },
+    });
+    ids.push(res.json.item.id);
+  }
+  origin.restore();
+  return { env, api, ids };
+}
+
+test("collections only keep ids of the owner's bookmarks", async () => {
+  const { api, ids } = await library();
+  const created = await api("POST", "/api/collections", {
+    body: { title: "Mine", bookmarkIds: [ids[0], "missing", ids[1], ids[0]] },
+  });
+  assert.deepEqual(created.json.item.bookmarkIds, [ids[0], ids[1]]);
+
+  const id = created.json.item.id;
+  const updated = await api("PUT", `/api/collections/${id}`, {
+    body: { bookmarkIds: [ids[1], "nope", ids[2], ids[0]] },
+  });
+  assert.deepEqual(updated.json.item.bookmarkIds, [ids[1], ids[2], ids[0]]);
+
+  const shown = await api("GET", `/api/collections/${id}`);
+  assert.deepEqual(
+    shown.json.bookmarks.map((bookmark) => bookmark.id),
+    [ids[1], ids[2], ids[0]]
+  );
+});
+
+test("another user's bookmark ids cannot be added to a collection", async () => {
+  const { env, ids } = await library();
+  const other = client(env);
+  await other.signIn(OTHER_USER);
+  const created = await other("POST", "/api/collections", {
+    body: { title: "Theirs", bookmarkIds: ids },
+  });
+  assert.deepEqual(created.json.item.bookmarkIds, []);
+  const added = await other(
+    "POST",
+    `/api/collections/${created.json.item.id}/items`,
+    { body: { bookmarkId: ids[0] } }
+  );
+  assert.equal(added.status, 404);
+});
+
+test("items can be added at a position, removed, and leave with deletes", async () => {
+  const { api, ids } = await library();
+  const created = await api("POST", "/api/collections", {
+    body: { title: "Set", bookmarkIds: [ids[0], ids[1]] },
+  });
+  const path = `/api/collections/${created.json.item.id}`;
+  const added = await api("POST", `${path}/items`, {
+    body: { bookmarkId: ids[2], position: 1 },
+  });
+  assert.deepEqual(added.json.item.bookmarkIds, [ids[0], ids[2], ids[1]]);
+
+  const removed = await api("DELETE", `${path}/items`, {
+    body: { bookmarkId: ids[0] },
+  });
+  assert.deepEqual(removed.json.item.bookmarkIds, [ids[2], ids[1]]);
+
+  await api("DELETE", "/api/bookmarks", { body: { imageUrl: URLS[1] } });
+  const shown = await api("GET", path);
+  assert.deepEqual(shown.json.item.bookmarkIds, [ids[2]]);
+});
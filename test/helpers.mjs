@@ -0,0 +1,244 @@
+// Shared fixtures for the worker tests: in-memory KV and R2 bindings, a
+// client that keeps the session cookie, and a stand-in origin for fetch().
+import { readFile } from "node:fs/promises";
+
+const source = await readFile(new URL("../src/worker.js", import.meta.url), "utf8");
+// The worker has no imports, so it loads as a data: module without a
+// package.json or a build step.
+const workerModule = await import(
+  "data:text/javascript," + encodeURIComponent(source)
+);
+const worker = workerModule.default;
+
+export const USER_ID = "123e4567-e89b-42d3-a456-426614174000";
+
+export function memoryKV() {
+  const store = new Map();
+  const live = (key) => {
+    const entry = store.get(key);
+    if (entry && entry.expiration && entry.expiration < Date.now() / 1000) {
+      store.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+  return {
+    store,
+    async get(key) {
+      const entry = live(key);
+      return entry ? entry.value : null;
+    },
+    async put(key, value, options = {}) {
+      store.set(key, {
+        value: String(value),
+        metadata: options.metadata,
+        expiration: options.expirationTtl
+          ? Date.now() / 1000 + options.expirationTtl
+          : options.expiration,
+      });
+    },
+    async delete(key) {
+      store.delete(key);
+    },
+    // Like KV, the cursor marks a position in key order rather than an
+    // offset, so keys written or deleted between pages do not shift it.
+    async list({ prefix = "", cursor, limit = 1000 } = {}) {
+      const after = cursor ? Buffer.from(cursor, "base64url").toString() : "";
+      const names = [...store.keys()].filter(
+        (key) => key.startsWith(prefix) && key > after
+      );
+      names.sort();
+      const page = names.slice(0, limit);
+      const complete = limit >= names.length;
+      return {
+        keys: page.map((name) => ({
+          name,
+          metadata: store.get(name).metadata,
+          expiration: store.get(name).expiration,
+        })),
+        list_complete: complete,
+        cursor: complete
+          ? undefined
+          : Buffer.from(page[page.length - 1]).toString("base64url"),
+      };
+    },
+  };
+}
+
+export function memoryR2() {
+  const store = new Map();
+  return {
+    store,
+    async put(key, value, options = {}) {
+      const bytes = new Uint8Array(await new Response(value).arrayBuffer());
+      store.set(key, { bytes, options });
+      return { key, size: bytes.byteLength };
+    },
+    async get(key) {
+      const entry = store.get(key);
+      if (!entry) return null;
+      return {
+        body: new Response(entry.bytes).body,
+        size: entry.bytes.byteLength,
+        httpEtag: `"${key}"`,
+        writeHttpMetadata(headers) {
+          const type = entry.options.httpMetadata?.contentType;
+          if (type) headers.set("content-type", type);
+        },
+      };
+    },
+    async head(key) {
+      const entry = store.get(key);
+      return entry ? { size: entry.bytes.byteLength } : null;
+    },
+    async delete(keys) {
+      for (const key of [].concat(keys)) store.delete(key);
+    },
+  };
+}
+
+// A Durable Object namespace that keeps one instance per name in memory.
+// Requests to an instance run one at a time, as input gates make them do.
+export function memoryDurableObjects(ObjectClass, env = {}) {
+  const instances = new Map();
+  return {
+    instances,
+    idFromName: (name) => name,
+    get(id) {
+      if (!instances.has(id)) {
+        const storage = new Map();
+        const state = {
+          storage: {
+            get: async (key) => storage.get(key),
+            put: async (key, value) => void storage.set(key, value),
+            delete: async (key) => storage.delete(key),
+          },
+        };
+        instances.set(id, new ObjectClass(state, env));
+      }
+      const instance = instances.get(id);
+      const run = (input, init) => {
+        const result = (instance.queue || Promise.resolve()).then(() =>
+          instance.fetch(new Request(input, init))
+        );
+        instance.queue = result.catch(() => {});
+        return result;
+      };
+      return { fetch: run };
+    },
+  };
+}
+
+export function testEnv(extra = {}) {
+  const env = {
+    BOOKMARKS: memoryKV(),
+    SESSION_SECRET: "test-session-secret",
+    RATE_LIMITER: memoryDurableObjects(workerModule.RateLimiter),
+  };
+  env.LIBRARY_INDEX = memoryDurableObjects(workerModule.LibraryIndex, env);
+  return Object.assign(env, extra);
+}
+
+// Calls the worker like a browser would: JSON bodies are encoded, and the
+// session cookie from the first `/<uuid>` visit is sent on later requests.
+export function client(env, base = "https://bookmarks.test") {
+  let cookie = "";
+  const waiting = [];
+  const ctx = { waitUntil: (promise) => waiting.push(promise) };
+  const request = async (method, path, { body, headers = {} } = {}) => {
+    const init = { method, headers: new Headers(headers), redirect: "manual" };
+    if (cookie) init.headers.set("cookie", cookie);
+    if (body !== undefined) {
+      const raw = typeof body === "string" || body instanceof Uint8Array;
+      init.body = raw ? body : JSON.stringify(body);
+      if (!init.headers.has("content-type")) {
+        init.headers.set("content-type", "application/json");
+      }
+    }
+    const response = await worker.fetch(new Request(base + path, init), env, ctx);
+    await Promise.all(waiting.splice(0));
+    const setCookie = response.headers.get("set-cookie");
+    if (setCookie) cookie = setCookie.split(";")[0];
+    const text = await response.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch {}
+    return { status: response.status, headers: response.headers, text, json };
+  };
+  request.signIn = (userId = USER_ID) => request("GET", "/" + userId);
+  return request;
+}
+
+export async function runScheduled(env) {
+  const waiting = [];
+  await worker.scheduled({}, env, { waitUntil: (p) => waiting.push(p) });
+  await Promise.all(waiting);
+}
+
+// Replaces global fetch with handlers keyed by URL. Unknown URLs answer 404.
+export function standInOrigin() {
+  const routes = new Map();
+  const requests = [];
+  const previous = globalThis.fetch;
+  globalThis.fetch = async (input, init = {}) => {
+    const request = new Request(input, init);
+    requests.push(request);
+    const handler = routes.get(request.url);
+    if (!handler) return new Response("not found", { status: 404 });
+    return handler(request, init);
+  };
+  return {
+    routes,
+    requests,
+    restore: () => {
+      globalThis.fetch = previous;
+    },
+  };
+}
+
+// Makes every AbortSignal.timeout() fire after `ms`. Node's own timeout
+// timer does not keep the test process alive, so this uses a plain one.
+export function shortTimeouts(ms = 20) {
+  const timeout = AbortSignal.timeout;
+  AbortSignal.timeout = () => {
+    const controller = new AbortController();
+    setTimeout(
+      () => controller.abort(new DOMException("timed out", "TimeoutError")),
+      ms
+    );
+    return controller.signal;
+  };
+  return () => {
+    AbortSignal.timeout = timeout;
+  };
+}
+
+// A stand-in origin handler that never answers until the request aborts.
+export function hangingResponse(_, init) {
+  return new Promise((_, reject) => {
+    init.signal.addEventListener("abort", () => reject(init.signal.reason));
+  });
+}
+
+export function pngBytes(width, height) {
+  const bytes = new Uint8Array(33);
+  bytes.set([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  bytes.set([0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52], 8);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(16, width);
+  view.setUint32(20, height);
+  return bytes;
+}
+
+export function imageResponse(bytes, type = "image/png", headers = {}) {
+  return new Response(bytes, {
+    headers: {
+      "content-type": type,
+      "content-length": String(bytes.byteLength),
+      ...headers,
+    },
+  });
+}
+
+export { worker };
@@ -0,0 +1,130 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { client, testEnv } from "./helpers.mjs";
+
+const IMAGE_URL = "https://images.test/a.png";
+
+async function importItems(api, items) {
+  let res = await api("POST", "/api/import?format=json", { body: { items } });
+  while (!res.json.done) {
+    res = await api("POST", `/api/import?cursor=${res.json.cursor}`);
+  }
+  assert.equal(res.status, 200, res.text);
+}
+
+async function tagCounts(api) {
+  const res = await api("GET", "/api/tags");
+  return Object.fromEntries(
+    res.json.items.map((item) => [item.tag, item.count])
+  );
+}
+
+// Event ids start with the time in milliseconds, so changes made within one
+// millisecond have no defined order.
+const tick = () => new Promise((resolve) => setTimeout(resolve, 2));
+
+// Saves a bookmark, then edits it twice.
+async function editedBookmark() {
+  const env = testEnv();
+  const api = client(env);
+  await api.signIn();
+  await importItems(api, [
+    { imageUrl: IMAGE_URL, tags: ["cats"], title: "First" },
+  ]);
+  await tick();
+  await api("PUT", "/api/bookmarks", {
+    body: { imageUrl: IMAGE_URL, title: "Second", notes: "Some notes" },
+  });
+  await tick();
+  const tagged = await api("PUT", "/api/tags", {
+    body: { imageUrl: IMAGE_URL, tags: ["dogs"] },
+  });
+  await tick();
+  const id = tagged.json.item.id;
+  const history = (path = "") =>
+    api("GET", `/api/bookmarks/${id}/history${path}`);
+  return { api, id, history };
+}
+
+test("history records each change and reverts to a saved version", async () => {
+  const { api, id, history } = await editedBookmark();
+  const events = (await history()).json.items;
+  assert.deepEqual(
+    events.map((event) => event.type),
+    ["tags", "edit", "create"]
+  );
+  assert.deepEqual(events[0].changes, {
+    tags: { before: ["cats"], after: ["dogs"] },
+  });
+  assert.deepEqual(events[1].changes, {
+    title: { before: "First", after: "Second" },
+    notes: { before: null, after: "Some notes" },
+  });
+
+  const created = events[2];
+  const reverted = await api("POST", `/api/bookmarks/${id}/revert`, {
+    body: { eventId: created.id },
+  });
+  assert.equal(reverted.status, 200, reverted.text);
+  assert.equal(reverted.json.item.title, "First");
+  assert.equal(reverted.json.item.notes, undefined);
+  assert.deepEqual(reverted.json.item.tags, ["cats"]);
+  assert.deepEqual(await tagCounts(api), { cats: 1 });
+
+  const [latest] = (await history()).json.items;
+  assert.equal(latest.type, "revert");
+  assert.equal(latest.revertedTo, created.id);
+  assert.deepEqual(latest.snapshot, created.snapshot);
+
+  // Pages follow the cursor, newest first.
+  const pages = [];
+  let cursor = "";
+  do {
+    const res = await history(`?limit=3${cursor && `&cursor=${cursor}`}`);
+    pages.push(res.json.items.map((event) => event.type));
+    cursor = res.json.cursor;
+  } while (cursor);
+  assert.deepEqual(pages, [["revert", "tags", "edit"], ["create"]]);
+
+  const activity = await api("GET", "/api/activity?limit=2");
+  assert.deepEqual(
+    activity.json.items.map(({ type, bookmarkId, imageUrl }) => ({
+      type,
+      bookmarkId,
+      imageUrl,
+    })),
+    [
+      { type: "revert", bookmarkId: id, imageUrl: IMAGE_URL },
+      { type: "tags", bookmarkId: id, imageUrl: IMAGE_URL },
+    ]
+  );
+});
+
+test("reverts need an existing event and a live bookmark", async () => {
+  const { api, id, history } = await editedBookmark();
+  const revert = (eventId) =>
+    api("POST", `/api/bookmarks/${id}/revert`, { body: { eventId } });
+
+  assert.equal((await revert("")).status, 400);
+  const unknown = await revert("0000000000000-none");
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.json.error, "history event not found");
+  assert.equal((await history("?limit=0")).status, 400);
+
+  const [tagged] = (await history()).json.items;
+  await api("DELETE", "/api/bookmarks", { body: { imageUrl: IMAGE_URL } });
+  await tick();
+  const trashed = await revert(tagged.id);
+  assert.equal(trashed.status, 404);
+  assert.match(trashed.json.error, /restore it from the trash first/);
+
+  await api("POST", "/api/trash/restore", { body: { ids: [id] } });
+  const events = (await history()).json.items;
+  assert.deepEqual(
+    events.slice(0, 2).map((event) => event.type),
+    ["restore", "delete"]
+  );
+  const deleted = await revert(events[1].id);
+  assert.equal(deleted.status, 400);
+  assert.equal(deleted.json.error, "cannot revert to a deleted version");
+});
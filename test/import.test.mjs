@@ -0,0 +1,183 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  client,
+  imageResponse,
+  memoryR2,
+  pngBytes,
+  standInOrigin,
+  testEnv,
+} from "./helpers.mjs";
+
+const KEPT_URL = "https://images.test/kept.png";
+
+// Runs an import to the end and returns the last response.
+async function importFile(api, mode, items) {
+  let res = await api("POST", `/api/import?format=json&mode=${mode}`, {
+    body: { items },
+  });
+  while (res.status === 200 && !res.json.done) {
+    res = await api("POST", `/api/import?cursor=${res.json.cursor}`);
+  }
+  return res;
+}
+
+async function exportFile(api, format) {
+  let path = `/api/export?format=${format}`;
+  let text = "";
+  for (;;) {
+    const res = await api("GET", path);
+    assert.equal(res.status, 200);
+    text += res.text;
+    const cursor = res.headers.get("x-export-cursor");
+    if (!cursor) return text;
+    path = `/api/export?format=${format}&cursor=${encodeURIComponent(cursor)}`;
+  }
+}
+
+test("a replace import trashes missing bookmarks like DELETE", async () => {
+  const origin = standInOrigin();
+  origin.routes.set(KEPT_URL, () => imageResponse(pngBytes(4, 4)));
+  try {
+    const env = testEnv({ IMAGES: memoryR2() });
+    const api = client(env);
+    await api.signIn();
+    const kept = await api("POST", "/api/bookmarks", {
+      body: { imageUrl: KEPT_URL, tags: ["old"] },
+    });
+    const upload = await api("POST", "/api/uploads?tags=upload", {
+      body: pngBytes(8, 8),
+      headers: { "content-type": "image/png" },
+    });
+    assert.equal(upload.status, 200);
+    const uploadId = upload.json.item.id;
+    const collection = await api("POST", "/api/collections", {
+      body: { title: "Both", bookmarkIds: [kept.json.item.id, uploadId] },
+    });
+
+    const result = await importFile(api, "replace", [
+      { imageUrl: KEPT_URL, tags: ["new"] },
+      { imageUrl: "https://images.test/added.png", tags: [] },
+    ]);
+    assert.equal(result.status, 200);
+    assert.equal(result.json.created, 1);
+    assert.equal(result.json.updated, 1);
+
+    const trash = await api("GET", "/api/trash");
+    assert.deepEqual(
+      trash.json.items.map((entry) => entry.bookmark.id),
+      [uploadId]
+    );
+    assert.equal(env.IMAGES.store.size, 1, "upload kept until purged");
+    const after = await api("GET", `/api/collections/${collection.json.item.id}`);
+    assert.deepEqual(after.json.item.bookmarkIds, [kept.json.item.id]);
+
+    const activity = await api("GET", "/api/activity");
+    const types = activity.json.items.map((event) => event.type);
+    assert.deepEqual(types.slice(0, 3).sort(), ["create", "delete", "tags"]);
+
+    await api("DELETE", "/api/trash");
+    assert.equal(env.IMAGES.store.size, 0);
+  } finally {
+    origin.restore();
+  }
+});
+
+test("a replace import keeps the files of re-imported uploads", async () => {
+  const env = testEnv({ IMAGES: memoryR2() });
+  const api = client(env);
+  await api.signIn();
+  const upload = await api("POST", "/api/uploads", {
+    body: pngBytes(8, 8),
+    headers: { "content-type": "image/png" },
+  });
+  const exported = JSON.parse(await exportFile(api, "json"));
+  const result = await importFile(api, "replace", exported.items);
+  assert.equal(result.json.updated, 1);
+
+  const list = await api("GET", "/api/bookmarks");
+  assert.deepEqual(list.json.items[0].upload, upload.json.item.upload);
+  const usage = await api("GET", "/api/usage");
+  assert.equal(usage.json.storageBytes.used, upload.json.item.byteSize);
+});
+
+test("large imports and exports run in resumable parts", async () => {
+  const env = testEnv();
+  const api = client(env);
+  await api.signIn();
+  const items = Array.from({ length: 1150 }, (_, i) => ({
+    imageUrl: `https://images.test/${i}.png`,
+    tags: [i % 2 ? "odd" : "even"],
+  }));
+
+  const first = await api("POST", "/api/import?format=json", {
+    body: { items },
+  });
+  assert.equal(first.json.imported, 100);
+  assert.equal(first.json.done, false);
+  const stale = await api("POST", "/api/import?cursor=unknown");
+  assert.equal(stale.status, 404);
+  let res = first;
+  let requests = 1;
+  while (!res.json.done) {
+    res = await api("POST", `/api/import?cursor=${res.json.cursor}`);
+    requests += 1;
+  }
+  assert.equal(requests, 12);
+  assert.equal(res.json.created, 1150);
+  assert.ok(![...env.BOOKMARKS.store.keys()].some((k) => k.startsWith("import:")));
+  const tags = await api("GET", "/api/tags");
+  assert.deepEqual(
+    tags.json.items.map((tag) => [tag.tag, tag.count]).sort(),
+    [["even", 575], ["odd", 575]]
+  );
+
+  for (const format of ["json", "csv", "html"]) {
+    const text = await exportFile(api, format);
+    if (format === "json") {
+      assert.equal(JSON.parse(text).items.length, 1150);
+    } else if (format === "csv") {
+      assert.equal(text.trim().split("\r\n").length, 1151);
+    } else {
+      assert.equal(text.match(/<DT>/g).length, 1150);
+      assert.ok(text.endsWith("</DL><p>\n"));
+    }
+  }
+
+  const replaced = await importFile(api, "replace", items.slice(0, 10));
+  assert.equal(replaced.json.updated, 10);
+  assert.equal(replaced.json.trashed, 1140);
+  const usage = await api("GET", "/api/usage");
+  assert.equal(usage.json.bookmarks.used, 10);
+});
+
+test("CSV export keeps formula-like cells as text and imports them back", async () => {
+  const api = client(testEnv());
+  await api.signIn();
+  const title = '=HYPERLINK("https://evil.test","click")';
+  await importFile(api, "merge", [
+    {
+      imageUrl: KEPT_URL,
+      title,
+      notes: "@SUM(A1:A2)",
+      tags: ["+tag", "-tag"],
+    },
+  ]);
+  const csv = await exportFile(api, "csv");
+  const row = csv.split("\r\n")[1];
+  assert.ok(row.includes(`"'=HYPERLINK(""https://evil.test"",""click"")"`));
+  assert.ok(row.includes(",'@SUM(A1:A2),"));
+  assert.ok(row.includes(`"'+tag,-tag"`));
+
+  const other = client(testEnv());
+  await other.signIn();
+  const res = await other("POST", "/api/import?format=csv", {
+    body: csv,
+    headers: { "content-type": "text/csv" },
+  });
+  assert.equal(res.status, 200, res.text);
+  const [item] = (await other("GET", "/api/bookmarks")).json.items;
+  assert.equal(item.title, title);
+  assert.equal(item.notes, "@SUM(A1:A2)");
+  assert.deepEqual(item.tags.sort(), ["+tag", "-tag"]);
+});
@@ -0,0 +1,173 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { USER_ID, client, testEnv } from "./helpers.mjs";
+
+const tagKey = (tag) => `user:${USER_ID}:tag:${encodeURIComponent(tag)}`;
+
+async function importItems(api, items) {
+  let res = await api("POST", "/api/import?format=json", { body: { items } });
+  while (!res.json.done) {
+    res = await api("POST", `/api/import?cursor=${res.json.cursor}`);
+  }
+  assert.equal(res.status, 200, res.text);
+}
+
+async function tagCounts(api) {
+  const res = await api("GET", "/api/tags");
+  return Object.fromEntries(
+    res.json.items.map((item) => [item.tag, item.count])
+  );
+}
+
+async function totals(api) {
+  return (await api("GET", "/api/stats")).json.totals;
+}
+
+test("the tag index follows saves, deletes and tag renames", async () => {
+  const env = testEnv();
+  const api = client(env);
+  await api.signIn();
+  await importItems(api, [
+    { imageUrl: "https://images.test/a.png", tags: ["cats"] },
+    { imageUrl: "https://images.test/b.png", tags: ["cats", "dogs"] },
+    { imageUrl: "https://images.test/c.png", tags: [] },
+  ]);
+  assert.deepEqual(await tagCounts(api), { cats: 2, dogs: 1 });
+  assert.equal((await totals(api)).untagged, 1);
+
+  const renamed = await api("POST", "/api/tags/rename", {
+    body: { from: "cats", to: "felines" },
+  });
+  assert.equal(renamed.json.done, true);
+  assert.deepEqual(await tagCounts(api), { felines: 2, dogs: 1 });
+  assert.equal(env.BOOKMARKS.store.has(tagKey("cats")), false);
+
+  await api("DELETE", "/api/bookmarks", {
+    body: { imageUrl: "https://images.test/b.png" },
+  });
+  assert.deepEqual(await tagCounts(api), { felines: 1 });
+  assert.equal(env.BOOKMARKS.store.has(tagKey("dogs")), false);
+  const found = await api("GET", "/api/bookmarks?tags=felines");
+  assert.deepEqual(
+    found.json.items.map((item) => item.imageUrl),
+    ["https://images.test/a.png"]
+  );
+  assert.deepEqual(
+    { ...(await totals(api)), storageBytes: 0 },
+    { bookmarks: 2, tags: 1, untagged: 1, broken: 0, storageBytes: 0 }
+  );
+});
+
+// Answers index reads late, so that concurrent requests all read the index
+// before any of them writes it back.
+function slowIndexReads(kv) {
+  const get = kv.get;
+  kv.get = async (key) => {
+    const value = await get(key);
+    if (key.includes(":tag:") || key.endsWith(":index")) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    return value;
+  };
+}
+
+async function tagEach(env, { concurrently }) {
+  const api = client(env);
+  await api.signIn();
+  const urls = Array.from(
+    { length: 10 },
+    (_, i) => `https://images.test/${i}.png`
+  );
+  await importItems(api, urls.map((imageUrl) => ({ imageUrl, tags: [] })));
+  slowIndexReads(env.BOOKMARKS);
+  // Each request tags a different bookmark, so only the index is shared.
+  const tag = (imageUrl) =>
+    api("PUT", "/api/tags", { body: { imageUrl, tags: ["shared"] } });
+  if (concurrently) {
+    await Promise.all(urls.map(tag));
+  } else {
+    for (const imageUrl of urls) await tag(imageUrl);
+  }
+  assert.deepEqual(await tagCounts(api), { shared: 10 });
+  assert.equal((await totals(api)).untagged, 0);
+  const ids = JSON.parse(env.BOOKMARKS.store.get(tagKey("shared")).value);
+  assert.equal(ids.length, 10);
+}
+
+test("concurrent tag changes all reach the index", async () => {
+  await tagEach(testEnv(), { concurrently: true });
+});
+
+test("without the Durable Object the index is written to KV", async () => {
+  const env = testEnv({ LIBRARY_INDEX: undefined });
+  await tagEach(env, { concurrently: false });
+});
+
+test("a rebuild runs in steps while reads scan the library", async () => {
+  const env = testEnv();
+  const api = client(env);
+  await api.signIn();
+  const items = Array.from({ length: 250 }, (_, i) => ({
+    imageUrl: `https://images.test/${i}.png`,
+    tags: ["bulk"],
+  }));
+  await importItems(api, items);
+
+  const first = await api("POST", "/api/index/rebuild");
+  assert.deepEqual(
+    { scanned: first.json.scanned, done: first.json.done },
+    { scanned: 100, done: false }
+  );
+  assert.equal((await api("GET", "/api/settings")).json.indexPending, true);
+  assert.deepEqual(await tagCounts(api), { bulk: 250 });
+
+  // Changes made mid-rebuild are counted whether or not the scan has
+  // passed their keys.
+  await importItems(api, [
+    { imageUrl: "https://images.test/late-1.png", tags: ["late"] },
+    { imageUrl: "https://images.test/late-2.png", tags: ["late"] },
+  ]);
+  for (const i of [0, 1, 2, 3]) {
+    await api("DELETE", "/api/bookmarks", { body: items[i] });
+  }
+
+  const runs = [first.json];
+  while (!runs[runs.length - 1].done) {
+    const res = await api("POST", "/api/index/rebuild");
+    assert.equal(res.status, 200, res.text);
+    runs.push(res.json);
+  }
+  assert.ok(runs.length >= 3);
+  assert.ok(runs.every((run) => run.scanned <= 100));
+  assert.equal(runs[runs.length - 1].total, 248);
+  assert.equal((await api("GET", "/api/settings")).json.indexPending, false);
+  assert.deepEqual(await tagCounts(api), { bulk: 246, late: 2 });
+  assert.equal((await totals(api)).bookmarks, 248);
+});
+
+test("libraries without an index are read by scanning", async () => {
+  const env = testEnv();
+  const api = client(env);
+  await api.signIn();
+  await importItems(api, [
+    { imageUrl: "https://images.test/a.png", tags: ["cats"] },
+  ]);
+  // As if the user predates the index.
+  env.LIBRARY_INDEX = undefined;
+  env.BOOKMARKS.store.delete(`user:${USER_ID}:index`);
+  env.BOOKMARKS.store.delete(tagKey("cats"));
+
+  await api.signIn();
+  assert.equal((await api("GET", "/api/settings")).json.indexPending, true);
+  assert.deepEqual(await tagCounts(api), { cats: 1 });
+  const found = await api("GET", "/api/bookmarks?tags=cats");
+  assert.equal(found.json.items.length, 1);
+  assert.equal(env.BOOKMARKS.store.has(`user:${USER_ID}:index`), false);
+
+  const rebuilt = await api("POST", "/api/index/rebuild");
+  assert.deepEqual(
+    { done: rebuilt.json.done, total: rebuilt.json.total },
+    { done: true, total: 1 }
+  );
+  assert.equal((await api("GET", "/api/settings")).json.indexPending, false);
+});
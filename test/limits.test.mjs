@@ -0,0 +1,110 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  USER_ID,
+  client,
+  hangingResponse,
+  shortTimeouts,
+  standInOrigin,
+  testEnv,
+} from "./helpers.mjs";
+
+test("the rate limit answers 429 once a user's window is used up", async () => {
+  const env = testEnv({ RATE_LIMIT: "5" });
+  const api = client(env);
+  await api.signIn();
+  const responses = await Promise.all(
+    Array.from({ length: 8 }, () => api("GET", "/api/usage"))
+  );
+  const statuses = responses.map((res) => res.status).sort();
+  assert.deepEqual(statuses, [200, 200, 200, 200, 200, 429, 429, 429]);
+  const limited = responses.find((res) => res.status === 429);
+  assert.equal(limited.json.code, "rate_limited");
+  assert.ok(Number(limited.headers.get("retry-after")) > 0);
+  assert.equal(limited.headers.get("x-ratelimit-remaining"), "0");
+
+  const other = client(env);
+  await other.signIn("223e4567-e89b-42d3-a456-426614174000");
+  assert.equal((await other("GET", "/api/usage")).status, 200);
+  assert.ok(![...env.BOOKMARKS.store.keys()].some((key) => key.startsWith("rate:")));
+  assert.ok(env.RATE_LIMITER.instances.has(`api:${USER_ID}`));
+});
+
+test("without the Durable Object binding requests are not limited", async () => {
+  const env = testEnv({ RATE_LIMIT: "1", RATE_LIMITER: undefined });
+  const api = client(env);
+  await api.signIn();
+  for (let i = 0; i < 3; i++) {
+    const res = await api("GET", "/api/usage");
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("x-ratelimit-limit"), null);
+  }
+});
+
+test("passphrase guesses are throttled per library", async () => {
+  const env = testEnv();
+  const owner = client(env);
+  await owner.signIn();
+  const set = await owner("PUT", "/api/passphrase", {
+    body: { passphrase: "correct horse" },
+  });
+  assert.equal(set.status, 200);
+
+  const guesser = client(env);
+  const attempt = (passphrase) =>
+    guesser("POST", `/${USER_ID}/login`, {
+      body: new URLSearchParams({ passphrase }).toString(),
+      headers: { "content-type": "application/x-www-form-urlencoded" },
+    });
+  for (let i = 0; i < 9; i++) {
+    assert.equal((await attempt("guess " + i)).status, 401);
+  }
+  assert.equal((await attempt("correct horse")).status, 303);
+  const blocked = await attempt("correct horse");
+  assert.equal(blocked.status, 429);
+  assert.match(blocked.text, /Too many attempts/);
+  assert.ok(Number(blocked.headers.get("retry-after")) > 0);
+
+  const change = await owner("PUT", "/api/passphrase", {
+    body: { currentPassphrase: "correct horse", passphrase: "" },
+  });
+  assert.equal(change.status, 429);
+});
+
+test("save page visits share the API rate limit", async () => {
+  const origin = standInOrigin();
+  try {
+    const env = testEnv({ RATE_LIMIT: "3" });
+    const api = client(env);
+    await api.signIn();
+    await api("GET", "/api/usage");
+    const path = "/save?url=" + encodeURIComponent("https://pages.test/post");
+    assert.equal((await api("GET", path)).status, 422);
+    assert.equal((await api("GET", path)).status, 422);
+    const limited = await api("GET", path);
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get("retry-after")) > 0);
+    assert.equal(origin.requests.length, 4);
+  } finally {
+    origin.restore();
+  }
+});
+
+test("save page fetches give up on pages that never answer", async () => {
+  const origin = standInOrigin();
+  const restore = shortTimeouts();
+  origin.routes.set("https://pages.test/slow", hangingResponse);
+  try {
+    const api = client(testEnv());
+    await api.signIn();
+    const res = await api(
+      "GET",
+      "/save?url=" + encodeURIComponent("https://pages.test/slow")
+    );
+    assert.equal(res.status, 422);
+    assert.match(res.text, /did not respond in time/);
+  } finally {
+    restore();
+    origin.restore();
+  }
+});
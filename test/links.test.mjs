@@ -0,0 +1,132 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  client,
+  hangingResponse,
+  imageResponse,
+  pngBytes,
+  runScheduled,
+  shortTimeouts,
+  standInOrigin,
+  testEnv,
+} from "./helpers.mjs";
+
+const URLS = ["https://images.test/a.png", "https://images.test/b.png"];
+
+test("links that break in the same run all count as broken", async () => {
+  const origin = standInOrigin();
+  try {
+    const env = testEnv();
+    const api = client(env);
+    await api.signIn();
+    for (const imageUrl of URLS) {
+      origin.routes.set(imageUrl, () => imageResponse(pngBytes(2, 2)));
+      await api("POST", "/api/bookmarks", { body: { imageUrl, tags: [] } });
+    }
+    // Both links already failed once, so the next failure marks them broken.
+    for (const [key, entry] of env.BOOKMARKS.store) {
+      if (!key.includes(":bookmark:")) continue;
+      const bookmark = JSON.parse(entry.value);
+      entry.value = JSON.stringify({ ...bookmark, failureCount: 1 });
+    }
+    origin.routes.clear();
+
+    await runScheduled(env);
+
+    const stats = await api("GET", "/api/stats");
+    assert.equal(stats.json.totals.broken, 2);
+    const broken = await api("GET", "/api/bookmarks?query=is:broken");
+    assert.equal(broken.json.items.length, 2);
+  } finally {
+    origin.restore();
+  }
+});
+
+async function importLibrary(api, count) {
+  const items = Array.from({ length: count }, (_, i) => ({
+    imageUrl: `https://images.test/${i}.png`,
+    tags: ["bulk"],
+  }));
+  const res = await api("POST", "/api/import?format=json", { body: { items } });
+  assert.equal(res.status, 200);
+}
+
+function checkedUrls(origin) {
+  return new Set(
+    origin.requests.filter((r) => r.method === "HEAD").map((r) => r.url)
+  );
+}
+
+test("one run keeps paging until the library is checked", async () => {
+  const origin = standInOrigin();
+  try {
+    const env = testEnv();
+    const api = client(env);
+    await api.signIn();
+    await importLibrary(api, 60);
+
+    await runScheduled(env);
+
+    assert.equal(checkedUrls(origin).size, 60);
+    const state = JSON.parse(env.BOOKMARKS.store.get("jobs:link-check").value);
+    assert.equal(state.cursor, null);
+  } finally {
+    origin.restore();
+  }
+});
+
+test("a run stops at its budget and the next one continues", async () => {
+  const origin = standInOrigin();
+  try {
+    const env = testEnv({ LINK_CHECK_BUDGET: "100" });
+    const api = client(env);
+    await api.signIn();
+    await importLibrary(api, 60);
+
+    await runScheduled(env);
+    const first = checkedUrls(origin).size;
+    assert.ok(first > 0 && first < 60, `first run checked ${first}`);
+
+    for (let run = 0; run < 5 && checkedUrls(origin).size < 60; run++) {
+      await runScheduled(env);
+    }
+    assert.equal(checkedUrls(origin).size, 60);
+    assert.equal(origin.requests.filter((r) => r.method === "HEAD").length, 60);
+  } finally {
+    origin.restore();
+  }
+});
+
+test("a host that never answers counts as a failed check", async () => {
+  const origin = standInOrigin();
+  const restore = shortTimeouts();
+  try {
+    const env = testEnv();
+    const api = client(env);
+    await api.signIn();
+    origin.routes.set(URLS[0], () => imageResponse(pngBytes(2, 2)));
+    origin.routes.set(URLS[1], () => imageResponse(pngBytes(2, 2)));
+    for (const imageUrl of URLS) {
+      await api("POST", "/api/bookmarks", { body: { imageUrl, tags: [] } });
+    }
+    origin.routes.set(URLS[0], hangingResponse);
+    let heads = 0;
+    origin.routes.set(URLS[1], (request) => {
+      if (request.method === "HEAD") heads++;
+      return imageResponse(pngBytes(2, 2));
+    });
+
+    await runScheduled(env);
+
+    const failed = [...env.BOOKMARKS.store]
+      .filter(([key]) => key.includes(":bookmark:"))
+      .map(([, entry]) => JSON.parse(entry.value))
+      .filter((bookmark) => bookmark.failureCount > 0)
+      .map((bookmark) => bookmark.imageUrl);
+    assert.deepEqual(failed, [URLS[0]]);
+    assert.equal(heads, 1);
+  } finally {
+    restore();
+    origin.restore();
+  }
+});
@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { USER_ID, client, testEnv } from "./helpers.mjs";
+
+const ORDER_KEY = `user:${USER_ID}:order`;
+
+async function importItems(api, items) {
+  let res = await api("POST", "/api/import?format=json", { body: { items } });
+  while (!res.json.done) {
+    res = await api("POST", `/api/import?cursor=${res.json.cursor}`);
+  }
+  assert.equal(res.status, 200, res.text);
+}
+
+function item(i) {
+  const createdAt = new Date(Date.UTC(2026, 0, 1 + i)).toISOString();
+  return { imageUrl: `https://images.test/${i}.png`, tags: [], createdAt };
+}
+
+// Returns the library's ids by number, and reads the manual order as
+// numbers.
+async function library(count) {
+  const env = testEnv();
+  const api = client(env);
+  await api.signIn();
+  await importItems(api, Array.from({ length: count }, (_, i) => item(i)));
+  const list = await api("GET", "/api/bookmarks");
+  const ids = {};
+  for (const bookmark of list.json.items) {
+    ids[bookmark.imageUrl.match(/(\w+)\.png$/)[1]] = bookmark.id;
+  }
+  const grid = async () => {
+    const res = await api("GET", "/api/bookmarks?sort=manual");
+    return res.json.items.map((b) => b.imageUrl.match(/(\w+)\.png$/)[1]);
+  };
+  const move = (n, placement, anchor) =>
+    api("POST", "/api/bookmarks/order", {
+      body: { bookmarkId: ids[n], [placement]: ids[anchor] },
+    });
+  return { env, api, ids, grid, move };
+}
+
+test("moves leave the rest of the grid where it was", async () => {
+  const { env, api, ids, grid, move } = await library(8);
+  assert.deepEqual(await grid(), ["7", "6", "5", "4", "3", "2", "1", "0"]);
+
+  const get = env.BOOKMARKS.get;
+  let reads = 0;
+  env.BOOKMARKS.get = (key) => {
+    if (key.includes(":bookmark:")) reads++;
+    return get(key);
+  };
+  const moved = await move(2, "before", 5);
+  env.BOOKMARKS.get = get;
+  assert.equal(moved.status, 200, moved.text);
+  assert.equal(reads, 2);
+  assert.deepEqual(await grid(), ["7", "6", "2", "5", "4", "3", "1", "0"]);
+
+  // New saves show up above the arranged bookmarks.
+  await importItems(api, [item(8)]);
+  await move(7, "after", 0);
+  assert.deepEqual(
+    await grid(),
+    ["8", "6", "2", "5", "4", "3", "1", "0", "7"]
+  );
+
+  await api("DELETE", "/api/bookmarks", { body: item(4) });
+  const order = JSON.parse(env.BOOKMARKS.store.get(ORDER_KEY).value);
+  assert.equal(order.includes(ids[4]), false);
+  assert.equal(order.includes(ids[8]), false);
+
+  const missing = await move(3, "before", 4);
+  assert.equal(missing.status, 404);
+  assert.equal(missing.json.error, "before bookmark not found");
+});
+
+test("concurrent moves are all kept", async () => {
+  const { env, grid, move } = await library(8);
+  await move(7, "before", 6);
+  // Answers reads of the order late, so the moves below all read it before
+  // any of them writes it back.
+  const get = env.BOOKMARKS.get;
+  env.BOOKMARKS.get = async (key) => {
+    const value = await get(key);
+    if (key === ORDER_KEY) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    return value;
+  };
+  const results = await Promise.all([
+    move(0, "after", 7),
+    move(1, "after", 5),
+    move(2, "after", 3),
+  ]);
+  assert.ok(results.every((res) => res.status === 200));
+  assert.deepEqual(await grid(), ["7", "0", "6", "5", "1", "4", "3", "2"]);
+});
@@ -0,0 +1,121 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { USER_ID, client, testEnv } from "./helpers.mjs";
+
+async function importItems(api, items) {
+  let res = await api("POST", "/api/import?format=json", { body: { items } });
+  while (!res.json.done) {
+    res = await api("POST", `/api/import?cursor=${res.json.cursor}`);
+  }
+  assert.equal(res.status, 200, res.text);
+}
+
+function day(i) {
+  return new Date(Date.UTC(2026, 0, 1 + i)).toISOString();
+}
+
+async function library(count) {
+  const env = testEnv();
+  const api = client(env);
+  await api.signIn();
+  const items = Array.from({ length: count }, (_, i) => ({
+    imageUrl: `https://images.test/${i}.png`,
+    tags: [],
+    createdAt: day(i),
+    updatedAt: day(i),
+  }));
+  await importItems(api, items);
+  return { env, api, items };
+}
+
+// Counts the bookmark records read while `fn` runs.
+async function countReads(env, fn) {
+  const get = env.BOOKMARKS.get;
+  let reads = 0;
+  env.BOOKMARKS.get = (key) => {
+    if (key.includes(":bookmark:")) reads++;
+    return get(key);
+  };
+  try {
+    return { result: await fn(), reads };
+  } finally {
+    env.BOOKMARKS.get = get;
+  }
+}
+
+async function pageThrough(api, path) {
+  const urls = [];
+  let cursor = null;
+  do {
+    const suffix = cursor ? `&cursor=${cursor}` : "";
+    const res = await api("GET", path + suffix);
+    assert.equal(res.status, 200, res.text);
+    urls.push(...res.json.items.map((item) => item.imageUrl));
+    cursor = res.json.cursor;
+  } while (cursor);
+  return urls;
+}
+
+test("the default order is read one page at a time", async () => {
+  const { env, api, items } = await library(60);
+  const newestFirst = items.map((item) => item.imageUrl).reverse();
+  for (const sort of ["added", "updated"]) {
+    const path = `/api/bookmarks?sort=${sort}&limit=25`;
+    assert.deepEqual(await pageThrough(api, path), newestFirst);
+    const { result, reads } = await countReads(env, () => api("GET", path));
+    assert.equal(result.json.items.length, 25);
+    assert.equal(reads, 25);
+  }
+});
+
+test("list cursors stay put when bookmarks change between pages", async () => {
+  const { api, items } = await library(30);
+  const path = "/api/bookmarks?sort=updated&limit=10";
+  const first = await api("GET", path);
+  const seen = first.json.items.map((item) => item.imageUrl);
+
+  // A newer bookmark sorts before the cursor; one edited bookmark moves
+  // there too, and one not yet listed is deleted.
+  await importItems(api, [
+    { imageUrl: "https://images.test/new.png", tags: [], createdAt: day(40) },
+  ]);
+  await api("PUT", "/api/tags", {
+    body: { imageUrl: items[5].imageUrl, tags: ["edited"] },
+  });
+  await api("DELETE", "/api/bookmarks", { body: items[10] });
+
+  let cursor = first.json.cursor;
+  while (cursor) {
+    const res = await api("GET", `${path}&cursor=${cursor}`);
+    seen.push(...res.json.items.map((item) => item.imageUrl));
+    cursor = res.json.cursor;
+  }
+  const expected = items
+    .map((item) => item.imageUrl)
+    .reverse()
+    .filter((url) => url !== items[5].imageUrl && url !== items[10].imageUrl);
+  assert.deepEqual(seen, expected);
+});
+
+test("pending indexes and filtered pages fall back to a scan", async () => {
+  const { env, api, items } = await library(30);
+  const first = await api("GET", "/api/bookmarks?sort=added&limit=10");
+  const bad = await api("GET", "/api/bookmarks?limit=5&cursor=WyJsaXN0IiwxXQ");
+  assert.equal(bad.status, 400);
+  // The next page is asked for while the index is being rebuilt.
+  env.BOOKMARKS.store.delete(`user:${USER_ID}:index`);
+  const { result, reads } = await countReads(env, () =>
+    api("GET", `/api/bookmarks?sort=added&limit=10&cursor=${first.json.cursor}`)
+  );
+  assert.equal(reads, 30);
+  assert.deepEqual(
+    result.json.items.map((item) => item.imageUrl),
+    items.slice(10, 20).map((item) => item.imageUrl).reverse()
+  );
+
+  const filtered = await pageThrough(
+    api,
+    "/api/bookmarks?sort=added&limit=7&query=untagged"
+  );
+  assert.equal(filtered.length, 30);
+});
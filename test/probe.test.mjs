@@ -0,0 +1,171 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  client,
+  hangingResponse,
+  imageResponse,
+  pngBytes,
+  shortTimeouts,
+  standInOrigin,
+  testEnv,
+} from "./helpers.mjs";
+
+const PROBE_BYTES = 64 * 1024;
+
+function bytesOf(...parts) {
+  return new Uint8Array(
+    parts.flatMap((part) =>
+      typeof part === "string"
+        ? [...part].map((c) => c.charCodeAt(0))
+        : Array.from(part)
+    )
+  );
+}
+
+const le16 = (n) => [n & 0xff, n >> 8];
+const be16 = (n) => [n >> 8, n & 0xff];
+const le24 = (n) => [n & 0xff, (n >> 8) & 0xff, n >> 16];
+const le32 = (n) => [...le16(n & 0xffff), ...le16(n >>> 16)];
+
+function gifBytes(width, height) {
+  return bytesOf("GIF89a", le16(width), le16(height), [0, 0, 0]);
+}
+
+// SOI, a JFIF APP0 and a larger Exif APP1 segment, a quantization table,
+// then a progressive frame header carrying the size.
+function jpegBytes(width, height) {
+  const segment = (marker, body) => [
+    0xff,
+    marker,
+    ...be16(body.length + 2),
+    ...body,
+  ];
+  return bytesOf(
+    [0xff, 0xd8],
+    segment(0xe0, bytesOf("JFIF\0", [1, 1, 0, 0, 1, 0, 1, 0, 0])),
+    segment(0xe1, bytesOf("Exif\0\0", new Array(300).fill(7))),
+    segment(0xdb, new Array(65).fill(1)),
+    segment(0xc2, [8, ...be16(height), ...be16(width), 3, 1, 0x22, 0]),
+    [0xff, 0xda, 0, 8]
+  );
+}
+
+function webpBytes(chunk, data) {
+  const body = bytesOf("WEBP", chunk, le32(data.length), data);
+  return bytesOf("RIFF", le32(body.length), body);
+}
+
+function vp8Bytes(width, height) {
+  return webpBytes("VP8 ", [
+    0x50, 0x01, 0x00, 0x9d, 0x01, 0x2a,
+    ...le16(width), ...le16(height),
+    0, 0,
+  ]);
+}
+
+function vp8lBytes(width, height) {
+  const bits = (width - 1) | ((height - 1) << 14);
+  return webpBytes("VP8L", [0x2f, ...le32(bits), 0, 0, 0, 0, 0]);
+}
+
+function vp8xBytes(width, height) {
+  return webpBytes("VP8X", [
+    0x10, 0, 0, 0,
+    ...le24(width - 1), ...le24(height - 1),
+  ]);
+}
+
+async function save(imageUrl, respond) {
+  const origin = standInOrigin();
+  origin.routes.set(imageUrl, respond);
+  try {
+    const api = client(testEnv());
+    await api.signIn();
+    const res = await api("POST", "/api/bookmarks", {
+      body: { imageUrl, tags: [] },
+    });
+    return { res, origin };
+  } finally {
+    origin.restore();
+  }
+}
+
+const FORMATS = [
+  ["png", "image/png", 640, 480, pngBytes],
+  ["jpeg", "image/jpeg", 1920, 1080, jpegBytes],
+  ["gif", "image/gif", 320, 200, gifBytes],
+  ["webp (VP8)", "image/webp", 800, 600, vp8Bytes],
+  ["webp (VP8L)", "image/webp", 1000, 750, vp8lBytes],
+  ["webp (VP8X)", "image/webp", 4000, 3000, vp8xBytes],
+];
+
+for (const [name, type, width, height, encode] of FORMATS) {
+  test(`reads ${name} dimensions from the file header`, async () => {
+    const bytes = encode(width, height);
+    const { res, origin } = await save("https://images.test/image", () =>
+      imageResponse(bytes, type)
+    );
+    assert.equal(res.status, 200, res.text);
+    assert.equal(res.json.item.width, width);
+    assert.equal(res.json.item.height, height);
+    assert.equal(res.json.item.contentType, type);
+    assert.equal(res.json.item.byteSize, bytes.byteLength);
+    assert.equal(
+      origin.requests[0].headers.get("range"),
+      `bytes=0-${PROBE_BYTES - 1}`
+    );
+  });
+}
+
+test("pages that are not images are rejected", async () => {
+  const { res } = await save("https://images.test/page", () =>
+    new Response("<!doctype html><title>x</title>", {
+      headers: { "content-type": "text/html; charset=utf-8" },
+    })
+  );
+  assert.equal(res.status, 422);
+  assert.equal(
+    res.json.error,
+    "URL does not point to an image (content type: text/html)"
+  );
+});
+
+test("only the start of a large image is read", async () => {
+  const total = 50 * 1024 * 1024;
+  const chunk = 16 * 1024;
+  let sent = 0;
+  // An origin that ignores Range and would stream the whole 50 MB.
+  const body = new ReadableStream(
+    {
+      pull(controller) {
+        const bytes = new Uint8Array(chunk);
+        if (sent === 0) bytes.set(pngBytes(5000, 4000));
+        sent += chunk;
+        controller.enqueue(bytes);
+        if (sent >= total) controller.close();
+      },
+    },
+    { highWaterMark: 0 }
+  );
+  const { res } = await save("https://images.test/huge.png", () =>
+    new Response(body, {
+      headers: { "content-type": "image/png", "content-length": String(total) },
+    })
+  );
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.json.item.width, 5000);
+  assert.equal(res.json.item.byteSize, total);
+  assert.equal(res.json.item.contentHash, undefined);
+  assert.ok(sent <= PROBE_BYTES + chunk, `read ${sent} bytes`);
+});
+
+test("origins that do not answer in time are rejected", async () => {
+  const restore = shortTimeouts();
+  try {
+    const { res } = await save("https://images.test/slow.png", hangingResponse);
+    assert.equal(res.status, 422);
+    assert.equal(res.json.error, "image URL did not respond in time");
+  } finally {
+    restore();
+  }
+});
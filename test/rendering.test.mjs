@@ -0,0 +1,296 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import vm from "node:vm";
+import {
+  USER_ID,
+  client,
+  imageResponse,
+  pngBytes,
+  standInOrigin,
+  testEnv,
+  worker,
+} from "./helpers.mjs";
+
+const PAYLOAD = '"><img src=x onerror="window.pwned=1"><script>pwned=1</script>';
+const IMAGE_URL = "https://images.test/cat.png";
+
+// Just enough of the DOM for the card and preview renderers. Nodes serialize
+// the way a browser does, so a payload that stays text shows up escaped.
+class FakeElement {
+  constructor(tagName) {
+    this.tagName = tagName;
+    this.attributes = new Map();
+    this.children = [];
+    this.text = "";
+    this.dataset = new Proxy(
+      {},
+      {
+        set: (_, key, value) => {
+          const name = key.replace(/[A-Z]/g, (c) => "-" + c.toLowerCase());
+          this.setAttribute("data-" + name, value);
+          return true;
+        },
+      }
+    );
+    const classes = () => new Set(this.className.split(" ").filter(Boolean));
+    this.classList = {
+      toggle: (name, force) => {
+        const set = classes();
+        if (force ?? !set.has(name)) set.add(name);
+        else set.delete(name);
+        this.className = [...set].join(" ");
+      },
+    };
+  }
+  set className(value) {
+    this.setAttribute("class", value);
+  }
+  get className() {
+    return this.attributes.get("class") || "";
+  }
+  set textContent(value) {
+    this.children = [];
+    this.text = String(value);
+  }
+  get textContent() {
+    return this.text + this.children.map((c) => c.textContent).join("");
+  }
+  set innerHTML(value) {
+    if (value !== "") throw new Error("innerHTML used for user data: " + value);
+    this.children = [];
+    this.text = "";
+  }
+  setAttribute(name, value) {
+    this.attributes.set(name, String(value));
+  }
+  getAttribute(name) {
+    return this.attributes.has(name) ? this.attributes.get(name) : null;
+  }
+  removeAttribute(name) {
+    this.attributes.delete(name);
+  }
+  append(...nodes) {
+    this.children.push(...nodes);
+  }
+  appendChild(node) {
+    this.children.push(node);
+    return node;
+  }
+  addEventListener() {}
+  querySelector(selector) {
+    const [, name, value] = selector.match(/^\[([\w-]+)="(.*)"\]$/);
+    return this.descendants().find((node) => node.getAttribute(name) === value);
+  }
+  descendants() {
+    return this.children.flatMap((child) => [child, ...child.descendants()]);
+  }
+  get outerHTML() {
+    const attrs = [...this.attributes]
+      .map(([name, value]) => ` ${name}="${escape(value, /[&"]/g)}"`)
+      .join("");
+    const inner =
+      escape(this.text, /[&<>]/g) +
+      this.children.map((child) => child.outerHTML).join("");
+    return `<${this.tagName}${attrs}>${inner}</${this.tagName}>`;
+  }
+}
+for (const name of ["src", "alt", "href", "type", "loading"]) {
+  Object.defineProperty(FakeElement.prototype, name, {
+    set(value) {
+      this.setAttribute(name, value);
+    },
+    get() {
+      return this.getAttribute(name) || "";
+    },
+  });
+}
+
+function escape(value, pattern) {
+  const entities = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" };
+  return value.replace(pattern, (c) => entities[c]);
+}
+
+// Loads the named top-level functions from the served app.js into a sandbox
+// with a fake document. The rest of the app (dialogs, fetch) is stubbed.
+async function clientRenderers(names) {
+  const api = client(testEnv());
+  const { text } = await api("GET", "/app.js");
+  const functions = names.map((name) => {
+    const start = text.indexOf(`\nfunction ${name}(`);
+    assert.ok(start >= 0, `app.js defines ${name}`);
+    return text.slice(start, text.indexOf("\n}\n", start) + 3);
+  });
+  const elements = new Map();
+  const document = {
+    createElement: (tag) => new FakeElement(tag),
+    getElementById(id) {
+      if (!elements.has(id)) elements.set(id, new FakeElement("div"));
+      return elements.get(id);
+    },
+  };
+  const context = vm.createContext({ document });
+  vm.runInContext(
+    `const $ = (id) => document.getElementById(id);
+    const previewImage = $("previewImage");
+    const previewTags = $("previewTags");
+    let activeBookmark = null;
+    let activeCollection = null;
+    let selecting = false;
+    const selectedIds = new Set();
+    const noop = () => {};
+    const showPreviewTab = noop, setPreviewZoom = noop;
+    const renderPreviewPosition = noop, formatBytes = () => "";
+    ${functions.join("\n")}
+    this.render = { ${names.join(", ")} };`,
+    context
+  );
+  return { render: context.render, $: document.getElementById };
+}
+
+function tagsOf(root) {
+  return [root, ...root.descendants()].map((node) => node.tagName);
+}
+
+test("cards render titles and tags as text", async () => {
+  const { render, $ } = await clientRenderers([
+    "appendCards",
+    "cardBadge",
+    "cardButton",
+    "cardImageUrl",
+    "formatDimensions",
+  ]);
+  $("sortOrder").value = "newest";
+  render.appendCards([
+    {
+      id: "a",
+      imageUrl: 'https://images.test/a.png?q="><script>x</script>',
+      title: PAYLOAD,
+      tags: [PAYLOAD, "<b>bold</b>"],
+      status: "broken",
+    },
+  ]);
+
+  const [card] = $("grid").children;
+  assert.deepEqual(
+    tagsOf(card).filter((tag) => tag === "img" || tag === "script"),
+    ["img"]
+  );
+  assert.equal(card.querySelector('[class="card-title"]').textContent, PAYLOAD);
+  assert.equal(
+    card.querySelector("[alt=\"bookmark\"]").getAttribute("src"),
+    'https://images.test/a.png?q="><script>x</script>'
+  );
+  const html = card.outerHTML;
+  assert.ok(!html.includes("<script>pwned"));
+  assert.ok(!html.includes("<img src=x"));
+  assert.ok(html.includes("&lt;img src=x onerror=\"window.pwned=1\"&gt;"));
+  assert.ok(html.includes("&lt;b&gt;bold&lt;/b&gt;"));
+});
+
+test("preview details keep text inert and skip non-http links", async () => {
+  const { render, $ } = await clientRenderers([
+    "setActiveBookmark",
+    "describeImage",
+    "formatDimensions",
+  ]);
+  render.setActiveBookmark({
+    id: "a",
+    imageUrl: IMAGE_URL,
+    title: PAYLOAD,
+    notes: PAYLOAD,
+    sourceUrl: "javascript:alert(document.cookie)",
+    tags: [PAYLOAD],
+  });
+
+  assert.equal($("previewTitle").textContent, PAYLOAD);
+  assert.equal($("previewNotes").textContent, PAYLOAD);
+  assert.equal($("previewTags").children[0].textContent, PAYLOAD);
+  assert.equal($("previewSource").getAttribute("href"), null);
+  assert.ok(!$("previewTitle").outerHTML.includes("<img"));
+
+  render.setActiveBookmark({
+    id: "b",
+    imageUrl: IMAGE_URL,
+    sourceUrl: "https://example.test/post",
+    tags: [],
+  });
+  assert.equal($("previewSource").href, "https://example.test/post");
+});
+
+test("the API rejects script and data URLs", async () => {
+  const origin = standInOrigin();
+  try {
+    const api = client(testEnv());
+    await api.signIn();
+    for (const imageUrl of ["javascript:alert(1)", "data:text/html,<b>x</b>"]) {
+      const res = await api("POST", "/api/bookmarks", {
+        body: { imageUrl, tags: [] },
+      });
+      assert.equal(res.status, 422);
+    }
+    origin.routes.set(IMAGE_URL, () => imageResponse(pngBytes(10, 10)));
+    const res = await api("POST", "/api/bookmarks", {
+      body: { imageUrl: IMAGE_URL, sourceUrl: "javascript:alert(1)", tags: [] },
+    });
+    assert.equal(res.status, 400);
+    const cover = await api("POST", "/api/collections", {
+      body: { title: "c", coverImageUrl: "javascript:alert(1)" },
+    });
+    assert.equal(cover.status, 400);
+  } finally {
+    origin.restore();
+  }
+});
+
+test("the share page escapes stored values", async () => {
+  const origin = standInOrigin();
+  const imageUrl = IMAGE_URL + '?q="><script>pwned=1</script>';
+  origin.routes.set(
+    new URL(imageUrl).href,
+    () => imageResponse(pngBytes(10, 10))
+  );
+  try {
+    const api = client(testEnv());
+    await api.signIn();
+    const saved = await api("POST", "/api/bookmarks", {
+      body: { imageUrl, title: PAYLOAD, tags: ["shared", PAYLOAD] },
+    });
+    assert.equal(saved.status, 200, saved.text);
+    const share = await api("POST", "/api/shares", {
+      body: { tags: ["shared"], title: PAYLOAD },
+    });
+    assert.equal(share.status, 200, share.text);
+    const page = await api("GET", new URL(share.json.item.url).pathname);
+
+    assert.equal(page.status, 200);
+    assert.equal(page.text.match(/<img\b/g).length, 2);
+    assert.equal(page.text.match(/<script\b/g).length, 1);
+    assert.ok(!page.text.includes("<img src=x"));
+    assert.ok(page.text.includes("&lt;img src=x onerror=&quot;window.pwned=1"));
+    assert.ok(page.text.includes("?q=&quot;&gt;&lt;script&gt;"));
+  } finally {
+    origin.restore();
+  }
+});
+
+test("pages and scripts are sent with a content security policy", async () => {
+  const api = client(testEnv());
+  const home = await api.signIn();
+  const policy = home.headers.get("content-security-policy");
+  assert.match(policy, /default-src 'self'/);
+  assert.match(policy, /script-src 'self'(;|$)/);
+  assert.match(policy, /object-src 'none'/);
+  assert.match(policy, /frame-ancestors 'none'/);
+  assert.equal(home.headers.get("x-content-type-options"), "nosniff");
+  assert.equal(home.headers.get("referrer-policy"), "no-referrer");
+
+  const manifest = `/${USER_ID}/manifest.webmanifest`;
+  for (const path of ["/", "/app.js", "/share.js", "/styles.css", manifest]) {
+    const res = await worker.fetch(new Request("https://bookmarks.test" + path));
+    assert.equal(
+      res.headers.get("content-security-policy"),
+      policy,
+      path + " sends the same policy"
+    );
+  }
+});
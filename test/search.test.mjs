@@ -0,0 +1,119 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { client, testEnv } from "./helpers.mjs";
+
+async function importItems(api, items) {
+  let res = await api("POST", "/api/import?format=json", { body: { items } });
+  while (!res.json.done) {
+    res = await api("POST", `/api/import?cursor=${res.json.cursor}`);
+  }
+  assert.equal(res.status, 200, res.text);
+}
+
+const LIBRARY = [
+  {
+    imageUrl: "https://i.imgur.com/cat.png",
+    tags: ["cats", "pets"],
+    title: "Sleepy cat",
+    createdAt: "2026-01-05T10:00:00.000Z",
+    width: 800,
+    height: 600,
+  },
+  {
+    imageUrl: "https://images.test/dog.png",
+    tags: ["dogs", "pets"],
+    notes: "Red car in the background",
+    sourceUrl: "https://www.flickr.com/photos/1",
+    createdAt: "2026-02-10T10:00:00.000Z",
+    width: 600,
+    height: 800,
+  },
+  {
+    imageUrl: "https://images.test/nsfw-cat.png",
+    tags: ["cats", "nsfw"],
+    createdAt: "2026-02-28T23:00:00.000Z",
+    width: 500,
+    height: 500,
+  },
+  {
+    imageUrl: "https://images.test/sky.png",
+    tags: [],
+    title: "Red sky",
+    createdAt: "2025-12-31T23:59:59.000Z",
+  },
+];
+
+// Returns a search that answers with the matching image names, sorted.
+async function searchLibrary() {
+  const env = testEnv();
+  const api = client(env);
+  await api.signIn();
+  await importItems(api, LIBRARY);
+  return async (query) => {
+    const res = await api(
+      "GET",
+      `/api/bookmarks?query=${encodeURIComponent(query)}`
+    );
+    if (res.status !== 200) return res;
+    return res.json.items
+      .map((item) => item.imageUrl.match(/\/([\w-]+)\.png$/)[1])
+      .sort();
+  };
+}
+
+test("terms, OR, NOT and parentheses combine as documented", async () => {
+  const search = await searchLibrary();
+  assert.deepEqual(await search("cat"), ["cat", "nsfw-cat"]);
+  assert.deepEqual(await search("cats OR dogs -nsfw"), ["cat", "dog"]);
+  assert.deepEqual(await search("NOT pets"), ["nsfw-cat", "sky"]);
+  assert.deepEqual(
+    await search("(tag:nsfw OR untagged) OR tag:dogs"),
+    ["dog", "nsfw-cat", "sky"]
+  );
+  assert.deepEqual(await search("tag:pet*"), ["cat", "dog"]);
+  assert.deepEqual(await search("tag:pet"), []);
+  assert.deepEqual(await search('"red car"'), ["dog"]);
+  assert.deepEqual(await search("red"), ["dog", "sky"]);
+  assert.deepEqual(await search("title:red"), ["sky"]);
+  assert.deepEqual(await search("notes:car"), ["dog"]);
+  assert.deepEqual(await search("url:nsfw"), ["nsfw-cat"]);
+  assert.deepEqual(await search(""), ["cat", "dog", "nsfw-cat", "sky"]);
+});
+
+test("site:, orientation: and dates filter by field", async () => {
+  const search = await searchLibrary();
+  assert.deepEqual(await search("site:imgur.com"), ["cat"]);
+  assert.deepEqual(await search("site:flickr.com"), ["dog"]);
+  assert.deepEqual(await search("orientation:landscape"), ["cat"]);
+  assert.deepEqual(await search("orientation:portrait"), ["dog"]);
+  assert.deepEqual(await search("orientation:square"), ["nsfw-cat"]);
+  assert.deepEqual(await search("is:untagged"), ["sky"]);
+  assert.deepEqual(await search("added:2026"), ["cat", "dog", "nsfw-cat"]);
+  assert.deepEqual(await search("added:2026-02"), ["dog", "nsfw-cat"]);
+  assert.deepEqual(await search("added:2026-02-28"), ["nsfw-cat"]);
+  assert.deepEqual(await search("added:>2026-01"), ["dog", "nsfw-cat"]);
+  assert.deepEqual(await search("added:<=2026-01"), ["cat", "sky"]);
+  assert.deepEqual(await search("added:..2025"), ["sky"]);
+  assert.deepEqual(
+    await search("added:2026-01-05..2026-02-10"),
+    ["cat", "dog"]
+  );
+});
+
+test("queries that do not parse are refused with a position", async () => {
+  const search = await searchLibrary();
+  const cases = [
+    ["cats OR", 6, /Expected a search term after "OR"/],
+    ["(cats dogs", 1, /Missing closing parenthesis/],
+    ['"red car', 1, /Unclosed quote/],
+    ["color:red", 1, /Unknown field "color:"/],
+    ["cats is:big", 6, /"is:" must be broken, untagged or archived/],
+    ["added:2026-13", 1, /Invalid date for "added:"/],
+  ];
+  for (const [query, column, message] of cases) {
+    const res = await search(query);
+    assert.equal(res.status, 400, query);
+    assert.match(res.json.error, message);
+    assert.equal(res.json.position, column - 1, query);
+  }
+});
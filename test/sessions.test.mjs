@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { USER_ID, client, testEnv, worker } from "./helpers.mjs";
+
+const BASE = "https://bookmarks.test";
+
+function withCookie(env, path, cookie, init = {}) {
+  return worker.fetch(
+    new Request(BASE + path, { ...init, headers: { cookie } }),
+    env
+  );
+}
+
+async function signIn(env) {
+  const res = await worker.fetch(new Request(`${BASE}/${USER_ID}`), env);
+  return res.headers.get("set-cookie").split(";")[0];
+}
+
+test("logging out revokes that session cookie only", async () => {
+  const env = testEnv();
+  const laptop = await signIn(env);
+  const phone = await signIn(env);
+  const get = (cookie) => withCookie(env, "/api/bookmarks", cookie);
+  assert.equal((await get(laptop)).status, 200);
+
+  const logout = await withCookie(env, "/logout", laptop, {
+    method: "POST",
+  });
+  assert.equal(logout.status, 303);
+  assert.match(logout.headers.get("set-cookie"), /Max-Age=0/);
+
+  assert.equal((await get(laptop)).status, 401);
+  assert.equal((await get(phone)).status, 200);
+});
+
+test("changing the passphrase clears the revoked list", async () => {
+  const env = testEnv();
+  const api = client(env);
+  const old = await signIn(env);
+  await withCookie(env, "/logout", old, { method: "POST" });
+  const metaKey = `user:${USER_ID}:meta`;
+  const revoked = () =>
+    JSON.parse(env.BOOKMARKS.store.get(metaKey).value).revokedSessions;
+  assert.equal(Object.keys(revoked()).length, 1);
+
+  await api.signIn();
+  const res = await api("PUT", "/api/passphrase", {
+    body: { passphrase: "correct horse battery" },
+  });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(revoked(), undefined);
+  assert.equal((await api("GET", "/api/bookmarks")).status, 200);
+});
+
+test("sessions need SESSION_SECRET and never generate one", async () => {
+  const env = testEnv({ SESSION_SECRET: undefined });
+  const res = await worker.fetch(new Request(`${BASE}/${USER_ID}`), env);
+  assert.equal(res.status, 500);
+  assert.match(await res.text(), /SESSION_SECRET is not set/);
+  assert.ok(
+    ![...env.BOOKMARKS.store.keys()].some((key) => key.startsWith("config:"))
+  );
+});
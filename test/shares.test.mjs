@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { client, testEnv } from "./helpers.mjs";
+
+async function importItems(api, items) {
+  let res = await api("POST", "/api/import?format=json", { body: { items } });
+  while (!res.json.done) {
+    res = await api("POST", `/api/import?cursor=${res.json.cursor}`);
+  }
+  assert.equal(res.status, 200, res.text);
+}
+
+// Stands in for the Workers Cache API (`caches.default`), keyed by URL.
+function standInCache() {
+  const entries = new Map();
+  const previous = globalThis.caches;
+  globalThis.caches = {
+    default: {
+      async match(request) {
+        const entry = entries.get(request.url);
+        return entry ? new Response(entry) : undefined;
+      },
+      async put(request, response) {
+        entries.set(request.url, await response.text());
+      },
+    },
+  };
+  return {
+    entries,
+    restore: () => {
+      globalThis.caches = previous;
+    },
+  };
+}
+
+async function sharedLibrary(count) {
+  const env = testEnv();
+  const api = client(env);
+  await api.signIn();
+  const items = Array.from({ length: count }, (_, i) => ({
+    imageUrl: `https://images.test/${i}.png`,
+    tags: ["shared"],
+    createdAt: new Date(Date.UTC(2026, 0, 1, 0, i)).toISOString(),
+  }));
+  await importItems(api, items);
+  const share = await api("POST", "/api/shares", { body: { tags: ["shared"] } });
+  assert.equal(share.status, 200, share.text);
+  const path = new URL(share.json.item.url).pathname;
+  return { env, api, items, path, token: share.json.item.token };
+}
+
+const cardUrls = (html) =>
+  [...html.matchAll(/data-image-url="([^"]+)"/g)].map((match) => match[1]);
+
+test("share pages show at most 100 images and link to the rest", async () => {
+  const { api, items, path } = await sharedLibrary(130);
+  const first = await api("GET", path);
+  assert.equal(first.status, 200);
+  assert.match(first.text, /130 shared images/);
+  const newestFirst = items.map((item) => item.imageUrl).reverse();
+  assert.deepEqual(cardUrls(first.text), newestFirst.slice(0, 100));
+  assert.match(first.text, /href="\?page=2">Next</);
+  assert.match(first.text, /Page 1 of 2/);
+
+  const second = await api("GET", `${path}?page=2`);
+  assert.deepEqual(cardUrls(second.text), newestFirst.slice(100));
+  assert.match(second.text, /href="\?page=1">Previous</);
+  assert.doesNotMatch(second.text, />Next</);
+});
+
+test("share pages are cached until the library changes", async () => {
+  const cache = standInCache();
+  try {
+    const { env, api, items, path, token } = await sharedLibrary(3);
+    const get = env.BOOKMARKS.get;
+    let reads = 0;
+    env.BOOKMARKS.get = (key) => {
+      if (key.includes(":bookmark:")) reads++;
+      return get(key);
+    };
+    const first = await api("GET", path);
+    assert.equal(cardUrls(first.text).length, 3);
+    assert.equal(cache.entries.size, 1);
+    const readsBefore = reads;
+    const again = await api("GET", path);
+    assert.equal(again.text, first.text);
+    assert.equal(again.headers.get("x-robots-tag"), "noindex");
+    assert.equal(reads, readsBefore, "a cached page reads no bookmarks");
+
+    // A title edit changes no counts in the index.
+    const renamed = await api("PUT", "/api/bookmarks", {
+      body: { imageUrl: items[0].imageUrl, title: "Renamed" },
+    });
+    assert.equal(renamed.status, 200, renamed.text);
+    const edited = await api("GET", path);
+    assert.match(edited.text, /Renamed/);
+
+    await api("DELETE", `/api/shares/${token}`);
+    const revoked = await api("GET", path);
+    assert.equal(revoked.status, 404);
+  } finally {
+    cache.restore();
+  }
+});
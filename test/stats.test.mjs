@@ -0,0 +1,123 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { client, testEnv } from "./helpers.mjs";
+
+async function importItems(api, items) {
+  let res = await api("POST", "/api/import?format=json", { body: { items } });
+  while (!res.json.done) {
+    res = await api("POST", `/api/import?cursor=${res.json.cursor}`);
+  }
+  assert.equal(res.status, 200, res.text);
+}
+
+const url = (name) => `https://images.test/${name}.png`;
+const daysAgo = (days) => new Date(Date.now() - days * 86400000).toISOString();
+
+async function library() {
+  const env = testEnv();
+  const api = client(env);
+  await api.signIn();
+  await importItems(api, [
+    {
+      imageUrl: url("a"),
+      tags: ["cats", "pets"],
+      sourceUrl: "https://www.flickr.com/photos/1",
+      createdAt: daysAgo(0),
+    },
+    {
+      imageUrl: url("b"),
+      tags: ["cats", "pets", "dogs"],
+      createdAt: daysAgo(0),
+    },
+    { imageUrl: url("c"), tags: ["dogs", "pets"], createdAt: daysAgo(8) },
+    {
+      imageUrl: url("d"),
+      tags: [],
+      sourceUrl: "https://blog.example.com/post",
+      createdAt: daysAgo(800),
+    },
+  ]);
+  const stats = async (period = "week") =>
+    (await api("GET", `/api/stats?period=${period}`)).json;
+  return { api, stats };
+}
+
+const total = (items) => items.reduce((sum, item) => sum + item.count, 0);
+
+test("stats count tags, pairs, domains and saves per period", async () => {
+  const { stats } = await library();
+  const week = await stats();
+  assert.deepEqual(
+    { ...week.totals, storageBytes: 0 },
+    { bookmarks: 4, tags: 3, untagged: 1, broken: 0, storageBytes: 0 }
+  );
+  assert.deepEqual(week.topTags, [
+    { tag: "pets", count: 3 },
+    { tag: "cats", count: 2 },
+    { tag: "dogs", count: 2 },
+  ]);
+  assert.deepEqual(week.tagPairs, [
+    { tags: ["pets", "cats"], count: 2 },
+    { tags: ["pets", "dogs"], count: 2 },
+    { tags: ["cats", "dogs"], count: 1 },
+  ]);
+  assert.deepEqual(week.topDomains, [
+    { domain: "images.test", count: 2 },
+    { domain: "blog.example.com", count: 1 },
+    { domain: "flickr.com", count: 1 },
+  ]);
+
+  // Bookmarks older than the charted periods are left out.
+  assert.equal(week.added.period, "week");
+  assert.equal(week.added.items.length, 26);
+  const thisWeek = week.added.items[25];
+  assert.equal(new Date(thisWeek.start).getUTCDay(), 1);
+  assert.equal(thisWeek.count, 2);
+  assert.equal(total(week.added.items), 3);
+  const month = await stats("month");
+  assert.equal(month.added.items.length, 24);
+  assert.equal(month.added.items[23].start, daysAgo(0).slice(0, 7));
+  assert.equal(total(month.added.items), 3);
+});
+
+test("stats follow edits, deletes and tag renames", async () => {
+  const { api, stats } = await library();
+  await api("PUT", "/api/bookmarks", {
+    body: { imageUrl: url("c"), sourceUrl: "https://flickr.com/photos/2" },
+  });
+  await api("PUT", "/api/tags", {
+    body: { imageUrl: url("d"), tags: ["cats"] },
+  });
+  await api("DELETE", "/api/bookmarks", { body: { imageUrl: url("a") } });
+  const renamed = await api("POST", "/api/tags/rename", {
+    body: { from: "dogs", to: "hounds" },
+  });
+  assert.equal(renamed.json.done, true);
+
+  const week = await stats();
+  assert.deepEqual(
+    { ...week.totals, storageBytes: 0 },
+    { bookmarks: 3, tags: 3, untagged: 0, broken: 0, storageBytes: 0 }
+  );
+  assert.deepEqual(week.topTags, [
+    { tag: "cats", count: 2 },
+    { tag: "hounds", count: 2 },
+    { tag: "pets", count: 2 },
+  ]);
+  assert.deepEqual(week.tagPairs, [
+    { tags: ["hounds", "pets"], count: 2 },
+    { tags: ["cats", "hounds"], count: 1 },
+    { tags: ["cats", "pets"], count: 1 },
+  ]);
+  assert.deepEqual(week.topDomains, [
+    { domain: "blog.example.com", count: 1 },
+    { domain: "flickr.com", count: 1 },
+    { domain: "images.test", count: 1 },
+  ]);
+  assert.equal(week.added.items[25].count, 1);
+  assert.equal(total(week.added.items), 2);
+
+  const bad = await api("GET", "/api/stats?period=day");
+  assert.equal(bad.status, 400);
+  assert.equal(bad.json.error, "period must be week or month");
+});
@@ -0,0 +1,119 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { client, testEnv } from "./helpers.mjs";
+
+const IMAGE_URL = "https://images.test/a.png";
+
+async function signedIn() {
+  const env = testEnv();
+  const api = client(env);
+  await api.signIn();
+  const res = await api("POST", "/api/import?format=json", {
+    body: { items: [{ imageUrl: IMAGE_URL, tags: ["cats"] }] },
+  });
+  assert.equal(res.json.done, true);
+  const create = async (scope) => {
+    const created = await api("POST", "/api/tokens", {
+      body: { name: `${scope} script`, scope },
+    });
+    assert.equal(created.status, 200, created.text);
+    return created.json;
+  };
+  return { env, api, create };
+}
+
+// A client without a session cookie that sends `secret` as a bearer token.
+function script(env, secret) {
+  const api = client(env);
+  return (method, path, options = {}) =>
+    api(method, path, {
+      ...options,
+      headers: { authorization: `Bearer ${secret}` },
+    });
+}
+
+test("read tokens can only read", async () => {
+  const { env, create } = await signedIn();
+  const { token } = await create("read");
+  const read = script(env, token);
+
+  const list = await read("GET", "/api/bookmarks");
+  assert.equal(list.status, 200, list.text);
+  assert.deepEqual(
+    list.json.items.map((item) => item.imageUrl),
+    [IMAGE_URL]
+  );
+  assert.equal(list.headers.get("set-cookie"), null);
+
+  const writes = [
+    ["PUT", "/api/tags", { imageUrl: IMAGE_URL, tags: ["dogs"] }],
+    ["DELETE", "/api/bookmarks", { imageUrl: IMAGE_URL }],
+    ["POST", "/api/index/rebuild", undefined],
+  ];
+  for (const [method, path, body] of writes) {
+    const res = await read(method, path, { body });
+    assert.equal(res.status, 403, `${method} ${path}`);
+    assert.equal(res.json.error, "token is read-only");
+  }
+  const tags = await read("GET", "/api/tags");
+  assert.deepEqual(tags.json.items, [{ tag: "cats", count: 1 }]);
+});
+
+test("no token can manage tokens or the passphrase", async () => {
+  const { env, api, create } = await signedIn();
+  const { token, item } = await create("write");
+  const write = script(env, token);
+
+  const tagged = await write("PUT", "/api/tags", {
+    body: { imageUrl: IMAGE_URL, tags: ["dogs"] },
+  });
+  assert.equal(tagged.status, 200, tagged.text);
+
+  const sessionOnly = [
+    ["GET", "/api/tokens"],
+    ["POST", "/api/tokens", { name: "more", scope: "write" }],
+    ["DELETE", `/api/tokens/${item.id}`],
+    ["PUT", "/api/passphrase", { passphrase: "taken over" }],
+  ];
+  for (const [method, path, body] of sessionOnly) {
+    const res = await write(method, path, { body });
+    assert.equal(res.status, 403, `${method} ${path}`);
+    assert.equal(
+      res.json.error,
+      "this endpoint is not available to API tokens"
+    );
+  }
+  const tokens = await api("GET", "/api/tokens");
+  assert.equal(tokens.json.items.length, 1);
+  assert.ok(tokens.json.items[0].lastUsedAt);
+  assert.equal((await api("GET", "/api/account")).json.hasPassphrase, false);
+});
+
+test("unknown and revoked tokens are refused", async () => {
+  const { env, api, create } = await signedIn();
+  const { token, item } = await create("read");
+  const stored = [...env.BOOKMARKS.store.values()].map((entry) => entry.value);
+  assert.equal(stored.some((value) => value.includes(token)), false);
+
+  // A bearer token is used even when a session cookie is sent too.
+  const wrong = await api("GET", "/api/bookmarks", {
+    headers: { authorization: "Bearer ib_not-a-token" },
+  });
+  assert.equal(wrong.status, 401);
+
+  const revoked = await api("DELETE", `/api/tokens/${item.id}`);
+  assert.equal(revoked.status, 200, revoked.text);
+  const after = await script(env, token)("GET", "/api/bookmarks");
+  assert.equal(after.status, 401);
+  assert.deepEqual((await api("GET", "/api/tokens")).json.items, []);
+
+  const invalid = [
+    [{ name: " ", scope: "read" }, "name is required"],
+    [{ name: "backup", scope: "admin" }, "scope must be read or write"],
+  ];
+  for (const [body, error] of invalid) {
+    const res = await api("POST", "/api/tokens", { body });
+    assert.equal(res.status, 400);
+    assert.equal(res.json.error, error);
+  }
+});
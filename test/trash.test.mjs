@@ -0,0 +1,151 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  client,
+  memoryR2,
+  pngBytes,
+  runScheduled,
+  standInOrigin,
+  testEnv,
+} from "./helpers.mjs";
+
+async function importItems(api, items) {
+  let res = await api("POST", "/api/import?format=json", { body: { items } });
+  while (!res.json.done) {
+    res = await api("POST", `/api/import?cursor=${res.json.cursor}`);
+  }
+  assert.equal(res.status, 200, res.text);
+}
+
+async function tagCounts(api) {
+  const res = await api("GET", "/api/tags");
+  return Object.fromEntries(
+    res.json.items.map((item) => [item.tag, item.count])
+  );
+}
+
+const url = (name) => `https://images.test/${name}.png`;
+
+async function library(extra) {
+  const env = testEnv(extra);
+  const api = client(env);
+  await api.signIn();
+  await importItems(api, [
+    { imageUrl: url("a"), tags: ["cats"] },
+    { imageUrl: url("b"), tags: ["cats", "dogs"] },
+    { imageUrl: url("c"), tags: [] },
+  ]);
+  const list = await api("GET", "/api/bookmarks");
+  const ids = {};
+  for (const item of list.json.items) {
+    ids[item.imageUrl.match(/(\w+)\.png$/)[1]] = item.id;
+  }
+  return { env, api, ids };
+}
+
+test("restores rejoin the tag index and collections", async () => {
+  const { api, ids } = await library();
+  const collection = await api("POST", "/api/collections", {
+    body: { title: "All", bookmarkIds: [ids.a, ids.b, ids.c] },
+  });
+  const collectionPath = `/api/collections/${collection.json.item.id}`;
+
+  for (const name of ["b", "c"]) {
+    const res = await api("DELETE", "/api/bookmarks", {
+      body: { imageUrl: url(name) },
+    });
+    assert.equal(res.json.trashed, true);
+  }
+  assert.deepEqual(await tagCounts(api), { cats: 1 });
+  const trash = await api("GET", "/api/trash");
+  assert.equal(trash.json.retentionDays, 30);
+  assert.deepEqual(
+    trash.json.items.map((entry) => entry.bookmark.id).sort(),
+    [ids.b, ids.c].sort()
+  );
+
+  // The second bookmark is saved again before it is restored.
+  await importItems(api, [{ imageUrl: url("c"), tags: ["again"] }]);
+  const restored = await api("POST", "/api/trash/restore", {
+    body: { ids: [ids.b, ids.c, ids.a] },
+  });
+  assert.equal(restored.status, 200, restored.text);
+  assert.equal(restored.json.ok, false);
+  assert.deepEqual(
+    restored.json.results.map(({ ok, error }) => ({ ok, error })),
+    [
+      { ok: true, error: undefined },
+      { ok: false, error: "a bookmark for this image already exists" },
+      { ok: false, error: "not found in trash" },
+    ]
+  );
+
+  assert.deepEqual(await tagCounts(api), { cats: 2, dogs: 1, again: 1 });
+  const after = await api("GET", collectionPath);
+  assert.deepEqual(after.json.item.bookmarkIds, [ids.a, ids.b]);
+  const history = await api("GET", `/api/bookmarks/${ids.b}/history`);
+  assert.deepEqual(
+    history.json.items.map((event) => event.type),
+    ["restore", "delete", "create"]
+  );
+  const left = await api("GET", "/api/trash");
+  assert.deepEqual(
+    left.json.items.map((entry) => entry.bookmark.id),
+    [ids.c]
+  );
+
+  const empty = await api("POST", "/api/trash/restore", { body: { ids: [] } });
+  assert.equal(empty.status, 400);
+});
+
+test("purging a trashed upload deletes its file", async () => {
+  const env = testEnv({ IMAGES: memoryR2() });
+  const api = client(env);
+  await api.signIn();
+  const upload = await api("POST", "/api/uploads", {
+    body: pngBytes(8, 8),
+    headers: { "content-type": "image/png" },
+  });
+  assert.equal(upload.status, 200, upload.text);
+  const id = upload.json.item.id;
+  await api("DELETE", "/api/bookmarks", {
+    body: { imageUrl: upload.json.item.imageUrl },
+  });
+  assert.equal(env.IMAGES.store.size, 1, "kept while in the trash");
+
+  const purged = await api("DELETE", `/api/trash/${id}`);
+  assert.equal(purged.status, 200, purged.text);
+  assert.equal(env.IMAGES.store.size, 0);
+  assert.deepEqual((await api("GET", "/api/trash")).json.items, []);
+  const again = await api("DELETE", `/api/trash/${id}`);
+  assert.equal(again.status, 404);
+  const restore = await api("POST", "/api/trash/restore", {
+    body: { ids: [id] },
+  });
+  assert.equal(restore.json.results[0].error, "not found in trash");
+});
+
+test("the scheduled run purges entries past their retention", async () => {
+  // A retention of a few milliseconds, so the entries are due at once.
+  const { env, api, ids } = await library({
+    TRASH_RETENTION_DAYS: String(5 / (24 * 60 * 60 * 1000)),
+  });
+  await api("DELETE", "/api/bookmarks", { body: { imageUrl: url("a") } });
+  await api("DELETE", "/api/bookmarks", { body: { imageUrl: url("b") } });
+  assert.equal((await api("GET", "/api/trash")).json.items.length, 2);
+  await new Promise((resolve) => setTimeout(resolve, 20));
+
+  const origin = standInOrigin();
+  try {
+    await runScheduled(env);
+  } finally {
+    origin.restore();
+  }
+  const keys = [...env.BOOKMARKS.store.keys()];
+  assert.equal(keys.some((key) => key.startsWith("trash-expiry:")), false);
+  assert.deepEqual((await api("GET", "/api/trash")).json.items, []);
+  const restore = await api("POST", "/api/trash/restore", {
+    body: { ids: [ids.a] },
+  });
+  assert.equal(restore.json.results[0].error, "not found in trash");
+});